@@ -119,8 +119,13 @@ let logoDataUrl  = null;
 
 // Verse text lookup state
 let verseTextCurrent    = null;   // last successfully fetched verse text
-let verseTextCache      = {};     // { cacheKey: { text, refOnly } }
+let verseTextServed     = '';     // translation that actually supplied verseTextCurrent
+let verseTextCache      = {};     // { cacheKey: { text, refOnly, served } }
 let referenceOnlyLookup = false;  // true when text is ASV reference, not for output
+let parallelVerseCurrent = null;  // { abbr, text } of the parallel translation, when one is set
+let passagePageIndex    = 0;      // PVW page of a paginated passage (0-based)
+let programPassagePages = null;   // pages of the passage on air, for PGM stepping
+let serverLookupSources = { apiBible: false }; // provider availability reported by /api/providers
 
 // Presets — separate stores for overlay (bible/speaker) vs ticker
 let overlayPresets = [];
@@ -138,6 +143,7 @@ let LS_KEY       = '';
 const GLOBAL_TEMPLATE_KEY = 'overlayCustomTemplateGlobal';
 const OVERLAY_MODE_SETTINGS_KEY_PREFIX = 'overlayModeSettings-';
 let ATEM_EXPORT_PIN_KEY = '';
+let CREDITS_KEY  = '';
 let channel        = null;
 
 function configureSessionKeys(sessionId) {
@@ -145,6 +151,7 @@ function configureSessionKeys(sessionId) {
   CHANNEL_NAME = 'reference-overlay-' + SESSION_ID;
   LS_KEY = 'referenceOverlayState-' + SESSION_ID;
   ATEM_EXPORT_PIN_KEY = 'overlayAtemExportPin-' + SESSION_ID;
+  CREDITS_KEY = 'overlayCredits-' + SESSION_ID;
   try {
     channel = new BroadcastChannel(CHANNEL_NAME);
   } catch (_) {
@@ -154,7 +161,9 @@ function configureSessionKeys(sessionId) {
 
 // WebSocket client — only active when served via http:// (server.js mode)
 let ws      = null;
-const FONT_FALLBACK_STACK = "'Noto Sans Devanagari', 'Noto Sans Tamil', 'Noto Sans Telugu', 'Noto Sans Malayalam', 'Noto Sans Kannada', sans-serif";
+const FONT_FALLBACK_STACK = "'Noto Sans Devanagari', 'Noto Sans Tamil', 'Noto Sans Telugu', 'Noto Sans Malayalam', 'Noto Sans Kannada', " +
+  "'Noto Sans Bengali', 'Noto Sans Gujarati', 'Noto Sans Gurmukhi', 'Noto Sans Oriya', 'Noto Nastaliq Urdu', 'Noto Sans KR', 'Noto Sans SC', sans-serif";
+// Spanish, Portuguese and French keep the English default (Latin script).
 const LANGUAGE_DEFAULT_FONT = {
   en: "'Cinzel', serif",
   hi: "'Noto Sans Devanagari', sans-serif",
@@ -162,6 +171,14 @@ const LANGUAGE_DEFAULT_FONT = {
   te: "'Noto Sans Telugu', sans-serif",
   ml: "'Noto Sans Malayalam', sans-serif",
   kn: "'Noto Sans Kannada', sans-serif",
+  mr: "'Noto Sans Devanagari', sans-serif",
+  bn: "'Noto Sans Bengali', sans-serif",
+  gu: "'Noto Sans Gujarati', sans-serif",
+  pa: "'Noto Sans Gurmukhi', sans-serif",
+  or: "'Noto Sans Oriya', sans-serif",
+  ur: "'Noto Nastaliq Urdu', serif",
+  ko: "'Noto Sans KR', sans-serif",
+  zh: "'Noto Sans SC', sans-serif",
 };
 const FONT_WEIGHT_LABELS = {
   100: 'Thin',
@@ -221,6 +238,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   populateBooks();
   populateTranslations();
+  loadServerLookupSources();
+  loadServicePacks();
+  loadCredits();
   populateReferenceLanguages();
   populateFonts();
   defaultOverlayModeSettings = pickModeDependentSettings(getSettings());
@@ -266,23 +286,113 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 // ── Populate Dropdowns ────────────────────────────────────────────────────────
 function populateBooks() {
-  const otGroup = document.getElementById('optgroup-ot');
-  const ntGroup = document.getElementById('optgroup-nt');
-  BIBLE_BOOKS.forEach(b => {
+  renderBookOptions();
+  const bookEl = document.getElementById('book');
+  bookEl.value = 'John';
+  populateChapters('John', 3);
+  document.getElementById('verse-ref').value = '16-18';
+}
+
+// ── Canon ─────────────────────────────────────────────────────────────────────
+// The Book dropdown offers the canon of the selected translation (CANONS in
+// data.js): deuterocanonical books appear only for Catholic, Orthodox and
+// full-Apocrypha editions. With no translation selected every book is offered.
+let renderedBookCanon = undefined;
+
+function getTranslationCanon(abbr) {
+  if (!abbr || abbr === 'NONE') return null;
+  const canon = TRANSLATIONS.find(t => t.abbr === abbr)?.canon;
+  return CANONS[canon] ? canon : 'protestant';
+}
+
+function getSelectedCanon() {
+  return getTranslationCanon(document.getElementById('translation')?.value);
+}
+
+function isBookInCanon(bookName, canon) {
+  const book = BIBLE_BOOKS.find(b => b.name === bookName);
+  if (!book) return false;
+  return book.testament !== 'DC' || !canon || CANONS[canon].books.includes(book.name);
+}
+
+function renderBookOptions() {
+  const canon  = getSelectedCanon();
+  const groups = {
+    OT: document.getElementById('optgroup-ot'),
+    DC: document.getElementById('optgroup-dc'),
+    NT: document.getElementById('optgroup-nt'),
+  };
+  Object.values(groups).forEach(g => { if (g) g.innerHTML = ''; });
+  BIBLE_BOOKS.filter(b => isBookInCanon(b.name, canon)).forEach(b => {
     const opt = document.createElement('option');
     opt.value        = b.name;
     opt.dataset.abbr = b.abbr;
     opt.dataset.enName = b.name;
     opt.textContent  = b.name;
-    (b.testament === 'OT' ? otGroup : ntGroup).appendChild(opt);
+    (groups[b.testament] || groups.OT).appendChild(opt);
   });
-  const bookEl = document.getElementById('book');
-  bookEl.value = 'John';
-  populateChapters('John', 3);
-  document.getElementById('verse-ref').value = '16-18';
+  if (groups.DC) groups.DC.hidden = !groups.DC.children.length;
+  renderedBookCanon = canon;
   updateBookOptionLabels();
 }
 
+// Re-filter the Book dropdown after a translation change. A book outside the
+// new canon falls back to Genesis 1 so the form never holds a hidden book.
+function syncBookCanon() {
+  if (getSelectedCanon() === renderedBookCanon) return;
+  const bookEl  = document.getElementById('book');
+  const current = bookEl.value;
+  renderBookOptions();
+  bookEl.value = current;
+  if (bookEl.value === current) return;
+  bookEl.value = BIBLE_BOOKS[0].name;
+  populateChapters(bookEl.value, 1);
+  document.getElementById('verse-ref').value = '';
+}
+
+// ── Versification ─────────────────────────────────────────────────────────────
+// Chapter / Verse(s) are numbered in the selected translation's VERSIFICATIONS
+// scheme (js/reference.js): NABRE's Malachi has 3 chapters, and CPDV's Psalm 22
+// is English Psalm 23. Switching translation renumbers the fields so they keep
+// pointing at the same passage.
+let referenceVersification = 'english'; // scheme the Chapter / Verse(s) fields are in
+
+function getSelectedVersification() {
+  return getTranslationVersification(document.getElementById('translation')?.value);
+}
+
+function getSelectedBookObj() {
+  const bookObj = BIBLE_BOOKS.find(b => b.name === document.getElementById('book').value);
+  return bookObj ? getVersifiedBook(bookObj, getSelectedVersification()) : bookObj;
+}
+
+function syncVersification() {
+  const from   = referenceVersification;
+  const scheme = getSelectedVersification();
+  if (from === scheme) return;
+  const bookEl  = document.getElementById('book');
+  const verseEl = document.getElementById('verse-ref');
+  const bookObj = BIBLE_BOOKS.find(b => b.name === bookEl.value);
+  const chapter = parseInt(document.getElementById('chapter').value, 10) || 1;
+  const { segments, error } = parseReferenceSegments(verseEl.value, chapter);
+  if (error || !segments.length) {
+    populateChapters(bookEl.value, convertVerse(bookObj, chapter, 1, from, scheme).chapter);
+    return;
+  }
+  const converted = convertReferenceSegments(segments, bookObj, from, scheme);
+  const first = converted[0].c1;
+  populateChapters(bookEl.value, first);
+  verseEl.value = formatReferenceSegments(converted, '-').replace(new RegExp(`^${first}:`), '');
+}
+
+// ref from readVerseReference() renumbered for another translation.
+function convertVerseReference(ref, transAbbr) {
+  const scheme = getTranslationVersification(transAbbr);
+  if (!ref.bookObj || scheme === referenceVersification) return ref;
+  const valid = convertReferenceSegments(ref.valid, ref.bookObj, referenceVersification, scheme);
+  return { ...ref, bookObj: getVersifiedBook(ref.bookObj, scheme), segments: valid, valid };
+}
+
 function populateReferenceLanguages() {
   const sel = document.getElementById('reference-language');
   if (!sel) return;
@@ -297,7 +407,8 @@ function populateReferenceLanguages() {
 }
 
 function populateChapters(bookName, selectedChapter) {
-  const book      = BIBLE_BOOKS.find(b => b.name === bookName);
+  referenceVersification = getSelectedVersification();
+  const book      = getVersifiedBook(BIBLE_BOOKS.find(b => b.name === bookName), referenceVersification);
   const chapterEl = document.getElementById('chapter');
   const prev      = selectedChapter || parseInt(chapterEl.value) || 1;
   chapterEl.innerHTML = '';
@@ -322,14 +433,7 @@ function populateTranslations() {
   noneOpt.textContent = '— None (hide translation) —';
   sel.appendChild(noneOpt);
 
-  const langLabel = {
-    en: 'English',
-    hi: 'Hindi (हिन्दी)',
-    ta: 'Tamil (தமிழ்)',
-    te: 'Telugu (తెలుగు)',
-    ml: 'Malayalam (മലയാളം)',
-    kn: 'Kannada (ಕನ್ನಡ)',
-  };
+  const langLabel = Object.fromEntries(REFERENCE_LANGUAGES.map(l => [l.value, l.label]));
 
   function hasFreeSource(t) {
     return !!(
@@ -340,7 +444,10 @@ function populateTranslations() {
     );
   }
   function hasPremiumSource(t) {
-    return !!APIBIBLE_IDS[t.abbr];
+    return !!APIBIBLE_IDS[t.abbr] && serverLookupSources.apiBible;
+  }
+  function hasLocalSource(t) {
+    return !!t.local && canUseBibleGatewayProxy();
   }
   function makeOption(t) {
     const opt = document.createElement('option');
@@ -357,7 +464,7 @@ function populateTranslations() {
     sel.appendChild(grp);
   }
 
-  const langOrder = ['en', 'hi', 'ta', 'te', 'ml', 'kn'];
+  const langOrder = REFERENCE_LANGUAGES.map(l => l.value);
   const byLang = {};
   TRANSLATIONS.forEach(t => {
     const lang = t.lang || 'en';
@@ -368,15 +475,69 @@ function populateTranslations() {
   langOrder.forEach(lang => {
     const list = byLang[lang] || [];
     if (!list.length) return;
-    const free = list.filter(t => hasFreeSource(t));
-    const premium = list.filter(t => hasPremiumSource(t));
-    const refOnly = list.filter(t => !hasFreeSource(t) && !hasPremiumSource(t));
+    const local = list.filter(t => hasLocalSource(t));
+    const online = list.filter(t => !hasLocalSource(t));
+    const free = online.filter(t => hasFreeSource(t));
+    const premium = online.filter(t => hasPremiumSource(t));
+    const refOnly = online.filter(t => !hasFreeSource(t) && !hasPremiumSource(t));
+    makeGroup(`${langLabel[lang] || lang} — Local Library (Offline)`, local);
     makeGroup(`${langLabel[lang] || lang} — Lookup Available (Free)`, free);
     makeGroup(`${langLabel[lang] || lang} — Lookup Available (Premium)`, premium);
     makeGroup(`${langLabel[lang] || lang} — Reference Only`, refOnly);
   });
 
   sel.value = 'NONE';
+
+  // Parallel picker offers the same list; "None" keeps a single translation
+  const parallelSel = document.getElementById('parallel-translation');
+  if (parallelSel) {
+    const prev = parallelSel.value;
+    parallelSel.innerHTML = sel.innerHTML;
+    parallelSel.options[0].textContent = '— None (single translation) —';
+    parallelSel.value = prev || 'NONE';
+    if (!parallelSel.value) parallelSel.value = 'NONE';
+  }
+}
+
+// Ask the server which lookup sources it has: whether an api.bible key is
+// configured, and which translations live in its local Bible library
+// (scripts/import-bible.js). Local ones are merged into TRANSLATIONS.
+async function loadServerLookupSources() {
+  if (!canUseBibleGatewayProxy()) return;
+  let info = null;
+  try {
+    const r = await fetch('/api/providers');
+    if (!r.ok) return;
+    info = await r.json();
+  } catch (_) {
+    return;
+  }
+  serverLookupSources = { apiBible: !!info?.providers?.['api.bible'] };
+  const bibles = Array.isArray(info?.localBibles) ? info.localBibles : [];
+  bibles.forEach(b => {
+    const existing = TRANSLATIONS.find(t => t.abbr === b.abbr);
+    if (existing) {
+      existing.local = true;
+      if (!existing.canon && b.canon) existing.canon = b.canon;
+      if (!existing.versification && b.versification) existing.versification = b.versification;
+      if (!existing.copyright && !existing.publicDomain) {
+        Object.assign(existing, { copyright: b.copyright, publisher: b.publisher, publicDomain: b.publicDomain });
+      }
+    } else {
+      TRANSLATIONS.push({
+        abbr: b.abbr, name: b.name, bg: false, lang: b.lang || 'en', local: true,
+        canon: b.canon || undefined, versification: b.versification || undefined,
+        copyright: b.copyright, publisher: b.publisher, publicDomain: b.publicDomain,
+      });
+    }
+  });
+  const sel = document.getElementById('translation');
+  const current = sel.value;
+  populateTranslations();
+  sel.value = current;
+  if (!sel.value) sel.value = 'NONE';
+  syncVersification();
+  syncBookCanon();
 }
 
 function populateFonts() {
@@ -464,20 +625,116 @@ function shouldHideEnglishBookName() {
   return !!document.getElementById('hide-english-book-name')?.checked;
 }
 
+function shouldUseNativeDigits() {
+  return !!document.getElementById('native-digits')?.checked;
+}
+
+// "3:16–18" → "३:१६–१८" for languages with their own numerals (REFERENCE_LANGUAGES
+// digits); anything else is returned unchanged.
+function toNativeDigits(text, langCode) {
+  const digits = REFERENCE_LANGUAGES.find(l => l.value === langCode)?.digits;
+  if (!digits) return String(text);
+  const glyphs = [...digits];
+  return String(text).replace(/[0-9]/g, d => glyphs[d]);
+}
+
 function syncBookNameDisplayOption() {
+  const lang = getReferenceLanguage();
   const hideEnglishEl = document.getElementById('hide-english-book-name');
-  if (!hideEnglishEl) return;
-  const isIndicReference = getReferenceLanguage() !== 'en';
-  hideEnglishEl.disabled = !isIndicReference;
-  if (!isIndicReference) hideEnglishEl.checked = false;
+  if (hideEnglishEl) {
+    const isLocalizedReference = lang !== 'en';
+    hideEnglishEl.disabled = !isLocalizedReference;
+    if (!isLocalizedReference) hideEnglishEl.checked = false;
+  }
+  const nativeDigitsEl = document.getElementById('native-digits');
+  if (nativeDigitsEl) {
+    const hasDigits = !!REFERENCE_LANGUAGES.find(l => l.value === lang)?.digits;
+    nativeDigitsEl.disabled = !hasDigits;
+    if (!hasDigits) nativeDigitsEl.checked = false;
+  }
+  syncReferenceFormatUi();
 }
 
-function formatReferenceBookName(bookName, langCode, hideEnglishName = false) {
+// With nativeDigits the localized name's ordinal ("1 शमूएल") uses the
+// language's numerals too; the English name in brackets keeps 0–9.
+// abbreviate swaps the English name for BIBLE_BOOKS[].abbr; localized names
+// have no abbreviations and stay in full.
+function formatReferenceBookName(bookName, langCode, hideEnglishName = false, nativeDigits = false, abbreviate = false) {
   if (!bookName) return '';
-  if (!langCode || langCode === 'en') return bookName;
+  const english = abbreviate ? (BIBLE_BOOKS.find(b => b.name === bookName)?.abbr || bookName) : bookName;
+  if (!langCode || langCode === 'en') return english;
   const local = getLocalizedBookName(bookName, langCode);
-  if (!local || local === bookName) return bookName;
-  return hideEnglishName ? local : `${local} (${bookName})`;
+  if (!local || local === bookName) return english;
+  const localText = nativeDigits ? toNativeDigits(local, langCode) : local;
+  return hideEnglishName ? localText : `${localText} (${english})`;
+}
+
+// ── Reference Format ──────────────────────────────────────────────────────────
+// How line 1 writes a reference: book name (full / abbr), chapter–verse
+// separator ("3:16", "3.16", European "3,16"), "v." / "vv." labels and where
+// the translation abbreviation goes. referenceFormats.default applies to every
+// reference language without its own entry. Stored in settings, so settings
+// profiles carry it.
+const REFERENCE_FORMAT_DEFAULT = { book: 'full', separator: ':', verseLabel: false, translation: 'parens' };
+let referenceFormats = { default: { ...REFERENCE_FORMAT_DEFAULT } };
+
+function normaliseReferenceFormat(fmt) {
+  const src = fmt && typeof fmt === 'object' ? fmt : {};
+  return {
+    book: src.book === 'abbr' ? 'abbr' : 'full',
+    separator: ['.', ','].includes(src.separator) ? src.separator : ':',
+    verseLabel: !!src.verseLabel,
+    translation: ['plain', 'before'].includes(src.translation) ? src.translation : 'parens',
+  };
+}
+
+function normaliseReferenceFormats(formats) {
+  const out = { default: normaliseReferenceFormat(formats?.default) };
+  REFERENCE_LANGUAGES.forEach(({ value }) => {
+    if (formats?.[value]) out[value] = normaliseReferenceFormat(formats[value]);
+  });
+  return out;
+}
+
+function getReferenceFormat(langCode = getReferenceLanguage()) {
+  return referenceFormats[langCode] || referenceFormats.default;
+}
+
+// "John 3:16 (NIV)", "John 3:16 NIV" or "NIV John 3:16"
+function placeTranslationLabel(ref, label, placement) {
+  if (placement === 'plain') return `${ref} ${label}`;
+  if (placement === 'before') return `${label} ${ref}`;
+  return `${ref} (${label})`;
+}
+
+function syncReferenceFormatUi() {
+  const lang = getReferenceLanguage();
+  const fmt = getReferenceFormat(lang);
+  const set = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+  set('ref-format-book', fmt.book);
+  set('ref-format-separator', fmt.separator);
+  set('ref-format-verse-label', fmt.verseLabel ? 'v' : 'none');
+  set('ref-format-translation', fmt.translation);
+  const perLangEl = document.getElementById('ref-format-per-language');
+  if (perLangEl) perLangEl.checked = !!referenceFormats[lang];
+  const langLabelEl = document.getElementById('ref-format-language');
+  if (langLabelEl) langLabelEl.textContent = REFERENCE_LANGUAGES.find(l => l.value === lang)?.label || lang;
+}
+
+function onReferenceFormatChange() {
+  const lang = getReferenceLanguage();
+  const fmt = normaliseReferenceFormat({
+    book: document.getElementById('ref-format-book')?.value,
+    separator: document.getElementById('ref-format-separator')?.value,
+    verseLabel: document.getElementById('ref-format-verse-label')?.value === 'v',
+    translation: document.getElementById('ref-format-translation')?.value,
+  });
+  // Unticking "only for this language" drops its entry and falls back to the default.
+  if (document.getElementById('ref-format-per-language')?.checked) referenceFormats[lang] = fmt;
+  else if (referenceFormats[lang]) delete referenceFormats[lang];
+  else referenceFormats.default = fmt;
+  syncReferenceFormatUi();
+  onSettingsChange();
 }
 
 function updateBookOptionLabels() {
@@ -586,7 +843,7 @@ function applyStyleAwareLowerThirdBackground(ltTextEl, settings) {
     const start = hexToRgba(bgColor, Math.max(0, Math.min(1, bgOpacity * 1.05)));
     const mid = hexToRgba(bgColor, Math.max(0, Math.min(1, bgOpacity * 0.72)));
     const end = hexToRgba(bgColor, 0);
-    ltTextEl.style.background = `linear-gradient(90deg, ${start} 0%, ${mid} 62%, ${end} 100%)`;
+    ltTextEl.style.background = `linear-gradient(var(--lt-gradient-dir, to right), ${start} 0%, ${mid} 62%, ${end} 100%)`;
     return;
   }
 
@@ -682,14 +939,18 @@ function onBookChange() {
   document.getElementById('verse-validation').className = 'verse-validation';
   clearVerseText();
   updatePreview();
+  scheduleChapterPrefetch();
 }
 
 function onBibleChange() {
   autoSyncReferenceLanguageFromTranslation();
+  syncVersification();
+  syncBookCanon();
   validateVerseInput();
   clearVerseText();
   syncBibleLineOptions();
   updatePreview();
+  scheduleChapterPrefetch();
 }
 function onBibleLineOptionsChange() {
   syncBibleLineOptions();
@@ -893,139 +1154,271 @@ function syncBibleLineOptions() {
   appendAbbrEl.disabled = !canAppend;
 }
 
-// ── Verse Reference Validation ────────────────────────────────────────────────
-function parseVerseRef(raw) {
-  // Strip trailing separator characters before parsing
-  const str = raw.trim().replace(/[–—]/g, '-').replace(/[-,.\s]+$/, '');
-  if (!str) return { tokens: [], error: null };
-
-  const segments = str.split(',').map(s => s.trim()).filter(Boolean);
-  const tokens   = [];
-
-  for (const seg of segments) {
-    if (seg.includes('-')) {
-      const parts = seg.split('-').map(s => s.trim());
-      if (parts.length !== 2) return { tokens: [], error: `Invalid range: "${seg}"` };
-      const a = parseInt(parts[0], 10);
-      const b = parseInt(parts[1], 10);
-      if (isNaN(a) || isNaN(b)) return { tokens: [], error: `Non-numeric value in "${seg}"` };
-      if (a <= 0 || b <= 0)     return { tokens: [], error: `Verse numbers must be ≥ 1` };
-      if (a > b)                return { tokens: [], error: `Range start (${a}) must not exceed end (${b})` };
-      tokens.push({ type: 'range', from: a, to: b });
-    } else {
-      const n = parseInt(seg, 10);
-      if (isNaN(n)) return { tokens: [], error: `"${seg}" is not a valid verse number` };
-      if (n <= 0)   return { tokens: [], error: `Verse numbers must be ≥ 1` };
-      tokens.push({ type: 'single', v: n });
-    }
-  }
-  return { tokens, error: null };
+// ── Parallel Translation ──────────────────────────────────────────────────────
+// A second translation looked up alongside the main one and shown as its own
+// line-2 block, stacked under or beside the main text.
+
+function getParallelTranslation() {
+  const abbr    = document.getElementById('parallel-translation')?.value || 'NONE';
+  const primary = document.getElementById('translation')?.value || 'NONE';
+  return abbr !== 'NONE' && abbr !== primary ? abbr : '';
 }
 
-// Walk tokens in order; stop (and clamp ranges) at the first value exceeding maxVerse.
-// Returns { valid: Token[], clipped: bool, firstExcess: number|null }
-function sanitiseTokens(tokens, maxVerse) {
-  if (!maxVerse || maxVerse >= 999) return { valid: tokens, clipped: false, firstExcess: null };
-  const valid = [];
-  let clipped = false;
-  let firstExcess = null;
-  for (const tok of tokens) {
-    if (tok.type === 'single') {
-      if (tok.v > maxVerse) { clipped = true; firstExcess = tok.v; break; }
-      valid.push(tok);
-    } else {
-      if (tok.from > maxVerse) { clipped = true; firstExcess = tok.from; break; }
-      if (tok.to > maxVerse) {
-        valid.push({ type: 'range', from: tok.from, to: maxVerse });
-        clipped = true; firstExcess = tok.to; break;
-      }
-      valid.push(tok);
-    }
-  }
-  return { valid, clipped, firstExcess };
+function getParallelLayout() {
+  return document.getElementById('parallel-layout')?.value === 'side-by-side' ? 'side-by-side' : 'stacked';
+}
+
+// { layout, blocks: [{ translation, lang, text, font }] }, main translation
+// first, or null when there is no parallel text or the style is a one-line
+// inline chip. The main block keeps the operator's line-2 font; a parallel
+// translation in another language gets LANGUAGE_DEFAULT_FONT for its script.
+function buildParallelPayload(settings) {
+  if (!parallelVerseCurrent || !verseTextCurrent) return null;
+  if (isInlineLowerThirdStyle(settings.style || 'gradient')) return null;
+  const primaryAbbr  = document.getElementById('translation')?.value || 'NONE';
+  const line2Font    = settings.line2Font || settings.line1Font || settings.font || '';
+  const primaryLang  = TRANSLATIONS.find(t => t.abbr === primaryAbbr)?.lang || 'en';
+  const parallelLang = TRANSLATIONS.find(t => t.abbr === parallelVerseCurrent.abbr)?.lang || 'en';
+  return {
+    layout: getParallelLayout(),
+    blocks: [
+      { translation: primaryAbbr, lang: primaryLang, text: verseTextCurrent, font: line2Font },
+      {
+        translation: parallelVerseCurrent.abbr,
+        lang: parallelLang,
+        text: parallelVerseCurrent.text,
+        font: parallelLang === primaryLang ? line2Font : (LANGUAGE_DEFAULT_FONT[parallelLang] || line2Font),
+      },
+    ],
+  };
+}
+
+// ── Verse Reference Validation ────────────────────────────────────────────────
+// The Verse(s) field is parsed by js/reference.js. Bare numbers belong to the
+// selected chapter; "36-4:2" runs into a later chapter and "28; 12:1-2" adds
+// another passage. Every chapter involved is checked against BIBLE_BOOKS, in
+// the selected translation's versification.
+function readVerseReference() {
+  const bookObj = getSelectedBookObj();
+  const chapter = document.getElementById('chapter').value;
+  const raw     = document.getElementById('verse-ref').value.trim();
+  const { segments, error } = parseReferenceSegments(raw, chapter);
+  if (error) return { bookObj, raw, segments: [], valid: [], clipped: false, excess: null, error };
+  const { valid, clipped, excess } = sanitiseReferenceSegments(segments, bookObj);
+  return { bookObj, raw, segments, valid, clipped, excess, error: null };
+}
+
+function describeReferenceExcess(excess) {
+  if (!excess) return '';
+  return excess.verse == null
+    ? `Chapter ${excess.chapter} exceeds book max (${excess.max})`
+    : `Verse ${excess.chapter}:${excess.verse} exceeds chapter max (${excess.max})`;
 }
 
 function validateVerseInput() {
   const validationEl = document.getElementById('verse-validation');
-  const raw          = document.getElementById('verse-ref').value.trim();
+  const ref          = readVerseReference();
 
-  if (!raw) {
+  if (!ref.raw) {
     validationEl.textContent = '';
     validationEl.className   = 'verse-validation';
     return true;
   }
 
-  const bookName = document.getElementById('book').value;
-  const chapIdx  = parseInt(document.getElementById('chapter').value, 10) - 1;
-  const book     = BIBLE_BOOKS.find(b => b.name === bookName);
-  const maxVerse = book && book.verses ? book.verses[chapIdx] : 999;
-
-  const { tokens, error } = parseVerseRef(raw);
-
-  if (error) {
-    validationEl.textContent = '✗ ' + error;
+  if (ref.error) {
+    validationEl.textContent = '✗ ' + ref.error;
     validationEl.className   = 'verse-validation invalid';
     return false;
   }
 
-  if (tokens.length === 0) {
+  if (ref.segments.length === 0) {
     validationEl.textContent = '';
     validationEl.className   = 'verse-validation';
     return true;
   }
 
-  const { valid, clipped, firstExcess } = sanitiseTokens(tokens, maxVerse);
-
-  if (valid.length === 0) {
+  if (ref.valid.length === 0) {
     // Every entry is out of range — nothing can be displayed
-    validationEl.textContent = `✗ Verse ${firstExcess} exceeds chapter max (${maxVerse})`;
+    validationEl.textContent = '✗ ' + describeReferenceExcess(ref.excess);
     validationEl.className   = 'verse-validation invalid';
     return false;
   }
 
-  if (clipped) {
+  if (ref.clipped) {
     // Partial — some valid verses exist, excess is stripped from output
-    validationEl.textContent = `⚠ Verse ${firstExcess} exceeds max (${maxVerse}) — output will use valid verses only`;
+    validationEl.textContent = `⚠ ${describeReferenceExcess(ref.excess)} — output will use valid verses only`;
     validationEl.className   = 'verse-validation warning';
     return true;
   }
 
-  validationEl.textContent = `✓ Valid — chapter has ${maxVerse} verses`;
+  const chapters = [...new Set(expandReferenceSegments(ref.valid, ref.bookObj).map(g => g.chapter))];
+  validationEl.textContent = chapters.length === 1 && ref.bookObj
+    ? `✓ Valid — chapter has ${ref.bookObj.verses[chapters[0] - 1]} verses`
+    : `✓ Valid — ${countReferenceVerses(ref.valid, ref.bookObj)} verses across chapters ${chapters.join(', ')}`;
   validationEl.className   = 'verse-validation valid';
   return true;
 }
 
-// Format verse ref for display, optionally sanitising against maxVerse first.
-function formatVerseRef(raw, maxVerse) {
-  const { tokens, error } = parseVerseRef(raw);
-  if (error || tokens.length === 0) return raw.trim().replace(/[-,.\s]+$/, '');
-  const toUse = maxVerse ? sanitiseTokens(tokens, maxVerse).valid : tokens;
-  if (toUse.length === 0) return '';
-  return toUse.map(tok =>
-    tok.type === 'single' ? String(tok.v) : `${tok.from}–${tok.to}`
-  ).join(', ');
+// Chapter-and-verse text for display ("3:16–18", "3:36–4:2", "8:28; 12:1–2"),
+// sanitised against BIBLE_BOOKS. Falls back to "<chapter>:<raw>" while the
+// field holds something unparseable, and to just the chapter when it is empty.
+function formatVerseRef(format = getReferenceFormat()) {
+  const ref     = readVerseReference();
+  const chapter = document.getElementById('chapter').value;
+  if (ref.error) return `${chapter}${format.separator}${ref.raw.replace(/[-,;:.\s]+$/, '')}`;
+  if (ref.segments.length === 0) return chapter;
+  return ref.valid.length ? formatReferenceSegments(ref.valid, '–', format) : chapter;
+}
+
+// ── Quick Entry ───────────────────────────────────────────────────────────────
+// Free text ("jn 3 16-18 niv", "1cor13:4", "Ps 23") is parsed by
+// parseQuickReference() in js/reference.js and applied to the Book / Chapter /
+// Verse(s) / Translation controls. Ambiguous books open a suggestions list.
+let quickRefSuggestions = [];
+let quickRefActiveIndex = -1;
+
+function setQuickRefStatus(msg, type) {
+  const el = document.getElementById('quick-ref-status');
+  if (!el) return;
+  el.textContent = msg;
+  el.className   = 'verse-validation' + (type ? ' ' + type : '');
+}
+
+function renderQuickRefSuggestions() {
+  const list  = document.getElementById('quick-ref-suggestions');
+  const input = document.getElementById('quick-ref');
+  if (!list) return;
+  list.innerHTML = '';
+  quickRefSuggestions.forEach((suggestion, i) => {
+    const li = document.createElement('li');
+    li.textContent = suggestion.text;
+    li.setAttribute('role', 'option');
+    if (i === quickRefActiveIndex) li.className = 'active';
+    // mousedown runs before the input's blur hides the list
+    li.addEventListener('mousedown', e => {
+      e.preventDefault();
+      applyQuickRefSuggestion(i);
+    });
+    list.appendChild(li);
+  });
+  list.hidden = quickRefSuggestions.length === 0;
+  if (input) input.setAttribute('aria-expanded', String(!list.hidden));
+}
+
+function hideQuickRefSuggestions() {
+  quickRefSuggestions = [];
+  quickRefActiveIndex = -1;
+  renderQuickRefSuggestions();
+}
+
+function describeQuickRef(parsed) {
+  return parsed.text + (parsed.translation ? ` (${parsed.translation})` : '');
+}
+
+function onQuickRefInput() {
+  const parsed = parseQuickReference(document.getElementById('quick-ref').value, document.getElementById('translation').value);
+  if (!parsed) {
+    setQuickRefStatus('', '');
+    hideQuickRefSuggestions();
+    return;
+  }
+  const ambiguous = parsed.candidates.length > 1;
+  if (ambiguous) setQuickRefStatus(`⚠ ${parsed.error} — pick one below`, 'warning');
+  else if (parsed.error) setQuickRefStatus('✗ ' + parsed.error, 'invalid');
+  else setQuickRefStatus('→ ' + describeQuickRef(parsed), 'valid');
+
+  quickRefSuggestions = ambiguous ? getQuickReferenceSuggestions(parsed) : [];
+  quickRefActiveIndex = quickRefSuggestions.length ? 0 : -1;
+  renderQuickRefSuggestions();
+}
+
+function onQuickRefKeydown(e) {
+  const open = quickRefSuggestions.length > 0;
+  if (open && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    quickRefActiveIndex = (quickRefActiveIndex + step + quickRefSuggestions.length) % quickRefSuggestions.length;
+    renderQuickRefSuggestions();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    const input = document.getElementById('quick-ref');
+    if (open && quickRefActiveIndex >= 0) applyQuickRefSuggestion(quickRefActiveIndex);
+    else if (input.value.trim()) applyQuickReference();
+    else sendShow(); // second Enter on the emptied field cuts, like Verse(s)
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    if (open) hideQuickRefSuggestions();
+    else {
+      e.target.value = '';
+      setQuickRefStatus('', '');
+    }
+  }
+}
+
+function applyQuickRefSuggestion(index) {
+  const suggestion = quickRefSuggestions[index];
+  if (!suggestion) return;
+  document.getElementById('quick-ref').value = suggestion.text;
+  hideQuickRefSuggestions();
+  applyQuickReference();
+}
+
+// Fill the Bible controls from the Quick Entry field. Returns true when applied.
+function applyQuickReference() {
+  const input  = document.getElementById('quick-ref');
+  const parsed = parseQuickReference(input.value, document.getElementById('translation').value);
+  if (!parsed) return false;
+  if (parsed.error || !parsed.book) {
+    onQuickRefInput();
+    return false;
+  }
+
+  const transEl = document.getElementById('translation');
+  if (parsed.translation && ![...transEl.options].some(o => o.value === parsed.translation)) {
+    setQuickRefStatus(`✗ ${parsed.translation} is not available in the translation list`, 'invalid');
+    return false;
+  }
+  const targetAbbr  = parsed.translation || transEl.value;
+  const targetCanon = getTranslationCanon(targetAbbr);
+  if (!isBookInCanon(parsed.book, targetCanon)) {
+    setQuickRefStatus(`✗ ${parsed.book} is not in the ${CANONS[targetCanon].label} canon of ${targetAbbr}`, 'invalid');
+    return false;
+  }
+
+  // The chapter dropdown follows the first passage; the Verse(s) field keeps
+  // any later chapters explicitly ("36-4:2", "28; 12:1-2").
+  const chapter = parsed.segments.length ? parsed.segments[0].c1 : (parsed.chapter || 1);
+  const verses  = formatReferenceSegments(parsed.segments, '-').replace(new RegExp(`^${chapter}:`), '');
+
+  if (parsed.translation) transEl.value = parsed.translation;
+  syncBookCanon();
+  document.getElementById('book').value = parsed.book;
+  populateChapters(parsed.book, chapter);
+  document.getElementById('verse-ref').value = verses;
+  onBibleChange();
+
+  setQuickRefStatus('✓ ' + describeQuickRef(parsed), 'valid');
+  input.value = '';
+  hideQuickRefSuggestions();
+  return true;
 }
 
 // ── Bible API — Verse Text Lookup ─────────────────────────────────────────────
-// Five-tier lookup:
-//   Tier 0: local /api/verse proxy (BibleGateway scraper via server.js, free)
+// Server mode: /api/passage in server.js runs the five-tier chain
+//   BibleGateway → bible-api.com → helloao → YouVersion → api.bible
+// (then same-language alternatives, NASB, and an ASV reference-only fallback)
+// and shares one cache across every operator station.
+// file:// mode: the keyless, browser-reachable tiers below run locally instead —
 //   Tier 1: bible-api.com (free, no key)       — KJV, ASV, WEB, YLT, DARBY, BBE
 //   Tier 2: bible.helloao.org (free, no key)   — BSB
-//   Tier 3: local /api/youversion proxy (free) — mapped translations in YOUVERSION_MAP
-//   Tier 4: rest.api.bible (API key)           — AMP, MSG, NASB, NASB95, LSV
 //   Fallback: ASV via Tier 1 (reference-only) — unsupported translations & NONE
+// api.bible needs a key, so it is only available through the server (APIBIBLE_KEY).
 // See data.js for BIBLE_API_MAP, APIBIBLE_IDS, HELLOAO_MAP, YOUVERSION_MAP, and USFM_CODES.
 
-const APIBIBLE_BASE = 'https://rest.api.bible/v1';
-const APIBIBLE_KEY  = '8LWqzQ47HMAtKGhfXVY2K';
 const HELLOAO_BASE  = 'https://bible.helloao.org/api';
 
-// Chapter-level verse cache for api.bible (one fetch per chapter, not per verse)
-const apiBibleChapterCache = {};
-
-// Cache size guards — prevent unbounded growth during long sessions
+// Cache size guard — prevent unbounded growth during long sessions
 const MAX_VERSE_CACHE   = 200;
-const MAX_CHAPTER_CACHE = 40;
 function pruneCacheIfNeeded(cache, max) {
   const keys = Object.keys(cache);
   if (keys.length >= max) delete cache[keys[0]];  // evict oldest (insertion order)
@@ -1036,124 +1429,82 @@ const _SUPER_DIGITS = ['⁰','¹','²','³','⁴','⁵','⁶','⁷','⁸','⁹']
 function toSuperNum(n) {
   return String(n).split('').map(d => _SUPER_DIGITS[+d]).join('');
 }
-function countTokenVerses(tokens) {
-  return tokens.reduce((n, t) => n + (t.type === 'single' ? 1 : t.to - t.from + 1), 0);
-}
-
-// ── api.bible chapter JSON verse extractor ────────────────────────────────────
-// Walks the USX-style JSON returned by /chapters/{id}?content-type=json and
-// builds a verse-number → plain-text map.
-function extractApiVerseMap(content) {
-  const verseMap = {};
-  let curVerse = null;
-  function walkNode(node) {
-    if (!node) return;
-    if (Array.isArray(node)) { node.forEach(walkNode); return; }
-    if (typeof node !== 'object') return;
-    if (node.name === 'verse' || node.type === 'verse') {
-      const num = parseInt(node.number ?? node.attrs?.number ?? '', 10);
-      if (num > 0) curVerse = num;
-    }
-    if (node.type === 'text' && typeof node.text === 'string' && curVerse !== null) {
-      verseMap[curVerse] = (verseMap[curVerse] || '') + node.text;
-    }
-    if (node.items) walkNode(node.items);
-  }
-  walkNode(content);
-  for (const k of Object.keys(verseMap)) verseMap[k] = verseMap[k].replace(/\s+/g, ' ').trim();
-  return verseMap;
-}
-
 function canUseBibleGatewayProxy() {
   return location.protocol !== 'file:';
 }
 
-function expandVerseTokens(tokens) {
-  const verses = [];
-  for (const tok of tokens) {
-    if (tok.type === 'single') verses.push(tok.v);
-    else for (let i = tok.from; i <= tok.to; i++) verses.push(i);
-  }
-  return verses;
+async function fetchServerPassage(book, chapter, verseKey, transAbbr) {
+  const url = `/api/passage?book=${encodeURIComponent(book)}&chapter=${encodeURIComponent(chapter)}&verses=${encodeURIComponent(verseKey)}&translation=${encodeURIComponent(transAbbr || 'NONE')}`;
+  const r = await fetch(url);
+  const data = await r.json().catch(() => null);
+  if (!r.ok) throw new Error(data?.message || `Passage HTTP ${r.status}`);
+  if (!data?.text) throw new Error('No text in passage response');
+  return data;
+}
+
+// Display text from a per-verse list ({ chapter, verse, text, … }) — either the
+// structured list returned by /api/passage or one assembled by the file:// tiers.
+// Verse numbers are prefixed when more than one verse is shown; a passage that
+// spans chapters marks each chapter change as ⁴:¹.
+function formatPassageVerses(verseList) {
+  const showVerseNums = verseList.length > 1;
+  const spansChapters = new Set(verseList.map(v => v.chapter)).size > 1;
+  let lastChapter = null;
+  return verseList.map(v => {
+    if (!showVerseNums) return v.text;
+    const num = spansChapters && v.chapter !== lastChapter
+      ? `${toSuperNum(v.chapter)}:${toSuperNum(v.verse)}`
+      : toSuperNum(v.verse);
+    lastChapter = v.chapter;
+    return `${num} ${v.text}`;
+  }).join(' ');
+}
+
+// file:// tiers read whole chapters and keep them per chapter, so any verse
+// subset of a chapter already seen (or prefetched) needs no further request.
+// Concurrent loads of one chapter share a single fetch.
+const MAX_CHAPTER_CACHE = 40;
+const chapterVerseCache = {};   // provider|abbr|book|chapter -> Promise<{ verse: text }>
+
+function loadBrowserChapter(provider, book, chapter) {
+  const key = `${provider.id}|${provider.abbr}|${book}|${chapter}`;
+  if (chapterVerseCache[key]) return chapterVerseCache[key];
+  const load = provider.id === 'helloao'
+    ? fetchHelloAoChapter(book, chapter, provider.abbr)
+    : fetchBibleApiChapter(book, chapter, provider.abbr, provider.refOnly);
+  pruneCacheIfNeeded(chapterVerseCache, MAX_CHAPTER_CACHE);
+  chapterVerseCache[key] = load.then(verseMap => {
+    if (!Object.keys(verseMap).length) throw new Error(`No text for ${book} ${chapter}`);
+    return verseMap;
+  });
+  chapterVerseCache[key].catch(() => { delete chapterVerseCache[key]; });
+  return chapterVerseCache[key];
 }
 
-async function fetchBibleGatewayText(book, chapter, validTokens, transAbbr, prefixed) {
-  const bgVersion = BIBLEGATEWAY_MAP[transAbbr] || transAbbr;
-  const verseList = expandVerseTokens(validTokens);
-  const parts = [];
-
-  // Fetch each verse individually so we can preserve superscript numbering format.
-  for (const verseNum of verseList) {
-    const url = `/api/verse?book=${encodeURIComponent(book)}&chapter=${encodeURIComponent(chapter)}&verses=${verseNum}&version=${encodeURIComponent(bgVersion)}`;
-    const r = await fetch(url);
-    if (!r.ok) throw new Error(`BibleGateway HTTP ${r.status}`);
-    const data = await r.json();
-    const text = (data?.passage || '').replace(/\s+/g, ' ').trim();
-    if (text) parts.push(prefixed(verseNum, text));
-  }
-
-  if (!parts.length) throw new Error('No text from BibleGateway');
-  return parts.join(' ');
+async function fetchBrowserVerses(provider, book, chapter, verses) {
+  const verseMap = await loadBrowserChapter(provider, book, chapter);
+  const list = verses.filter(n => verseMap[n]).map(n => ({ chapter, verse: n, text: verseMap[n] }));
+  if (!list.length) throw new Error(`No text from ${provider.id}`);
+  return list;
 }
 
-async function fetchBibleApiText(book, chapter, validTokens, transAbbr, prefixed, isRefOnly) {
+async function fetchBibleApiChapter(book, chapter, transAbbr, isRefOnly) {
   const freeApiTrans = isRefOnly ? 'asv' : BIBLE_API_MAP[transAbbr];
   if (!freeApiTrans) throw new Error('bible-api not configured for translation');
-  const verseParam = validTokens.map(t =>
-    t.type === 'single' ? String(t.v) : `${t.from}-${t.to}`
-  ).join(',');
-  const ref = `${book} ${chapter}:${verseParam}`;
-  const url = `https://bible-api.com/${encodeURIComponent(ref)}?translation=${freeApiTrans}`;
+  const url = `https://bible-api.com/${encodeURIComponent(`${book} ${chapter}`)}?translation=${freeApiTrans}`;
   const r = await fetch(url);
   if (!r.ok) throw new Error(`bible-api HTTP ${r.status}`);
   const data = await r.json();
-  if (Array.isArray(data.verses) && data.verses.length > 0) {
-    return data.verses.map(v => prefixed(v.verse, v.text.trim())).join(' ');
-  }
-  if (data.text) return data.text.trim();
-  throw new Error('No text in bible-api response');
-}
-
-async function fetchApiBibleText(book, chapter, validTokens, transAbbr, prefixed) {
-  const apiBibleId = APIBIBLE_IDS[transAbbr];
-  if (!apiBibleId) throw new Error('api.bible not configured for translation');
-  const usfmBook = USFM_CODES[book];
-  if (!usfmBook) throw new Error('Book not recognised for API lookup.');
-  const chapCacheKey = `${transAbbr}|${book}|${chapter}`;
-
-  function applyVerseMap(verseMap) {
-    const parts = [];
-    for (const tok of validTokens) {
-      if (tok.type === 'single') {
-        if (verseMap[tok.v]) parts.push(prefixed(tok.v, verseMap[tok.v]));
-      } else {
-        for (let i = tok.from; i <= tok.to; i++) {
-          if (verseMap[i]) parts.push(prefixed(i, verseMap[i]));
-        }
-      }
-    }
-    const text = parts.join(' ');
-    if (!text) throw new Error('Verses not found in chapter data');
-    return text;
-  }
-
-  if (apiBibleChapterCache[chapCacheKey]) {
-    return applyVerseMap(apiBibleChapterCache[chapCacheKey]);
+  const verseMap = {};
+  for (const v of (Array.isArray(data.verses) ? data.verses : [])) {
+    if (v.chapter && v.chapter !== chapter) continue;
+    const text = String(v.text || '').replace(/\s+/g, ' ').trim();
+    if (text) verseMap[v.verse] = text;
   }
-
-  const chapUrl = `${APIBIBLE_BASE}/bibles/${apiBibleId}/chapters/${usfmBook}.${chapter}` +
-    `?content-type=json&include-notes=false&include-titles=false` +
-    `&include-chapter-numbers=false&include-verse-numbers=false`;
-  const r = await fetch(chapUrl, { headers: { 'api-key': APIBIBLE_KEY } });
-  if (!r.ok) throw new Error(`api.bible HTTP ${r.status}`);
-  const data = await r.json();
-  const verseMap = extractApiVerseMap(data?.data?.content || []);
-  pruneCacheIfNeeded(apiBibleChapterCache, MAX_CHAPTER_CACHE);
-  apiBibleChapterCache[chapCacheKey] = verseMap;
-  return applyVerseMap(verseMap);
+  return verseMap;
 }
 
-async function fetchHelloAoText(book, chapter, validTokens, transAbbr, prefixed) {
+async function fetchHelloAoChapter(book, chapter, transAbbr) {
   const helloaoId = HELLOAO_MAP[transAbbr];
   if (!helloaoId) throw new Error('helloao not configured for translation');
   const usfmBook = USFM_CODES[book];
@@ -1162,9 +1513,8 @@ async function fetchHelloAoText(book, chapter, validTokens, transAbbr, prefixed)
   const r = await fetch(url);
   if (!r.ok) throw new Error(`helloao HTTP ${r.status}`);
   const data = await r.json();
-  const verses = (data?.chapter?.content || []).filter(c => c.type === 'verse');
   const verseMap = {};
-  for (const v of verses) {
+  for (const v of (data?.chapter?.content || []).filter(c => c.type === 'verse')) {
     const text = v.content
       .filter(c => typeof c === 'string')
       .join(' ')
@@ -1172,52 +1522,12 @@ async function fetchHelloAoText(book, chapter, validTokens, transAbbr, prefixed)
       .trim();
     if (text) verseMap[v.number] = text;
   }
-  const parts = [];
-  for (const tok of validTokens) {
-    if (tok.type === 'single') {
-      if (verseMap[tok.v]) parts.push(prefixed(tok.v, verseMap[tok.v]));
-    } else {
-      for (let i = tok.from; i <= tok.to; i++) {
-        if (verseMap[i]) parts.push(prefixed(i, verseMap[i]));
-      }
-    }
-  }
-  const text = parts.join(' ');
-  if (!text) throw new Error('No text in helloao response');
-  return text;
-}
-
-async function fetchYouVersionText(book, chapter, validTokens, transAbbr, prefixed) {
-  const yvVersion = YOUVERSION_MAP[transAbbr];
-  if (!yvVersion) throw new Error('youversion not configured for translation');
-  const bookAlias = USFM_CODES[book];
-  if (!bookAlias) throw new Error('Book not recognised for YouVersion lookup.');
-
-  const verseList = expandVerseTokens(validTokens);
-  const parts = [];
-  for (const verseNum of verseList) {
-    const url = `/api/youversion?book=${encodeURIComponent(book)}&book_alias=${encodeURIComponent(bookAlias)}&chapter=${encodeURIComponent(chapter)}&verses=${encodeURIComponent(verseNum)}&version=${encodeURIComponent(yvVersion)}`;
-    const r = await fetch(url);
-    if (!r.ok) throw new Error(`YouVersion HTTP ${r.status}`);
-    const data = await r.json();
-    const text = (data?.passage || '').replace(/\s+/g, ' ').trim();
-    if (text) parts.push(prefixed(verseNum, text));
-  }
-  const text = parts.join(' ');
-  if (!text) throw new Error('No text in YouVersion response');
-  return text;
+  return verseMap;
 }
 
 function hasExpectedScript(text, lang) {
   if (!text || !lang || lang === 'en') return true;
-  const ranges = {
-    hi: /[\u0900-\u097F]/,
-    ta: /[\u0B80-\u0BFF]/,
-    te: /[\u0C00-\u0C7F]/,
-    ml: /[\u0D00-\u0D7F]/,
-    kn: /[\u0C80-\u0CFF]/,
-  };
-  const rx = ranges[lang];
+  const rx = REFERENCE_LANGUAGES.find(l => l.value === lang)?.script;
   return rx ? rx.test(text) : true;
 }
 
@@ -1228,17 +1538,15 @@ function getLanguageFallbackAbbrs(requestedAbbr) {
   if (!lang || lang === 'en') return [];
   return TRANSLATIONS
     .filter(t => t.lang === lang && t.abbr !== requestedAbbr)
-    .filter(t => (
-      ((t.bg && canUseBibleGatewayProxy()) || BIBLEGATEWAY_MAP[t.abbr]) ||
-      BIBLE_API_MAP[t.abbr] ||
-      HELLOAO_MAP[t.abbr] ||
-      (canUseBibleGatewayProxy() && YOUVERSION_MAP[t.abbr]) ||
-      APIBIBLE_IDS[t.abbr]
-    ))
+    .filter(t => BIBLE_API_MAP[t.abbr] || HELLOAO_MAP[t.abbr])
     .map(t => t.abbr);
 }
 
+// Bumped per lookup so a slow response never overwrites a newer reference's text.
+let lookupSequence = 0;
+
 async function lookupVerse() {
+  const seq       = ++lookupSequence;
   const book      = document.getElementById('book').value;
   const chapter   = document.getElementById('chapter').value;
   const verseRaw  = document.getElementById('verse-ref').value.trim();
@@ -1249,59 +1557,117 @@ async function lookupVerse() {
     return;
   }
 
-  const { tokens, error } = parseVerseRef(verseRaw);
-  if (error || tokens.length === 0) {
+  const ref = readVerseReference();
+  if (ref.error || ref.segments.length === 0) {
     setLookupStatus('Fix verse reference before looking up.', 'error');
     return;
   }
-
-  // Sanitise tokens against this chapter's verse count
-  const bookObj  = BIBLE_BOOKS.find(b => b.name === book);
-  const chapIdx  = parseInt(chapter, 10) - 1;
-  const maxVerse = bookObj && bookObj.verses ? bookObj.verses[chapIdx] : 999;
-  const { valid: validTokens } = sanitiseTokens(tokens, maxVerse);
-
-  if (validTokens.length === 0) {
+  if (ref.valid.length === 0) {
     setLookupStatus('No valid verse numbers to look up.', 'error');
     return;
   }
 
-  const DEFAULT_FALLBACK_ABBR = 'NASB';
-  const requestedAbbr = (transAbbr && transAbbr !== 'NONE') ? transAbbr : '';
-  const cacheTransKey = requestedAbbr || DEFAULT_FALLBACK_ABBR;
+  setLookupStatus('Looking up…', 'loading');
 
-  // Canonical cache key. Reference-only lookups share a single ASV-sourced cache entry.
-  const verseKey = validTokens.map(t =>
-    t.type === 'single' ? String(t.v) : `${t.from}-${t.to}`
-  ).join(',');
-  const cacheKey = `${book}|${chapter}|${verseKey}|${cacheTransKey}`;
-
-  const cached = verseTextCache[cacheKey];
-  if (cached) {
-    displayVerseText(cached.text, cached.refOnly);
+  let primary;
+  try {
+    primary = await fetchTranslationText(book, chapter, ref, transAbbr);
+  } catch (err) {
+    if (seq === lookupSequence) setLookupStatus(`Lookup failed: ${err.message}`, 'error');
     return;
   }
 
-  // Verse-number prefix: prepend superscript number when multiple verses are shown
-  const showVerseNums = countTokenVerses(validTokens) > 1;
-  const prefixed = (num, text) => showVerseNums ? `${toSuperNum(num)} ${text}` : text;
+  // Parallel translation: same passage through the same chain. A same-language
+  // fallback is acceptable; anything else (NASB, reference-only ASV) is not.
+  const parallelAbbr = getParallelTranslation();
+  let parallel = null;
+  let parallelError = '';
+  if (parallelAbbr && !primary.refOnly) {
+    try {
+      const parallelRef = convertVerseReference(ref, parallelAbbr);
+      const entry = await fetchTranslationText(book, String(parallelRef.valid[0].c1), parallelRef, parallelAbbr);
+      const wantLang = TRANSLATIONS.find(t => t.abbr === parallelAbbr)?.lang || 'en';
+      const gotLang  = TRANSLATIONS.find(t => t.abbr === entry.served)?.lang || 'en';
+      if (entry.refOnly || wantLang !== gotLang) throw new Error(`no ${parallelAbbr} text available`);
+      parallel = { abbr: entry.served || parallelAbbr, text: entry.text };
+    } catch (err) {
+      parallelError = err.message;
+    }
+  }
+  if (seq !== lookupSequence) return;
+
+  parallelVerseCurrent = parallel;
+  verseTextServed      = primary.served || transAbbr;
+  displayVerseText(primary.text, primary.refOnly);
+  if (parallelError) setLookupStatus(`Parallel lookup failed: ${parallelError}`, 'error');
+  else setLookupStatus('', '');
+}
 
-  setLookupStatus('Looking up…', 'loading');
+// Look up one translation of a parsed reference: cache, then /api/passage when
+// served over http://, otherwise the keyless browser tiers. Resolves to the
+// cache entry { text, refOnly, served }, where served is the translation that
+// actually supplied the text. ref is numbered in transAbbr's versification.
+async function fetchTranslationText(book, chapter, ref, transAbbr) {
+  const requestedAbbr = (transAbbr && transAbbr !== 'NONE') ? transAbbr : '';
+  // The verse key carries explicit chapters ("3:36-4:2"), so the server needs no other context.
+  const verseKey = formatReferenceSegments(ref.valid, '-');
+  const cacheKey = getLookupCacheKey(book, ref.valid, transAbbr);
+
+  const cached = verseTextCache[cacheKey] || servicePackEntries[cacheKey];
+  if (cached) return cached;
+
+  if (canUseBibleGatewayProxy()) {
+    const passage = await fetchServerPassage(book, chapter, verseKey, requestedAbbr);
+    const text = Array.isArray(passage.verseList) && passage.verseList.length
+      ? formatPassageVerses(passage.verseList)
+      : passage.text;
+    return cacheLookupText(cacheKey, text, passage.refOnly, passage.servedTranslation || requestedAbbr);
+  }
 
-  // Provider order = primary + fallbacks.
-  // Free sources are preferred first, then premium.
-  // If no translation is selected or selected translation fails, default fallback is NASB via BibleGateway.
+  const providers = buildBrowserProviderChain(requestedAbbr);
+  let lastError = null;
+  const scheme = getTranslationVersification(requestedAbbr);
+  for (const p of providers) {
+    try {
+      // One (cached) chapter per chapter involved, in the provider
+      // translation's numbering; every chapter must produce text. Verse labels are then
+      // renumbered back to the reference as entered.
+      const providerScheme = getTranslationVersification(p.abbr);
+      const segments = convertReferenceSegments(ref.valid, ref.bookObj, scheme, providerScheme);
+      const verseList = [];
+      for (const group of expandReferenceSegments(segments, getVersifiedBook(ref.bookObj, providerScheme))) {
+        verseList.push(...await fetchBrowserVerses(p, book, group.chapter, group.verses));
+      }
+      const text = formatPassageVerses(verseList.map(v => (
+        { ...v, ...convertVerse(ref.bookObj, v.chapter, v.verse, providerScheme, scheme) }
+      )));
+      if (text) {
+        const lang = TRANSLATIONS.find(t => t.abbr === p.abbr)?.lang || 'en';
+        if (!hasExpectedScript(text, lang)) {
+          throw new Error(`${p.abbr} returned unexpected script for ${lang}`);
+        }
+        return cacheLookupText(cacheKey, text, p.refOnly, p.abbr);
+      }
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  throw new Error(lastError?.message || 'No provider succeeded');
+}
+
+// file:// provider order = primary + fallbacks.
+// Free sources are preferred first, then premium.
+// If no translation is selected or selected translation fails, default fallback is NASB.
+function buildBrowserProviderChain(requestedAbbr) {
+  const DEFAULT_FALLBACK_ABBR = 'NASB';
   const providers = [];
   const seenProviderKeys = new Set();
   function addProvidersForTranslation(abbr, isFallback = false) {
     if (!abbr) return;
-    const canBg = canUseBibleGatewayProxy() && !!(BIBLEGATEWAY_MAP[abbr] || TRANSLATIONS.find(t => t.abbr === abbr)?.bg);
     const list = [];
-    if (canBg) list.push('biblegateway');
     if (BIBLE_API_MAP[abbr]) list.push('bible-api');
     if (HELLOAO_MAP[abbr]) list.push('helloao');
-    if (canUseBibleGatewayProxy() && YOUVERSION_MAP[abbr]) list.push('youversion');
-    if (APIBIBLE_IDS[abbr]) list.push('api.bible');
     list.forEach(id => {
       const key = `${id}|${abbr}`;
       if (seenProviderKeys.has(key)) return;
@@ -1313,50 +1679,339 @@ async function lookupVerse() {
   // Primary providers from selected translation
   addProvidersForTranslation(requestedAbbr, false);
 
-  // Language-level fallbacks: if selected translation fails, try same-language
-  // alternatives before defaulting to NASB.
-  getLanguageFallbackAbbrs(requestedAbbr).forEach(abbr => addProvidersForTranslation(abbr, true));
+  // Language-level fallbacks: if selected translation fails, try same-language
+  // alternatives before defaulting to NASB.
+  getLanguageFallbackAbbrs(requestedAbbr).forEach(abbr => addProvidersForTranslation(abbr, true));
+
+  // Default fallback when no translation is set or selected translation has no/failed text
+  if (!requestedAbbr || requestedAbbr !== DEFAULT_FALLBACK_ABBR) {
+    addProvidersForTranslation(DEFAULT_FALLBACK_ABBR, true);
+  }
+
+  // Final reference-only fallback if no source is available at all
+  if (providers.length === 0) providers.push({ id: 'reference-asv', abbr: 'ASV', refOnly: true });
+  return providers;
+}
+
+// ── Chapter Prefetch ──────────────────────────────────────────────────────────
+// Choosing a book, chapter or translation warms that whole chapter (main and
+// parallel translation) in the background, so Look Up is answered from the
+// per-chapter cache instead of waiting on the network. Server mode warms the
+// shared server cache through /api/passage/prefetch.
+const CHAPTER_PREFETCH_DELAY_MS = 400;
+let chapterPrefetchTimer = null;
+let lastChapterPrefetchKey = '';
+
+function scheduleChapterPrefetch() {
+  clearTimeout(chapterPrefetchTimer);
+  chapterPrefetchTimer = setTimeout(prefetchSelectedChapter, CHAPTER_PREFETCH_DELAY_MS);
+}
+
+function prefetchSelectedChapter() {
+  const book    = document.getElementById('book')?.value;
+  const chapter = parseInt(document.getElementById('chapter')?.value, 10);
+  const bookObj = BIBLE_BOOKS.find(b => b.name === book);
+  if (!bookObj || !chapter) return;
+  const primary  = document.getElementById('translation')?.value || 'NONE';
+  const parallel = getParallelTranslation();
+  const key = `${book}|${chapter}|${primary}|${parallel}`;
+  if (key === lastChapterPrefetchKey) return;
+  lastChapterPrefetchKey = key;
+
+  prefetchChapter(book, chapter, primary).catch(() => {});
+  if (parallel) {
+    // The parallel translation may number the chapter differently.
+    const target = convertVerse(bookObj, chapter, 1, referenceVersification, getTranslationVersification(parallel));
+    prefetchChapter(book, target.chapter, parallel).catch(() => {});
+  }
+}
+
+// chapter is numbered in transAbbr's versification.
+async function prefetchChapter(book, chapter, transAbbr) {
+  const requestedAbbr = (transAbbr && transAbbr !== 'NONE') ? transAbbr : '';
+  if (canUseBibleGatewayProxy()) {
+    const url = `/api/passage/prefetch?book=${encodeURIComponent(book)}&chapter=${encodeURIComponent(chapter)}&translation=${encodeURIComponent(requestedAbbr || 'NONE')}`;
+    const r = await fetch(url);
+    if (!r.ok) throw new Error(`Prefetch HTTP ${r.status}`);
+    return;
+  }
+
+  // file:// — same provider order as a lookup; the first whole chapter wins.
+  const bookObj = BIBLE_BOOKS.find(b => b.name === book);
+  const scheme  = getTranslationVersification(requestedAbbr);
+  for (const p of buildBrowserProviderChain(requestedAbbr)) {
+    try {
+      const target = convertVerse(bookObj, chapter, 1, scheme, getTranslationVersification(p.abbr));
+      await loadBrowserChapter(p, book, target.chapter);
+      return;
+    } catch (_) {}
+  }
+  throw new Error('No provider returned the chapter');
+}
+
+// ── Service Packs ─────────────────────────────────────────────────────────────
+// Every reading for a service, looked up ahead of time and kept without expiry.
+// Server mode stores packs on the server (/api/service-packs), where
+// /api/passage answers from them first. file:// mode keeps them in
+// localStorage and fetchTranslationText checks them before any provider.
+const SERVICE_PACK_KEY = 'overlayServicePacks';
+let servicePackList = [];          // { id, name, … } — summaries (server) or whole packs (file://)
+let servicePackEntries = {};       // file:// only: lookup cacheKey -> { text, refOnly, served }
+let activeServicePack = null;      // pack whose results are listed
+
+function getLookupCacheKey(book, segments, transAbbr) {
+  // Canonical cache key. Reference-only lookups share a single ASV-sourced cache entry.
+  const requestedAbbr = (transAbbr && transAbbr !== 'NONE') ? transAbbr : '';
+  return `${book}|${formatReferenceSegments(segments, '-')}|${requestedAbbr || 'NASB'}`;
+}
+
+async function loadServicePacks() {
+  if (canUseBibleGatewayProxy()) {
+    try {
+      const r = await fetch('/api/service-packs');
+      const data = r.ok ? await r.json() : null;
+      servicePackList = Array.isArray(data?.packs) ? data.packs : [];
+    } catch (_) {
+      servicePackList = [];
+    }
+  } else {
+    try {
+      servicePackList = JSON.parse(localStorage.getItem(SERVICE_PACK_KEY) || '[]');
+    } catch (_) {
+      servicePackList = [];
+    }
+    servicePackEntries = {};
+    servicePackList.forEach(pack => pack.items.forEach(item => {
+      [item, item.parallel].forEach(e => { if (e?.ok && e.entry) servicePackEntries[e.cacheKey] = e.entry; });
+    }));
+  }
+  renderServicePackSelect();
+}
+
+function renderServicePackSelect() {
+  const sel = document.getElementById('service-pack-select');
+  if (!sel) return;
+  sel.innerHTML = '';
+  const empty = document.createElement('option');
+  empty.value = '';
+  empty.textContent = servicePackList.length ? 'Select a service pack...' : 'No service packs yet';
+  sel.appendChild(empty);
+  servicePackList.forEach(pack => {
+    const failed = pack.failed ?? pack.items.filter(item => !item.ok || (item.parallel && !item.parallel.ok)).length;
+    const opt = document.createElement('option');
+    opt.value = pack.id;
+    opt.textContent = failed ? `${pack.name} (${failed} failed)` : pack.name;
+    sel.appendChild(opt);
+  });
+  sel.value = activeServicePack && servicePackList.some(p => p.id === activeServicePack.id) ? activeServicePack.id : '';
+}
+
+function setServicePackStatus(msg, type) {
+  const el = document.getElementById('service-pack-status');
+  if (!el) return;
+  el.textContent = msg;
+  el.className   = 'lookup-status' + (type ? ' lookup-' + type : '');
+}
+
+function describeServicePack(pack) {
+  const failed = pack.items.filter(item => !item.ok || (item.parallel && !item.parallel.ok)).length;
+  const ready  = pack.items.length - failed;
+  return failed ? `${ready} ready, ${failed} failed` : `All ${ready} passages ready`;
+}
+
+function renderServicePackResults(pack) {
+  const list = document.getElementById('service-pack-results');
+  if (!list) return;
+  list.innerHTML = (pack?.items || []).map((item, i) => {
+    const parallelFailed = item.parallel && !item.parallel.ok;
+    const ok = item.ok && !parallelFailed;
+    const label = item.reference || item.input;
+    const trans = item.translation && item.translation !== 'NONE' ? ` ${item.translation}` : '';
+    const error = !item.ok
+      ? item.error
+      : parallelFailed ? `${item.parallel.translation}: ${item.parallel.error}` : '';
+    return `<li class="service-pack-item${ok ? '' : ' failed'}">
+      <span class="service-pack-mark">${ok ? '✓' : '✗'}</span>
+      ${item.ok
+        ? `<button type="button" class="service-pack-load" onclick="loadServicePackItem(${i})" title="Load into the Bible fields and look up">${escapeHtml(label + trans)}</button>`
+        : `<span class="service-pack-ref">${escapeHtml(label + trans)}</span>`}
+      ${error ? `<span class="service-pack-error">${escapeHtml(error)}</span>` : ''}
+    </li>`;
+  }).join('');
+}
+
+function showServicePack(pack) {
+  activeServicePack = pack;
+  document.getElementById('service-pack-name').value = pack?.name || '';
+  document.getElementById('service-pack-refs').value = (pack?.items || []).map(item => item.input).join('\n');
+  renderServicePackResults(pack);
+  setServicePackStatus(pack ? describeServicePack(pack) : '', '');
+}
+
+async function onServicePackSelect() {
+  const id = document.getElementById('service-pack-select')?.value;
+  if (!id) {
+    showServicePack(null);
+    return;
+  }
+  if (!canUseBibleGatewayProxy()) {
+    showServicePack(servicePackList.find(p => p.id === id) || null);
+    return;
+  }
+  try {
+    const r = await fetch(`/api/service-packs/${encodeURIComponent(id)}`);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    showServicePack(await r.json());
+  } catch (err) {
+    setServicePackStatus(`Could not open pack: ${err.message}`, 'error');
+  }
+}
+
+async function prepareServicePack() {
+  const nameEl = document.getElementById('service-pack-name');
+  const references = document.getElementById('service-pack-refs').value
+    .split('\n').map(line => line.trim()).filter(Boolean);
+  if (!references.length) {
+    setServicePackStatus('List at least one reference, one per line.', 'error');
+    return;
+  }
+  const name = nameEl.value.trim() || `Service ${new Date().toLocaleDateString()}`;
+  nameEl.value = name;
+  const translation = document.getElementById('translation').value;
+  const parallel    = getParallelTranslation();
+
+  setServicePackStatus(`Preparing ${references.length} passage${references.length === 1 ? '' : 's'}…`, 'loading');
+  let pack;
+  try {
+    pack = canUseBibleGatewayProxy()
+      ? await requestServerServicePack(name, translation, parallel, references)
+      : await prepareLocalServicePack(name, translation, parallel, references);
+  } catch (err) {
+    setServicePackStatus(`Could not prepare pack: ${err.message}`, 'error');
+    return;
+  }
+  activeServicePack = pack;
+  await loadServicePacks();
+  showServicePack(pack);
+  setServicePackStatus(describeServicePack(pack), pack.items.some(item => !item.ok) ? 'error' : '');
+}
+
+async function requestServerServicePack(name, translation, parallel, references) {
+  const r = await fetch('/api/service-packs', {
+    method: 'POST',
+    headers: getControlApiHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ name, translation, parallel, references }),
+  });
+  const data = await r.json().catch(() => null);
+  if (!r.ok) throw new Error(data?.message || `HTTP ${r.status}`);
+  return data;
+}
+
+// file:// — same rules as the server: a line may name its own translation, a
+// bare chapter means the whole chapter, and a fallback or reference-only
+// answer counts as a failure.
+async function prepareLocalServicePack(name, translation, parallel, references) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'pack';
+  let id;
+  do {
+    id = `${slug}-${Math.random().toString(16).slice(2, 10).padEnd(8, '0')}`;
+  } while (servicePackList.some(p => p.id === id));
+  const prepare = async (bookObj, segments, abbr) => {
+    const requestedAbbr = abbr && abbr !== 'NONE' ? abbr : '';
+    const cacheKey = getLookupCacheKey(bookObj.name, segments, abbr);
+    try {
+      const entry = await fetchTranslationText(bookObj.name, String(segments[0].c1), { bookObj, segments, valid: segments }, abbr);
+      if (entry.refOnly || (requestedAbbr && entry.served !== requestedAbbr)) {
+        return { ok: false, error: `No ${requestedAbbr || 'text'} available (only ${entry.served}${entry.refOnly ? ', reference-only' : ''})` };
+      }
+      return { ok: true, cacheKey, entry };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  };
 
-  // Default fallback when no translation is set or selected translation has no/failed text
-  if (!requestedAbbr || requestedAbbr !== DEFAULT_FALLBACK_ABBR) {
-    addProvidersForTranslation(DEFAULT_FALLBACK_ABBR, true);
+  const items = [];
+  for (const input of references) {
+    const parsed = parseQuickReference(input, translation);
+    if (!parsed || parsed.error || !parsed.book || !parsed.chapter) {
+      items.push({ input, ok: false, error: parsed?.error || 'Add a chapter, e.g. "Psalm 23"' });
+      continue;
+    }
+    const abbr     = parsed.translation || translation;
+    const scheme   = getTranslationVersification(abbr);
+    const baseBook = BIBLE_BOOKS.find(b => b.name === parsed.book);
+    const bookObj  = getVersifiedBook(baseBook, scheme);
+    const segments = parsed.segments.length
+      ? parsed.segments
+      : [{ c1: parsed.chapter, v1: 1, c2: parsed.chapter, v2: bookObj.verses[parsed.chapter - 1] || 1 }];
+    const item = {
+      input,
+      reference: `${bookObj.name} ${formatReferenceSegments(segments)}`,
+      translation: abbr || 'NONE',
+      ...await prepare(bookObj, segments, abbr),
+    };
+    if (parallel && parallel !== abbr) {
+      const parallelScheme = getTranslationVersification(parallel);
+      item.parallel = {
+        translation: parallel,
+        ...await prepare(
+          getVersifiedBook(baseBook, parallelScheme),
+          convertReferenceSegments(segments, bookObj, scheme, parallelScheme),
+          parallel
+        ),
+      };
+    }
+    items.push(item);
   }
 
-  // Final reference-only fallback if no source is available at all
-  if (providers.length === 0) providers.push({ id: 'reference-asv', abbr: 'ASV', refOnly: true });
+  const pack = { id, name, translation, parallel: parallel || null, createdAt: new Date().toISOString(), items };
+  const packs = servicePackList.filter(p => p.id !== id);
+  packs.unshift(pack);
+  try {
+    localStorage.setItem(SERVICE_PACK_KEY, JSON.stringify(packs));
+  } catch (_) {
+    throw new Error('browser storage is full');
+  }
+  return pack;
+}
 
-  let lastError = null;
-  for (const p of providers) {
+async function deleteSelectedServicePack() {
+  const sel = document.getElementById('service-pack-select');
+  if (!sel || !sel.value) return;
+  const id = sel.value;
+  if (canUseBibleGatewayProxy()) {
     try {
-      let text = '';
-      if (p.id === 'biblegateway') text = await fetchBibleGatewayText(book, chapter, validTokens, p.abbr, prefixed);
-      if (p.id === 'bible-api') text = await fetchBibleApiText(book, chapter, validTokens, p.abbr, prefixed, false);
-      if (p.id === 'helloao') text = await fetchHelloAoText(book, chapter, validTokens, p.abbr, prefixed);
-      if (p.id === 'youversion') text = await fetchYouVersionText(book, chapter, validTokens, p.abbr, prefixed);
-      if (p.id === 'api.bible') text = await fetchApiBibleText(book, chapter, validTokens, p.abbr, prefixed);
-      if (p.id === 'reference-asv') text = await fetchBibleApiText(book, chapter, validTokens, p.abbr, prefixed, true);
-      if (text) {
-        const lang = TRANSLATIONS.find(t => t.abbr === p.abbr)?.lang || 'en';
-        if (!hasExpectedScript(text, lang)) {
-          throw new Error(`${p.abbr} returned unexpected script for ${lang}`);
-        }
-        finaliseLookup(cacheKey, text, p.refOnly);
+      const r = await fetch(`/api/service-packs/${encodeURIComponent(id)}`, { method: 'DELETE', headers: getControlApiHeaders() });
+      if (!r.ok) {
+        const data = await r.json().catch(() => null);
+        setServicePackStatus(`Could not delete pack: ${data?.message || `HTTP ${r.status}`}`, 'error');
         return;
       }
-    } catch (err) {
-      lastError = err;
-    }
+    } catch (_) {}
+  } else {
+    try {
+      localStorage.setItem(SERVICE_PACK_KEY, JSON.stringify(servicePackList.filter(p => p.id !== id)));
+    } catch (_) {}
   }
+  if (activeServicePack?.id === id) showServicePack(null);
+  await loadServicePacks();
+}
 
-  setLookupStatus(`Lookup failed: ${lastError?.message || 'No provider succeeded'}`, 'error');
+// Put a prepared reading into the Bible fields and look it up (from the pack).
+function loadServicePackItem(index) {
+  const item = activeServicePack?.items[index];
+  if (!item?.ok) return;
+  if (currentMode !== 'bible') setMode('bible');
+  const input = document.getElementById('quick-ref');
+  input.value = item.reference + (item.translation !== 'NONE' ? ` ${item.translation}` : '');
+  if (applyQuickReference()) lookupVerse();
 }
 
-function finaliseLookup(cacheKey, rawText, refOnly = false) {
+function cacheLookupText(cacheKey, rawText, refOnly = false, served = '') {
   const clean = rawText.replace(/\n/g, ' ').replace(/\s+/g, ' ').trim();
   pruneCacheIfNeeded(verseTextCache, MAX_VERSE_CACHE);
-  verseTextCache[cacheKey] = { text: clean, refOnly };
-  displayVerseText(clean, refOnly);
-  setLookupStatus('', '');
+  verseTextCache[cacheKey] = { text: clean, refOnly, served };
+  return verseTextCache[cacheKey];
 }
 
 function setLookupStatus(msg, type) {
@@ -1369,6 +2024,7 @@ function setLookupStatus(msg, type) {
 function displayVerseText(text, refOnly = false) {
   referenceOnlyLookup = refOnly;
   verseTextCurrent    = text;
+  passagePageIndex    = 0;
   const box     = document.getElementById('verse-text-box');
   const content = document.getElementById('verse-text-content');
   const note    = document.getElementById('verse-ref-note');
@@ -1376,6 +2032,11 @@ function displayVerseText(text, refOnly = false) {
   if (!box || !content) return;
   box.style.display   = '';
   content.textContent = text;
+  const parallelContent = document.getElementById('parallel-verse-text-content');
+  if (parallelContent) {
+    parallelContent.textContent   = parallelVerseCurrent ? `${parallelVerseCurrent.abbr}: ${parallelVerseCurrent.text}` : '';
+    parallelContent.style.display = parallelVerseCurrent ? '' : 'none';
+  }
   // Reference-only: disable "use as line 2" — text is for verification, not output.
   // When real verse text exists, auto-enable line2 usage for immediate output.
   if (chk) {
@@ -1393,9 +2054,60 @@ function displayVerseText(text, refOnly = false) {
   updatePreview();
 }
 
+// ── Verse Stepping ────────────────────────────────────────────────────────────
+// Next / previous verse for reading through a passage: steps one verse past
+// the end (or before the start) of the current reference, crossing chapter
+// boundaries, and looks it up. "Use verse text as line 2" stays as it was.
+// Cuts to air when cut is set (Shift+Arrow, remote `cut: true`) or
+// "Cut to Air on Verse Step" is ticked.
+let verseStepSequence = 0;
+let verseStepKeepText = null;
+
+async function stepVerse(delta, { cut = false } = {}) {
+  if (currentMode !== 'bible') setMode('bible');
+  const ref     = readVerseReference();
+  const bookObj = ref.bookObj;
+  if (!bookObj) return;
+  const chapter = parseInt(document.getElementById('chapter').value, 10) || 1;
+  let target;
+  if (ref.valid.length) {
+    const first = ref.valid[0];
+    const last  = ref.valid[ref.valid.length - 1];
+    target = delta > 0 ? adjacentVerse(bookObj, last.c2, last.v2, 1) : adjacentVerse(bookObj, first.c1, first.v1, -1);
+  } else {
+    // Chapter only: the next verse is its first verse
+    target = delta > 0 ? { chapter, verse: 1 } : adjacentVerse(bookObj, chapter, 1, -1);
+  }
+  if (!target) {
+    setLookupStatus(delta > 0 ? `End of ${bookObj.name}` : `Start of ${bookObj.name}`, 'error');
+    return;
+  }
+
+  const seq = ++verseStepSequence;
+  const includeEl = document.getElementById('include-verse-text');
+  // Rapid steps supersede each other; keep the choice made before the burst
+  if (verseStepKeepText === null) verseStepKeepText = !!includeEl?.checked;
+  const keepVerseText = verseStepKeepText;
+  if (target.chapter !== chapter) populateChapters(bookObj.name, target.chapter);
+  document.getElementById('verse-ref').value = String(target.verse);
+  onBibleChange();
+
+  await lookupVerse();
+  if (seq !== verseStepSequence) return;   // a later step is on its way
+  verseStepKeepText = null;
+  if (keepVerseText && includeEl && !includeEl.disabled && verseTextCurrent) {
+    includeEl.checked = true;
+    onBibleLineOptionsChange();
+  }
+  if (cut || document.getElementById('verse-step-cut')?.checked) sendShow();
+}
+
 function clearVerseText() {
   referenceOnlyLookup = false;
   verseTextCurrent    = null;
+  verseTextServed     = '';
+  parallelVerseCurrent = null;
+  passagePageIndex    = 0;
   const box  = document.getElementById('verse-text-box');
   const chk  = document.getElementById('include-verse-text');
   const note = document.getElementById('verse-ref-note');
@@ -1406,6 +2118,30 @@ function clearVerseText() {
   syncBibleLineOptions();
 }
 
+// ── Text Direction ────────────────────────────────────────────────────────────
+// Overlay and ticker payloads carry a resolved `dir` so outputs, monitors and
+// the ATEM export mirror the same layout. "auto" picks RTL when Hebrew or
+// Arabic-script letters (Urdu) outnumber the other letters in the text.
+const RTL_CHAR_RE = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/g;
+
+function detectTextDirection(...texts) {
+  const text = texts.filter(Boolean).join(' ');
+  const rtl = (text.match(RTL_CHAR_RE) || []).length;
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  return rtl > letters - rtl ? 'rtl' : 'ltr';
+}
+
+function resolveTextDirection(...texts) {
+  const setting = document.getElementById('text-direction')?.value || 'auto';
+  return setting === 'rtl' || setting === 'ltr' ? setting : detectTextDirection(...texts);
+}
+
+// The Left/Right alignment setting means start/end, so it flips for RTL.
+function mirrorTextAlign(align, dir) {
+  if (dir !== 'rtl') return align;
+  return align === 'left' ? 'right' : align === 'right' ? 'left' : align;
+}
+
 // ── Build Ticker Data Object ──────────────────────────────────────────────────
 function buildTickerData() {
   const message  = document.getElementById('ticker-message')?.value.trim() || DEFAULT_TICKER_MESSAGE;
@@ -1442,11 +2178,17 @@ function buildTickerData() {
     barHeight: Math.max(24, Math.min(140, barHeight || 68)),
     textSize: Math.max(12, Math.min(72, textSize || 28)),
     badgeSize: Math.max(10, Math.min(64, badgeSize || 22)),
+    dir: resolveTextDirection(message),
   };
 }
 
 // ── Build Overlay Data Object ─────────────────────────────────────────────────
 function buildOverlayData() {
+  const data = buildOverlayContent();
+  return { ...data, dir: resolveTextDirection(data.line1, getDisplayedLine2Text(data)) };
+}
+
+function buildOverlayContent() {
   if (currentMode === 'ticker') {
     // Ticker mode — return a placeholder for preview only
     return { type: 'ticker', line1: 'Ticker active', line2: '' };
@@ -1454,43 +2196,48 @@ function buildOverlayData() {
   if (currentMode === 'bible') {
     const book       = document.getElementById('book').value;
     const chapter    = document.getElementById('chapter').value || '';
-    const verseRaw   = document.getElementById('verse-ref').value.trim();
     const translAbbr = document.getElementById('translation').value;
     const refLang    = getReferenceLanguage();
     const translation = TRANSLATIONS.find(t => t.abbr === translAbbr);
 
-    // Compute maxVerse so the ref is sanitised before going to output
-    const bookObj  = BIBLE_BOOKS.find(b => b.name === book);
-    const chapIdx  = parseInt(chapter, 10) - 1;
-    const maxVerse = bookObj && bookObj.verses ? bookObj.verses[chapIdx] : 999;
-
+    // Chapter/verse part is sanitised against BIBLE_BOOKS before going to output
     const hideEnglishBookName = !!document.getElementById('hide-english-book-name')?.checked;
-    let ref = formatReferenceBookName(book, refLang, hideEnglishBookName);
-    if (chapter) {
-      ref += ' ' + chapter;
-      if (verseRaw) {
-        const sanitised = formatVerseRef(verseRaw, maxVerse);
-        if (sanitised) ref += ':' + sanitised;
-      }
-    }
+    const nativeDigits = shouldUseNativeDigits();
+    const format = getReferenceFormat(refLang);
+    let ref = formatReferenceBookName(book, refLang, hideEnglishBookName, nativeDigits, format.book === 'abbr');
+    if (chapter) ref += ' ' + (nativeDigits ? toNativeDigits(formatVerseRef(format), refLang) : formatVerseRef(format));
 
     const includeText = document.getElementById('include-verse-text')?.checked;
     const hideTranslationLine2 = !!document.getElementById('hide-translation-line2')?.checked;
     const appendTranslationAbbrLine1 = !!document.getElementById('append-translation-abbr-line1')?.checked;
     const showingText = !!(includeText && verseTextCurrent && !referenceOnlyLookup);
+    const settings = getSettings();
+    const parallel = showingText ? buildParallelPayload(settings) : null;
 
-    // Optionally append (ABBR) to the reference line.
+    // Optionally append (ABBR) to the reference line — both abbreviations in parallel display.
     const showTranslationAbbrOnLine1 = translAbbr !== 'NONE'
       && (showingText || (appendTranslationAbbrLine1 && hideTranslationLine2));
+    const abbrLabel = parallel ? parallel.blocks.map(b => b.translation).join(' · ') : translAbbr;
     const line1 = showTranslationAbbrOnLine1
-      ? `${ref} (${translAbbr})`
+      ? placeTranslationLabel(ref, abbrLabel, format.translation)
       : ref;
 
-    // line2: verse text → translation full name → empty (when NONE selected)
-    let line2;
+    // Verse text (one page of it when paginated). line2 always carries the main
+    // translation, so outputs and templates that ignore `parallel` still work.
     if (showingText) {
-      line2 = verseTextCurrent;
-    } else if (hideTranslationLine2) {
+      const data = { type: 'bible', line1, line2: verseTextCurrent };
+      if (parallel) data.parallel = parallel;
+      Object.assign(data, buildCopyrightFields(
+        parallel ? parallel.blocks.map(b => b.translation) : [verseTextServed || translAbbr]));
+      const pages = getPassagePages(settings);
+      if (pages.length < 2) return data;
+      passagePageIndex = Math.max(0, Math.min(pages.length - 1, passagePageIndex));
+      return withPassagePage(data, pages, passagePageIndex);
+    }
+
+    // line2 otherwise: translation full name → empty (when hidden or NONE selected)
+    let line2;
+    if (hideTranslationLine2) {
       line2 = '';
     } else if (translAbbr === 'NONE') {
       line2 = '';
@@ -1506,6 +2253,198 @@ function buildOverlayData() {
   }
 }
 
+// ── Passage Pagination ────────────────────────────────────────────────────────
+// A looked-up passage that would overflow line 2 is split into pages that fit
+// the current style, line-2 font, output resolution and line2MaxLines, breaking
+// between verses where possible. PVW and PGM step through pages independently;
+// every page goes to air as a normal `show`. A page is a list of texts, one per
+// displayed translation, so parallel translations always page verse-for-verse.
+
+// Line-2 geometry at output scale, mirroring output.css: font-size clamp
+// (min px, vw, max px) and the horizontal space taken by accent strip,
+// .lt-text padding and borders.
+const LINE2_LAYOUT = {
+  default:           { min: 18, vw: 2.6,  max: 34, inset: 8 + 56 },
+  accent:            { min: 18, vw: 2.6,  max: 34, inset: 28 },
+  split:             { min: 18, vw: 2.6,  max: 34, inset: 28 },
+  gradient:          { min: 18, vw: 2.6,  max: 34, inset: 8 + 28 + 48 },
+  scripture:         { min: 18, vw: 1.7,  max: 28, inset: 8 + 52 },
+  'scripture-panel': { min: 16, vw: 1.62, max: 26, inset: 6 + 44 + 2 },
+};
+// Space between side-by-side parallel columns (.lt-parallel gap, padding and rule)
+const PARALLEL_COLUMN_GAP = 16 + 16 + 1;
+const VERSE_BOUNDARY_RE = /\s+(?=[⁰¹²³⁴⁵⁶⁷⁸⁹]+(?::[⁰¹²³⁴⁵⁶⁷⁸⁹]+)?\s)/;
+
+let passageMeasureCtx = null;
+let passagePageCache  = { key: '', pages: [] };
+
+// fontValue overrides the line-2 font (parallel blocks); columns > 1 splits the
+// width between side-by-side blocks.
+function getLine2Metrics(settings, fontValue = '', columns = 1) {
+  const outW   = parseInt(String(settings.outputRes || '').split('x')[0], 10) || 1920;
+  const layout = LINE2_LAYOUT[settings.style] || LINE2_LAYOUT.default;
+  const effect = getLineTextEffect(settings, 'line2');
+  const fontPx = Math.min(layout.max, Math.max(layout.min, outW * layout.vw / 100))
+    * Math.max(0.3, parseFloat(effect.fontScale) || 1);
+
+  // .lower-third-wrap has 4% side padding; ltWidth is a percentage of what is left
+  const barW = outW * 0.92 * Math.max(40, Math.min(100, parseInt(settings.ltWidth || 100, 10))) / 100;
+  let logoW = 0;
+  if (settings.logoDataUrl) {
+    const img = document.getElementById('preview-logo');
+    const aspect = img && img.naturalWidth && img.naturalHeight ? img.naturalWidth / img.naturalHeight : 1;
+    logoW = Math.min(barW * 0.22, (settings.logoSize || 110) * aspect) + 16;
+  }
+  const textW = (barW - layout.inset - logoW - PARALLEL_COLUMN_GAP * (columns - 1)) / columns;
+  // 4% slack covers shadows, stroke and kerning differences between canvas and DOM
+  const width = Math.max(80, textW * 0.96);
+
+  const multiline = !!settings.line2Multiline && !isInlineLowerThirdStyle(settings.style || 'gradient');
+  const maxLines = multiline ? Math.max(1, Math.min(6, parseInt(settings.line2MaxLines || 2, 10))) : 1;
+  const family = resolvedFontFamily(fontValue || settings.line2Font || settings.line1Font || settings.font);
+  const font = `${effect.italic ? 'italic ' : ''}${effect.fontWeight || 400} ${fontPx.toFixed(1)}px ${family}`;
+  return { font, width, maxLines };
+}
+
+// Returns a test for "does this text wrap to at most maxLines lines", or null
+// when there is no canvas to measure with.
+function createLineFitter({ font, width, maxLines }) {
+  if (!passageMeasureCtx) passageMeasureCtx = document.createElement('canvas').getContext('2d');
+  const ctx = passageMeasureCtx;
+  if (!ctx) return null;
+
+  return (candidate) => {
+    ctx.font = font;
+    let lines = 1;
+    let line = '';
+    for (const word of candidate.split(' ')) {
+      const next = line ? `${line} ${word}` : word;
+      if (ctx.measureText(next).width <= width) { line = next; continue; }
+      if (line) lines++;
+      lines += Math.max(0, Math.ceil(ctx.measureText(word).width / width) - 1);
+      line = word;
+      if (lines > maxLines) return false;
+    }
+    return lines <= maxLines;
+  };
+}
+
+// Split text into pages of at most maxLines wrapped lines.
+function paginateText(text, metrics) {
+  const fits = createLineFitter(metrics);
+  if (!fits) return [text];
+
+  const pages = [];
+  let current = '';
+  const flush = () => { if (current) pages.push(current); current = ''; };
+  for (const verse of text.split(VERSE_BOUNDARY_RE)) {
+    const joined = current ? `${current} ${verse}` : verse;
+    if (fits(joined)) { current = joined; continue; }
+    flush();
+    if (fits(verse)) { current = verse; continue; }
+    // A single verse longer than a page continues on the next page mid-verse
+    for (const word of verse.split(' ')) {
+      const next = current ? `${current} ${word}` : word;
+      if (fits(next) || !current) current = next;
+      else { flush(); current = word; }
+    }
+  }
+  flush();
+  return pages.length ? pages : [text];
+}
+
+// Parallel texts are paged by whole verses so every page shows the same verses
+// in each translation; a verse pair too long for one page gets a page of its
+// own. Texts whose verses do not line up stay on a single page.
+function paginateParallel(texts, metricsList) {
+  const columns = texts.map(t => t.split(VERSE_BOUNDARY_RE));
+  const fitters = metricsList.map(createLineFitter);
+  if (fitters.some(f => !f) || columns.some(c => c.length !== columns[0].length)) return [texts];
+
+  const slice = (from, to) => columns.map(c => c.slice(from, to).join(' '));
+  const pages = [];
+  let start = 0;
+  for (let end = 2; end <= columns[0].length; end++) {
+    if (end - start < 2 || slice(start, end).every((t, i) => fitters[i](t))) continue;
+    pages.push(slice(start, end - 1));
+    start = end - 1;
+  }
+  pages.push(slice(start, columns[0].length));
+  return pages;
+}
+
+// Pages for the current looked-up passage (a single page when it fits, or when
+// a custom template is active — its layout cannot be measured here).
+function getPassagePages(settings) {
+  const parallel = buildParallelPayload(settings);
+  const texts = parallel ? parallel.blocks.map(b => b.text) : [verseTextCurrent || ''];
+  if (!texts[0] || settings.customTemplate?.enabled) return [texts];
+
+  const columns = parallel?.layout === 'side-by-side' ? parallel.blocks.length : 1;
+  const metrics = parallel
+    ? parallel.blocks.map(b => getLine2Metrics(settings, b.font, columns))
+    : [getLine2Metrics(settings)];
+  const key = JSON.stringify([metrics, texts]);
+  if (passagePageCache.key !== key) {
+    const pages = parallel
+      ? paginateParallel(texts, metrics)
+      : paginateText(texts[0], metrics[0]).map(p => [p]);
+    passagePageCache = { key, pages };
+  }
+  return passagePageCache.pages;
+}
+
+// Overlay payload showing one page of a paginated passage
+function withPassagePage(data, pages, index) {
+  const texts = pages[index];
+  const paged = { ...data, line2: texts[0], page: { index: index + 1, count: pages.length } };
+  if (data.parallel) {
+    paged.parallel = {
+      ...data.parallel,
+      blocks: data.parallel.blocks.map((b, i) => ({ ...b, text: texts[i] ?? b.text })),
+    };
+  }
+  return paged;
+}
+
+function updatePageIndicator(prefix, page) {
+  const pager = document.getElementById(`${prefix}-pager`);
+  const label = document.getElementById(`${prefix}-page-indicator`);
+  if (!pager || !label) return;
+  pager.hidden = !page;
+  if (page) label.textContent = `Page ${page.index}/${page.count}`;
+}
+
+function stepPreviewPage(delta) {
+  if (currentMode !== 'bible') return;
+  const pages = getPassagePages(getSettings());
+  if (pages.length < 2) return;
+  passagePageIndex = Math.max(0, Math.min(pages.length - 1, passagePageIndex + delta));
+  updatePreview();
+}
+
+// After a page goes to air, queue the following page in PVW when PVW holds the
+// same passage, so repeated Cut to Air walks through it.
+function queueNextPreviewPage(onAirIndex) {
+  const pages = getPassagePages(getSettings());
+  if (!programPassagePages || JSON.stringify(pages) !== JSON.stringify(programPassagePages)) return;
+  passagePageIndex = Math.min(onAirIndex + 1, pages.length - 1);
+}
+
+function stepProgramPage(delta) {
+  const page = programOverlayLive ? programOverlayData?.page : null;
+  if (!page || !programPassagePages) return;
+  const next = page.index - 1 + delta;
+  if (next < 0 || next >= programPassagePages.length) return;
+
+  const data = withPassagePage(programOverlayData, programPassagePages, next);
+  broadcast({ action: 'show', data, settings: programOverlaySettings });
+  programOverlayData = data;
+  queueNextPreviewPage(next);
+  updateProgramMonitor();
+  updatePreview();
+}
+
 // ── Preview helpers ───────────────────────────────────────────────────────────
 function escapeHtml(str) {
   return String(str)
@@ -1519,6 +2458,8 @@ function substitutePreviewVars(str, s, data) {
   return str
     .replace(/\{\{line1\}\}/g,       data?.line1 ? escapeHtml(data.line1) : '')
     .replace(/\{\{line2\}\}/g,       data?.line2 ? escapeHtml(data.line2) : '')
+    .replace(/\{\{attribution\}\}/g, data?.attribution ? escapeHtml(data.attribution) : '')
+    .replace(/\{\{credits\}\}/g,     data?.credits ? escapeHtml(data.credits) : '')
     .replace(/\{\{accentColor\}\}/g, s.accentColor || '#C8A951')
     .replace(/\{\{font\}\}/g,        line1Font)
     .replace(/\{\{line1Font\}\}/g,   line1Font)
@@ -1527,6 +2468,11 @@ function substitutePreviewVars(str, s, data) {
     .replace(/\{\{bgUrl\}\}/g,       s.ltBgImage    || '');
 }
 
+// All line-2 text on screen, for density-based monitor sizing
+function getDisplayedLine2Text(data) {
+  return data?.parallel ? data.parallel.blocks.map(b => b.text).join(' ') : (data?.line2 || '');
+}
+
 function applyMonitorTextFit(ltEl, viewportEl, style, line2Text) {
   if (!ltEl || !viewportEl) return;
   const vpWidth = viewportEl.offsetWidth || 320;
@@ -1582,20 +2528,56 @@ function applyLowerThirdVisualSettings(ltEl, ltTextEl, line2El, settings) {
   ltEl.style.width = `${widthPct}%`;
   ltEl.style.maxWidth = '100%';
 
-  if (line2El) {
-    const inlineStyle = isInlineLowerThirdStyle(settings.style || 'gradient');
-    const multiline = !!settings.line2Multiline && !inlineStyle;
-    const maxLines = Math.max(1, Math.min(6, parseInt(settings.line2MaxLines || 2, 10)));
-    const hasLine2 = !!(line2El.textContent || '').trim();
+  if (line2El) applyLine2Clamp(line2El, settings);
+}
+
+// Single-line ellipsis or multi-line clamp (line2MaxLines) for a line-2 element
+function applyLine2Clamp(el, settings) {
+  const inlineStyle = isInlineLowerThirdStyle(settings.style || 'gradient');
+  const multiline = !!settings.line2Multiline && !inlineStyle;
+  const maxLines = Math.max(1, Math.min(6, parseInt(settings.line2MaxLines || 2, 10)));
+  const hasText = !!(el.textContent || '').trim();
+
+  el.style.whiteSpace = multiline ? 'normal' : 'nowrap';
+  el.style.overflow = 'hidden';
+  el.style.textOverflow = multiline ? 'clip' : 'ellipsis';
+  el.style.display = !hasText ? 'none' : (multiline ? '-webkit-box' : 'block');
+  el.style.webkitBoxOrient = multiline ? 'vertical' : '';
+  el.style.webkitLineClamp = multiline ? String(maxLines) : '';
+  el.style.lineClamp = multiline ? String(maxLines) : '';
+}
+
+// Parallel translations: one .lt-line2 block per translation inside the
+// .lt-parallel container, which replaces line 2. Mirrors output.js.
+function renderParallelBlocks(containerEl, line2El, parallel, settings) {
+  if (!containerEl) return;
+  const blocks = parallel?.blocks || [];
+  containerEl.replaceChildren();
+  containerEl.className = `lt-parallel layout-${parallel?.layout === 'side-by-side' ? 'side-by-side' : 'stacked'}`;
+  containerEl.style.display = blocks.length ? '' : 'none';
+  if (!blocks.length) return;
+
+  if (line2El) line2El.style.display = 'none';
+  const effect = getLineTextEffect(settings, 'line2');
+  blocks.forEach(b => {
+    const el = document.createElement('div');
+    el.className = 'lt-line2 lt-parallel-block';
+    el.lang = b.lang || '';
+    el.dir = 'auto';
+    el.textContent = b.text || '';
+    el.style.fontFamily = resolvedFontFamily(b.font || settings.line2Font || settings.line1Font || settings.font);
+    applyLineEffectToEl(el, effect);
+    if (line2El?.style.fontSize) el.style.fontSize = line2El.style.fontSize;
+    applyLine2Clamp(el, settings);
+    containerEl.appendChild(el);
+  });
+}
 
-    line2El.style.whiteSpace = multiline ? 'normal' : 'nowrap';
-    line2El.style.overflow = 'hidden';
-    line2El.style.textOverflow = multiline ? 'clip' : 'ellipsis';
-    line2El.style.display = !hasLine2 ? 'none' : (multiline ? '-webkit-box' : 'block');
-    line2El.style.webkitBoxOrient = multiline ? 'vertical' : '';
-    line2El.style.webkitLineClamp = multiline ? String(maxLines) : '';
-    line2El.style.lineClamp = multiline ? String(maxLines) : '';
-  }
+// Copyright notice under the verse text; empty when the attribution line is off
+function renderAttributionLine(el, attribution) {
+  if (!el) return;
+  el.textContent   = attribution || '';
+  el.style.display = attribution ? '' : 'none';
 }
 
 function updateSettingsCompactState() {
@@ -1708,6 +2690,7 @@ function updatePreview() {
   const data     = buildOverlayData();
   const settings = getSettings();
   const useCustom = !!(settings.customTemplate?.enabled && settings.customTemplate?.html);
+  updatePageIndicator('preview', currentMode === 'ticker' ? null : data.page);
 
   const previewWrap   = document.getElementById('preview-wrap');
   const customWrap    = document.getElementById('preview-custom-wrap');
@@ -1731,6 +2714,7 @@ function updatePreview() {
     applyMonitorTickerStyle(bar, badge, text, previewViewport, td);
     if (tickerPreview) {
       tickerPreview.classList.toggle('pos-top', td.position === 'top');
+      tickerPreview.dir = td.dir;
     }
     return;
   }
@@ -1748,6 +2732,7 @@ function updatePreview() {
     }
     if (customEl) {
       customEl.innerHTML = substitutePreviewVars(settings.customTemplate.html, settings, data);
+      customEl.dir = data.dir;
     }
     // Inject scoped CSS (risk of collisions is low; custom class names differ from ours)
     let styleEl = document.getElementById('preview-custom-style');
@@ -1779,7 +2764,8 @@ function updatePreview() {
   const lt = document.getElementById('preview-lower-third');
   lt.className = 'lower-third';
   lt.classList.add('style-' + settings.style);
-  applyMonitorTextFit(lt, previewViewport, settings.style, data.line2 || '');
+  lt.dir = data.dir;
+  applyMonitorTextFit(lt, previewViewport, settings.style, getDisplayedLine2Text(data));
 
   if (settings.ltBgImage) {
     const bgSizeMap = { stretch: '100% 100%', contain: 'contain', cover: 'cover' };
@@ -1822,7 +2808,7 @@ function updatePreview() {
   const ltText = lt.querySelector('.lt-text');
   if (ltText) {
     ltText.style.fontFamily = resolvedFontFamily(settings.line1Font || settings.font);
-    ltText.style.textAlign  = settings.textAlign || 'left';
+    ltText.style.textAlign  = mirrorTextAlign(settings.textAlign || 'left', data.dir);
   }
   const previewLine1 = document.getElementById('preview-line1');
   const previewLine2 = document.getElementById('preview-line2');
@@ -1834,6 +2820,8 @@ function updatePreview() {
     settings
   );
   applyLowerThirdVisualSettings(lt, ltText, previewLine2, settings);
+  renderParallelBlocks(document.getElementById('preview-parallel'), previewLine2, data.parallel, settings);
+  renderAttributionLine(document.getElementById('preview-attribution'), data.attribution);
 }
 
 // ── Presets ───────────────────────────────────────────────────────────────────
@@ -1874,7 +2862,13 @@ function saveCurrentPreset() {
     const ch    = document.getElementById('chapter').value;
     const verse = document.getElementById('verse-ref').value.trim();
     const trans = document.getElementById('translation').value;
-    defaultLabel = verse ? `${book} ${ch}:${verse} (${trans})` : `${book} ${ch}`;
+    const parallelAbbr = getParallelTranslation();
+    const transLabel = parallelAbbr ? `${trans} · ${parallelAbbr}` : trans;
+    const format = getReferenceFormat();
+    const bookLabel = formatReferenceBookName(book, 'en', false, false, format.book === 'abbr');
+    defaultLabel = verse
+      ? placeTranslationLabel(`${bookLabel} ${formatVerseRef(format)}`, transLabel, format.translation)
+      : `${bookLabel} ${ch}`;
   } else if (currentMode === 'speaker') {
     const name  = document.getElementById('speaker-name').value.trim();
     const title = document.getElementById('speaker-title').value.trim();
@@ -1897,10 +2891,13 @@ function saveCurrentPreset() {
           chapter:     document.getElementById('chapter').value,
           verse:       document.getElementById('verse-ref').value,
           translation: document.getElementById('translation').value,
+          parallelTranslation: document.getElementById('parallel-translation')?.value || 'NONE',
+          parallelLayout: getParallelLayout(),
           refLanguage: document.getElementById('reference-language')?.value || 'en',
           hideLine2:   !!document.getElementById('hide-translation-line2')?.checked,
           appendAbbrLine1: !!document.getElementById('append-translation-abbr-line1')?.checked,
-          hideEnglishBookName: !!document.getElementById('hide-english-book-name')?.checked }
+          hideEnglishBookName: !!document.getElementById('hide-english-book-name')?.checked,
+          nativeDigits: shouldUseNativeDigits() }
       : currentMode === 'speaker'
       ? { name:  document.getElementById('speaker-name').value,
           title: document.getElementById('speaker-title').value }
@@ -1935,11 +2932,16 @@ function loadPreset(id) {
     setMode(p.mode);
     clearVerseText();
     if (p.mode === 'bible') {
+      document.getElementById('translation').value = p.data.translation;
+      syncBookCanon();
       document.getElementById('book').value = p.data.book;
       populateChapters(p.data.book, parseInt(p.data.chapter));
       document.getElementById('chapter').value     = p.data.chapter;
       document.getElementById('verse-ref').value   = p.data.verse;
-      document.getElementById('translation').value = p.data.translation;
+      const parallelEl = document.getElementById('parallel-translation');
+      if (parallelEl) parallelEl.value = p.data.parallelTranslation || 'NONE';
+      const parallelLayoutEl = document.getElementById('parallel-layout');
+      if (parallelLayoutEl) parallelLayoutEl.value = p.data.parallelLayout || 'stacked';
       const refLangEl = document.getElementById('reference-language');
       if (refLangEl) refLangEl.value = p.data.refLanguage || 'en';
       const hideLine2El = document.getElementById('hide-translation-line2');
@@ -1948,6 +2950,8 @@ function loadPreset(id) {
       if (appendAbbrEl) appendAbbrEl.checked = !!p.data.appendAbbrLine1;
       const hideEnglishEl = document.getElementById('hide-english-book-name');
       if (hideEnglishEl) hideEnglishEl.checked = !!p.data.hideEnglishBookName;
+      const nativeDigitsEl = document.getElementById('native-digits');
+      if (nativeDigitsEl) nativeDigitsEl.checked = !!p.data.nativeDigits;
       syncBookNameDisplayOption();
       updateBookOptionLabels();
       if (refLangEl && refLangEl.value !== 'en') maybeApplyLanguageFont(refLangEl.value, false);
@@ -2060,11 +3064,15 @@ function buildSessionControlState() {
       chapter: document.getElementById('chapter')?.value || '3',
       verseRef: document.getElementById('verse-ref')?.value || '16-18',
       translation: document.getElementById('translation')?.value || 'NONE',
+      parallelTranslation: document.getElementById('parallel-translation')?.value || 'NONE',
+      parallelLayout: getParallelLayout(),
       referenceLanguage: document.getElementById('reference-language')?.value || 'en',
       hideTranslationLine2: !!document.getElementById('hide-translation-line2')?.checked,
       includeVerseText: !!document.getElementById('include-verse-text')?.checked,
       appendTranslationAbbrLine1: !!document.getElementById('append-translation-abbr-line1')?.checked,
       hideEnglishBookName: !!document.getElementById('hide-english-book-name')?.checked,
+      nativeDigits: shouldUseNativeDigits(),
+      showAttribution: !!document.getElementById('show-attribution')?.checked,
     },
     speaker: {
       name: document.getElementById('speaker-name')?.value || '',
@@ -2186,24 +3194,33 @@ function applyProfileControlState(controlState) {
   const chapterEl = document.getElementById('chapter');
   const verseEl = document.getElementById('verse-ref');
   const transEl = document.getElementById('translation');
+  const parallelEl = document.getElementById('parallel-translation');
+  const parallelLayoutEl = document.getElementById('parallel-layout');
   const refLangEl = document.getElementById('reference-language');
   const hideLine2El = document.getElementById('hide-translation-line2');
   const includeVerseTextEl = document.getElementById('include-verse-text');
   const appendAbbrLine1El = document.getElementById('append-translation-abbr-line1');
   const hideEnglishBookNameEl = document.getElementById('hide-english-book-name');
+  const nativeDigitsEl = document.getElementById('native-digits');
+  const showAttributionEl = document.getElementById('show-attribution');
 
+  if (transEl && bible.translation) transEl.value = bible.translation;
+  syncBookCanon();
   if (bookEl && bible.book) {
     bookEl.value = bible.book;
     populateChapters(bible.book, parseInt(bible.chapter || '1', 10));
   }
   if (chapterEl && bible.chapter) chapterEl.value = String(bible.chapter);
   if (verseEl && bible.verseRef !== undefined) verseEl.value = String(bible.verseRef || '');
-  if (transEl && bible.translation) transEl.value = bible.translation;
+  if (parallelEl) parallelEl.value = bible.parallelTranslation || 'NONE';
+  if (parallelLayoutEl) parallelLayoutEl.value = bible.parallelLayout || 'stacked';
   if (refLangEl) refLangEl.value = bible.referenceLanguage || 'en';
   if (hideLine2El) hideLine2El.checked = !!bible.hideTranslationLine2;
   if (includeVerseTextEl) includeVerseTextEl.checked = !!bible.includeVerseText;
   if (appendAbbrLine1El) appendAbbrLine1El.checked = !!bible.appendTranslationAbbrLine1;
   if (hideEnglishBookNameEl) hideEnglishBookNameEl.checked = !!bible.hideEnglishBookName;
+  if (nativeDigitsEl) nativeDigitsEl.checked = !!bible.nativeDigits;
+  if (showAttributionEl) showAttributionEl.checked = !!bible.showAttribution;
   syncBookNameDisplayOption();
   updateBookOptionLabels();
   validateVerseInput();
@@ -2395,6 +3412,102 @@ function renderPresets() {
   });
 }
 
+// ── Copyright Attribution & Credits ───────────────────────────────────────────
+// Verse text on air carries the translations it came from, their copyright
+// notices as an optional attribution line, and the session's credits so far.
+// Every translation sent to air is remembered per session (localStorage) for
+// the end-of-service credits slide.
+let creditsTranslations = [];   // abbrs in order of first appearance on air
+
+function buildCopyrightFields(abbrs) {
+  const translations = abbrs.filter(a => a && a !== 'NONE');
+  const fields = { translations };
+  const attribution = buildAttributionLine(translations);
+  if (attribution && document.getElementById('show-attribution')?.checked) fields.attribution = attribution;
+  const credits = buildCreditsText([...creditsTranslations, ...translations]);
+  if (credits) fields.credits = credits;
+  return fields;
+}
+
+// "NIV: Copyright © … · ESV: Copyright © …" — public-domain texts need no notice
+function buildAttributionLine(abbrs) {
+  return [...new Set(abbrs)]
+    .map(abbr => TRANSLATIONS.find(t => t.abbr === abbr))
+    .filter(t => t && t.copyright && !t.publicDomain)
+    .map(t => `${t.abbr}: ${t.copyright}`)
+    .join(' · ');
+}
+
+function describeCreditsTranslation(abbr) {
+  const t = TRANSLATIONS.find(x => x.abbr === abbr);
+  if (!t) return abbr;
+  const notice = t.publicDomain ? 'Public domain' : (t.copyright || t.publisher || '');
+  return `${t.name} (${t.abbr})` + (notice ? ` — ${notice}` : '');
+}
+
+function buildCreditsText(abbrs) {
+  return [...new Set(abbrs)].map(describeCreditsTranslation).join(' · ');
+}
+
+function loadCredits() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CREDITS_KEY) || '[]');
+    creditsTranslations = Array.isArray(saved) ? saved.filter(a => typeof a === 'string') : [];
+  } catch (_) {
+    creditsTranslations = [];
+  }
+  renderCreditsList();
+}
+
+function saveCredits() {
+  try { localStorage.setItem(CREDITS_KEY, JSON.stringify(creditsTranslations)); } catch (_) {}
+}
+
+function recordCreditsTranslations(abbrs) {
+  const added = (abbrs || []).filter(a => !creditsTranslations.includes(a));
+  if (!added.length) return;
+  creditsTranslations.push(...added);
+  saveCredits();
+  renderCreditsList();
+}
+
+function renderCreditsList() {
+  const list    = document.getElementById('credits-list');
+  const summary = document.getElementById('credits-summary');
+  if (list) {
+    list.replaceChildren();
+    creditsTranslations.forEach(abbr => {
+      const li = document.createElement('li');
+      li.textContent = describeCreditsTranslation(abbr);
+      list.appendChild(li);
+    });
+  }
+  if (summary) {
+    summary.className   = 'lookup-status';
+    summary.textContent = creditsTranslations.length
+      ? `${creditsTranslations.length} translation${creditsTranslations.length === 1 ? '' : 's'} shown this session`
+      : 'No verse text sent to air yet';
+  }
+}
+
+function resetCredits() {
+  creditsTranslations = [];
+  saveCredits();
+  renderCreditsList();
+}
+
+// End-of-service slide: a normal lower third, so styles and templates apply
+function showCreditsSlide() {
+  if (!creditsTranslations.length) {
+    renderCreditsList();
+    return;
+  }
+  const credits = buildCreditsText(creditsTranslations);
+  const data = { type: 'bible', line1: 'Scripture Credits', line2: credits, credits, translations: [] };
+  data.dir = resolveTextDirection(data.line1, credits);
+  putOverlayOnAir(data, getSettings());
+}
+
 // ── Send to Output ────────────────────────────────────────────────────────────
 function sendShow() {
   if (currentMode === 'ticker') {
@@ -2427,15 +3540,21 @@ function sendShow() {
     }
   }
 
-  const data     = buildOverlayData();
-  const settings = getSettings();
+  const data = buildOverlayData();
+  recordCreditsTranslations(data.translations);
+  putOverlayOnAir(data, getSettings());
+  updatePreview();
+}
+
+function putOverlayOnAir(data, settings) {
   broadcast({ action: 'show', data, settings });
   programOverlayData     = data;
   programOverlaySettings = settings;
   programOverlayLive     = true;
+  programPassagePages    = data.page ? getPassagePages(settings) : null;
+  if (data.page) queueNextPreviewPage(data.page.index - 1);
   setOverlayStatus(true);
   updateProgramMonitor();
-  updatePreview();
 }
 
 function sendClear() {
@@ -2451,6 +3570,7 @@ function sendClear() {
   programOverlayData     = null;
   programOverlaySettings = null;
   programOverlayLive     = false;
+  programPassagePages    = null;
   setOverlayStatus(false);
   updateProgramMonitor();
 }
@@ -2501,6 +3621,7 @@ function updateProgramMonitor() {
 
   const anythingLive = programOverlayLive || programTickerLive;
   if (offAir) offAir.style.display = anythingLive ? 'none' : '';
+  updatePageIndicator('program', programOverlayLive ? programOverlayData?.page : null);
 
   // ── Overlay (lower-third or speaker) ───────────────────────────────────────
   if (programOverlayLive && programOverlayData) {
@@ -2515,6 +3636,7 @@ function updateProgramMonitor() {
       }
       if (pgmCustom) {
         pgmCustom.innerHTML = substitutePreviewVars(s.customTemplate.html, s, programOverlayData);
+        pgmCustom.dir = programOverlayData.dir || 'ltr';
       }
       let styleEl = document.getElementById('program-custom-style');
       if (!styleEl) {
@@ -2541,17 +3663,22 @@ function updateProgramMonitor() {
         pgmLine2.style.display = programOverlayData.line2 ? '' : 'none';
       }
 
-      if (pgmLt)     pgmLt.className            = 'lower-third style-' + (s?.style || 'gradient');
-      applyMonitorTextFit(pgmLt, pgmViewport, s?.style || 'gradient', programOverlayData.line2 || '');
+      if (pgmLt) {
+        pgmLt.className = 'lower-third style-' + (s?.style || 'gradient');
+        pgmLt.dir       = programOverlayData.dir || 'ltr';
+      }
+      applyMonitorTextFit(pgmLt, pgmViewport, s?.style || 'gradient', getDisplayedLine2Text(programOverlayData));
       if (pgmAccent) pgmAccent.style.background  = s?.accentColor || '#C8A951';
       if (pgmLtText) {
         pgmLtText.style.fontFamily = resolvedFontFamily(s?.line1Font || s?.font);
-        pgmLtText.style.textAlign  = s?.textAlign || 'left';
+        pgmLtText.style.textAlign  = mirrorTextAlign(s?.textAlign || 'left', programOverlayData.dir);
       }
       if (pgmLine1) pgmLine1.style.fontFamily = resolvedFontFamily(s?.line1Font || s?.font);
       if (pgmLine2) pgmLine2.style.fontFamily = resolvedFontFamily(s?.line2Font || s?.line1Font || s?.font);
       applyLineTextEffects(pgmLine1, pgmLine2, s || {});
       applyLowerThirdVisualSettings(pgmLt, pgmLtText, pgmLine2, s || {});
+      renderParallelBlocks(document.getElementById('program-parallel'), pgmLine2, programOverlayData.parallel, s || {});
+      renderAttributionLine(document.getElementById('program-attribution'), programOverlayData.attribution);
       if (pgmLogo) {
         if (s?.logoDataUrl) { pgmLogo.src = s.logoDataUrl; pgmLogo.classList.remove('hidden'); }
         else                               pgmLogo.classList.add('hidden');
@@ -2573,7 +3700,10 @@ function updateProgramMonitor() {
     if (pgmTickerBadge) pgmTickerBadge.textContent = td.label   || 'INFO';
     if (pgmTickerText)  pgmTickerText.textContent  = td.message || '';
     applyMonitorTickerStyle(pgmTickerBar, pgmTickerBadge, pgmTickerText, pgmViewport, td);
-    if (pgmTickerWrap)  pgmTickerWrap.classList.toggle('pos-top', td.position === 'top');
+    if (pgmTickerWrap) {
+      pgmTickerWrap.classList.toggle('pos-top', td.position === 'top');
+      pgmTickerWrap.dir = td.dir || 'ltr';
+    }
   } else {
     if (pgmTickerWrap) pgmTickerWrap.style.display = 'none';
   }
@@ -2595,7 +3725,7 @@ function broadcast(msg) {
   // 3. localStorage fallback
   try {
     const lsMsg = { ...msg };
-    if (lsMsg.settings) lsMsg.settings = { ...lsMsg.settings, ltBgImage: null, logoDataUrl: null };
+    if (lsMsg.settings) lsMsg.settings = stripInlineImages(lsMsg.settings);
     localStorage.setItem(LS_KEY, JSON.stringify({ ...lsMsg, _ts: Date.now() }));
   } catch (_) {}
 
@@ -2603,7 +3733,7 @@ function broadcast(msg) {
   if (ws && ws.readyState === WebSocket.OPEN) {
     try {
       const wsMsg = { ...msg };
-      if (wsMsg.settings) wsMsg.settings = { ...wsMsg.settings, ltBgImage: null, logoDataUrl: null };
+      if (wsMsg.settings) wsMsg.settings = stripInlineImages(wsMsg.settings);
       ws.send(JSON.stringify(wsMsg));
     } catch (_) {}
   }
@@ -2704,7 +3834,9 @@ function setOutputSetupTab(tab) {
 
 function getAtemExportImageUrl(sessionId = SESSION_ID, alphaMode = 'premultiplied') {
   const mode = String(alphaMode || '').trim().toLowerCase();
-  const url = new URL(location.origin + '/atem-live/' + encodeURIComponent(sessionId) + '.png');
+  // Fill + key pair: /atem-live/<session>-fill.png and -key.png
+  const suffix = mode === 'fill' || mode === 'key' ? '-' + mode : '';
+  const url = new URL(location.origin + '/atem-live/' + encodeURIComponent(sessionId) + suffix + '.png');
   if (mode === 'straight' || mode === 'premultiplied') {
     url.searchParams.set('alpha', mode);
   }
@@ -2716,10 +3848,14 @@ function updateAtemExportUiState(isPinned) {
   const stateEl = document.getElementById('atem-pin-state');
   const premultUrlEl = document.getElementById('atem-export-url');
   const straightUrlEl = document.getElementById('atem-export-url-straight');
+  const fillUrlEl = document.getElementById('atem-export-url-fill');
+  const keyUrlEl = document.getElementById('atem-export-url-key');
 
   if (pinEl) pinEl.checked = !!isPinned;
   if (premultUrlEl) premultUrlEl.textContent = getAtemExportImageUrl(SESSION_ID, 'premultiplied');
   if (straightUrlEl) straightUrlEl.textContent = getAtemExportImageUrl(SESSION_ID, 'straight');
+  if (fillUrlEl) fillUrlEl.textContent = getAtemExportImageUrl(SESSION_ID, 'fill');
+  if (keyUrlEl) keyUrlEl.textContent = getAtemExportImageUrl(SESSION_ID, 'key');
   if (stateEl) {
     if (isPinned) {
       stateEl.textContent = 'Included in export';
@@ -2760,6 +3896,96 @@ function onAtemExportPinToggle() {
   syncAtemExportPinConfig();
 }
 
+// ── ATEM Export Profile ───────────────────────────────────────────────────────
+// Per-session outputs (resolution + file name), alpha mode and ticker, stored
+// on the server with the session and sent back in every atem-export-config-ack.
+const ATEM_PROFILE_RESOLUTIONS = [
+  { id: '1080', width: 1920, height: 1080, name: '1080p' },
+  { id: '720',  width: 1280, height: 720,  name: '720p' },
+  { id: '2160', width: 3840, height: 2160, name: '2160p' },
+];
+
+function readAtemProfileForm() {
+  const outputs = ATEM_PROFILE_RESOLUTIONS
+    .filter(r => document.getElementById(`atem-out-${r.id}`)?.checked)
+    .map(r => ({
+      name: (document.getElementById(`atem-out-${r.id}-name`)?.value || '').trim() || r.name,
+      width: r.width,
+      height: r.height,
+    }));
+  return {
+    outputs,
+    alpha: document.getElementById('atem-profile-alpha')?.value === 'straight' ? 'straight' : 'premultiplied',
+    ticker: !!document.getElementById('atem-profile-ticker')?.checked,
+  };
+}
+
+function sendAtemExportProfile(profile) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    const stateEl = document.getElementById('atem-profile-state');
+    if (stateEl) stateEl.textContent = 'Server connection required';
+    return;
+  }
+  try {
+    ws.send(JSON.stringify({
+      action: 'atem-export-config',
+      pinCurrentSession: !!document.getElementById('atem-pin-session')?.checked,
+      sessionId: SESSION_ID,
+      profile,
+    }));
+  } catch (_) {}
+}
+
+function applyAtemExportProfile() {
+  const profile = readAtemProfileForm();
+  if (!profile.outputs.length) {
+    const stateEl = document.getElementById('atem-profile-state');
+    if (stateEl) stateEl.textContent = 'Tick at least one resolution';
+    return;
+  }
+  sendAtemExportProfile(profile);
+}
+
+function resetAtemExportProfile() {
+  sendAtemExportProfile(null);
+}
+
+function renderAtemExportProfile(msg) {
+  const profile = msg.profile || {};
+  const outputs = Array.isArray(msg.outputs) ? msg.outputs : [];
+  const stateEl = document.getElementById('atem-profile-state');
+  if (stateEl) {
+    stateEl.textContent = msg.customProfile
+      ? `${outputs.length} output${outputs.length === 1 ? '' : 's'} · ${profile.alpha}`
+      : 'Server default';
+    stateEl.style.color = msg.customProfile ? 'var(--accent)' : 'var(--text-muted)';
+  }
+  if (msg.customProfile) {
+    ATEM_PROFILE_RESOLUTIONS.forEach(r => {
+      const match = outputs.find(o => o.width === r.width && o.height === r.height);
+      const chk = document.getElementById(`atem-out-${r.id}`);
+      const nameEl = document.getElementById(`atem-out-${r.id}-name`);
+      if (chk) chk.checked = !!match;
+      if (nameEl && match) nameEl.value = match.name;
+    });
+  }
+  const alphaEl = document.getElementById('atem-profile-alpha');
+  if (alphaEl && profile.alpha) alphaEl.value = profile.alpha;
+  const tickerEl = document.getElementById('atem-profile-ticker');
+  if (tickerEl) tickerEl.checked = profile.ticker !== false;
+
+  const list = document.getElementById('atem-profile-outputs');
+  if (!list) return;
+  list.replaceChildren();
+  if (!msg.customProfile) return;
+  outputs.forEach(o => {
+    const li = document.createElement('li');
+    li.textContent = `${o.width}×${o.height}  ${new URL(o.url, location.origin)}`;
+    li.title = `Fill: ${o.fillUrl}  Key: ${o.keyUrl}`;
+    list.appendChild(li);
+  });
+}
+
 function copyAtemExportLink() {
   // Backward compatibility for existing bindings.
   copyAtemPremultipliedLink();
@@ -2775,6 +4001,11 @@ function copyAtemStraightLink() {
   navigator.clipboard.writeText(url).catch(() => prompt('Copy this straight alpha preview URL:', url));
 }
 
+function copyAtemFillKeyLink(variant) {
+  const url = getAtemExportImageUrl(SESSION_ID, variant === 'key' ? 'key' : 'fill');
+  navigator.clipboard.writeText(url).catch(() => prompt(`Copy this ${variant === 'key' ? 'key' : 'fill'} PNG URL:`, url));
+}
+
 function onAtemExportRegenerate() {
   const btn = document.getElementById('atem-refresh-btn');
   const setBusy = (busy, label) => {
@@ -2796,6 +4027,182 @@ function onAtemExportRegenerate() {
   setTimeout(() => setBusy(false, 'Regenerate'), 1400);
 }
 
+// Animated clip: the server steps the on-air lower third's transitions frame
+// by frame and answers with atem-clip-ready (zip + APNG URLs).
+function onAtemClipRender() {
+  const btn = document.getElementById('atem-clip-btn');
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    setAtemClipResult({ ok: false, message: 'Server connection required' });
+    return;
+  }
+  if (!programOverlayLive) {
+    setAtemClipResult({ ok: false, message: 'Cut a lower third to air first' });
+    return;
+  }
+  try {
+    ws.send(JSON.stringify({
+      action: 'atem-clip-render',
+      sessionId: SESSION_ID,
+      fps: parseInt(document.getElementById('atem-clip-fps')?.value || '30', 10),
+      part: document.getElementById('atem-clip-part')?.value || 'full',
+      hold: parseFloat(document.getElementById('atem-clip-hold')?.value || '3'),
+    }));
+  } catch (_) {
+    return;
+  }
+  if (btn) {
+    btn.classList.add('is-working');
+    btn.textContent = 'Rendering…';
+  }
+}
+
+function setAtemClipResult(msg) {
+  const btn    = document.getElementById('atem-clip-btn');
+  const row    = document.getElementById('atem-clip-result');
+  const status = document.getElementById('atem-clip-status');
+  const zip    = document.getElementById('atem-clip-zip');
+  const apng   = document.getElementById('atem-clip-apng');
+  if (btn) {
+    btn.classList.remove('is-working');
+    btn.textContent = 'Render Clip';
+  }
+  if (row) row.hidden = false;
+  if (status) {
+    status.textContent = msg.ok ? `${msg.frames} frames @ ${msg.fps} fps` : (msg.message || 'Clip export failed');
+    status.style.color = msg.ok ? 'var(--accent)' : 'var(--red)';
+  }
+  // Cache-bust so a re-render is not served from the browser cache
+  const stamp = '?t=' + Date.now();
+  [[zip, msg.zipUrl], [apng, msg.apngUrl]].forEach(([el, url]) => {
+    if (!el) return;
+    el.hidden = !msg.ok;
+    if (msg.ok) el.href = url + stamp;
+  });
+}
+
+// ── Preset Stills ─────────────────────────────────────────────────────────────
+// Every Bible and speaker preset is built into overlay data here, with the
+// preset applied to the reference / speaker fields only for the moment it takes
+// to read them back. The server renders the list with the active settings and
+// answers with atem-batch-ready (a zip of stills plus manifest.json).
+const PRESET_BATCH_FIELDS = [
+  'translation', 'book', 'chapter', 'verse-ref', 'parallel-translation', 'parallel-layout',
+  'reference-language', 'hide-translation-line2', 'append-translation-abbr-line1', 'hide-english-book-name',
+  'native-digits', 'include-verse-text', 'speaker-name', 'speaker-title',
+];
+
+function readPresetBatchFields() {
+  const out = {};
+  PRESET_BATCH_FIELDS.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) out[id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  return out;
+}
+
+function writePresetBatchFields(values) {
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (!el || value === undefined) return;
+    if (el.type === 'checkbox') el.checked = !!value;
+    else el.value = value;
+  };
+  set('translation', values.translation);
+  syncBookCanon();
+  set('book', values.book);
+  if (values.book !== undefined) populateChapters(values.book, parseInt(values.chapter, 10));
+  PRESET_BATCH_FIELDS.slice(2).forEach(id => set(id, values[id]));
+}
+
+// Presets store references, not verse text, so stills are reference-only: the
+// reference line and the translation name exactly as cutting the preset without
+// a lookup would, with no verse text and no parallel block.
+function buildPresetOverlayData(preset) {
+  const savedMode   = currentMode;
+  const savedFields = readPresetBatchFields();
+  try {
+    currentMode = preset.mode;
+    writePresetBatchFields(preset.mode === 'bible'
+      ? {
+          translation: preset.data.translation,
+          book: preset.data.book,
+          chapter: preset.data.chapter,
+          'verse-ref': preset.data.verse,
+          'parallel-translation': preset.data.parallelTranslation || 'NONE',
+          'parallel-layout': preset.data.parallelLayout || 'stacked',
+          'reference-language': preset.data.refLanguage || 'en',
+          'hide-translation-line2': !!preset.data.hideLine2,
+          'append-translation-abbr-line1': !!preset.data.appendAbbrLine1,
+          'hide-english-book-name': !!preset.data.hideEnglishBookName,
+          'native-digits': !!preset.data.nativeDigits,
+          'include-verse-text': false,
+        }
+      : { 'speaker-name': preset.data.name || '', 'speaker-title': preset.data.title || '' });
+    return buildOverlayData();
+  } finally {
+    currentMode = savedMode;
+    writePresetBatchFields(savedFields);
+  }
+}
+
+function onAtemBatchRender() {
+  const btn = document.getElementById('atem-batch-btn');
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    setAtemBatchResult({ ok: false, message: 'Server connection required' });
+    return;
+  }
+  const presets = overlayPresets
+    .filter(p => p.mode === 'bible' || p.mode === 'speaker')
+    .map(p => ({ id: p.id, label: p.label, mode: p.mode, data: buildPresetOverlayData(p) }));
+  if (!presets.length) {
+    setAtemBatchResult({ ok: false, message: 'Save some Bible or speaker presets first' });
+    return;
+  }
+
+  // The on-screen style fields belong to the current mode; the other mode uses its stored settings
+  storeCurrentModeDependentSettings();
+  const profileSel = document.getElementById('settings-profile-select');
+  const profile = settingsProfiles.find(p => p.id === profileSel?.value);
+  try {
+    ws.send(JSON.stringify({
+      action: 'atem-batch-render',
+      sessionId: SESSION_ID,
+      presets,
+      settings: getSettings(),
+      modeSettings: overlayModeSettings,
+      profile: profile ? profile.label : '',
+    }));
+  } catch (_) {
+    return;
+  }
+  if (btn) {
+    btn.classList.add('is-working');
+    btn.textContent = 'Rendering…';
+  }
+}
+
+function setAtemBatchResult(msg) {
+  const btn    = document.getElementById('atem-batch-btn');
+  const row    = document.getElementById('atem-batch-result');
+  const status = document.getElementById('atem-batch-status');
+  const zip    = document.getElementById('atem-batch-zip');
+  if (btn) {
+    btn.classList.remove('is-working');
+    btn.textContent = 'Render Presets';
+  }
+  if (row) row.hidden = false;
+  if (status) {
+    status.textContent = msg.ok
+      ? `${msg.presets} preset${msg.presets === 1 ? '' : 's'} @ ${msg.width}×${msg.height}`
+      : (msg.message || 'Preset batch render failed');
+    status.style.color = msg.ok ? 'var(--accent)' : 'var(--red)';
+  }
+  if (zip) {
+    zip.hidden = !msg.ok;
+    if (msg.ok) zip.href = msg.zipUrl + '?t=' + Date.now();
+  }
+}
+
 
 function copyOutputLink() {
   const outputUrl = location.origin + location.pathname.replace(/index\.html$/, '').replace(/[^/]*$/, '')
@@ -2872,6 +4279,8 @@ function initWebSocket() {
   const wsUrl = new URL(`${wsProto}//${location.host}`);
   wsUrl.searchParams.set('session', SESSION_ID);
   wsUrl.searchParams.set('role', 'control');
+  const token = new URLSearchParams(location.search).get('token');
+  if (token) wsUrl.searchParams.set('token', token);   // clip and preset renders need it
   const url = wsUrl.toString();
   try {
     ws = new WebSocket(url);
@@ -2910,12 +4319,51 @@ function setWsIndicator(state) {
 
 function handleRemoteCommand(msg) {
   if (!msg || !msg.action) return;
+  // Verse stepping from a tablet or the control API (POST /api/session/<id>/next-verse)
+  if (msg.action === 'next-verse' || msg.action === 'prev-verse') {
+    stepVerse(msg.action === 'next-verse' ? 1 : -1, { cut: !!msg.cut });
+    return;
+  }
+  // Server control API messages already carry their own content and have been
+  // applied server-side; only mirror them into PGM so the operator sees them.
+  if (msg.source === 'api') {
+    applyApiProgramUpdate(msg);
+    return;
+  }
   if (msg.action === 'show')  sendShow();
   if (msg.action === 'clear') sendClear();
   if (msg.action === 'atem-export-config-ack') {
     const sessions = Array.isArray(msg.pinnedSessions) ? msg.pinnedSessions : [];
     updateAtemExportUiState(sessions.includes(SESSION_ID));
+    if (msg.sessionId === SESSION_ID) renderAtemExportProfile(msg);
+  }
+  if (msg.action === 'atem-clip-ready' && msg.sessionId === SESSION_ID) setAtemClipResult(msg);
+  if (msg.action === 'atem-batch-ready' && msg.sessionId === SESSION_ID) setAtemBatchResult(msg);
+}
+
+function applyApiProgramUpdate(msg) {
+  if (msg.action === 'show' && msg.data) {
+    programOverlayData     = msg.data;
+    programOverlaySettings = msg.settings || programOverlaySettings || getSettings();
+    programOverlayLive     = true;
+    setOverlayStatus(true);
+  } else if (msg.action === 'clear') {
+    programOverlayData     = null;
+    programOverlaySettings = null;
+    programOverlayLive     = false;
+    setOverlayStatus(false);
+  } else if (msg.action === 'show-ticker' && msg.data) {
+    programTickerData = msg.data;
+    programTickerLive = true;
+    setTickerStatus(true);
+  } else if (msg.action === 'clear-ticker') {
+    programTickerData = null;
+    programTickerLive = false;
+    setTickerStatus(false);
+  } else {
+    return;
   }
+  updateProgramMonitor();
 }
 
 // ── Settings ──────────────────────────────────────────────────────────────────
@@ -2978,6 +4426,8 @@ function getSettings() {
     line2Font,
     outputRes:     document.getElementById('output-res')?.value       || '1920x1080',
     textAlign:     alignRadio ? alignRadio.value                      : 'left',
+    textDirection: document.getElementById('text-direction')?.value   || 'auto',
+    referenceFormats: normaliseReferenceFormats(referenceFormats),
     ltBgImage:     ltBgDataUrl,
     ltBgSize:      document.getElementById('lt-bg-size')?.value       || 'cover',
     ltBgPosition:  document.getElementById('lt-bg-position')?.value   || 'center center',
@@ -3076,6 +4526,11 @@ function loadSettings() {
     if (saved.animation)    document.getElementById('anim-select').value     = saved.animation;
     if (saved.outputRes)    document.getElementById('output-res').value      = saved.outputRes;
     if (saved.logoPosition) document.getElementById('logo-position').value   = saved.logoPosition;
+    if (saved.textDirection) { const el = document.getElementById('text-direction'); if (el) el.value = saved.textDirection; }
+    if (saved.referenceFormats) {
+      referenceFormats = normaliseReferenceFormats(saved.referenceFormats);
+      syncReferenceFormatUi();
+    }
 
     if (saved.logoSize !== undefined) {
       const el = document.getElementById('logo-size');
@@ -3240,6 +4695,7 @@ function onTextFxRangeInput(inputId, labelId, suffix = '') {
 // ── Custom Template Examples ──────────────────────────────────────────────────
 // Template variables: {{line1}} {{line2}} {{accentColor}} {{font}} {{line1Font}} {{line2Font}}
 //                     {{logoUrl}} (logo data-URL)  {{bgUrl}} (bg image data-URL)
+//                     {{attribution}} (copyright notice)  {{credits}} (translations shown this session)
 
 const TEMPLATE_EXAMPLES = {
 
@@ -3474,10 +4930,56 @@ function deleteSelectedTemplatePreset() {
   renderTemplatePresets();
 }
 
+// ── Asset Uploads ─────────────────────────────────────────────────────────────
+// In server mode images are uploaded to /api/assets and settings carry the
+// returned URL, so remote outputs and the ATEM exporter see them too. Data URLs
+// remain the fallback for file:// use and never leave this machine.
+function isInlineImage(value) {
+  return typeof value === 'string' && value.startsWith('data:');
+}
+
+function stripInlineImages(s) {
+  return {
+    ...s,
+    ltBgImage:   isInlineImage(s.ltBgImage)   ? null : s.ltBgImage,
+    logoDataUrl: isInlineImage(s.logoDataUrl) ? null : s.logoDataUrl,
+  };
+}
+
+// When the server sets CONTROL_API_TOKEN, open control.html?token=<secret> so
+// uploads and other writes carry it.
+function getControlApiHeaders(headers = {}) {
+  const token = new URLSearchParams(location.search).get('token');
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+async function uploadImageAsset(file) {
+  if (location.protocol === 'file:') return null;
+  try {
+    const r = await fetch('/api/assets', {
+      method: 'POST',
+      headers: getControlApiHeaders({ 'Content-Type': file.type || 'application/octet-stream' }),
+      body: file,
+    });
+    if (!r.ok) return null;
+    const json = await r.json();
+    return json && json.url ? json.url : null;
+  } catch (_) {
+    return null;
+  }
+}
+
 // ── Lower Third Background Image ──────────────────────────────────────────────
-function onLtBgChange() {
+async function onLtBgChange() {
   const file = document.getElementById('lt-bg-file').files[0];
   if (!file) return;
+  const assetUrl = await uploadImageAsset(file);
+  if (assetUrl) {
+    ltBgDataUrl = assetUrl;
+    restoreLtBgUI(ltBgDataUrl, file.name);
+    onSettingsChange();
+    return;
+  }
   const reader = new FileReader();
   reader.onload = e => {
     ltBgDataUrl = e.target.result;
@@ -3508,9 +5010,16 @@ function clearLtBg() {
 }
 
 // ── Logo ──────────────────────────────────────────────────────────────────────
-function onLogoChange() {
+async function onLogoChange() {
   const file = document.getElementById('logo-file').files[0];
   if (!file) return;
+  const assetUrl = await uploadImageAsset(file);
+  if (assetUrl) {
+    logoDataUrl = assetUrl;
+    restoreLogoUI(logoDataUrl, file.name);
+    onSettingsChange();
+    return;
+  }
   const reader = new FileReader();
   reader.onload = e => {
     logoDataUrl = e.target.result;
@@ -3567,6 +5076,17 @@ function bindKeyboard() {
       case 't': case 'T': setMode('ticker');                         break;
       case 'o': case 'O': openOutputWindow();                        break;
       case 'h': case 'H': openUserGuide();                           break;
+      case '[':        e.preventDefault(); stepPreviewPage(-1);  break;
+      case ']':        e.preventDefault(); stepPreviewPage(1);   break;
+      case 'PageUp':   e.preventDefault(); stepProgramPage(-1);  break;
+      case 'PageDown': e.preventDefault(); stepProgramPage(1);   break;
+      case 'ArrowLeft':  e.preventDefault(); stepVerse(-1, { cut: e.shiftKey }); break;
+      case 'ArrowRight': e.preventDefault(); stepVerse(1,  { cut: e.shiftKey }); break;
+      case '/':
+        e.preventDefault();
+        setMode('bible');
+        document.getElementById('quick-ref')?.focus();
+        break;
     }
   });
 }
@@ -6,7 +6,7 @@
 const BIBLE_BOOKS = [
   // ── Old Testament ──────────────────────────────────────────────────────────
   { name: 'Genesis',         abbr: 'Gen',   testament: 'OT', maxChapters: 50,
-    verses: [31,25,24,26,32,22,24,22,29,32,32,20,18,24,21,16,27,33,38,18,34,24,20,67,34,35,46,22,35,43,54,33,20,31,29,43,36,30,23,23,57,38,34,34,28,34,31,22,33,26] },
+    verses: [31,25,24,26,32,22,24,22,29,32,32,20,18,24,21,16,27,33,38,18,34,24,20,67,34,35,46,22,35,43,55,32,20,31,29,43,36,30,23,23,57,38,34,34,28,34,31,22,33,26] },
   { name: 'Exodus',          abbr: 'Exod',  testament: 'OT', maxChapters: 40,
     verses: [22,25,22,31,23,30,25,32,35,29,10,51,22,31,27,36,16,27,25,26,36,31,33,18,40,37,21,43,46,38,18,35,23,35,35,38,29,31,43,38] },
   { name: 'Leviticus',       abbr: 'Lev',   testament: 'OT', maxChapters: 27,
@@ -138,8 +138,130 @@ const BIBLE_BOOKS = [
     verses: [25] },
   { name: 'Revelation',      abbr: 'Rev',   testament: 'NT', maxChapters: 22,
     verses: [20,29,22,11,14,17,17,13,21,11,19,17,18,20,8,21,18,24,21,15,27,21] },
+
+  // ── Deuterocanonical / Apocrypha ───────────────────────────────────────────
+  // Kept after Revelation so the first 66 entries stay in protestant canonical
+  // order. Offered only for translations whose canon includes them (CANONS).
+  // Verse counts follow the longest common numbering (NRSV), so no verse that
+  // a Catholic or ecumenical edition prints is rejected.
+  { name: 'Tobit',           abbr: 'Tob',   testament: 'DC', maxChapters: 14,
+    verses: [22,14,17,21,23,18,18,21,6,13,19,22,18,15] },
+  { name: 'Judith',          abbr: 'Jdt',   testament: 'DC', maxChapters: 16,
+    verses: [16,28,10,15,24,21,32,36,14,23,23,20,20,19,14,25] },
+  { name: 'Wisdom',          abbr: 'Wis',   testament: 'DC', maxChapters: 19,
+    verses: [16,24,19,20,23,25,30,21,18,21,26,27,19,31,19,29,21,25,22] },
+  { name: 'Sirach',          abbr: 'Sir',   testament: 'DC', maxChapters: 51,
+    verses: [30,18,31,31,15,37,36,19,18,31,34,18,26,27,20,30,32,33,30,32,28,27,28,34,26,29,30,26,28,25,31,24,33,31,26,31,31,34,35,30,27,25,35,23,26,20,25,25,16,29,30] },
+  { name: 'Baruch',          abbr: 'Bar',   testament: 'DC', maxChapters: 6,
+    verses: [22,35,38,37,9,73] },
+  { name: '1 Maccabees',     abbr: '1 Macc', testament: 'DC', maxChapters: 16,
+    verses: [64,70,60,61,68,63,50,32,73,89,74,53,53,49,41,24] },
+  { name: '2 Maccabees',     abbr: '2 Macc', testament: 'DC', maxChapters: 15,
+    verses: [36,32,40,50,27,31,42,36,29,38,38,45,26,46,39] },
+  { name: '1 Esdras',        abbr: '1 Esd', testament: 'DC', maxChapters: 9,
+    verses: [58,30,24,63,73,34,15,96,55] },
+  { name: 'Prayer of Manasseh', abbr: 'Pr Man', testament: 'DC', maxChapters: 1,
+    verses: [15] },
+  { name: 'Psalm 151',       abbr: 'Ps 151', testament: 'DC', maxChapters: 1,
+    verses: [7] },
+  { name: '3 Maccabees',     abbr: '3 Macc', testament: 'DC', maxChapters: 7,
+    verses: [29,33,30,21,51,41,23] },
 ];
 
+// ── Canon sets ───────────────────────────────────────────────────────────────
+// Deuterocanonical books each tradition's Bible adds to the 66 OT/NT books.
+// A translation picks its set with `canon` (default: protestant). The orthodox
+// set is also what ecumenical editions with the full Apocrypha carry.
+const CANONS = {
+  protestant: { label: 'Protestant', books: [] },
+  catholic:   { label: 'Catholic',   books: ['Tobit', 'Judith', 'Wisdom', 'Sirach', 'Baruch', '1 Maccabees', '2 Maccabees'] },
+  orthodox:   { label: 'Orthodox',   books: ['Tobit', 'Judith', 'Wisdom', 'Sirach', 'Baruch', '1 Maccabees', '2 Maccabees',
+                                             '1 Esdras', 'Prayer of Manasseh', 'Psalm 151', '3 Maccabees'] },
+};
+
+// ── Versification schemes ────────────────────────────────────────────────────
+// BIBLE_BOOKS counts follow the English (KJV) numbering. Other traditions move
+// verses between chapters; each scheme lists those moves as rules
+//   [chapter, fromVerse, toVerse, toChapter, toStartVerse]
+// meaning English chapter:fromVerse–toVerse is numbered toChapter:toStartVerse
+// onward (toVerse null = end of chapter). Verses no rule covers keep their
+// number, and a scheme's verse counts are derived from its rules. A translation
+// picks its scheme with `versification` (default: english).
+//
+// Psalm superscriptions counted as verse 1 (2 for the longer ones) in the
+// Hebrew numbering; English leaves them unnumbered.
+const PSALM_TITLE_VERSES = {
+  3: 1, 4: 1, 5: 1, 6: 1, 7: 1, 8: 1, 9: 1, 12: 1, 13: 1, 18: 1, 19: 1, 20: 1,
+  21: 1, 22: 1, 30: 1, 31: 1, 34: 1, 36: 1, 38: 1, 39: 1, 40: 1, 41: 1, 42: 1,
+  44: 1, 45: 1, 46: 1, 47: 1, 48: 1, 49: 1, 51: 2, 52: 2, 53: 1, 54: 2, 55: 1,
+  56: 1, 57: 1, 58: 1, 59: 1, 60: 2, 61: 1, 62: 1, 63: 1, 64: 1, 65: 1, 67: 1,
+  68: 1, 69: 1, 70: 1, 75: 1, 76: 1, 77: 1, 80: 1, 81: 1, 83: 1, 84: 1, 85: 1,
+  88: 1, 89: 1, 92: 1, 102: 1, 108: 1, 140: 1, 142: 1,
+};
+
+// Greek/Latin Psalm chapters: 9–10 and 114–115 are joined, 116 and 147 split.
+// Verse numbers include the superscriptions, as in the Hebrew numbering.
+function buildGreekPsalmRules() {
+  const rules = [];
+  const title = c => 1 + (PSALM_TITLE_VERSES[c] || 0);
+  for (let c = 1; c <= 150; c++) {
+    if (c === 10)       rules.push([10, 1, null, 9, 22]);
+    else if (c === 114) rules.push([114, 1, null, 113, 1]);
+    else if (c === 115) rules.push([115, 1, null, 113, 9]);
+    else if (c === 116) rules.push([116, 1, 9, 114, 1], [116, 10, null, 115, 1]);
+    else if (c === 147) rules.push([147, 1, 11, 146, 1], [147, 12, null, 147, 1]);
+    else {
+      const to = (c > 10 && c < 114) || (c > 116 && c < 147) ? c - 1 : c;
+      if (to !== c || title(c) !== 1) rules.push([c, 1, null, to, title(c)]);
+    }
+  }
+  return rules;
+}
+
+const VERSIFICATIONS = {
+  english: { label: 'English', rules: {} },
+  hebrew: {
+    label: 'Hebrew (Masoretic)',
+    rules: {
+      'Genesis':       [[31, 55, 55, 32, 1], [32, 1, null, 32, 2]],
+      'Exodus':        [[8, 1, 4, 7, 26], [8, 5, null, 8, 1], [22, 1, 1, 21, 37], [22, 2, null, 22, 1]],
+      'Leviticus':     [[6, 1, 7, 5, 20], [6, 8, null, 6, 1]],
+      'Numbers':       [[16, 36, null, 17, 1], [17, 1, null, 17, 16], [29, 40, 40, 30, 1], [30, 1, null, 30, 2]],
+      'Deuteronomy':   [[12, 32, 32, 13, 1], [13, 1, null, 13, 2], [22, 30, 30, 23, 1], [23, 1, null, 23, 2],
+                        [29, 1, 1, 28, 69], [29, 2, null, 29, 1]],
+      '1 Samuel':      [[21, 1, null, 21, 2], [23, 29, 29, 24, 1], [24, 1, null, 24, 2]],
+      '2 Samuel':      [[18, 33, 33, 19, 1], [19, 1, null, 19, 2]],
+      '1 Kings':       [[4, 21, null, 5, 1], [5, 1, null, 5, 15], [22, 44, null, 22, 45]],
+      '2 Kings':       [[11, 21, 21, 12, 1], [12, 1, null, 12, 2]],
+      '1 Chronicles':  [[6, 1, 15, 5, 27], [6, 16, null, 6, 1]],
+      '2 Chronicles':  [[2, 1, 1, 1, 18], [2, 2, null, 2, 1], [14, 1, 1, 13, 23], [14, 2, null, 14, 1]],
+      'Nehemiah':      [[4, 1, 6, 3, 33], [4, 7, null, 4, 1], [9, 38, 38, 10, 1], [10, 1, null, 10, 2]],
+      'Job':           [[41, 1, 8, 40, 25], [41, 9, null, 41, 1]],
+      'Psalms':        Object.entries(PSALM_TITLE_VERSES).map(([c, n]) => [+c, 1, null, +c, 1 + n]),
+      'Ecclesiastes':  [[5, 1, 1, 4, 17], [5, 2, null, 5, 1]],
+      'Song of Solomon': [[6, 13, 13, 7, 1], [7, 1, null, 7, 2]],
+      'Isaiah':        [[9, 1, 1, 8, 23], [9, 2, null, 9, 1], [64, 1, 1, 63, 19], [64, 2, null, 64, 1]],
+      'Jeremiah':      [[9, 1, 1, 8, 23], [9, 2, null, 9, 1]],
+      'Ezekiel':       [[20, 45, null, 21, 1], [21, 1, null, 21, 6]],
+      'Daniel':        [[4, 1, 3, 3, 31], [4, 4, null, 4, 1], [5, 31, 31, 6, 1], [6, 1, null, 6, 2]],
+      'Hosea':         [[1, 10, null, 2, 1], [2, 1, null, 2, 3], [11, 12, 12, 12, 1], [12, 1, null, 12, 2],
+                        [13, 16, 16, 14, 1], [14, 1, null, 14, 2]],
+      'Joel':          [[2, 28, null, 3, 1], [3, 1, null, 4, 1]],
+      'Jonah':         [[1, 17, 17, 2, 1], [2, 1, null, 2, 2]],
+      'Micah':         [[5, 1, 1, 4, 14], [5, 2, null, 5, 1]],
+      'Nahum':         [[1, 15, 15, 2, 1], [2, 1, null, 2, 2]],
+      'Zechariah':     [[1, 18, null, 2, 1], [2, 1, null, 2, 5]],
+      'Malachi':       [[4, 1, null, 3, 19]],
+    },
+  },
+  lxx: {
+    label: 'Greek (Septuagint / Vulgate)',
+    rules: {
+      'Psalms': buildGreekPsalmRules(),
+    },
+  },
+};
+
 const TRANSLATIONS = [
   // ── Major BibleGateway-supported English translations ─────────────────────
   { abbr: 'NIV',      name: 'New International Version', bg: true },
@@ -155,12 +277,12 @@ const TRANSLATIONS = [
   { abbr: 'CSB',      name: 'Christian Standard Bible', bg: true },
   { abbr: 'HCSB',     name: 'Holman Christian Standard Bible', bg: true },
   { abbr: 'NET',      name: 'New English Translation', bg: true },
-  { abbr: 'CEB',      name: 'Common English Bible', bg: true },
-  { abbr: 'NRSVUE',   name: 'New Revised Standard Version, Updated Edition', bg: true },
-  { abbr: 'NRSVA',    name: 'New Revised Standard Version', bg: true },
-  { abbr: 'NRSVCE',   name: 'New Revised Standard Version Catholic Edition', bg: true },
+  { abbr: 'CEB',      name: 'Common English Bible', bg: true, canon: 'orthodox' },
+  { abbr: 'NRSVUE',   name: 'New Revised Standard Version, Updated Edition', bg: true, canon: 'orthodox' },
+  { abbr: 'NRSVA',    name: 'New Revised Standard Version', bg: true, canon: 'orthodox' },
+  { abbr: 'NRSVCE',   name: 'New Revised Standard Version Catholic Edition', bg: true, canon: 'catholic' },
   { abbr: 'RSV',      name: 'Revised Standard Version', bg: true },
-  { abbr: 'RSVCE',    name: 'Revised Standard Version Catholic Edition', bg: true },
+  { abbr: 'RSVCE',    name: 'Revised Standard Version Catholic Edition', bg: true, canon: 'catholic' },
   { abbr: 'AMP',      name: 'Amplified Bible', bg: true },
   { abbr: 'AMPC',     name: 'Amplified Bible, Classic Edition', bg: true },
   { abbr: 'MSG',      name: 'The Message', bg: true },
@@ -178,12 +300,16 @@ const TRANSLATIONS = [
   { abbr: 'YLT',      name: "Young's Literal Translation", bg: true },
   { abbr: 'DARBY',    name: 'Darby Translation', bg: true },
   { abbr: 'GNV',      name: 'Geneva Bible', bg: false },
-  { abbr: 'CPDV',     name: 'Catholic Public Domain Version', bg: false },
+  { abbr: 'CPDV',     name: 'Catholic Public Domain Version', bg: false, canon: 'catholic', versification: 'lxx' },
   { abbr: 'WEB',      name: 'World English Bible', bg: true },
-  { abbr: 'NABRE',    name: 'New American Bible, Revised Edition', bg: true },
+  { abbr: 'NABRE',    name: 'New American Bible, Revised Edition', bg: true, canon: 'catholic', versification: 'hebrew' },
   { abbr: 'BSB',      name: 'Berean Standard Bible', bg: false }, // from helloao free source
 
   // ── Indic Languages (free sources) ────────────────────────────────────────
+  // The BSI O.V./C.L. Bibles and the IRV follow the English (KJV) chapter and
+  // verse numbering: no scheme here models BSI-specific numbering. A local
+  // import of one records its own scheme (scripts/import-bible.js
+  // --versification), which then applies.
   { abbr: 'ERV-HI',   name: 'Hindi Bible: Easy-to-Read Version', bg: true, lang: 'hi' },
   { abbr: 'SHB',      name: 'Saral Hindi Bible', bg: true, lang: 'hi' },
   { abbr: 'HINOVBSI', name: 'Hindi O.V. (BSI)', bg: false, lang: 'hi' },
@@ -206,6 +332,67 @@ const TRANSLATIONS = [
   { abbr: 'NIV84',    name: 'New International Version (1984)', bg: false },
 ];
 
+// ── Copyright and attribution ─────────────────────────────────────────────────
+// Notice and publisher per translation, folded into TRANSLATIONS below as
+// `copyright` / `publisher`. Public-domain texts are flagged `publicDomain` so
+// they are listed in credits but need no on-air notice. Local library
+// translations take theirs from manifest.json (scripts/import-bible.js).
+const TRANSLATION_COPYRIGHTS = {
+  'NIV':      { copyright: 'Copyright © 1973, 1978, 1984, 2011 by Biblica, Inc.®', publisher: 'Biblica, Inc.' },
+  'NIVUK':    { copyright: 'Copyright © 1973, 1978, 1984, 2011 by Biblica, Inc.®', publisher: 'Biblica, Inc.' },
+  'NIV84':    { copyright: 'Copyright © 1973, 1978, 1984 by Biblica, Inc.®', publisher: 'Biblica, Inc.' },
+  'NIRV':     { copyright: 'Copyright © 1995, 1996, 1998, 2014 by Biblica, Inc.®', publisher: 'Biblica, Inc.' },
+  'NLT':      { copyright: 'Copyright © 1996, 2004, 2015 by Tyndale House Foundation', publisher: 'Tyndale House Publishers' },
+  'TLB':      { copyright: 'Copyright © 1971 by Tyndale House Foundation', publisher: 'Tyndale House Publishers' },
+  'ESV':      { copyright: 'Copyright © 2001 by Crossway, a publishing ministry of Good News Publishers', publisher: 'Crossway' },
+  'ESVUK':    { copyright: 'Copyright © 2001 by Crossway, a publishing ministry of Good News Publishers', publisher: 'Crossway' },
+  'NKJV':     { copyright: 'Copyright © 1982 by Thomas Nelson', publisher: 'Thomas Nelson' },
+  'NCV':      { copyright: 'Copyright © 2005 by Thomas Nelson', publisher: 'Thomas Nelson' },
+  'ICB':      { copyright: 'Copyright © 1986, 1988, 1999, 2015 by Thomas Nelson', publisher: 'Thomas Nelson' },
+  'VOICE':    { copyright: 'Copyright © 2012 Ecclesia Bible Society', publisher: 'Thomas Nelson' },
+  'NASB':     { copyright: 'Copyright © 1960, 1971, 1977, 1995, 2020 by The Lockman Foundation', publisher: 'The Lockman Foundation' },
+  'NASB95':   { copyright: 'Copyright © 1960, 1962, 1963, 1968, 1971, 1972, 1973, 1975, 1977, 1995 by The Lockman Foundation', publisher: 'The Lockman Foundation' },
+  'LSB':      { copyright: 'Copyright © 2021 by The Lockman Foundation', publisher: 'Three Sixteen Publishing' },
+  'AMP':      { copyright: 'Copyright © 2015 by The Lockman Foundation', publisher: 'The Lockman Foundation' },
+  'AMPC':     { copyright: 'Copyright © 1954, 1958, 1962, 1964, 1965, 1987 by The Lockman Foundation', publisher: 'The Lockman Foundation' },
+  'CSB':      { copyright: 'Copyright © 2017 by Holman Bible Publishers', publisher: 'Holman Bible Publishers' },
+  'HCSB':     { copyright: 'Copyright © 1999, 2000, 2002, 2003, 2009 by Holman Bible Publishers', publisher: 'Holman Bible Publishers' },
+  'NET':      { copyright: 'Copyright © 1996–2017 by Biblical Studies Press, L.L.C.', publisher: 'Biblical Studies Press' },
+  'CEB':      { copyright: 'Copyright © 2011 by Common English Bible', publisher: 'Common English Bible' },
+  'NRSVUE':   { copyright: 'Copyright © 2021 National Council of the Churches of Christ in the USA', publisher: 'Friendship Press' },
+  'NRSVA':    { copyright: 'Copyright © 1989, 1995 National Council of the Churches of Christ in the USA', publisher: 'National Council of the Churches of Christ in the USA' },
+  'NRSV':     { copyright: 'Copyright © 1989 National Council of the Churches of Christ in the USA', publisher: 'National Council of the Churches of Christ in the USA' },
+  'NRSVCE':   { copyright: 'Copyright © 1989, 1993 National Council of the Churches of Christ in the USA', publisher: 'National Council of the Churches of Christ in the USA' },
+  'RSV':      { copyright: 'Copyright © 1946, 1952, 1971 National Council of the Churches of Christ in the USA', publisher: 'National Council of the Churches of Christ in the USA' },
+  'RSVCE':    { copyright: 'Copyright © 1965, 1966 National Council of the Churches of Christ in the USA', publisher: 'National Council of the Churches of Christ in the USA' },
+  'MSG':      { copyright: 'Copyright © 1993, 2002, 2018 by Eugene H. Peterson', publisher: 'NavPress' },
+  'ISV':      { copyright: 'Copyright © 1995–2014 by ISV Foundation', publisher: 'ISV Foundation' },
+  'MEV':      { copyright: 'Copyright © 2014 by Military Bible Association', publisher: 'Passio' },
+  'CEV':      { copyright: 'Copyright © 1995 by American Bible Society', publisher: 'American Bible Society' },
+  'GNT':      { copyright: 'Copyright © 1992 by American Bible Society', publisher: 'American Bible Society' },
+  'GW':       { copyright: "Copyright © 1995 by God's Word to the Nations", publisher: 'Baker Publishing Group' },
+  'NABRE':    { copyright: 'Copyright © 2010, 1991, 1986, 1970 Confraternity of Christian Doctrine', publisher: 'Confraternity of Christian Doctrine' },
+  'LSV':      { copyright: 'Copyright © 2020 by Covenant Press (CC BY-SA 4.0)', publisher: 'Covenant Press' },
+  'ERV-HI':   { copyright: 'Copyright © Bible League International', publisher: 'Bible League International' },
+  'ERV-TA':   { copyright: 'Copyright © Bible League International', publisher: 'Bible League International' },
+  'TERV':     { copyright: 'Copyright © Bible League International', publisher: 'Bible League International' },
+  'KERV':     { copyright: 'Copyright © Bible League International', publisher: 'Bible League International' },
+  'HINOVBSI': { copyright: 'Copyright © The Bible Society of India', publisher: 'The Bible Society of India' },
+  'TAOVBSI':  { copyright: 'Copyright © The Bible Society of India', publisher: 'The Bible Society of India' },
+  'MALOVBSI': { copyright: 'Copyright © The Bible Society of India', publisher: 'The Bible Society of India' },
+  'MALCLBSI': { copyright: 'Copyright © The Bible Society of India', publisher: 'The Bible Society of India' },
+  'IRVTEL':   { copyright: 'Indian Revised Version © Bridge Connectivity Solutions (CC BY-SA 4.0)', publisher: 'Bridge Connectivity Solutions' },
+  'KJV':      { publicDomain: true },
+  'ASV':      { publicDomain: true },
+  'YLT':      { publicDomain: true },
+  'DARBY':    { publicDomain: true },
+  'GNV':      { publicDomain: true },
+  'CPDV':     { publicDomain: true },
+  'WEB':      { publicDomain: true },
+  'BSB':      { publicDomain: true },
+};
+TRANSLATIONS.forEach(t => Object.assign(t, TRANSLATION_COPYRIGHTS[t.abbr]));
+
 // ── bible-api.com  (free, no key, public-domain translations) ─────────────────
 // Maps our translation abbreviations to bible-api.com ?translation= parameters.
 const BIBLE_API_MAP = {
@@ -284,13 +471,27 @@ const YOUVERSION_MAP = {
 };
 
 // ── Bible reference language selector ────────────────────────────────────────
+// script: a character the language's verse text must contain (a provider that
+// answers in another script is skipped). digits: native numerals 0–9 for the
+// "Native Digits" reference option. Latin-script languages have neither.
 const REFERENCE_LANGUAGES = [
   { value: 'en', label: 'English' },
-  { value: 'hi', label: 'Hindi (हिन्दी)' },
-  { value: 'ta', label: 'Tamil (தமிழ்)' },
-  { value: 'te', label: 'Telugu (తెలుగు)' },
-  { value: 'ml', label: 'Malayalam (മലയാളം)' },
-  { value: 'kn', label: 'Kannada (ಕನ್ನಡ)' },
+  { value: 'hi', label: 'Hindi (हिन्दी)',       script: /[\u0900-\u097F]/, digits: '०१२३४५६७८९' },
+  { value: 'ta', label: 'Tamil (தமிழ்)',        script: /[\u0B80-\u0BFF]/, digits: '௦௧௨௩௪௫௬௭௮௯' },
+  { value: 'te', label: 'Telugu (తెలుగు)',      script: /[\u0C00-\u0C7F]/, digits: '౦౧౨౩౪౫౬౭౮౯' },
+  { value: 'ml', label: 'Malayalam (മലയാളം)',   script: /[\u0D00-\u0D7F]/, digits: '൦൧൨൩൪൫൬൭൮൯' },
+  { value: 'kn', label: 'Kannada (ಕನ್ನಡ)',      script: /[\u0C80-\u0CFF]/, digits: '೦೧೨೩೪೫೬೭೮೯' },
+  { value: 'mr', label: 'Marathi (मराठी)',      script: /[\u0900-\u097F]/, digits: '०१२३४५६७८९' },
+  { value: 'bn', label: 'Bengali (বাংলা)',      script: /[\u0980-\u09FF]/, digits: '০১২৩৪৫৬৭৮৯' },
+  { value: 'gu', label: 'Gujarati (ગુજરાતી)',   script: /[\u0A80-\u0AFF]/, digits: '૦૧૨૩૪૫૬૭૮૯' },
+  { value: 'pa', label: 'Punjabi (ਪੰਜਾਬੀ)',     script: /[\u0A00-\u0A7F]/, digits: '੦੧੨੩੪੫੬੭੮੯' },
+  { value: 'or', label: 'Odia (ଓଡ଼ିଆ)',          script: /[\u0B00-\u0B7F]/, digits: '୦୧୨୩୪୫୬୭୮୯' },
+  { value: 'ur', label: 'Urdu (اردو)',          script: /[\u0600-\u06FF]/, digits: '۰۱۲۳۴۵۶۷۸۹' },
+  { value: 'es', label: 'Spanish (Español)' },
+  { value: 'pt', label: 'Portuguese (Português)' },
+  { value: 'fr', label: 'French (Français)' },
+  { value: 'ko', label: 'Korean (한국어)',       script: /[\uAC00-\uD7AF]/ },
+  { value: 'zh', label: 'Chinese (中文)',        script: /[\u4E00-\u9FFF]/ },
 ];
 
 // Reference book names for bilingual display (English + selected language).
@@ -362,7 +563,18 @@ const BOOK_NAME_I18N = {
     '2 John': '2 यूहन्ना',
     '3 John': '3 यूहन्ना',
     'Jude': 'यहूदा',
-    'Revelation': 'प्रकाशितवाक्य'
+    'Revelation': 'प्रकाशितवाक्य',
+    'Tobit': 'टोबीत',
+    'Judith': 'यूदीत',
+    'Wisdom': 'प्रज्ञा',
+    'Sirach': 'प्रवक्ता',
+    'Baruch': 'बारूक',
+    '1 Maccabees': '1 मक्काबी',
+    '2 Maccabees': '2 मक्काबी',
+    '1 Esdras': '1 एस्द्रास',
+    'Prayer of Manasseh': 'मनश्शे की प्रार्थना',
+    'Psalm 151': 'भजन संहिता 151',
+    '3 Maccabees': '3 मक्काबी'
   },
   ta: {
     'Genesis': 'ஆதியாகமம்',
@@ -430,7 +642,18 @@ const BOOK_NAME_I18N = {
     '2 John': '2 யோவான்',
     '3 John': '3 யோவான்',
     'Jude': 'யூதா',
-    'Revelation': 'வெளிப்படுத்தின விசேஷம்'
+    'Revelation': 'வெளிப்படுத்தின விசேஷம்',
+    'Tobit': 'தோபித்து',
+    'Judith': 'யூதித்து',
+    'Wisdom': 'சாலமோனின் ஞானம்',
+    'Sirach': 'சீராக்கின் ஞானம்',
+    'Baruch': 'பாரூக்கு',
+    '1 Maccabees': '1 மக்கபேயர்',
+    '2 Maccabees': '2 மக்கபேயர்',
+    '1 Esdras': '1 எஸ்திராஸ்',
+    'Prayer of Manasseh': 'மனாசேயின் மன்றாட்டு',
+    'Psalm 151': 'திருப்பாடல் 151',
+    '3 Maccabees': '3 மக்கபேயர்'
   },
   te: {
     'Genesis': 'ఆది',
@@ -498,7 +721,18 @@ const BOOK_NAME_I18N = {
     '2 John': '2 యోహాను పత్రిక',
     '3 John': '3 యోహాను పత్రిక',
     'Jude': 'యూదా పత్రిక',
-    'Revelation': 'ప్రకటన గ్రంథం'
+    'Revelation': 'ప్రకటన గ్రంథం',
+    'Tobit': 'తోబితు',
+    'Judith': 'యూదితు',
+    'Wisdom': 'జ్ఞానగ్రంథం',
+    'Sirach': 'సీరాకు',
+    'Baruch': 'బారూకు',
+    '1 Maccabees': '1 మక్కబీయులు',
+    '2 Maccabees': '2 మక్కబీయులు',
+    '1 Esdras': '1 ఎస్ద్రా',
+    'Prayer of Manasseh': 'మనష్షే ప్రార్థన',
+    'Psalm 151': 'కీర్తన 151',
+    '3 Maccabees': '3 మక్కబీయులు'
   },
   ml: {
     'Genesis': 'ഉൽപത്തി',
@@ -566,7 +800,18 @@ const BOOK_NAME_I18N = {
     '2 John': '2 യോഹന്നാൻ',
     '3 John': '3 യോഹന്നാൻ',
     'Jude': 'യൂദാ',
-    'Revelation': 'വെളിപ്പാട്'
+    'Revelation': 'വെളിപ്പാട്',
+    'Tobit': 'തോബിത്',
+    'Judith': 'യൂദിത്',
+    'Wisdom': 'ജ്ഞാനം',
+    'Sirach': 'പ്രഭാഷകൻ',
+    'Baruch': 'ബാറൂക്ക്',
+    '1 Maccabees': '1 മക്കബായർ',
+    '2 Maccabees': '2 മക്കബായർ',
+    '1 Esdras': '1 എസ്ദ്രാസ്',
+    'Prayer of Manasseh': 'മനശ്ശെയുടെ പ്രാർത്ഥന',
+    'Psalm 151': 'സങ്കീർത്തനം 151',
+    '3 Maccabees': '3 മക്കബായർ'
   },
   kn: {
     'Genesis': 'ಆದಿಕಾಂಡ',
@@ -634,8 +879,837 @@ const BOOK_NAME_I18N = {
     '2 John': '2 ಯೋಹಾನ',
     '3 John': '3 ಯೋಹಾನ',
     'Jude': 'ಯೂದನು',
-    'Revelation': 'ಪ್ರಕಟನೆ'
+    'Revelation': 'ಪ್ರಕಟನೆ',
+    'Tobit': 'ತೋಬೀತ',
+    'Judith': 'ಯೂದಿತ',
+    'Wisdom': 'ಜ್ಞಾನಗ್ರಂಥ',
+    'Sirach': 'ಸಿರಾಕ',
+    'Baruch': 'ಬಾರೂಕ',
+    '1 Maccabees': '1 ಮಕ್ಕಬಿಯರು',
+    '2 Maccabees': '2 ಮಕ್ಕಬಿಯರು',
+    '1 Esdras': '1 ಎಸ್ದ್ರ',
+    'Prayer of Manasseh': 'ಮನಸ್ಸೆಯ ಪ್ರಾರ್ಥನೆ',
+    'Psalm 151': 'ಕೀರ್ತನೆ 151',
+    '3 Maccabees': '3 ಮಕ್ಕಬಿಯರು'
   },
+  mr: {
+    'Genesis': 'उत्पत्ति',
+    'Exodus': 'निर्गम',
+    'Leviticus': 'लेवीय',
+    'Numbers': 'गणना',
+    'Deuteronomy': 'अनुवाद',
+    'Joshua': 'यहोशवा',
+    'Judges': 'शास्ते',
+    'Ruth': 'रूथ',
+    '1 Samuel': '1 शमुवेल',
+    '2 Samuel': '2 शमुवेल',
+    '1 Kings': '1 राजे',
+    '2 Kings': '2 राजे',
+    '1 Chronicles': '1 इतिहास',
+    '2 Chronicles': '2 इतिहास',
+    'Ezra': 'एज्रा',
+    'Nehemiah': 'नहेम्या',
+    'Esther': 'एस्तेर',
+    'Job': 'ईयोब',
+    'Psalms': 'स्तोत्रसंहिता',
+    'Proverbs': 'नीतिसूत्रे',
+    'Ecclesiastes': 'उपदेशक',
+    'Song of Solomon': 'गीतरत्न',
+    'Isaiah': 'यशया',
+    'Jeremiah': 'यिर्मया',
+    'Lamentations': 'विलापगीत',
+    'Ezekiel': 'यहेज्केल',
+    'Daniel': 'दानीएल',
+    'Hosea': 'होशेय',
+    'Joel': 'योएल',
+    'Amos': 'आमोस',
+    'Obadiah': 'ओबद्या',
+    'Jonah': 'योना',
+    'Micah': 'मीखा',
+    'Nahum': 'नहूम',
+    'Habakkuk': 'हबक्कूक',
+    'Zephaniah': 'सफन्या',
+    'Haggai': 'हाग्गय',
+    'Zechariah': 'जखऱ्या',
+    'Malachi': 'मलाखी',
+    'Matthew': 'मत्तय',
+    'Mark': 'मार्क',
+    'Luke': 'लूक',
+    'John': 'योहान',
+    'Acts': 'प्रेषितांची कृत्ये',
+    'Romans': 'रोमकरांस पत्र',
+    '1 Corinthians': '1 करिंथकरांस पत्र',
+    '2 Corinthians': '2 करिंथकरांस पत्र',
+    'Galatians': 'गलतीकरांस पत्र',
+    'Ephesians': 'इफिसकरांस पत्र',
+    'Philippians': 'फिलिप्पैकरांस पत्र',
+    'Colossians': 'कलस्सैकरांस पत्र',
+    '1 Thessalonians': '1 थेस्सलनीकाकरांस पत्र',
+    '2 Thessalonians': '2 थेस्सलनीकाकरांस पत्र',
+    '1 Timothy': '1 तीमथ्याला पत्र',
+    '2 Timothy': '2 तीमथ्याला पत्र',
+    'Titus': 'तीताला पत्र',
+    'Philemon': 'फिलेमोनाला पत्र',
+    'Hebrews': 'इब्री लोकांस पत्र',
+    'James': 'याकोबाचे पत्र',
+    '1 Peter': '1 पेत्राचे पत्र',
+    '2 Peter': '2 पेत्राचे पत्र',
+    '1 John': '1 योहानाचे पत्र',
+    '2 John': '2 योहानाचे पत्र',
+    '3 John': '3 योहानाचे पत्र',
+    'Jude': 'यहूदाचे पत्र',
+    'Revelation': 'प्रकटीकरण'
+  },
+  bn: {
+    'Genesis': 'আদিপুস্তক',
+    'Exodus': 'যাত্রাপুস্তক',
+    'Leviticus': 'লেবীয় পুস্তক',
+    'Numbers': 'গণনা পুস্তক',
+    'Deuteronomy': 'দ্বিতীয় বিবরণ',
+    'Joshua': 'যিহোশূয়',
+    'Judges': 'বিচারকর্তৃগণ',
+    'Ruth': 'রূত',
+    '1 Samuel': '1 শমূয়েল',
+    '2 Samuel': '2 শমূয়েল',
+    '1 Kings': '1 রাজাবলি',
+    '2 Kings': '2 রাজাবলি',
+    '1 Chronicles': '1 বংশাবলি',
+    '2 Chronicles': '2 বংশাবলি',
+    'Ezra': 'ইষ্রা',
+    'Nehemiah': 'নহিমিয়',
+    'Esther': 'ইষ্টের',
+    'Job': 'ইয়োব',
+    'Psalms': 'গীতসংহিতা',
+    'Proverbs': 'হিতোপদেশ',
+    'Ecclesiastes': 'উপদেশক',
+    'Song of Solomon': 'পরমগীত',
+    'Isaiah': 'যিশাইয়',
+    'Jeremiah': 'যিরমিয়',
+    'Lamentations': 'বিলাপ',
+    'Ezekiel': 'যিহিষ্কেল',
+    'Daniel': 'দানিয়েল',
+    'Hosea': 'হোশেয়',
+    'Joel': 'যোয়েল',
+    'Amos': 'আমোষ',
+    'Obadiah': 'ওবদিয়',
+    'Jonah': 'যোনা',
+    'Micah': 'মীখা',
+    'Nahum': 'নহূম',
+    'Habakkuk': 'হবক্কূক',
+    'Zephaniah': 'সফনিয়',
+    'Haggai': 'হগয়',
+    'Zechariah': 'সখরিয়',
+    'Malachi': 'মালাখি',
+    'Matthew': 'মথি',
+    'Mark': 'মার্ক',
+    'Luke': 'লূক',
+    'John': 'যোহন',
+    'Acts': 'প্রেরিত',
+    'Romans': 'রোমীয়',
+    '1 Corinthians': '1 করিন্থীয়',
+    '2 Corinthians': '2 করিন্থীয়',
+    'Galatians': 'গালাতীয়',
+    'Ephesians': 'ইফিষীয়',
+    'Philippians': 'ফিলিপীয়',
+    'Colossians': 'কলসীয়',
+    '1 Thessalonians': '1 থিষলনীকীয়',
+    '2 Thessalonians': '2 থিষলনীকীয়',
+    '1 Timothy': '1 তীমথিয়',
+    '2 Timothy': '2 তীমথিয়',
+    'Titus': 'তীত',
+    'Philemon': 'ফিলীমন',
+    'Hebrews': 'ইব্রীয়',
+    'James': 'যাকোব',
+    '1 Peter': '1 পিতর',
+    '2 Peter': '2 পিতর',
+    '1 John': '1 যোহন',
+    '2 John': '2 যোহন',
+    '3 John': '3 যোহন',
+    'Jude': 'যিহূদা',
+    'Revelation': 'প্রকাশিত বাক্য'
+  },
+  gu: {
+    'Genesis': 'ઉત્પત્તિ',
+    'Exodus': 'નિર્ગમન',
+    'Leviticus': 'લેવીય',
+    'Numbers': 'ગણના',
+    'Deuteronomy': 'પુનર્નિયમ',
+    'Joshua': 'યહોશુઆ',
+    'Judges': 'ન્યાયાધીશો',
+    'Ruth': 'રૂથ',
+    '1 Samuel': '1 શમુએલ',
+    '2 Samuel': '2 શમુએલ',
+    '1 Kings': '1 રાજાઓ',
+    '2 Kings': '2 રાજાઓ',
+    '1 Chronicles': '1 કાળવૃત્તાંત',
+    '2 Chronicles': '2 કાળવૃત્તાંત',
+    'Ezra': 'એઝરા',
+    'Nehemiah': 'નહેમ્યા',
+    'Esther': 'એસ્તેર',
+    'Job': 'અયૂબ',
+    'Psalms': 'ગીતશાસ્ત્ર',
+    'Proverbs': 'નીતિવચનો',
+    'Ecclesiastes': 'સભાશિક્ષક',
+    'Song of Solomon': 'ગીતોનું ગીત',
+    'Isaiah': 'યશાયા',
+    'Jeremiah': 'યર્મિયા',
+    'Lamentations': 'યર્મિયાનો વિલાપ',
+    'Ezekiel': 'હઝકિયેલ',
+    'Daniel': 'દાનિયેલ',
+    'Hosea': 'હોશિયા',
+    'Joel': 'યોએલ',
+    'Amos': 'આમોસ',
+    'Obadiah': 'ઓબાદ્યા',
+    'Jonah': 'યૂના',
+    'Micah': 'મીખાહ',
+    'Nahum': 'નાહૂમ',
+    'Habakkuk': 'હબાકુક',
+    'Zephaniah': 'સફાન્યા',
+    'Haggai': 'હાગ્ગાય',
+    'Zechariah': 'ઝખાર્યા',
+    'Malachi': 'માલાખી',
+    'Matthew': 'માથ્થી',
+    'Mark': 'માર્ક',
+    'Luke': 'લૂક',
+    'John': 'યોહાન',
+    'Acts': 'પ્રેરિતોનાં કૃત્યો',
+    'Romans': 'રોમનો',
+    '1 Corinthians': '1 કરિંથીઓ',
+    '2 Corinthians': '2 કરિંથીઓ',
+    'Galatians': 'ગલાતીઓ',
+    'Ephesians': 'એફેસીઓ',
+    'Philippians': 'ફિલિપીઓ',
+    'Colossians': 'કલોસીઓ',
+    '1 Thessalonians': '1 થેસ્સાલોનિકીઓ',
+    '2 Thessalonians': '2 થેસ્સાલોનિકીઓ',
+    '1 Timothy': '1 તિમોથી',
+    '2 Timothy': '2 તિમોથી',
+    'Titus': 'તિતસ',
+    'Philemon': 'ફિલેમોન',
+    'Hebrews': 'હિબ્રૂઓ',
+    'James': 'યાકૂબ',
+    '1 Peter': '1 પિતર',
+    '2 Peter': '2 પિતર',
+    '1 John': '1 યોહાન',
+    '2 John': '2 યોહાન',
+    '3 John': '3 યોહાન',
+    'Jude': 'યહૂદા',
+    'Revelation': 'પ્રકટીકરણ'
+  },
+  pa: {
+    'Genesis': 'ਉਤਪਤ',
+    'Exodus': 'ਕੂਚ',
+    'Leviticus': 'ਲੇਵੀਆਂ',
+    'Numbers': 'ਗਿਣਤੀ',
+    'Deuteronomy': 'ਬਿਵਸਥਾ ਸਾਰ',
+    'Joshua': 'ਯਹੋਸ਼ੁਆ',
+    'Judges': 'ਨਿਆਂਈਆਂ',
+    'Ruth': 'ਰੂਥ',
+    '1 Samuel': '1 ਸਮੂਏਲ',
+    '2 Samuel': '2 ਸਮੂਏਲ',
+    '1 Kings': '1 ਰਾਜਿਆਂ',
+    '2 Kings': '2 ਰਾਜਿਆਂ',
+    '1 Chronicles': '1 ਇਤਿਹਾਸ',
+    '2 Chronicles': '2 ਇਤਿਹਾਸ',
+    'Ezra': 'ਅਜ਼ਰਾ',
+    'Nehemiah': 'ਨਹਮਯਾਹ',
+    'Esther': 'ਅਸਤਰ',
+    'Job': 'ਅੱਯੂਬ',
+    'Psalms': 'ਜ਼ਬੂਰ',
+    'Proverbs': 'ਕਹਾਉਤਾਂ',
+    'Ecclesiastes': 'ਉਪਦੇਸ਼ਕ',
+    'Song of Solomon': 'ਸਰੇਸ਼ਟ ਗੀਤ',
+    'Isaiah': 'ਯਸਾਯਾਹ',
+    'Jeremiah': 'ਯਿਰਮਿਯਾਹ',
+    'Lamentations': 'ਵਿਰਲਾਪ',
+    'Ezekiel': 'ਹਿਜ਼ਕੀਏਲ',
+    'Daniel': 'ਦਾਨੀਏਲ',
+    'Hosea': 'ਹੋਸ਼ੇਆ',
+    'Joel': 'ਯੋਏਲ',
+    'Amos': 'ਆਮੋਸ',
+    'Obadiah': 'ਓਬਦਯਾਹ',
+    'Jonah': 'ਯੂਨਾਹ',
+    'Micah': 'ਮੀਕਾਹ',
+    'Nahum': 'ਨਹੂਮ',
+    'Habakkuk': 'ਹਬੱਕੂਕ',
+    'Zephaniah': 'ਸਫ਼ਨਯਾਹ',
+    'Haggai': 'ਹੱਜਈ',
+    'Zechariah': 'ਜ਼ਕਰਯਾਹ',
+    'Malachi': 'ਮਲਾਕੀ',
+    'Matthew': 'ਮੱਤੀ',
+    'Mark': 'ਮਰਕੁਸ',
+    'Luke': 'ਲੂਕਾ',
+    'John': 'ਯੂਹੰਨਾ',
+    'Acts': 'ਰਸੂਲਾਂ ਦੇ ਕਰਤੱਬ',
+    'Romans': 'ਰੋਮੀਆਂ',
+    '1 Corinthians': '1 ਕੁਰਿੰਥੀਆਂ',
+    '2 Corinthians': '2 ਕੁਰਿੰਥੀਆਂ',
+    'Galatians': 'ਗਲਾਤੀਆਂ',
+    'Ephesians': 'ਅਫ਼ਸੀਆਂ',
+    'Philippians': 'ਫ਼ਿਲਿੱਪੀਆਂ',
+    'Colossians': 'ਕੁਲੁੱਸੀਆਂ',
+    '1 Thessalonians': '1 ਥੱਸਲੁਨੀਕੀਆਂ',
+    '2 Thessalonians': '2 ਥੱਸਲੁਨੀਕੀਆਂ',
+    '1 Timothy': '1 ਤਿਮੋਥਿਉਸ',
+    '2 Timothy': '2 ਤਿਮੋਥਿਉਸ',
+    'Titus': 'ਤੀਤੁਸ',
+    'Philemon': 'ਫਿਲੇਮੋਨ',
+    'Hebrews': 'ਇਬਰਾਨੀਆਂ',
+    'James': 'ਯਾਕੂਬ',
+    '1 Peter': '1 ਪਤਰਸ',
+    '2 Peter': '2 ਪਤਰਸ',
+    '1 John': '1 ਯੂਹੰਨਾ',
+    '2 John': '2 ਯੂਹੰਨਾ',
+    '3 John': '3 ਯੂਹੰਨਾ',
+    'Jude': 'ਯਹੂਦਾਹ',
+    'Revelation': 'ਪਰਕਾਸ਼ ਦੀ ਪੋਥੀ'
+  },
+  or: {
+    'Genesis': 'ଆଦିପୁସ୍ତକ',
+    'Exodus': 'ଯାତ୍ରା ପୁସ୍ତକ',
+    'Leviticus': 'ଲେବୀୟ ପୁସ୍ତକ',
+    'Numbers': 'ଗଣନା ପୁସ୍ତକ',
+    'Deuteronomy': 'ଦ୍ୱିତୀୟ ବିବରଣ',
+    'Joshua': 'ଯିହୋଶୂୟ',
+    'Judges': 'ବିଚାରକର୍ତ୍ତାମାନଙ୍କ ବିବରଣ',
+    'Ruth': 'ରୂତର ବିବରଣ',
+    '1 Samuel': '1 ଶାମୁୟେଲ',
+    '2 Samuel': '2 ଶାମୁୟେଲ',
+    '1 Kings': '1 ରାଜାବଳୀ',
+    '2 Kings': '2 ରାଜାବଳୀ',
+    '1 Chronicles': '1 ବଂଶାବଳୀ',
+    '2 Chronicles': '2 ବଂଶାବଳୀ',
+    'Ezra': 'ଏଜ୍ରା',
+    'Nehemiah': 'ନିହିମୀୟା',
+    'Esther': 'ଏଷ୍ଟର ବିବରଣ',
+    'Job': 'ଆୟୁବ ପୁସ୍ତକ',
+    'Psalms': 'ଗୀତସଂହିତା',
+    'Proverbs': 'ହିତୋପଦେଶ',
+    'Ecclesiastes': 'ଉପଦେଶକ',
+    'Song of Solomon': 'ପରମଗୀତ',
+    'Isaiah': 'ଯିଶାଇୟ',
+    'Jeremiah': 'ଯିରିମିୟ',
+    'Lamentations': 'ଯିରିମିୟଙ୍କ ବିଳାପ',
+    'Ezekiel': 'ଯିହିଜିକଲ',
+    'Daniel': 'ଦାନିୟେଲ',
+    'Hosea': 'ହୋଶେୟ',
+    'Joel': 'ଯୋୟେଲ',
+    'Amos': 'ଆମୋଷ',
+    'Obadiah': 'ଓବଦୀୟ',
+    'Jonah': 'ଯୂନସ',
+    'Micah': 'ମୀଖା',
+    'Nahum': 'ନାହୂମ',
+    'Habakkuk': 'ହବକ୍କୂକ',
+    'Zephaniah': 'ସିଫନିୟ',
+    'Haggai': 'ହାଗୟ',
+    'Zechariah': 'ଯିଖରିୟ',
+    'Malachi': 'ମଲାଖି',
+    'Matthew': 'ମାଥିଉ',
+    'Mark': 'ମାର୍କ',
+    'Luke': 'ଲୂକ',
+    'John': 'ଯୋହନ',
+    'Acts': 'ପ୍ରେରିତ',
+    'Romans': 'ରୋମୀୟ',
+    '1 Corinthians': '1 କରିନ୍ଥୀୟ',
+    '2 Corinthians': '2 କରିନ୍ଥୀୟ',
+    'Galatians': 'ଗାଲାତୀୟ',
+    'Ephesians': 'ଏଫିସୀୟ',
+    'Philippians': 'ଫିଲିପ୍ପୀୟ',
+    'Colossians': 'କଲସୀୟ',
+    '1 Thessalonians': '1 ଥେସଲନୀକୀୟ',
+    '2 Thessalonians': '2 ଥେସଲନୀକୀୟ',
+    '1 Timothy': '1 ତୀମଥି',
+    '2 Timothy': '2 ତୀମଥି',
+    'Titus': 'ତୀତସ',
+    'Philemon': 'ଫିଲୀମୋନ',
+    'Hebrews': 'ଏବ୍ରୀ',
+    'James': 'ଯାକୁବ',
+    '1 Peter': '1 ପିତର',
+    '2 Peter': '2 ପିତର',
+    '1 John': '1 ଯୋହନ',
+    '2 John': '2 ଯୋହନ',
+    '3 John': '3 ଯୋହନ',
+    'Jude': 'ଯିହୂଦା',
+    'Revelation': 'ପ୍ରକାଶିତ ବାକ୍ୟ'
+  },
+  ur: {
+    'Genesis': 'پیدائش',
+    'Exodus': 'خروج',
+    'Leviticus': 'احبار',
+    'Numbers': 'گنتی',
+    'Deuteronomy': 'استثنا',
+    'Joshua': 'یشوع',
+    'Judges': 'قضاۃ',
+    'Ruth': 'روت',
+    '1 Samuel': '1 سموئیل',
+    '2 Samuel': '2 سموئیل',
+    '1 Kings': '1 سلاطین',
+    '2 Kings': '2 سلاطین',
+    '1 Chronicles': '1 تواریخ',
+    '2 Chronicles': '2 تواریخ',
+    'Ezra': 'عزرا',
+    'Nehemiah': 'نحمیاہ',
+    'Esther': 'آستر',
+    'Job': 'ایوب',
+    'Psalms': 'زبور',
+    'Proverbs': 'امثال',
+    'Ecclesiastes': 'واعظ',
+    'Song of Solomon': 'غزل الغزلات',
+    'Isaiah': 'یسعیاہ',
+    'Jeremiah': 'یرمیاہ',
+    'Lamentations': 'نوحہ',
+    'Ezekiel': 'حزقی ایل',
+    'Daniel': 'دانی ایل',
+    'Hosea': 'ہوسیع',
+    'Joel': 'یوایل',
+    'Amos': 'عاموس',
+    'Obadiah': 'عبدیاہ',
+    'Jonah': 'یوناہ',
+    'Micah': 'میکاہ',
+    'Nahum': 'ناحوم',
+    'Habakkuk': 'حبقوق',
+    'Zephaniah': 'صفنیاہ',
+    'Haggai': 'حجی',
+    'Zechariah': 'زکریاہ',
+    'Malachi': 'ملاکی',
+    'Matthew': 'متی',
+    'Mark': 'مرقس',
+    'Luke': 'لوقا',
+    'John': 'یوحنا',
+    'Acts': 'اعمال',
+    'Romans': 'رومیوں',
+    '1 Corinthians': '1 کرنتھیوں',
+    '2 Corinthians': '2 کرنتھیوں',
+    'Galatians': 'گلتیوں',
+    'Ephesians': 'افسیوں',
+    'Philippians': 'فلپیوں',
+    'Colossians': 'کلسیوں',
+    '1 Thessalonians': '1 تھسلنیکیوں',
+    '2 Thessalonians': '2 تھسلنیکیوں',
+    '1 Timothy': '1 تیمتھیس',
+    '2 Timothy': '2 تیمتھیس',
+    'Titus': 'ططس',
+    'Philemon': 'فلیمون',
+    'Hebrews': 'عبرانیوں',
+    'James': 'یعقوب',
+    '1 Peter': '1 پطرس',
+    '2 Peter': '2 پطرس',
+    '1 John': '1 یوحنا',
+    '2 John': '2 یوحنا',
+    '3 John': '3 یوحنا',
+    'Jude': 'یہوداہ',
+    'Revelation': 'مکاشفہ'
+  },
+  es: {
+    'Genesis': 'Génesis',
+    'Exodus': 'Éxodo',
+    'Leviticus': 'Levítico',
+    'Numbers': 'Números',
+    'Deuteronomy': 'Deuteronomio',
+    'Joshua': 'Josué',
+    'Judges': 'Jueces',
+    'Ruth': 'Rut',
+    '1 Samuel': '1 Samuel',
+    '2 Samuel': '2 Samuel',
+    '1 Kings': '1 Reyes',
+    '2 Kings': '2 Reyes',
+    '1 Chronicles': '1 Crónicas',
+    '2 Chronicles': '2 Crónicas',
+    'Ezra': 'Esdras',
+    'Nehemiah': 'Nehemías',
+    'Esther': 'Ester',
+    'Job': 'Job',
+    'Psalms': 'Salmos',
+    'Proverbs': 'Proverbios',
+    'Ecclesiastes': 'Eclesiastés',
+    'Song of Solomon': 'Cantares',
+    'Isaiah': 'Isaías',
+    'Jeremiah': 'Jeremías',
+    'Lamentations': 'Lamentaciones',
+    'Ezekiel': 'Ezequiel',
+    'Daniel': 'Daniel',
+    'Hosea': 'Oseas',
+    'Joel': 'Joel',
+    'Amos': 'Amós',
+    'Obadiah': 'Abdías',
+    'Jonah': 'Jonás',
+    'Micah': 'Miqueas',
+    'Nahum': 'Nahúm',
+    'Habakkuk': 'Habacuc',
+    'Zephaniah': 'Sofonías',
+    'Haggai': 'Hageo',
+    'Zechariah': 'Zacarías',
+    'Malachi': 'Malaquías',
+    'Matthew': 'Mateo',
+    'Mark': 'Marcos',
+    'Luke': 'Lucas',
+    'John': 'Juan',
+    'Acts': 'Hechos',
+    'Romans': 'Romanos',
+    '1 Corinthians': '1 Corintios',
+    '2 Corinthians': '2 Corintios',
+    'Galatians': 'Gálatas',
+    'Ephesians': 'Efesios',
+    'Philippians': 'Filipenses',
+    'Colossians': 'Colosenses',
+    '1 Thessalonians': '1 Tesalonicenses',
+    '2 Thessalonians': '2 Tesalonicenses',
+    '1 Timothy': '1 Timoteo',
+    '2 Timothy': '2 Timoteo',
+    'Titus': 'Tito',
+    'Philemon': 'Filemón',
+    'Hebrews': 'Hebreos',
+    'James': 'Santiago',
+    '1 Peter': '1 Pedro',
+    '2 Peter': '2 Pedro',
+    '1 John': '1 Juan',
+    '2 John': '2 Juan',
+    '3 John': '3 Juan',
+    'Jude': 'Judas',
+    'Revelation': 'Apocalipsis',
+    'Tobit': 'Tobías',
+    'Judith': 'Judit',
+    'Wisdom': 'Sabiduría',
+    'Sirach': 'Eclesiástico',
+    'Baruch': 'Baruc',
+    '1 Maccabees': '1 Macabeos',
+    '2 Maccabees': '2 Macabeos',
+    '1 Esdras': '1 Esdras',
+    'Prayer of Manasseh': 'Oración de Manasés',
+    'Psalm 151': 'Salmo 151',
+    '3 Maccabees': '3 Macabeos'
+  },
+  pt: {
+    'Genesis': 'Gênesis',
+    'Exodus': 'Êxodo',
+    'Leviticus': 'Levítico',
+    'Numbers': 'Números',
+    'Deuteronomy': 'Deuteronômio',
+    'Joshua': 'Josué',
+    'Judges': 'Juízes',
+    'Ruth': 'Rute',
+    '1 Samuel': '1 Samuel',
+    '2 Samuel': '2 Samuel',
+    '1 Kings': '1 Reis',
+    '2 Kings': '2 Reis',
+    '1 Chronicles': '1 Crônicas',
+    '2 Chronicles': '2 Crônicas',
+    'Ezra': 'Esdras',
+    'Nehemiah': 'Neemias',
+    'Esther': 'Ester',
+    'Job': 'Jó',
+    'Psalms': 'Salmos',
+    'Proverbs': 'Provérbios',
+    'Ecclesiastes': 'Eclesiastes',
+    'Song of Solomon': 'Cânticos',
+    'Isaiah': 'Isaías',
+    'Jeremiah': 'Jeremias',
+    'Lamentations': 'Lamentações',
+    'Ezekiel': 'Ezequiel',
+    'Daniel': 'Daniel',
+    'Hosea': 'Oseias',
+    'Joel': 'Joel',
+    'Amos': 'Amós',
+    'Obadiah': 'Obadias',
+    'Jonah': 'Jonas',
+    'Micah': 'Miqueias',
+    'Nahum': 'Naum',
+    'Habakkuk': 'Habacuque',
+    'Zephaniah': 'Sofonias',
+    'Haggai': 'Ageu',
+    'Zechariah': 'Zacarias',
+    'Malachi': 'Malaquias',
+    'Matthew': 'Mateus',
+    'Mark': 'Marcos',
+    'Luke': 'Lucas',
+    'John': 'João',
+    'Acts': 'Atos',
+    'Romans': 'Romanos',
+    '1 Corinthians': '1 Coríntios',
+    '2 Corinthians': '2 Coríntios',
+    'Galatians': 'Gálatas',
+    'Ephesians': 'Efésios',
+    'Philippians': 'Filipenses',
+    'Colossians': 'Colossenses',
+    '1 Thessalonians': '1 Tessalonicenses',
+    '2 Thessalonians': '2 Tessalonicenses',
+    '1 Timothy': '1 Timóteo',
+    '2 Timothy': '2 Timóteo',
+    'Titus': 'Tito',
+    'Philemon': 'Filemom',
+    'Hebrews': 'Hebreus',
+    'James': 'Tiago',
+    '1 Peter': '1 Pedro',
+    '2 Peter': '2 Pedro',
+    '1 John': '1 João',
+    '2 John': '2 João',
+    '3 John': '3 João',
+    'Jude': 'Judas',
+    'Revelation': 'Apocalipse',
+    'Tobit': 'Tobias',
+    'Judith': 'Judite',
+    'Wisdom': 'Sabedoria',
+    'Sirach': 'Eclesiástico',
+    'Baruch': 'Baruc',
+    '1 Maccabees': '1 Macabeus',
+    '2 Maccabees': '2 Macabeus',
+    '1 Esdras': '1 Esdras',
+    'Prayer of Manasseh': 'Oração de Manassés',
+    'Psalm 151': 'Salmo 151',
+    '3 Maccabees': '3 Macabeus'
+  },
+  fr: {
+    'Genesis': 'Genèse',
+    'Exodus': 'Exode',
+    'Leviticus': 'Lévitique',
+    'Numbers': 'Nombres',
+    'Deuteronomy': 'Deutéronome',
+    'Joshua': 'Josué',
+    'Judges': 'Juges',
+    'Ruth': 'Ruth',
+    '1 Samuel': '1 Samuel',
+    '2 Samuel': '2 Samuel',
+    '1 Kings': '1 Rois',
+    '2 Kings': '2 Rois',
+    '1 Chronicles': '1 Chroniques',
+    '2 Chronicles': '2 Chroniques',
+    'Ezra': 'Esdras',
+    'Nehemiah': 'Néhémie',
+    'Esther': 'Esther',
+    'Job': 'Job',
+    'Psalms': 'Psaumes',
+    'Proverbs': 'Proverbes',
+    'Ecclesiastes': 'Ecclésiaste',
+    'Song of Solomon': 'Cantique des Cantiques',
+    'Isaiah': 'Ésaïe',
+    'Jeremiah': 'Jérémie',
+    'Lamentations': 'Lamentations',
+    'Ezekiel': 'Ézéchiel',
+    'Daniel': 'Daniel',
+    'Hosea': 'Osée',
+    'Joel': 'Joël',
+    'Amos': 'Amos',
+    'Obadiah': 'Abdias',
+    'Jonah': 'Jonas',
+    'Micah': 'Michée',
+    'Nahum': 'Nahum',
+    'Habakkuk': 'Habacuc',
+    'Zephaniah': 'Sophonie',
+    'Haggai': 'Aggée',
+    'Zechariah': 'Zacharie',
+    'Malachi': 'Malachie',
+    'Matthew': 'Matthieu',
+    'Mark': 'Marc',
+    'Luke': 'Luc',
+    'John': 'Jean',
+    'Acts': 'Actes',
+    'Romans': 'Romains',
+    '1 Corinthians': '1 Corinthiens',
+    '2 Corinthians': '2 Corinthiens',
+    'Galatians': 'Galates',
+    'Ephesians': 'Éphésiens',
+    'Philippians': 'Philippiens',
+    'Colossians': 'Colossiens',
+    '1 Thessalonians': '1 Thessaloniciens',
+    '2 Thessalonians': '2 Thessaloniciens',
+    '1 Timothy': '1 Timothée',
+    '2 Timothy': '2 Timothée',
+    'Titus': 'Tite',
+    'Philemon': 'Philémon',
+    'Hebrews': 'Hébreux',
+    'James': 'Jacques',
+    '1 Peter': '1 Pierre',
+    '2 Peter': '2 Pierre',
+    '1 John': '1 Jean',
+    '2 John': '2 Jean',
+    '3 John': '3 Jean',
+    'Jude': 'Jude',
+    'Revelation': 'Apocalypse',
+    'Tobit': 'Tobie',
+    'Judith': 'Judith',
+    'Wisdom': 'Sagesse',
+    'Sirach': 'Siracide',
+    'Baruch': 'Baruch',
+    '1 Maccabees': '1 Maccabées',
+    '2 Maccabees': '2 Maccabées',
+    '1 Esdras': '1 Esdras',
+    'Prayer of Manasseh': 'Prière de Manassé',
+    'Psalm 151': 'Psaume 151',
+    '3 Maccabees': '3 Maccabées'
+  },
+  ko: {
+    'Genesis': '창세기',
+    'Exodus': '출애굽기',
+    'Leviticus': '레위기',
+    'Numbers': '민수기',
+    'Deuteronomy': '신명기',
+    'Joshua': '여호수아',
+    'Judges': '사사기',
+    'Ruth': '룻기',
+    '1 Samuel': '사무엘상',
+    '2 Samuel': '사무엘하',
+    '1 Kings': '열왕기상',
+    '2 Kings': '열왕기하',
+    '1 Chronicles': '역대상',
+    '2 Chronicles': '역대하',
+    'Ezra': '에스라',
+    'Nehemiah': '느헤미야',
+    'Esther': '에스더',
+    'Job': '욥기',
+    'Psalms': '시편',
+    'Proverbs': '잠언',
+    'Ecclesiastes': '전도서',
+    'Song of Solomon': '아가',
+    'Isaiah': '이사야',
+    'Jeremiah': '예레미야',
+    'Lamentations': '예레미야애가',
+    'Ezekiel': '에스겔',
+    'Daniel': '다니엘',
+    'Hosea': '호세아',
+    'Joel': '요엘',
+    'Amos': '아모스',
+    'Obadiah': '오바댜',
+    'Jonah': '요나',
+    'Micah': '미가',
+    'Nahum': '나훔',
+    'Habakkuk': '하박국',
+    'Zephaniah': '스바냐',
+    'Haggai': '학개',
+    'Zechariah': '스가랴',
+    'Malachi': '말라기',
+    'Matthew': '마태복음',
+    'Mark': '마가복음',
+    'Luke': '누가복음',
+    'John': '요한복음',
+    'Acts': '사도행전',
+    'Romans': '로마서',
+    '1 Corinthians': '고린도전서',
+    '2 Corinthians': '고린도후서',
+    'Galatians': '갈라디아서',
+    'Ephesians': '에베소서',
+    'Philippians': '빌립보서',
+    'Colossians': '골로새서',
+    '1 Thessalonians': '데살로니가전서',
+    '2 Thessalonians': '데살로니가후서',
+    '1 Timothy': '디모데전서',
+    '2 Timothy': '디모데후서',
+    'Titus': '디도서',
+    'Philemon': '빌레몬서',
+    'Hebrews': '히브리서',
+    'James': '야고보서',
+    '1 Peter': '베드로전서',
+    '2 Peter': '베드로후서',
+    '1 John': '요한일서',
+    '2 John': '요한이서',
+    '3 John': '요한삼서',
+    'Jude': '유다서',
+    'Revelation': '요한계시록',
+    'Tobit': '토빗기',
+    'Judith': '유딧기',
+    'Wisdom': '지혜서',
+    'Sirach': '집회서',
+    'Baruch': '바룩서',
+    '1 Maccabees': '마카베오기 상권',
+    '2 Maccabees': '마카베오기 하권'
+  },
+  zh: {
+    'Genesis': '创世记',
+    'Exodus': '出埃及记',
+    'Leviticus': '利未记',
+    'Numbers': '民数记',
+    'Deuteronomy': '申命记',
+    'Joshua': '约书亚记',
+    'Judges': '士师记',
+    'Ruth': '路得记',
+    '1 Samuel': '撒母耳记上',
+    '2 Samuel': '撒母耳记下',
+    '1 Kings': '列王纪上',
+    '2 Kings': '列王纪下',
+    '1 Chronicles': '历代志上',
+    '2 Chronicles': '历代志下',
+    'Ezra': '以斯拉记',
+    'Nehemiah': '尼希米记',
+    'Esther': '以斯帖记',
+    'Job': '约伯记',
+    'Psalms': '诗篇',
+    'Proverbs': '箴言',
+    'Ecclesiastes': '传道书',
+    'Song of Solomon': '雅歌',
+    'Isaiah': '以赛亚书',
+    'Jeremiah': '耶利米书',
+    'Lamentations': '耶利米哀歌',
+    'Ezekiel': '以西结书',
+    'Daniel': '但以理书',
+    'Hosea': '何西阿书',
+    'Joel': '约珥书',
+    'Amos': '阿摩司书',
+    'Obadiah': '俄巴底亚书',
+    'Jonah': '约拿书',
+    'Micah': '弥迦书',
+    'Nahum': '那鸿书',
+    'Habakkuk': '哈巴谷书',
+    'Zephaniah': '西番雅书',
+    'Haggai': '哈该书',
+    'Zechariah': '撒迦利亚书',
+    'Malachi': '玛拉基书',
+    'Matthew': '马太福音',
+    'Mark': '马可福音',
+    'Luke': '路加福音',
+    'John': '约翰福音',
+    'Acts': '使徒行传',
+    'Romans': '罗马书',
+    '1 Corinthians': '哥林多前书',
+    '2 Corinthians': '哥林多后书',
+    'Galatians': '加拉太书',
+    'Ephesians': '以弗所书',
+    'Philippians': '腓立比书',
+    'Colossians': '歌罗西书',
+    '1 Thessalonians': '帖撒罗尼迦前书',
+    '2 Thessalonians': '帖撒罗尼迦后书',
+    '1 Timothy': '提摩太前书',
+    '2 Timothy': '提摩太后书',
+    'Titus': '提多书',
+    'Philemon': '腓利门书',
+    'Hebrews': '希伯来书',
+    'James': '雅各书',
+    '1 Peter': '彼得前书',
+    '2 Peter': '彼得后书',
+    '1 John': '约翰一书',
+    '2 John': '约翰二书',
+    '3 John': '约翰三书',
+    'Jude': '犹大书',
+    'Revelation': '启示录',
+    'Tobit': '多俾亚传',
+    'Judith': '友弟德传',
+    'Wisdom': '智慧篇',
+    'Sirach': '德训篇',
+    'Baruch': '巴路克',
+    '1 Maccabees': '玛加伯上',
+    '2 Maccabees': '玛加伯下'
+  },
+};
+
+// Extra short forms accepted by the quick-entry reference parser (js/reference.js).
+// Names, abbrs and BOOK_NAME_I18N names already match by prefix or by letters in
+// order ("mt", "phm"), so only forms that would otherwise miss or be ambiguous
+// are listed. Spaces and dots are ignored when matching.
+const BOOK_NAME_ALIASES = {
+  'Genesis': ['gn'],
+  'Numbers': ['nm'],
+  'Ruth': ['rt'],
+  'Ecclesiastes': ['qoh'],
+  'Song of Solomon': ['song of songs', 'canticles'],
+  'Daniel': ['dn'],
+  'Micah': ['mc'],
+  'Habakkuk': ['hb'],
+  'John': ['jn'],
+  '1 Thessalonians': ['1ts'],
+  '2 Thessalonians': ['2ts'],
+  'James': ['jm'],
+  'Revelation': ['revelations', 'apocalypse'],
+  'Wisdom': ['wisdom of solomon'],
+  'Sirach': ['ben sira'],
+  'Prayer of Manasseh': ['manasseh'],
 };
 
 // ── api.bible  (https://rest.api.bible — requires API key) ────────────────────
@@ -680,6 +1754,10 @@ const USFM_CODES = {
   'Hebrews':         'HEB', 'James':           'JAS', '1 Peter':         '1PE',
   '2 Peter':         '2PE', '1 John':          '1JN', '2 John':          '2JN',
   '3 John':          '3JN', 'Jude':            'JUD', 'Revelation':      'REV',
+  'Tobit':           'TOB', 'Judith':          'JDT', 'Wisdom':          'WIS',
+  'Sirach':          'SIR', 'Baruch':          'BAR', '1 Maccabees':     '1MA',
+  '2 Maccabees':     '2MA', '1 Esdras':        '1ES', 'Prayer of Manasseh': 'MAN',
+  'Psalm 151':       'PS2', '3 Maccabees':     '3MA',
 };
 
 // Font definitions for the font picker
@@ -723,6 +1801,14 @@ const FONT_OPTIONS = [
   { label: 'Noto Sans Telugu  —  Telugu',            value: "'Noto Sans Telugu', sans-serif",     group: 'Indic Script', weights: [400, 700] },
   { label: 'Noto Sans Malayalam  —  Malayalam',      value: "'Noto Sans Malayalam', sans-serif",  group: 'Indic Script', weights: [400, 700] },
   { label: 'Noto Sans Kannada  —  Kannada',          value: "'Noto Sans Kannada', sans-serif",    group: 'Indic Script', weights: [400, 700] },
+  { label: 'Noto Sans Bengali  —  Bengali',          value: "'Noto Sans Bengali', sans-serif",    group: 'Indic Script', weights: [400, 700] },
+  { label: 'Noto Sans Gujarati  —  Gujarati',        value: "'Noto Sans Gujarati', sans-serif",   group: 'Indic Script', weights: [400, 700] },
+  { label: 'Noto Sans Gurmukhi  —  Punjabi',         value: "'Noto Sans Gurmukhi', sans-serif",   group: 'Indic Script', weights: [400, 700] },
+  { label: 'Noto Sans Oriya  —  Odia',               value: "'Noto Sans Oriya', sans-serif",      group: 'Indic Script', weights: [400, 700] },
+  // ── World Script ───────────────────────────────────────────────────────────
+  { label: 'Noto Nastaliq Urdu  —  Urdu',            value: "'Noto Nastaliq Urdu', serif",        group: 'World Script', weights: [400, 700] },
+  { label: 'Noto Sans KR  —  Korean',                value: "'Noto Sans KR', sans-serif",         group: 'World Script', weights: [400, 700] },
+  { label: 'Noto Sans SC  —  Chinese',               value: "'Noto Sans SC', sans-serif",         group: 'World Script', weights: [400, 700] },
   // ── System / Standard ──────────────────────────────────────────────────────
   { label: 'System UI  —  Default',                  value: 'system-ui',                    group: 'System',        weights: [400, 500, 600, 700, 800, 900] },
   { label: 'Georgia  —  Classic Serif',              value: "'Georgia', serif",             group: 'System',        weights: [400, 700] },
@@ -731,3 +1817,24 @@ const FONT_OPTIONS = [
   { label: 'Trebuchet MS',                           value: "'Trebuchet MS', sans-serif",   group: 'System',        weights: [400, 700] },
   { label: 'Verdana',                                value: "'Verdana', sans-serif",        group: 'System',        weights: [400, 700] },
 ];
+
+// server.js requires the book, translation and provider tables to validate and
+// route /api/passage lookups. Loaded as a <script>, they stay plain globals.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BIBLE_BOOKS,
+    CANONS,
+    VERSIFICATIONS,
+    TRANSLATIONS,
+    BIBLE_API_MAP,
+    BIBLEGATEWAY_MAP,
+    YOUVERSION_MAP,
+    REFERENCE_LANGUAGES,
+    BOOK_NAME_I18N,
+    BOOK_NAME_ALIASES,
+    APIBIBLE_IDS,
+    HELLOAO_MAP,
+    USFM_CODES,
+    FONT_OPTIONS,
+  };
+}
@@ -9,6 +9,9 @@
 const SESSION_ID   = new URLSearchParams(location.search).get('session') || 'default';
 const CHANNEL_NAME = 'reference-overlay-' + SESSION_ID;
 const LS_KEY       = 'referenceOverlayState-' + SESSION_ID;
+// Animated clip export (server.js) drives this page frame by frame, so it
+// must not pick up live state from the session.
+const EXPORT_CLIP  = new URLSearchParams(location.search).has('exportClip');
 
 // DOM refs — standard lower-third structure
 const body     = document.getElementById('output-body');
@@ -19,6 +22,8 @@ const ltLogo   = document.getElementById('lt-logo');
 const ltText   = document.getElementById('lt-text');
 const ltLine1  = document.getElementById('lt-line1');
 const ltLine2  = document.getElementById('lt-line2');
+const ltParallel = document.getElementById('lt-parallel');
+const ltAttribution = document.getElementById('lt-attribution');
 
 // DOM refs — custom template container
 const ltCustomWrap = document.getElementById('lt-custom-wrap');
@@ -34,10 +39,15 @@ const tickerText  = document.getElementById('ticker-text');
 let usingCustomTemplate = false;
 // Tracks the most recently applied settings so showOverlay can access them
 let currentSettings = {};
+// Parallel translation blocks of the overlay on screen (null for a single line 2)
+let currentParallel = null;
 let statePollTimer = null;
 let lastStateUpdatedAt = 0;
+// Reading direction of the overlay on screen ('ltr' | 'rtl')
+let currentDirection = 'ltr';
 
-const FONT_FALLBACK_STACK = "'Noto Sans Devanagari', 'Noto Sans Tamil', 'Noto Sans Telugu', 'Noto Sans Malayalam', 'Noto Sans Kannada', sans-serif";
+const FONT_FALLBACK_STACK = "'Noto Sans Devanagari', 'Noto Sans Tamil', 'Noto Sans Telugu', 'Noto Sans Malayalam', 'Noto Sans Kannada', " +
+  "'Noto Sans Bengali', 'Noto Sans Gujarati', 'Noto Sans Gurmukhi', 'Noto Sans Oriya', 'Noto Nastaliq Urdu', 'Noto Sans KR', 'Noto Sans SC', sans-serif";
 const DEFAULT_TEXT_EFFECTS = {
   line1: { fontWeight: 700, italic: false, fontScale: 1, useCustomColor: false, fontColor: '#ffffff', shadowColor: '#000000', shadowAngle: 120, shadowDepth: 6, shadowBlur: 8, shadowOpacity: 0.85, strokeColor: '#000000', strokeWidth: 0 },
   line2: { fontWeight: 400, italic: false, fontScale: 1, useCustomColor: false, fontColor: '#ffffff', shadowColor: '#000000', shadowAngle: 120, shadowDepth: 4, shadowBlur: 6, shadowOpacity: 0.75, strokeColor: '#000000', strokeWidth: 0 },
@@ -110,7 +120,7 @@ function applyStyleAwareLowerThirdBackground(ltTextEl, settings) {
     const start = hexToRgba(bgColor, Math.max(0, Math.min(1, bgOpacity * 1.05)));
     const mid = hexToRgba(bgColor, Math.max(0, Math.min(1, bgOpacity * 0.72)));
     const end = hexToRgba(bgColor, 0);
-    ltTextEl.style.background = `linear-gradient(90deg, ${start} 0%, ${mid} 62%, ${end} 100%)`;
+    ltTextEl.style.background = `linear-gradient(var(--lt-gradient-dir, to right), ${start} 0%, ${mid} 62%, ${end} 100%)`;
     return;
   }
 
@@ -167,6 +177,79 @@ function applyLineTextEffects(s) {
   }
 }
 
+// Single-line ellipsis or multi-line clamp (line2MaxLines) for a line-2 element
+function applyLine2Clamp(el, s) {
+  const inlineStyle = isInlineLowerThirdStyle(s.style || 'gradient');
+  const multiline = !!s.line2Multiline && !inlineStyle;
+  const maxLines = Math.max(1, Math.min(6, parseInt(s.line2MaxLines || 2, 10)));
+  const hasText = !!(el.textContent || '').trim();
+  el.style.whiteSpace = multiline ? 'normal' : 'nowrap';
+  el.style.overflow = 'hidden';
+  el.style.textOverflow = multiline ? 'clip' : 'ellipsis';
+  el.style.display = !hasText ? 'none' : (multiline ? '-webkit-box' : 'block');
+  el.style.webkitBoxOrient = multiline ? 'vertical' : '';
+  el.style.webkitLineClamp = multiline ? String(maxLines) : '';
+  el.style.lineClamp = multiline ? String(maxLines) : '';
+}
+
+// Parallel translations replace line 2 with one .lt-line2 block per
+// translation, stacked or side by side, each in its own font.
+function renderParallelBlocks(parallel, s) {
+  if (!ltParallel) return;
+  const blocks = parallel?.blocks || [];
+  ltParallel.replaceChildren();
+  ltParallel.className = `lt-parallel layout-${parallel?.layout === 'side-by-side' ? 'side-by-side' : 'stacked'}`;
+  ltParallel.style.display = blocks.length ? '' : 'none';
+  if (!blocks.length) return;
+
+  ltLine2.style.display = 'none';
+  const effect = getLineTextEffect(s, 'line2');
+  blocks.forEach(b => {
+    const el = document.createElement('div');
+    el.className = 'lt-line2 lt-parallel-block';
+    el.lang = b.lang || '';
+    el.dir = 'auto';
+    el.textContent = b.text || '';
+    el.style.fontFamily = resolvedFontFamily(b.font || s.line2Font || s.line1Font || s.font);
+    applyLineEffectToEl(el, effect);
+    el.style.fontSize = ltLine2.style.fontSize;
+    applyLine2Clamp(el, s);
+    ltParallel.appendChild(el);
+  });
+}
+
+// ── Text direction ────────────────────────────────────────────────────────────
+// Mirrors control.js. The control panel sends a resolved data.dir; payloads
+// from the control API may omit it, so fall back to the Text Direction
+// setting and then to the script of the text itself.
+const RTL_CHAR_RE = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/g;
+
+function detectTextDirection(...texts) {
+  const text = texts.filter(Boolean).join(' ');
+  const rtl = (text.match(RTL_CHAR_RE) || []).length;
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  return rtl > letters - rtl ? 'rtl' : 'ltr';
+}
+
+function resolveDataDirection(data, ...texts) {
+  if (data?.dir === 'rtl' || data?.dir === 'ltr') return data.dir;
+  const setting = currentSettings?.textDirection;
+  return setting === 'rtl' || setting === 'ltr' ? setting : detectTextDirection(...texts);
+}
+
+function mirrorTextAlign(align, dir) {
+  if (dir !== 'rtl') return align;
+  return align === 'left' ? 'right' : align === 'right' ? 'left' : align;
+}
+
+function applyTextAlign(s) {
+  if (!ltText) return;
+  const align = mirrorTextAlign(s?.textAlign || 'left', currentDirection);
+  ltText.classList.remove('align-left', 'align-center', 'align-right');
+  ltText.classList.add('align-' + align);
+  ltText.style.textAlign = align;
+}
+
 // ── window.postMessage listener ───────────────────────────────────────────────
 window.addEventListener('message', e => {
   if (e.data && typeof e.data === 'object' && e.data.action) {
@@ -204,6 +287,7 @@ window.addEventListener('DOMContentLoaded', () => {
   if (titleEl) titleEl.textContent = 'Output — #' + SESSION_ID;
 
   applyInitialSettings();
+  if (EXPORT_CLIP) return;
   restoreLastState();
   initWebSocket();
   startStatePolling();
@@ -235,10 +319,13 @@ function handleMessage(msg) {
 // ── Show / Hide ───────────────────────────────────────────────────────────────
 function showOverlay(data) {
   if (!data) return;
+  const line2Text = data.parallel?.blocks ? data.parallel.blocks.map(b => b.text).join(' ') : data.line2;
+  currentDirection = resolveDataDirection(data, data.line1, line2Text);
 
   if (usingCustomTemplate) {
     // Substitute template variables and inject into custom container
     renderCustomTemplate(currentSettings, data);
+    ltCustom.dir = currentDirection;
     ltCustomWrap.classList.remove('visible');
     void ltCustomWrap.offsetWidth;   // force reflow so transition fires
     ltCustomWrap.classList.add('visible');
@@ -252,6 +339,14 @@ function showOverlay(data) {
       const multiline = !!currentSettings?.line2Multiline && !inlineStyle;
       ltLine2.style.display = multiline ? '-webkit-box' : 'block';
     }
+    currentParallel = data.parallel || null;
+    renderParallelBlocks(currentParallel, currentSettings);
+    if (ltAttribution) {
+      ltAttribution.textContent   = data.attribution || '';
+      ltAttribution.style.display = data.attribution ? '' : 'none';
+    }
+    ltRoot.dir = currentDirection;
+    applyTextAlign(currentSettings);
     ltRoot.classList.remove('visible');
     void ltRoot.offsetWidth;
     ltRoot.classList.add('visible');
@@ -291,6 +386,9 @@ function showTicker(data) {
   tickerWrap.classList.remove('pos-top');
   if (data.position === 'top') tickerWrap.classList.add('pos-top');
 
+  // RTL mirrors the badge to the right and crawls the text left → right
+  tickerWrap.dir = resolveDataDirection(data, data.message);
+
   // Set text content and restart scroll animation
   tickerText.classList.remove('running');
   tickerText.textContent = data.message || '';
@@ -376,12 +474,8 @@ function applySettings(s) {
   if (tickerText)  tickerText.style.fontFamily  = line1Font;
   if (tickerBadge) tickerBadge.style.fontFamily = line1Font;
 
-  // ── Text alignment ────────────────────────────────────────────────────────
-  if (ltText) {
-    ltText.classList.remove('align-left', 'align-center', 'align-right');
-    ltText.classList.add('align-' + (s.textAlign || 'left'));
-    ltText.style.textAlign = s.textAlign || 'left';
-  }
+  // ── Text alignment (mirrored for RTL content) ─────────────────────────────
+  applyTextAlign(s);
   applyLineTextEffects(s);
 
   if (ltText) {
@@ -392,19 +486,8 @@ function applySettings(s) {
     ltRoot.style.width = `${ltWidth}%`;
     ltRoot.style.maxWidth = '100%';
   }
-  if (ltLine2) {
-    const inlineStyle = isInlineLowerThirdStyle(s.style || 'gradient');
-    const multiline = !!s.line2Multiline && !inlineStyle;
-    const maxLines = Math.max(1, Math.min(6, parseInt(s.line2MaxLines || 2, 10)));
-    const hasLine2 = !!(ltLine2.textContent || '').trim();
-    ltLine2.style.whiteSpace = multiline ? 'normal' : 'nowrap';
-    ltLine2.style.overflow = 'hidden';
-    ltLine2.style.textOverflow = multiline ? 'clip' : 'ellipsis';
-    ltLine2.style.display = !hasLine2 ? 'none' : (multiline ? '-webkit-box' : 'block');
-    ltLine2.style.webkitBoxOrient = multiline ? 'vertical' : '';
-    ltLine2.style.webkitLineClamp = multiline ? String(maxLines) : '';
-    ltLine2.style.lineClamp = multiline ? String(maxLines) : '';
-  }
+  if (ltLine2) applyLine2Clamp(ltLine2, s);
+  renderParallelBlocks(currentParallel, s);
 
   // ── Lower third background image ──────────────────────────────────────────
   if (s.ltBgImage) {
@@ -474,6 +557,8 @@ function substituteVars(str, s, data) {
   return str
     .replace(/\{\{line1\}\}/g,       (data && data.line1)  ? escapeHtml(data.line1)  : '')
     .replace(/\{\{line2\}\}/g,       (data && data.line2)  ? escapeHtml(data.line2)  : '')
+    .replace(/\{\{attribution\}\}/g, (data && data.attribution) ? escapeHtml(data.attribution) : '')
+    .replace(/\{\{credits\}\}/g,     (data && data.credits) ? escapeHtml(data.credits) : '')
     .replace(/\{\{accentColor\}\}/g, s.accentColor  || '#C8A951')
     .replace(/\{\{font\}\}/g,        line1Font)
     .replace(/\{\{line1Font\}\}/g,   line1Font)
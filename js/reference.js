@@ -0,0 +1,417 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// reference.js  –  Bible reference model and quick-entry parser (shared by control.js and server.js)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// A reference is a list of segments { c1, v1, c2, v2 }: an inclusive span from
+// chapter c1 verse v1 to chapter c2 verse v2 within one book. A single verse
+// has c1 === c2 and v1 === v2.
+//
+// Verse(s) field grammar — bare numbers belong to the selected chapter:
+//   19 · 19-21 · 19, 22 · 19-21, 25     verses in the current chapter
+//   36-4:2                              range running into a later chapter
+//   28; 12:1-2                          semicolon starts another passage
+//   3:16                                explicit chapter, anywhere
+
+function parseReferenceSegments(raw, defaultChapter) {
+  // Strip trailing separator characters before parsing
+  const str = String(raw || '').trim().replace(/[–—]/g, '-').replace(/[-,;:.\s]+$/, '');
+  if (!str) return { segments: [], error: null };
+
+  let chapter = parseInt(defaultChapter, 10) || null;
+  const segments = [];
+
+  for (const passage of str.split(';').map(s => s.trim()).filter(Boolean)) {
+    for (const item of passage.split(',').map(s => s.trim()).filter(Boolean)) {
+      const m = /^(?:(\d+)\s*:\s*)?(\d+)(?:\s*-\s*(?:(\d+)\s*:\s*)?(\d+))?$/.exec(item);
+      if (!m) return { segments: [], error: `Invalid reference: "${item}"` };
+      if (m[1]) chapter = parseInt(m[1], 10);
+      if (!chapter) return { segments: [], error: `Missing chapter in "${item}"` };
+
+      const c1 = chapter;
+      const v1 = parseInt(m[2], 10);
+      const c2 = m[3] ? parseInt(m[3], 10) : c1;
+      const v2 = m[4] ? parseInt(m[4], 10) : v1;
+      if (c1 <= 0 || c2 <= 0 || v1 <= 0 || v2 <= 0) {
+        return { segments: [], error: 'Chapter and verse numbers must be ≥ 1' };
+      }
+      if (c2 < c1) return { segments: [], error: `Range start (${c1}:${v1}) must not exceed end (${c2}:${v2})` };
+      if (c2 === c1 && v2 < v1) return { segments: [], error: `Range start (${v1}) must not exceed end (${v2})` };
+
+      segments.push({ c1, v1, c2, v2 });
+      chapter = c2;
+    }
+  }
+  return { segments, error: null };
+}
+
+// Walk segments in order against BIBLE_BOOKS counts; stop (and clamp the range
+// end) at the first chapter or verse that does not exist.
+// Returns { valid, clipped, excess } where excess = { chapter, verse, max } —
+// verse is null when the chapter itself is past the end of the book.
+function sanitiseReferenceSegments(segments, bookObj) {
+  if (!bookObj || !Array.isArray(bookObj.verses)) return { valid: segments, clipped: false, excess: null };
+  const maxChapter = bookObj.maxChapters || bookObj.verses.length;
+  const maxVerse = c => bookObj.verses[c - 1] || 0;
+  const valid = [];
+
+  for (const seg of segments) {
+    if (seg.c1 > maxChapter) {
+      return { valid, clipped: true, excess: { chapter: seg.c1, verse: null, max: maxChapter } };
+    }
+    if (seg.v1 > maxVerse(seg.c1)) {
+      return { valid, clipped: true, excess: { chapter: seg.c1, verse: seg.v1, max: maxVerse(seg.c1) } };
+    }
+    if (seg.c2 > maxChapter) {
+      valid.push({ c1: seg.c1, v1: seg.v1, c2: maxChapter, v2: maxVerse(maxChapter) });
+      return { valid, clipped: true, excess: { chapter: seg.c2, verse: null, max: maxChapter } };
+    }
+    if (seg.v2 > maxVerse(seg.c2)) {
+      valid.push({ c1: seg.c1, v1: seg.v1, c2: seg.c2, v2: maxVerse(seg.c2) });
+      return { valid, clipped: true, excess: { chapter: seg.c2, verse: seg.v2, max: maxVerse(seg.c2) } };
+    }
+    valid.push(seg);
+  }
+  return { valid, clipped: false, excess: null };
+}
+
+// "3:16–18", "3:36–4:2", "8:28; 12:1–2". The chapter is written whenever it
+// changes, so the result is unambiguous without the chapter dropdown.
+// style.separator ('.' or ',') replaces the colon; with ',' verse lists are
+// joined by '.' as in European citations ("3,16–18.20"). style.verseLabel
+// writes references within one chapter as "3 v. 16" / "3 vv. 16–18".
+function formatReferenceSegments(segments, dash = '–', style = {}) {
+  const sep = style.separator || ':';
+  const list = sep === ',' ? '.' : ', ';
+  if (style.verseLabel && segments.length && segments.every(s => s.c1 === segments[0].c1 && s.c2 === s.c1)) {
+    const verses = segments.map(s => (s.v2 !== s.v1 ? `${s.v1}${dash}${s.v2}` : String(s.v1)));
+    const single = segments.length === 1 && segments[0].v1 === segments[0].v2;
+    return `${segments[0].c1} ${single ? 'v.' : 'vv.'} ${verses.join(list)}`;
+  }
+  let out = '';
+  let chapter = null;
+  segments.forEach((s, i) => {
+    const newChapter = s.c1 !== chapter;
+    if (i > 0) out += newChapter ? '; ' : list;
+    out += newChapter ? `${s.c1}${sep}${s.v1}` : String(s.v1);
+    if (s.c2 !== s.c1) out += `${dash}${s.c2}${sep}${s.v2}`;
+    else if (s.v2 !== s.v1) out += `${dash}${s.v2}`;
+    chapter = s.c2;
+  });
+  return out;
+}
+
+// Expand segments into per-chapter verse lists, in reading order:
+//   [{ chapter, verses: [n, …] }, …]
+function expandReferenceSegments(segments, bookObj) {
+  const groups = [];
+  const maxVerse = c => (bookObj && Array.isArray(bookObj.verses) ? bookObj.verses[c - 1] : 0) || 0;
+  const push = (chapter, verse) => {
+    let group = groups[groups.length - 1];
+    if (!group || group.chapter !== chapter) {
+      group = { chapter, verses: [] };
+      groups.push(group);
+    }
+    if (!group.verses.includes(verse)) group.verses.push(verse);
+  };
+  for (const s of segments) {
+    for (let c = s.c1; c <= s.c2; c++) {
+      const from = c === s.c1 ? s.v1 : 1;
+      const to = c === s.c2 ? s.v2 : maxVerse(c);
+      for (let v = from; v <= to; v++) push(c, v);
+    }
+  }
+  return groups;
+}
+
+function countReferenceVerses(segments, bookObj) {
+  return expandReferenceSegments(segments, bookObj).reduce((n, g) => n + g.verses.length, 0);
+}
+
+// The verse after (delta > 0) or before chapter:verse, crossing chapter
+// boundaries with bookObj's verse counts; null past either end of the book.
+function adjacentVerse(bookObj, chapter, verse, delta) {
+  const counts = bookObj && Array.isArray(bookObj.verses) ? bookObj.verses : [];
+  const maxChapter = (bookObj && bookObj.maxChapters) || counts.length;
+  if (delta > 0) {
+    if (verse < (counts[chapter - 1] || 0)) return { chapter, verse: verse + 1 };
+    return chapter < maxChapter ? { chapter: chapter + 1, verse: 1 } : null;
+  }
+  if (verse > 1) return { chapter, verse: verse - 1 };
+  return chapter > 1 ? { chapter: chapter - 1, verse: counts[chapter - 2] || 1 } : null;
+}
+
+// ── Quick-entry parser ───────────────────────────────────────────────────────
+// Free text such as "jn 3 16-18 niv", "1cor13:4", "Ps 23", "Jude 5" or a
+// BOOK_NAME_I18N name ("यूहन्ना 3:16"). Books resolve against BIBLE_BOOKS names
+// and abbrs, BOOK_NAME_ALIASES and every BOOK_NAME_I18N language; a trailing
+// TRANSLATIONS abbr ("niv", "(KJV)") selects the translation.
+const REFERENCE_DATA = (typeof module !== 'undefined' && module.exports)
+  ? require('./data.js')
+  : { BIBLE_BOOKS, TRANSLATIONS, VERSIFICATIONS, BOOK_NAME_I18N, BOOK_NAME_ALIASES };
+
+const QUICK_REF_MAX_SUGGESTIONS = 8;
+const QUICK_REF_ORDINALS = { i: '1', ii: '2', iii: '3', first: '1', second: '2', third: '3' };
+let quickRefBookKeys = null;
+
+function normaliseBookKey(str) {
+  return String(str || '').normalize('NFC').toLowerCase().replace(/[\s.]+/g, '');
+}
+
+// [{ book, keys, localKeys }] in canonical order, built on first use. keys are
+// the normalised English name, abbr and aliases; localKeys the BOOK_NAME_I18N
+// names. Names ending in a number ("Psalm 151") cannot be typed ahead of a
+// chapter, and would make "ps" ambiguous, so they are left out.
+function getQuickRefBookKeys() {
+  if (quickRefBookKeys) return quickRefBookKeys;
+  const { BIBLE_BOOKS, BOOK_NAME_I18N, BOOK_NAME_ALIASES } = REFERENCE_DATA;
+  const toKeys = names => [...new Set(names.map(normaliseBookKey).filter(key => key && !/\d$/.test(key)))];
+  quickRefBookKeys = BIBLE_BOOKS.map(book => {
+    const keys = toKeys([book.name, book.abbr, ...(BOOK_NAME_ALIASES[book.name] || [])]);
+    const localKeys = toKeys(Object.values(BOOK_NAME_I18N).map(map => map[book.name]).filter(Boolean))
+      .filter(key => !keys.includes(key));
+    return { book, keys, localKeys };
+  }).filter(entry => entry.keys.length || entry.localKeys.length);
+  return quickRefBookKeys;
+}
+
+// 4 exact · 3 prefix · 2 prefix of a numbered book without its number
+// ("cor" → 1/2 Corinthians) · 1 letters in order ("hbk" → Habakkuk) · 0 none
+function scoreBookKey(input, key) {
+  if (key === input) return 4;
+  if (input.length >= 2 && key.startsWith(input)) return 3;
+  if (/^\d/.test(key) && !/^\d/.test(input) && input.length >= 2 && key.slice(1).startsWith(input)) return 2;
+  if (input.length >= 2 && key[0] === input[0]) {
+    let i = 0;
+    for (const ch of key) if (ch === input[i]) i++;
+    if (i === input.length) return 1;
+  }
+  return 0;
+}
+
+// Best-scoring books for free book text; more than one means ambiguous. An
+// English name beats a localized one of the same strength, so "he" stays
+// Hebrews instead of also offering Hechos (Acts).
+function matchBookName(text) {
+  const input = normaliseBookKey(text);
+  if (!input) return [];
+  const weigh = (key, bonus) => {
+    const score = scoreBookKey(input, key);
+    return score ? score * 2 + bonus : 0;
+  };
+  let best = 0;
+  let matches = [];
+  for (const { book, keys, localKeys } of getQuickRefBookKeys()) {
+    const score = Math.max(0, ...keys.map(key => weigh(key, 1)), ...localKeys.map(key => weigh(key, 0)));
+    if (!score || score < best) continue;
+    if (score > best) { best = score; matches = []; }
+    matches.push(book);
+  }
+  return matches;
+}
+
+function findTranslationAbbr(token) {
+  const wanted = String(token || '').replace(/^[([]|[)\]]$/g, '').toUpperCase();
+  if (!wanted || /^\d+$/.test(wanted)) return null;
+  const hit = REFERENCE_DATA.TRANSLATIONS.find(t => t.abbr.toUpperCase() === wanted);
+  return hit ? hit.abbr : null;
+}
+
+// Returns null for empty input, otherwise
+//   { book, chapter, verses, segments, translation, candidates, numbers, text, error }
+// book is a BIBLE_BOOKS name once resolved; candidates lists every book that
+// matched (length > 1 when ambiguous). numbers is the chapter/verse part as
+// typed, verses the part after the chapter ("16-18", "36-4:2"); text is the
+// reference without a translation ("John 3:16–18"). Chapters and verses are
+// checked in the versification of the typed translation, else of
+// defaultTranslation (the one currently selected).
+function parseQuickReference(input, defaultTranslation) {
+  let str = String(input || '').normalize('NFC').trim().replace(/[–—]/g, '-').replace(/\s+/g, ' ');
+  if (!str) return null;
+
+  const result = { book: null, chapter: null, verses: '', segments: [], translation: null, candidates: [], numbers: '', text: '', error: null };
+
+  // Trailing translation abbreviation
+  const words = str.split(' ');
+  if (words.length > 1) {
+    const abbr = findTranslationAbbr(words[words.length - 1]);
+    if (abbr) {
+      result.translation = abbr;
+      str = words.slice(0, -1).join(' ');
+    }
+  }
+
+  // [ordinal] book-name [numbers]
+  const m = /^(?:([1-3])\s*|(i{1,3}|first|second|third)\s+)?([^\d]+?)\s*(\d[\d\s:.,;-]*)?$/i.exec(str);
+  if (!m) {
+    result.error = 'Start with a book name, e.g. "jn 3:16"';
+    return result;
+  }
+  const ordinal = m[1] || QUICK_REF_ORDINALS[(m[2] || '').toLowerCase()] || '';
+  result.candidates = matchBookName(ordinal + m[3]).map(b => b.name);
+  if (!result.candidates.length) {
+    result.error = `Unknown book: "${(ordinal ? ordinal + ' ' : '') + m[3].trim()}"`;
+    return result;
+  }
+  if (result.candidates.length > 1) {
+    result.error = `Ambiguous book: ${result.candidates.slice(0, 3).join(', ')}${result.candidates.length > 3 ? '…' : ''}`;
+  }
+
+  const book = getVersifiedBook(
+    REFERENCE_DATA.BIBLE_BOOKS.find(b => b.name === result.candidates[0]),
+    getTranslationVersification(result.translation || defaultTranslation)
+  );
+  // "3.16" → "3:16"; the chapter ends at the first ":" or space.
+  const numbers = (m[4] || '').trim().replace(/(\d)\s*\.\s*(\d)/g, '$1:$2').replace(/[-,;:.\s]+$/, '');
+  result.numbers = numbers;
+  let chapterText = '';
+  if (!numbers) {
+    chapterText = '';
+  } else if (book.maxChapters === 1 && !numbers.includes(':')) {
+    // Single-chapter books: "Jude 5" / "Jude 3-5" are verses
+    chapterText = '1';
+    result.verses = numbers;
+  } else {
+    const nm = /^(\d+)(?:\s*:\s*|\s+)(\S.*)$/.exec(numbers);
+    if (nm) {
+      chapterText = nm[1];
+      result.verses = nm[2].trim();
+    } else if (/^\d+$/.test(numbers)) {
+      chapterText = numbers;
+    } else {
+      result.error = result.error || `Invalid chapter/verse: "${numbers}"`;
+      return result;
+    }
+  }
+  if (result.error) return result;
+  result.book = book.name;
+
+  if (chapterText) {
+    const chapter = parseInt(chapterText, 10);
+    if (chapter < 1 || chapter > book.maxChapters) {
+      result.error = `${book.name} has chapters 1-${book.maxChapters}`;
+      return result;
+    }
+    result.chapter = chapter;
+  }
+
+  if (result.verses) {
+    const parsed = parseReferenceSegments(result.verses, result.chapter);
+    if (parsed.error) {
+      result.error = parsed.error;
+      return result;
+    }
+    const { valid, excess } = sanitiseReferenceSegments(parsed.segments, book);
+    if (!valid.length) {
+      result.error = excess && excess.verse != null
+        ? `${book.name} ${excess.chapter} has ${excess.max} verses`
+        : `${book.name} has chapters 1-${book.maxChapters}`;
+      return result;
+    }
+    result.segments = valid;
+  }
+
+  result.text = result.segments.length
+    ? `${book.name} ${formatReferenceSegments(result.segments)}`
+    : result.chapter ? `${book.name} ${result.chapter}` : book.name;
+  return result;
+}
+
+// Dropdown entries for a parse result: one per candidate book, each with
+// quick-entry text that resolves to that book unambiguously.
+function getQuickReferenceSuggestions(parsed) {
+  if (!parsed || !parsed.candidates.length) return [];
+  const tail = (parsed.numbers ? ' ' + parsed.numbers : '') + (parsed.translation ? ' ' + parsed.translation : '');
+  return parsed.candidates.slice(0, QUICK_REF_MAX_SUGGESTIONS).map(name => ({ book: name, text: name + tail }));
+}
+
+// ── Versification ────────────────────────────────────────────────────────────
+// A reference is numbered in the VERSIFICATIONS scheme of its translation. Per
+// book and scheme a table is built from the English counts in BIBLE_BOOKS:
+// English verse → scheme verse, the inverse, and the scheme's own verse counts.
+// Conversions between two schemes go through English.
+const versificationTables = new Map(); // 'scheme|book' -> table | null
+
+function getTranslationVersification(abbr) {
+  const scheme = REFERENCE_DATA.TRANSLATIONS.find(t => t.abbr === abbr)?.versification;
+  return REFERENCE_DATA.VERSIFICATIONS[scheme] ? scheme : 'english';
+}
+
+function getVersificationTable(bookObj, scheme) {
+  const rules = bookObj && REFERENCE_DATA.VERSIFICATIONS[scheme]?.rules[bookObj.name];
+  const english = rules && REFERENCE_DATA.BIBLE_BOOKS.find(b => b.name === bookObj.name);
+  if (!english) return null;
+  const key = `${scheme}|${english.name}`;
+  if (versificationTables.has(key)) return versificationTables.get(key);
+
+  const toScheme = new Map();
+  const toEnglish = new Map();
+  const verses = [];
+  english.verses.forEach((count, i) => {
+    const chapter = i + 1;
+    for (let verse = 1; verse <= count; verse++) {
+      const rule = rules.find(r => r[0] === chapter && verse >= r[1] && (r[2] == null || verse <= r[2]));
+      const to = rule ? { chapter: rule[3], verse: rule[4] + verse - rule[1] } : { chapter, verse };
+      toScheme.set(`${chapter}:${verse}`, to);
+      // Two English verses can share one scheme verse (a split verse); the first wins.
+      if (!toEnglish.has(`${to.chapter}:${to.verse}`)) toEnglish.set(`${to.chapter}:${to.verse}`, { chapter, verse });
+      verses[to.chapter - 1] = Math.max(verses[to.chapter - 1] || 0, to.verse);
+    }
+  });
+  const table = { toScheme, toEnglish, verses: Array.from(verses, n => n || 0) };
+  versificationTables.set(key, table);
+  return table;
+}
+
+// bookObj with maxChapters / verses in the scheme's numbering.
+function getVersifiedBook(bookObj, scheme) {
+  const table = getVersificationTable(bookObj, scheme);
+  return table ? { ...bookObj, maxChapters: table.verses.length, verses: table.verses } : bookObj;
+}
+
+// One verse from one scheme's numbering to another's. A scheme verse with no
+// English counterpart (a numbered psalm title) takes the next verse in its
+// chapter, or the last one before it.
+function convertVerse(bookObj, chapter, verse, fromScheme, toScheme) {
+  if (fromScheme === toScheme) return { chapter, verse };
+  let english = { chapter, verse };
+  const from = getVersificationTable(bookObj, fromScheme);
+  if (from) {
+    const max = from.verses[chapter - 1] || 0;
+    english = from.toEnglish.get(`${chapter}:${verse}`) || null;
+    for (let v = verse + 1; !english && v <= max; v++) english = from.toEnglish.get(`${chapter}:${v}`) || null;
+    for (let v = verse - 1; !english && v >= 1; v--) english = from.toEnglish.get(`${chapter}:${v}`) || null;
+    if (!english) english = { chapter, verse };
+  }
+  const to = getVersificationTable(bookObj, toScheme);
+  return (to && to.toScheme.get(`${english.chapter}:${english.verse}`)) || english;
+}
+
+// Segments renumbered end-point by end-point; every scheme keeps reading
+// order, so a range stays a range.
+function convertReferenceSegments(segments, bookObj, fromScheme, toScheme) {
+  if (fromScheme === toScheme) return segments;
+  return segments.map(s => {
+    const start = convertVerse(bookObj, s.c1, s.v1, fromScheme, toScheme);
+    const end = convertVerse(bookObj, s.c2, s.v2, fromScheme, toScheme);
+    return { c1: start.chapter, v1: start.verse, c2: end.chapter, v2: end.verse };
+  });
+}
+
+// server.js parses /api/passage and service-pack references with the same
+// functions as the control page, so both accept exactly the same input.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseReferenceSegments,
+    sanitiseReferenceSegments,
+    formatReferenceSegments,
+    expandReferenceSegments,
+    countReferenceVerses,
+    adjacentVerse,
+    getTranslationVersification,
+    getVersifiedBook,
+    convertVerse,
+    convertReferenceSegments,
+    parseQuickReference,
+    getQuickReferenceSuggestions,
+  };
+}
@@ -0,0 +1,65 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// atem-png-variants.js  —  ATEM export variants from one straight-alpha frame
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Decodes a rendered frame once and derives every published variant from that
+// one pixel array:
+//   straight       the frame as rendered
+//   premultiplied  RGB scaled by alpha (ATEM production use)
+//   fill           the overlay premultiplied onto black, fully opaque
+//   key            alpha as an opaque grayscale matte (keep "Pre Multiplied Key" on)
+//
+// Encoding three 1080p–4K PNGs takes seconds, so server.js runs this file as a
+// worker thread and the HTTP/WebSocket loop never waits on pngjs.
+
+'use strict';
+
+const { isMainThread, parentPort } = require('worker_threads');
+const { PNG } = require('pngjs');
+
+function buildAtemVariantPngs(straightBuffer) {
+  const src = PNG.sync.read(straightBuffer);
+  const { width, height } = src;
+  const premultiplied = new PNG({ width, height });
+  const fill = new PNG({ width, height });
+  const key = new PNG({ width, height });
+  const data = src.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3];
+    const r = a === 255 ? data[i] : Math.round((data[i] * a) / 255);
+    const g = a === 255 ? data[i + 1] : Math.round((data[i + 1] * a) / 255);
+    const b = a === 255 ? data[i + 2] : Math.round((data[i + 2] * a) / 255);
+    premultiplied.data[i] = r;
+    premultiplied.data[i + 1] = g;
+    premultiplied.data[i + 2] = b;
+    premultiplied.data[i + 3] = a;
+    fill.data[i] = r;
+    fill.data[i + 1] = g;
+    fill.data[i + 2] = b;
+    fill.data[i + 3] = 255;
+    key.data[i] = a;
+    key.data[i + 1] = a;
+    key.data[i + 2] = a;
+    key.data[i + 3] = 255;
+  }
+  return {
+    width,
+    height,
+    premultiplied: PNG.sync.write(premultiplied),
+    fill: PNG.sync.write(fill),
+    key: PNG.sync.write(key),
+  };
+}
+
+if (!isMainThread && parentPort) {
+  parentPort.on('message', ({ id, png }) => {
+    try {
+      const result = buildAtemVariantPngs(Buffer.from(png));
+      parentPort.postMessage({ id, result });
+    } catch (err) {
+      parentPort.postMessage({ id, error: err && err.message ? err.message : String(err) });
+    }
+  });
+}
+
+module.exports = { buildAtemVariantPngs };
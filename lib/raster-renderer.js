@@ -0,0 +1,1400 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// raster-renderer.js  —  Software renderer for ATEM exports without Chromium
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Draws the built-in lower-third styles and the ticker into a straight-alpha
+// PNG, the same form as a Chromium screenshot of output.html:
+//   fonts        TrueType outlines read from disk, indexed by family/weight/style
+//   rasterizer   antialiased path filling and text runs on a premultiplied canvas
+//   layouts      lower thirds and ticker laid out like output.css
+//
+// Rasterizing a 1080p frame takes most of a second, so server.js runs this file
+// as a worker thread (workerData: { fontDir }). The worker indexes fonts as
+// soon as it starts, and the HTTP/WebSocket loop never waits on a render.
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const { PNG } = require('pngjs');
+
+const ROOT = path.join(__dirname, '..');
+
+// ── Software Renderer: TrueType Fonts ─────────────────────────────────────────
+// Without Chromium, ATEM exports are drawn by the pure-Node renderer below. It
+// reads TrueType fonts (glyf outlines; .ttf, .ttc and TrueType-flavoured .otf)
+// from RASTER_FONT_DIR, the bundled assets/fonts and the usual system font
+// folders. Fonts are indexed by family, weight and style from their name and
+// OS/2 tables; a face is only loaded in full once text needs it. There is no
+// shaping or kerning, so joined scripts (Arabic, Indic) do not render correctly.
+const RASTER_FONT_EXTENSIONS = new Set(['.ttf', '.otf', '.ttc']);
+const RASTER_FONT_MAX_FILES = 4000;
+const RASTER_GENERIC_FAMILIES = {
+  serif: ['DejaVu Serif', 'Liberation Serif', 'Noto Serif', 'Times New Roman'],
+  'sans-serif': ['DejaVu Sans', 'Liberation Sans', 'Noto Sans', 'Arial', 'Helvetica'],
+  'system-ui': ['DejaVu Sans', 'Liberation Sans', 'Noto Sans', 'Segoe UI', 'Arial'],
+  monospace: ['DejaVu Sans Mono', 'Liberation Mono', 'Noto Sans Mono', 'Courier New'],
+  cursive: ['DejaVu Sans', 'Liberation Sans', 'Noto Sans'],
+};
+// Mirrors FONT_FALLBACK_STACK in js/output.js, so Indic, Urdu, Korean and Chinese
+// text picks the same families when their fonts are installed.
+const RASTER_FALLBACK_FAMILIES = [
+  'Noto Sans Devanagari', 'Noto Sans Tamil', 'Noto Sans Telugu', 'Noto Sans Malayalam', 'Noto Sans Kannada',
+  'Noto Sans Bengali', 'Noto Sans Gujarati', 'Noto Sans Gurmukhi', 'Noto Sans Oriya', 'Noto Nastaliq Urdu',
+  'Noto Sans KR', 'Noto Sans SC', 'DejaVu Sans',
+];
+let rasterFontDirSetting = '';        // RASTER_FONT_DIR, set by configureRasterFonts()
+let rasterFontIndex = null;           // [{ file, offset, family, weight, italic }]
+const rasterFonts = new Map();        // "file#offset" -> parsed face (null when unreadable)
+const rasterFontStacks = new Map();   // CSS font-family + weight + style -> faces
+
+// Extra font folders (path.delimiter-separated). Resets the index, so call it
+// before the first render.
+function configureRasterFonts(fontDir) {
+  rasterFontDirSetting = String(fontDir || '').trim();
+  rasterFontIndex = null;
+  rasterFonts.clear();
+  rasterFontStacks.clear();
+}
+
+function getRasterFontDirs() {
+  return [
+    ...rasterFontDirSetting.split(path.delimiter).filter(Boolean).map(dir => path.resolve(dir)),
+    path.join(ROOT, 'assets', 'fonts'),
+    '/usr/share/fonts',
+    '/usr/local/share/fonts',
+    path.join(os.homedir(), '.fonts'),
+    path.join(os.homedir(), '.local', 'share', 'fonts'),
+    '/Library/Fonts',
+    '/System/Library/Fonts',
+    path.join(process.env.WINDIR || 'C:\\Windows', 'Fonts'),
+  ];
+}
+
+function listRasterFontFiles(dir, depth, out) {
+  if (depth > 4 || out.length >= RASTER_FONT_MAX_FILES) return;
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (_) {
+    return;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) listRasterFontFiles(full, depth + 1, out);
+    else if (RASTER_FONT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) out.push(full);
+    if (out.length >= RASTER_FONT_MAX_FILES) return;
+  }
+}
+
+function readFontBytes(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  const read = fs.readSync(fd, buf, 0, length, position);
+  return read === length ? buf : buf.subarray(0, read);
+}
+
+function readFontTableDirectory(buf, offset) {
+  const tables = {};
+  const count = buf.readUInt16BE(offset + 4);
+  for (let i = 0; i < count; i++) {
+    const rec = offset + 12 + i * 16;
+    tables[buf.toString('latin1', rec, rec + 4)] = { offset: buf.readUInt32BE(rec + 8), length: buf.readUInt32BE(rec + 12) };
+  }
+  return tables;
+}
+
+// Family name from the name table: typographic family (16) first, then family (1).
+function readFontFamilyName(buf) {
+  const count = buf.readUInt16BE(2);
+  const stringsAt = buf.readUInt16BE(4);
+  const found = {};
+  for (let i = 0; i < count; i++) {
+    const rec = 6 + i * 12;
+    const platform = buf.readUInt16BE(rec);
+    const nameId = buf.readUInt16BE(rec + 6);
+    if ((nameId !== 1 && nameId !== 16) || found[nameId]) continue;
+    const length = buf.readUInt16BE(rec + 8);
+    const start = stringsAt + buf.readUInt16BE(rec + 10);
+    if (start + length > buf.length) continue;
+    if (platform === 3 || platform === 0) {
+      const swapped = Buffer.from(buf.subarray(start, start + length)).swap16();
+      found[nameId] = swapped.toString('utf16le');
+    } else if (platform === 1) {
+      found[nameId] = buf.toString('latin1', start, start + length);
+    }
+  }
+  return (found[16] || found[1] || '').trim();
+}
+
+function readFontFaceInfo(fd, file, offset) {
+  const head = readFontBytes(fd, offset, 12);
+  if (head.length < 12) return null;
+  const dir = readFontBytes(fd, offset, 12 + head.readUInt16BE(4) * 16);
+  const tables = readFontTableDirectory(dir, 0);
+  const required = ['head', 'hhea', 'maxp', 'cmap', 'hmtx', 'loca', 'glyf', 'name'];
+  if (required.some(tag => !tables[tag])) return null;
+  const family = readFontFamilyName(readFontBytes(fd, tables.name.offset, tables.name.length));
+  if (!family) return null;
+  let weight = 400;
+  let italic = false;
+  if (tables['OS/2']) {
+    const os2 = readFontBytes(fd, tables['OS/2'].offset, 64);
+    weight = os2.readUInt16BE(4) || 400;
+    italic = !!(os2.readUInt16BE(62) & 1);
+  } else {
+    const macStyle = readFontBytes(fd, tables.head.offset + 44, 2).readUInt16BE(0);
+    weight = macStyle & 1 ? 700 : 400;
+    italic = !!(macStyle & 2);
+  }
+  return { file, offset, family, weight, italic };
+}
+
+function getRasterFontIndex() {
+  if (rasterFontIndex) return rasterFontIndex;
+  const files = [];
+  getRasterFontDirs().forEach(dir => listRasterFontFiles(dir, 0, files));
+  rasterFontIndex = [];
+  files.forEach(file => {
+    let fd = null;
+    try {
+      fd = fs.openSync(file, 'r');
+      const sig = readFontBytes(fd, 0, 12);
+      const offsets = sig.toString('latin1', 0, 4) === 'ttcf'
+        ? Array.from({ length: sig.readUInt32BE(8) }, (_, i) => readFontBytes(fd, 12 + i * 4, 4).readUInt32BE(0))
+        : [0];
+      offsets.forEach(offset => {
+        const info = readFontFaceInfo(fd, file, offset);
+        if (info) rasterFontIndex.push(info);
+      });
+    } catch (_) {} finally {
+      if (fd !== null) {
+        try { fs.closeSync(fd); } catch (_) {}
+      }
+    }
+  });
+  if (!rasterFontIndex.length) {
+    console.warn('  ⚠  Software renderer found no TrueType fonts; text will not be drawn (add .ttf files to assets/fonts or RASTER_FONT_DIR).');
+  }
+  return rasterFontIndex;
+}
+
+// cmap lookup for format 4 (BMP) and format 12 (full Unicode) subtables.
+function buildFontCmap(buf, cmapOffset) {
+  const count = buf.readUInt16BE(cmapOffset + 2);
+  let best = null;
+  let bestRank = 0;
+  for (let i = 0; i < count; i++) {
+    const rec = cmapOffset + 4 + i * 8;
+    const platform = buf.readUInt16BE(rec);
+    const encoding = buf.readUInt16BE(rec + 2);
+    const sub = cmapOffset + buf.readUInt32BE(rec + 4);
+    const format = buf.readUInt16BE(sub);
+    const rank = format === 12 && (platform === 0 || (platform === 3 && encoding === 10)) ? 3
+      : format === 4 && (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 0))) ? 2
+      : 0;
+    if (rank > bestRank) {
+      best = { sub, format };
+      bestRank = rank;
+    }
+  }
+  if (!best) return () => 0;
+
+  if (best.format === 12) {
+    const groups = buf.readUInt32BE(best.sub + 12);
+    return cp => {
+      let lo = 0;
+      let hi = groups - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        const rec = best.sub + 16 + mid * 12;
+        const start = buf.readUInt32BE(rec);
+        const end = buf.readUInt32BE(rec + 4);
+        if (cp < start) hi = mid - 1;
+        else if (cp > end) lo = mid + 1;
+        else return buf.readUInt32BE(rec + 8) + (cp - start);
+      }
+      return 0;
+    };
+  }
+
+  const segX2 = buf.readUInt16BE(best.sub + 6);
+  const ends = best.sub + 14;
+  const starts = ends + segX2 + 2;
+  const deltas = starts + segX2;
+  const rangeOffsets = deltas + segX2;
+  return cp => {
+    if (cp > 0xffff) return 0;
+    for (let i = 0; i < segX2; i += 2) {
+      if (cp > buf.readUInt16BE(ends + i)) continue;
+      const start = buf.readUInt16BE(starts + i);
+      if (cp < start) return 0;
+      const delta = buf.readInt16BE(deltas + i);
+      const ro = buf.readUInt16BE(rangeOffsets + i);
+      if (!ro) return (cp + delta) & 0xffff;
+      const at = rangeOffsets + i + ro + (cp - start) * 2;
+      const gid = at + 1 < buf.length ? buf.readUInt16BE(at) : 0;
+      return gid ? (gid + delta) & 0xffff : 0;
+    }
+    return 0;
+  };
+}
+
+function loadRasterFont(entry) {
+  const key = `${entry.file}#${entry.offset}`;
+  if (rasterFonts.has(key)) return rasterFonts.get(key);
+  let face = null;
+  try {
+    const buf = fs.readFileSync(entry.file);
+    const t = readFontTableDirectory(buf, entry.offset);
+    const lookup = buildFontCmap(buf, t.cmap.offset);
+    const cmapCache = new Map();
+    face = {
+      ...entry,
+      buf,
+      unitsPerEm: buf.readUInt16BE(t.head.offset + 18) || 1000,
+      locaLong: buf.readInt16BE(t.head.offset + 50) === 1,
+      ascender: buf.readInt16BE(t.hhea.offset + 4),
+      descender: buf.readInt16BE(t.hhea.offset + 6),
+      numHMetrics: buf.readUInt16BE(t.hhea.offset + 34),
+      numGlyphs: buf.readUInt16BE(t.maxp.offset + 4),
+      hmtx: t.hmtx.offset,
+      loca: t.loca.offset,
+      glyf: t.glyf.offset,
+      glyphs: new Map(),      // gid -> contours in font units
+      bitmaps: new Map(),     // gid|size|subpixel -> coverage bitmap
+      glyphFor(cp) {
+        if (!cmapCache.has(cp)) cmapCache.set(cp, lookup(cp));
+        return cmapCache.get(cp);
+      },
+    };
+  } catch (err) {
+    console.warn(`  ⚠  Could not load font ${entry.file}: ${err && err.message ? err.message : err}`);
+  }
+  rasterFonts.set(key, face);
+  return face;
+}
+
+function getGlyphAdvance(face, gid) {
+  const i = Math.min(gid, face.numHMetrics - 1);
+  return face.buf.readUInt16BE(face.hmtx + i * 4);
+}
+
+// Glyph outline as contours of { x, y, on } points in font units (y up).
+function getGlyphContours(face, gid, depth = 0) {
+  if (face.glyphs.has(gid)) return face.glyphs.get(gid);
+  const { buf } = face;
+  const locaAt = i => (face.locaLong ? buf.readUInt32BE(face.loca + i * 4) : buf.readUInt16BE(face.loca + i * 2) * 2);
+  let contours = [];
+  if (gid < face.numGlyphs && depth < 8) {
+    const start = locaAt(gid);
+    const end = locaAt(gid + 1);
+    if (end > start) {
+      const g = face.glyf + start;
+      const numContours = buf.readInt16BE(g);
+      contours = numContours >= 0
+        ? readSimpleGlyph(buf, g, numContours)
+        : readCompositeGlyph(face, g, depth);
+    }
+  }
+  face.glyphs.set(gid, contours);
+  return contours;
+}
+
+function readSimpleGlyph(buf, g, numContours) {
+  const endPts = [];
+  for (let i = 0; i < numContours; i++) endPts.push(buf.readUInt16BE(g + 10 + i * 2));
+  const numPoints = numContours ? endPts[numContours - 1] + 1 : 0;
+  let p = g + 10 + numContours * 2;
+  p += 2 + buf.readUInt16BE(p);   // skip hinting instructions
+
+  const flags = [];
+  while (flags.length < numPoints) {
+    const flag = buf[p++];
+    flags.push(flag);
+    if (flag & 8) {
+      for (let r = buf[p++]; r > 0; r--) flags.push(flag);
+    }
+  }
+  const readCoords = (shortBit, sameBit) => {
+    const out = [];
+    let v = 0;
+    for (let i = 0; i < numPoints; i++) {
+      const flag = flags[i];
+      if (flag & shortBit) {
+        const d = buf[p++];
+        v += flag & sameBit ? d : -d;
+      } else if (!(flag & sameBit)) {
+        v += buf.readInt16BE(p);
+        p += 2;
+      }
+      out.push(v);
+    }
+    return out;
+  };
+  const xs = readCoords(2, 16);
+  const ys = readCoords(4, 32);
+
+  const contours = [];
+  let first = 0;
+  endPts.forEach(last => {
+    const contour = [];
+    for (let i = first; i <= last; i++) contour.push({ x: xs[i], y: ys[i], on: !!(flags[i] & 1) });
+    if (contour.length) contours.push(contour);
+    first = last + 1;
+  });
+  return contours;
+}
+
+function readCompositeGlyph(face, g, depth) {
+  const { buf } = face;
+  const contours = [];
+  let p = g + 10;
+  let flags;
+  do {
+    flags = buf.readUInt16BE(p);
+    const gid = buf.readUInt16BE(p + 2);
+    p += 4;
+    let dx = 0;
+    let dy = 0;
+    if (flags & 1) {
+      dx = buf.readInt16BE(p);
+      dy = buf.readInt16BE(p + 2);
+      p += 4;
+    } else {
+      dx = buf.readInt8(p);
+      dy = buf.readInt8(p + 1);
+      p += 2;
+    }
+    if (!(flags & 2)) { dx = 0; dy = 0; }   // point-matched components are placed unshifted
+    let a = 1, b = 0, c = 0, d = 1;
+    if (flags & 8) {
+      a = d = buf.readInt16BE(p) / 16384;
+      p += 2;
+    } else if (flags & 0x40) {
+      a = buf.readInt16BE(p) / 16384;
+      d = buf.readInt16BE(p + 2) / 16384;
+      p += 4;
+    } else if (flags & 0x80) {
+      a = buf.readInt16BE(p) / 16384;
+      b = buf.readInt16BE(p + 2) / 16384;
+      c = buf.readInt16BE(p + 4) / 16384;
+      d = buf.readInt16BE(p + 6) / 16384;
+      p += 8;
+    }
+    getGlyphContours(face, gid, depth + 1).forEach(contour => {
+      contours.push(contour.map(pt => ({ x: pt.x * a + pt.y * c + dx, y: pt.x * b + pt.y * d + dy, on: pt.on })));
+    });
+  } while (flags & 0x20);
+  return contours;
+}
+
+// The faces for one CSS font-family list at a weight and style: the listed
+// families in order, then the fallback stack. A generic family expands to
+// common installed fonts. Each family contributes its closest weight/style.
+function getRasterFontStack(fontValue, weight, italic) {
+  const cacheKey = `${fontValue}|${weight}|${italic ? 1 : 0}`;
+  if (rasterFontStacks.has(cacheKey)) return rasterFontStacks.get(cacheKey);
+  const index = getRasterFontIndex();
+  const families = [];
+  String(fontValue || "'Cinzel', serif").split(',').forEach(part => {
+    const name = part.trim().replace(/^['"]|['"]$/g, '').trim();
+    if (!name) return;
+    families.push(...(RASTER_GENERIC_FAMILIES[name.toLowerCase()] || [name]));
+  });
+  families.push(...RASTER_FALLBACK_FAMILIES, ...RASTER_GENERIC_FAMILIES['sans-serif']);
+
+  const stack = [];
+  const seen = new Set();
+  families.forEach(family => {
+    const lower = family.toLowerCase();
+    if (seen.has(lower)) return;
+    seen.add(lower);
+    const candidates = index.filter(f => f.family.toLowerCase() === lower);
+    if (!candidates.length) return;
+    candidates.sort((x, y) => (
+      (x.italic === italic ? 0 : 1000) + Math.abs(x.weight - weight)
+    ) - (
+      (y.italic === italic ? 0 : 1000) + Math.abs(y.weight - weight)
+    ));
+    const face = loadRasterFont(candidates[0]);
+    if (face) stack.push(face);
+  });
+  // Anything installed beats drawing nothing
+  if (!stack.length && index.length) {
+    const face = loadRasterFont(index[0]);
+    if (face) stack.push(face);
+  }
+  rasterFontStacks.set(cacheKey, stack);
+  return stack;
+}
+
+// ── Software Renderer: Rasterizer ─────────────────────────────────────────────
+// A premultiplied float RGBA canvas with source-over compositing. Shapes and
+// glyph outlines become anti-aliased coverage masks through signed-area
+// accumulation (the approach of stb_truetype and font-rs), which gives exact
+// coverage for the non-zero fill rule of TrueType outlines.
+function createRasterCanvas(width, height) {
+  return { width, height, data: new Float32Array(width * height * 4) };
+}
+
+// A mask is { x, y, w, h, cov: Float32Array } in canvas pixels.
+function createRasterMask(x, y, w, h) {
+  const mx = Math.floor(x);
+  const my = Math.floor(y);
+  const mw = Math.max(0, Math.ceil(x + w) - mx);
+  const mh = Math.max(0, Math.ceil(y + h) - my);
+  return { x: mx, y: my, w: mw, h: mh, cov: new Float32Array(mw * mh) };
+}
+
+// lines: [x0, y0, x1, y1, …] in mask coordinates, closed contours.
+function fillRasterLines(mask, lines) {
+  const { w, h } = mask;
+  const stride = w + 2;
+  const acc = new Float32Array(stride * h);
+  for (let i = 0; i < lines.length; i += 4) {
+    let x0 = lines[i], y0 = lines[i + 1], x1 = lines[i + 2], y1 = lines[i + 3];
+    if (y0 === y1) continue;
+    let dir = 1;
+    if (y0 > y1) {
+      dir = -1;
+      [x0, y0, x1, y1] = [x1, y1, x0, y0];
+    }
+    const dxdy = (x1 - x0) / (y1 - y0);
+    let x = x0;
+    if (y0 < 0) {
+      x -= y0 * dxdy;
+      y0 = 0;
+    }
+    y1 = Math.min(y1, h);
+    for (let y = Math.floor(y0); y < y1; y++) {
+      const row = y * stride;
+      const dy = Math.min(y + 1, y1) - Math.max(y, y0);
+      const xnext = x + dxdy * dy;
+      const d = dy * dir;
+      const xa = Math.max(0, Math.min(w, Math.min(x, xnext)));
+      const xb = Math.max(0, Math.min(w, Math.max(x, xnext)));
+      const xaFloor = Math.floor(xa);
+      const xbCeil = Math.ceil(xb);
+      if (xbCeil <= xaFloor + 1) {
+        const xmf = 0.5 * (x + xnext) - xaFloor;
+        const frac = Math.max(0, Math.min(1, xmf));
+        acc[row + xaFloor] += d - d * frac;
+        acc[row + xaFloor + 1] += d * frac;
+      } else {
+        const s = 1 / (xb - xa);
+        const xaf = xa - xaFloor;
+        const a0 = 0.5 * s * (1 - xaf) * (1 - xaf);
+        const xbf = xb - xbCeil + 1;
+        const am = 0.5 * s * xbf * xbf;
+        acc[row + xaFloor] += d * a0;
+        if (xbCeil === xaFloor + 2) {
+          acc[row + xaFloor + 1] += d * (1 - a0 - am);
+        } else {
+          const a1 = s * (1.5 - xaf);
+          acc[row + xaFloor + 1] += d * (a1 - a0);
+          for (let xi = xaFloor + 2; xi < xbCeil - 1; xi++) acc[row + xi] += d * s;
+          const a2 = a1 + (xbCeil - xaFloor - 3) * s;
+          acc[row + xbCeil - 1] += d * (1 - a2 - am);
+        }
+        acc[row + xbCeil] += d * am;
+      }
+      x = xnext;
+    }
+  }
+  for (let y = 0; y < h; y++) {
+    let sum = 0;
+    for (let x = 0; x < w; x++) {
+      sum += acc[y * stride + x];
+      mask.cov[y * w + x] = Math.min(1, Math.abs(sum));
+    }
+  }
+  return mask;
+}
+
+function roundedRectLines(x, y, w, h, r, originX, originY) {
+  const pts = [];
+  const radius = Math.max(0, Math.min(r, w / 2, h / 2));
+  const corner = (cx, cy, from) => {
+    const steps = radius > 0 ? Math.max(2, Math.ceil(radius / 2)) : 0;
+    for (let i = 0; i <= steps; i++) {
+      const a = from + (Math.PI / 2) * (steps ? i / steps : 0);
+      pts.push(cx + Math.cos(a) * radius - originX, cy + Math.sin(a) * radius - originY);
+    }
+  };
+  corner(x + w - radius, y + radius, -Math.PI / 2);
+  corner(x + w - radius, y + h - radius, 0);
+  corner(x + radius, y + h - radius, Math.PI / 2);
+  corner(x + radius, y + radius, Math.PI);
+  const lines = [];
+  for (let i = 0; i < pts.length; i += 2) {
+    const j = (i + 2) % pts.length;
+    lines.push(pts[i], pts[i + 1], pts[j], pts[j + 1]);
+  }
+  return lines;
+}
+
+function rectMask(x, y, w, h, radius = 0) {
+  const mask = createRasterMask(x, y, w, h);
+  return fillRasterLines(mask, roundedRectLines(x, y, w, h, radius, mask.x, mask.y));
+}
+
+// paint: [r, g, b, a] (0–255 colour, 0–1 alpha) or (x, y) => [r, g, b, a].
+// clip: optional { x, y, w, h } the mask is limited to; exclude: a rect left untouched.
+function compositeRasterMask(canvas, mask, paint, opts = {}) {
+  const { width, height, data } = canvas;
+  const dx = opts.dx || 0;
+  const dy = opts.dy || 0;
+  const clip = opts.clip;
+  const ex = opts.exclude;
+  const opacity = opts.opacity === undefined ? 1 : opts.opacity;
+  const fixed = typeof paint === 'function' ? null : paint;
+  for (let my = 0; my < mask.h; my++) {
+    const y = mask.y + my + dy;
+    if (y < 0 || y >= height) continue;
+    if (clip && (y < clip.y || y >= clip.y + clip.h)) continue;
+    for (let mx = 0; mx < mask.w; mx++) {
+      const c = mask.cov[my * mask.w + mx];
+      if (c <= 0) continue;
+      const x = mask.x + mx + dx;
+      if (x < 0 || x >= width) continue;
+      if (clip && (x < clip.x || x >= clip.x + clip.w)) continue;
+      if (ex && x >= ex.x && x < ex.x + ex.w && y >= ex.y && y < ex.y + ex.h) continue;
+      const color = fixed || paint(x, y);
+      const sa = c * color[3] * opacity;
+      if (sa <= 0) continue;
+      const o = (y * width + x) * 4;
+      const keep = 1 - sa;
+      data[o] = (color[0] / 255) * sa + data[o] * keep;
+      data[o + 1] = (color[1] / 255) * sa + data[o + 1] * keep;
+      data[o + 2] = (color[2] / 255) * sa + data[o + 2] * keep;
+      data[o + 3] = sa + data[o + 3] * keep;
+    }
+  }
+}
+
+// Gaussian blur of a mask (CSS blur radius = 2σ) as three box blurs, grown by
+// the blur extent so nothing is cut off.
+function blurRasterMask(mask, radius) {
+  const sigma = radius / 2;
+  if (sigma < 0.5) return mask;
+  const boxes = [];
+  const ideal = Math.sqrt((12 * sigma * sigma) / 3 + 1);
+  let wl = Math.floor(ideal);
+  if (wl % 2 === 0) wl--;
+  const m = Math.round((12 * sigma * sigma - 3 * wl * wl - 12 * wl - 9) / (-4 * wl - 4));
+  for (let i = 0; i < 3; i++) boxes.push(((i < m ? wl : wl + 2) - 1) / 2);
+  const pad = Math.ceil(boxes.reduce((a, b) => a + b, 0)) + 1;
+  const out = createRasterMask(mask.x - pad, mask.y - pad, mask.w + pad * 2, mask.h + pad * 2);
+  for (let y = 0; y < mask.h; y++) {
+    out.cov.set(mask.cov.subarray(y * mask.w, (y + 1) * mask.w), (y + pad) * out.w + pad);
+  }
+  const tmp = new Float32Array(out.cov.length);
+  const pass = (src, dst, r, horizontal) => {
+    const len = horizontal ? out.w : out.h;
+    const lines = horizontal ? out.h : out.w;
+    const step = horizontal ? 1 : out.w;
+    const scale = 1 / (r * 2 + 1);
+    for (let l = 0; l < lines; l++) {
+      const base = horizontal ? l * out.w : l;
+      let sum = 0;
+      for (let i = -r; i <= r; i++) if (i >= 0 && i < len) sum += src[base + i * step];
+      for (let i = 0; i < len; i++) {
+        dst[base + i * step] = sum * scale;
+        const add = i + r + 1;
+        const drop = i - r;
+        if (add < len) sum += src[base + add * step];
+        if (drop >= 0) sum -= src[base + drop * step];
+      }
+    }
+  };
+  boxes.forEach(b => {
+    const r = Math.round(b);
+    if (r < 1) return;
+    pass(out.cov, tmp, r, true);
+    pass(tmp, out.cov, r, false);
+  });
+  return out;
+}
+
+// Grows a mask by radius pixels (text stroke).
+function dilateRasterMask(mask, radius) {
+  const r = Math.ceil(radius);
+  if (r < 1) return mask;
+  const out = createRasterMask(mask.x - r, mask.y - r, mask.w + r * 2, mask.h + r * 2);
+  const offsets = [];
+  for (let oy = -r; oy <= r; oy++) {
+    for (let ox = -r; ox <= r; ox++) {
+      const dist = Math.hypot(ox, oy);
+      if (dist <= radius + 0.5) offsets.push([ox, oy, Math.min(1, radius + 0.5 - dist)]);
+    }
+  }
+  for (let y = 0; y < mask.h; y++) {
+    for (let x = 0; x < mask.w; x++) {
+      const c = mask.cov[y * mask.w + x];
+      if (c <= 0) continue;
+      offsets.forEach(([ox, oy, weight]) => {
+        const i = (y + r + oy) * out.w + (x + r + ox);
+        const v = c * weight;
+        if (v > out.cov[i]) out.cov[i] = v;
+      });
+    }
+  }
+  return out;
+}
+
+// Premultiplied canvas → straight-alpha PNG, the same form as a Chromium screenshot.
+function encodeRasterCanvas(canvas) {
+  const png = new PNG({ width: canvas.width, height: canvas.height });
+  const src = canvas.data;
+  const dst = png.data;
+  for (let i = 0; i < src.length; i += 4) {
+    const a = src[i + 3];
+    if (a <= 0) continue;
+    dst[i] = Math.round(Math.min(1, src[i] / a) * 255);
+    dst[i + 1] = Math.round(Math.min(1, src[i + 1] / a) * 255);
+    dst[i + 2] = Math.round(Math.min(1, src[i + 2] / a) * 255);
+    dst[i + 3] = Math.round(Math.min(1, a) * 255);
+  }
+  return PNG.sync.write(png);
+}
+
+// CSS colours used by settings and output.css: #rgb, #rrggbb, #rrggbbaa, rgb(), rgba(), transparent.
+function parseRasterColor(value, fallback = [0, 0, 0, 1]) {
+  const s = String(value || '').trim().toLowerCase();
+  if (s === 'transparent') return [0, 0, 0, 0];
+  let m = /^#([0-9a-f]{3})$/.exec(s);
+  if (m) return [...m[1]].map(ch => parseInt(ch + ch, 16)).concat(1);
+  m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})?$/.exec(s);
+  if (m) return [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16), m[4] ? parseInt(m[4], 16) / 255 : 1];
+  m = /^rgba?\(([^)]+)\)$/.exec(s);
+  if (m) {
+    const parts = m[1].split(/[\s,\/]+/).filter(Boolean).map(parseFloat);
+    if (parts.length >= 3 && parts.slice(0, 3).every(Number.isFinite)) {
+      return [parts[0], parts[1], parts[2], Number.isFinite(parts[3]) ? Math.max(0, Math.min(1, parts[3])) : 1];
+    }
+  }
+  return fallback;
+}
+
+function withRasterAlpha(color, alpha) {
+  return [color[0], color[1], color[2], color[3] * alpha];
+}
+
+// ── Text runs ──
+// A run is one line of text in one CSS font at one size: { font, size, weight,
+// italic, letterSpacing }. Each character uses the first face in the stack that
+// has it. Missing bold or italic faces are synthesised like browsers do.
+function getRasterFontMetrics(run) {
+  const face = getRasterFontStack(run.font, run.weight, run.italic)[0];
+  if (!face) return { ascent: run.size * 0.8, descent: run.size * 0.2 };
+  const scale = run.size / face.unitsPerEm;
+  return { ascent: face.ascender * scale, descent: -face.descender * scale };
+}
+
+function layoutRasterText(text, run) {
+  const stack = getRasterFontStack(run.font, run.weight, run.italic);
+  const glyphs = [];
+  let x = 0;
+  for (const ch of String(text || '')) {
+    const cp = ch.codePointAt(0);
+    if (cp < 32 && cp !== 9) continue;
+    let face = stack.find(f => f.glyphFor(cp));
+    if (!face) face = stack[0];
+    if (!face) break;
+    const gid = face.glyphFor(cp);
+    const scale = run.size / face.unitsPerEm;
+    const bold = run.weight >= 600 && face.weight < 600;
+    const advance = getGlyphAdvance(face, gid) * scale + (bold ? run.size / 24 : 0);
+    glyphs.push({ face, gid, x, bold, oblique: run.italic && !face.italic });
+    x += advance + (run.letterSpacing || 0);
+  }
+  return { glyphs, width: x };
+}
+
+// Glyph coverage at a size and quarter-pixel offset; cached per face.
+function getGlyphBitmap(face, gid, size, subpixel, oblique) {
+  const key = `${gid}|${size}|${subpixel}|${oblique ? 1 : 0}`;
+  if (face.bitmaps.has(key)) return face.bitmaps.get(key);
+  if (face.bitmaps.size > 6000) face.bitmaps.clear();
+  const scale = size / face.unitsPerEm;
+  const shift = subpixel / 4;
+  const contours = getGlyphContours(face, gid);
+  const paths = [];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const toPx = (fx, fy) => {
+    const px = fx * scale + shift + (oblique ? fy * scale * 0.2 : 0);
+    const py = -fy * scale;
+    if (px < minX) minX = px;
+    if (px > maxX) maxX = px;
+    if (py < minY) minY = py;
+    if (py > maxY) maxY = py;
+    return [px, py];
+  };
+  contours.forEach(contour => {
+    // Implied on-curve points sit between consecutive off-curve points
+    const pts = [];
+    contour.forEach((pt, i) => {
+      const prev = contour[(i + contour.length - 1) % contour.length];
+      if (!pt.on && !prev.on) pts.push({ x: (pt.x + prev.x) / 2, y: (pt.y + prev.y) / 2, on: true });
+      pts.push(pt);
+    });
+    let startIndex = pts.findIndex(pt => pt.on);
+    if (startIndex < 0) return;
+    const ordered = pts.slice(startIndex).concat(pts.slice(0, startIndex));
+    const poly = [toPx(ordered[0].x, ordered[0].y)];
+    for (let i = 1; i <= ordered.length; i++) {
+      const pt = ordered[i % ordered.length];
+      if (pt.on) {
+        poly.push(toPx(pt.x, pt.y));
+        continue;
+      }
+      const next = ordered[(i + 1) % ordered.length];
+      const [ax, ay] = poly[poly.length - 1];
+      const [cx, cy] = toPx(pt.x, pt.y);
+      const [bx, by] = toPx(next.x, next.y);
+      const steps = Math.max(2, Math.min(16, Math.ceil(Math.sqrt(Math.hypot(bx - ax, by - ay)) * 1.5)));
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        const u = 1 - t;
+        poly.push([u * u * ax + 2 * u * t * cx + t * t * bx, u * u * ay + 2 * u * t * cy + t * t * by]);
+      }
+      i++;
+    }
+    paths.push(poly);
+  });
+
+  let bitmap = null;
+  if (paths.length && Number.isFinite(minX)) {
+    const mask = createRasterMask(minX, minY, maxX - minX, maxY - minY);
+    const lines = [];
+    paths.forEach(poly => {
+      for (let i = 0; i < poly.length; i++) {
+        const a = poly[i];
+        const b = poly[(i + 1) % poly.length];
+        lines.push(a[0] - mask.x, a[1] - mask.y, b[0] - mask.x, b[1] - mask.y);
+      }
+    });
+    bitmap = fillRasterLines(mask, lines);
+  }
+  face.bitmaps.set(key, bitmap);
+  return bitmap;
+}
+
+// Draws laid-out text into a mask; (x, baseline) is the pen start in mask coordinates.
+function drawRasterTextToMask(mask, layout, run, x, baseline) {
+  layout.glyphs.forEach(g => {
+    const penX = x + g.x;
+    const whole = Math.floor(penX);
+    const subpixel = Math.round((penX - whole) * 4);
+    const bitmap = getGlyphBitmap(g.face, g.gid, run.size, subpixel, g.oblique);
+    if (!bitmap) return;
+    const ox = whole + bitmap.x;
+    const oy = Math.round(baseline) + bitmap.y;
+    const passes = g.bold ? [0, Math.max(1, Math.round(run.size / 24))] : [0];
+    passes.forEach(extra => {
+      for (let by = 0; by < bitmap.h; by++) {
+        const my = oy + by;
+        if (my < 0 || my >= mask.h) continue;
+        for (let bx = 0; bx < bitmap.w; bx++) {
+          const mx = ox + bx + extra;
+          if (mx < 0 || mx >= mask.w) continue;
+          const i = my * mask.w + mx;
+          mask.cov[i] = Math.min(1, mask.cov[i] + bitmap.cov[by * bitmap.w + bx]);
+        }
+      }
+    });
+  });
+}
+
+// Cuts text to fit maxWidth, ending in an ellipsis (text-overflow: ellipsis).
+function fitRasterText(text, run, maxWidth) {
+  const full = layoutRasterText(text, run);
+  if (full.width <= maxWidth + 0.5) return { text, layout: full };
+  const chars = Array.from(String(text || ''));
+  const ellipsis = layoutRasterText('…', run).width;
+  let lo = 0;
+  let hi = chars.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (layoutRasterText(chars.slice(0, mid).join(''), run).width + ellipsis <= maxWidth) lo = mid;
+    else hi = mid - 1;
+  }
+  const cut = chars.slice(0, lo).join('').replace(/\s+$/, '') + '…';
+  return { text: cut, layout: layoutRasterText(cut, run) };
+}
+
+// Greedy word wrap into at most maxLines lines; the last kept line gets an
+// ellipsis when text is left over (-webkit-line-clamp).
+function wrapRasterText(text, run, maxWidth, maxLines) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+  for (let i = 0; i < words.length; i++) {
+    const candidate = current ? `${current} ${words[i]}` : words[i];
+    if (!current || layoutRasterText(candidate, run).width <= maxWidth) {
+      current = candidate;
+      continue;
+    }
+    lines.push(current);
+    current = words[i];
+    if (lines.length === maxLines) {
+      current = '';
+      lines[maxLines - 1] = fitRasterText(`${lines[maxLines - 1]} ${words.slice(i).join(' ')}`, run, maxWidth).text;
+      break;
+    }
+  }
+  if (current) lines.push(current);
+  return lines.map(line => fitRasterText(line, run, maxWidth));
+}
+
+// ── Software Renderer: Lower Thirds & Ticker ──────────────────────────────────
+// Draws the built-in lower-third styles (LOWER_THIRD_STYLE_CLASSNAMES in
+// js/output.js) and the ticker bar from the same settings and show data as
+// output.html, following the geometry of css/output.css. Custom templates,
+// logos and background images need Chromium and are left out. The frozen
+// ticker starts its message at the left of the crawl, not off-screen.
+const RASTER_LT_BASE = {
+  accentWidth: 8,
+  pad: { top: 18, bottom: 18, start: 28, end: 28 },
+  gap: 4,
+  line1: { size: [28, 4, 52], lineHeight: 1.15, color: '#ffffff', letterSpacing: 0 },
+  line2: { size: [18, 2.6, 34], lineHeight: 1.2, color: 'rgba(255,255,255,.75)', letterSpacing: 0 },
+  boxShadow: [{ y: 4, blur: 28, color: 'rgba(0,0,0,.75)' }],
+  ring: 'rgba(0,0,0,.45)',
+  border: 'rgba(255,255,255,.10)',
+};
+const RASTER_LT_STYLES = {
+  classic: {},
+  accent: {
+    accentWidth: 0,
+    pad: { start: 0, bottom: 0 },
+    textBorder: { top: [4, 'accent'] },
+    line2: { color: 'rgba(255,255,255,.9)' },
+  },
+  minimal: { accentWidth: 0, line2: { color: 'rgba(255,255,255,.9)' }, boxShadow: [], ring: null },
+  outline: { accentWidth: 0, line2: { color: 'rgba(255,255,255,.9)' }, boxShadow: [], ring: null },
+  gradient: { pad: { end: 48 }, line2: { color: 'rgba(255,255,255,.85)' }, boxShadow: [], ring: null },
+  scripture: {
+    pad: { top: 16, bottom: 16, start: 26, end: 26 },
+    gap: 8,
+    line1: { size: [20, 2.15, 32], letterSpacing: 0.02 },
+    line2: { size: [18, 1.7, 28], lineHeight: 1.3 },
+    boxShadow: [],
+    ring: null,
+  },
+  'scripture-panel': {
+    accentWidth: 6,
+    pad: { top: 14, bottom: 14, start: 22, end: 22 },
+    gap: 10,
+    textBorder: { top: [1, 'rgba(255,255,255,.2)'], bottom: [1, 'rgba(255,255,255,.2)'], start: [1, 'rgba(255,255,255,.2)'], end: [1, 'rgba(255,255,255,.2)'] },
+    line1: { size: [18, 1.95, 30], color: '#f8e7b5', letterSpacing: 0.06 },
+    line2: { size: [16, 1.62, 26], lineHeight: 1.34 },
+    boxShadow: [],
+    ring: null,
+  },
+  solid: { accentWidth: 6, accentColor: 'rgba(0,0,0,.25)', line2: { color: 'rgba(255,255,255,.88)' } },
+  split: {
+    accentWidth: 0,
+    pad: { start: 0 },
+    textBorder: { top: [3, 'accent'], bottom: [3, 'accent'] },
+    line2: { color: 'rgba(255,255,255,.85)' },
+    boxShadow: [],
+    ring: null,
+  },
+  frosted: {
+    accentWidth: 6,
+    line1: { color: '#111111' },
+    line2: { color: 'rgba(0,0,0,.65)' },
+    border: 'rgba(0,0,0,.12)',
+  },
+  'inline-duo': {
+    inline: { line2Em: 0.86, opacity: 0.9, prefix: '•', prefixGap: 12, prefixOpacity: 0.95, align: 'baseline' },
+    boxShadow: [],
+    ring: null,
+  },
+  'inline-chip': {
+    inline: { line2Em: 0.76, chip: true, uppercase: true, letterSpacing: 0.04, align: 'center' },
+    boxShadow: [],
+    ring: null,
+  },
+  'inline-glass': {
+    inline: { line2Em: 0.84, opacity: 0.92, prefix: '—', prefixGap: 10, prefixOpacity: 0.9, align: 'baseline' },
+    textBorder: { top: [1, 'rgba(255,255,255,.18)'], bottom: [1, 'rgba(255,255,255,.18)'], start: [1, 'rgba(255,255,255,.18)'], end: [1, 'rgba(255,255,255,.18)'] },
+    boxShadow: [{ y: 4, blur: 18, color: 'rgba(0,0,0,.45)' }],
+    ring: null,
+  },
+};
+// Non-default entries of LOWER_THIRD_BACKGROUND_MODE in js/output.js
+const RASTER_LT_BACKGROUND_MODE = {
+  accent: 'transparent',
+  minimal: 'transparent',
+  outline: 'transparent',
+  gradient: 'custom-gradient',
+  scripture: 'custom-gradient',
+  'inline-glass': 'custom-gradient',
+  solid: 'style-defined',
+};
+const RASTER_TEXT_EFFECT_DEFAULTS = {
+  line1: { fontWeight: 700, italic: false, fontScale: 1, useCustomColor: false, fontColor: '#ffffff', shadowColor: '#000000', shadowAngle: 120, shadowDepth: 6, shadowBlur: 8, shadowOpacity: 0.85, strokeColor: '#000000', strokeWidth: 0 },
+  line2: { fontWeight: 400, italic: false, fontScale: 1, useCustomColor: false, fontColor: '#ffffff', shadowColor: '#000000', shadowAngle: 120, shadowDepth: 4, shadowBlur: 6, shadowOpacity: 0.75, strokeColor: '#000000', strokeWidth: 0 },
+};
+const RASTER_RTL_RE = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+let warnedRasterCustomTemplate = false;
+
+function getRasterLowerThirdStyle(name) {
+  const style = RASTER_LT_STYLES[name] || RASTER_LT_STYLES.classic;
+  return {
+    ...RASTER_LT_BASE,
+    ...style,
+    pad: { ...RASTER_LT_BASE.pad, ...(style.pad || {}) },
+    line1: { ...RASTER_LT_BASE.line1, ...(style.line1 || {}) },
+    line2: { ...RASTER_LT_BASE.line2, ...(style.line2 || {}) },
+  };
+}
+
+function getRasterTextEffect(settings, key) {
+  return { ...RASTER_TEXT_EFFECT_DEFAULTS[key], ...((settings.textEffects && settings.textEffects[key]) || {}) };
+}
+
+function detectRasterDirection(...texts) {
+  const text = texts.filter(Boolean).join(' ');
+  const rtl = (text.match(new RegExp(RASTER_RTL_RE.source, 'g')) || []).length;
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  return rtl > letters - rtl ? 'rtl' : 'ltr';
+}
+
+// Without a bidi engine, RTL text is drawn by reversing its RTL runs and, in an
+// RTL line, the order of the runs, which keeps numbers and Latin words readable.
+// Spaces and punctuation take the direction of the runs on both sides when they
+// agree, otherwise the line's. Only reorder finished lines: fitting and wrapping
+// work on logical order, so an ellipsis or a line break falls at the end of the
+// text, not the start.
+function toRasterVisualOrder(text, dir) {
+  const str = String(text || '');
+  if (!RASTER_RTL_RE.test(str)) return str;
+  const groups = [];
+  for (const ch of str) {
+    const type = RASTER_RTL_RE.test(ch) ? 'R' : (/[\s\p{P}\p{S}]/u.test(ch) ? 'N' : 'L');
+    const last = groups[groups.length - 1];
+    if (last && last.type === type) last.chars.push(ch);
+    else groups.push({ type, chars: [ch] });
+  }
+  const base = dir === 'rtl' ? 'R' : 'L';
+  const runs = [];
+  groups.forEach((g, i) => {
+    let rtl = g.type === 'R';
+    if (g.type === 'N') {
+      const prev = groups[i - 1] ? groups[i - 1].type : base;
+      const next = groups[i + 1] ? groups[i + 1].type : base;
+      rtl = (prev === next ? prev : base) === 'R';
+    }
+    const last = runs[runs.length - 1];
+    if (last && last.rtl === rtl) last.chars.push(...g.chars);
+    else runs.push({ rtl, chars: g.chars.slice() });
+  });
+  const ordered = dir === 'rtl' ? runs.reverse() : runs;
+  return ordered.map(r => (r.rtl ? r.chars.reverse() : r.chars).join('')).join('');
+}
+
+// A fitted or wrapped line ({ text, layout }) in drawing order.
+function toRasterVisualLine(line, run, dir) {
+  const text = toRasterVisualOrder(line.text, dir);
+  return text === line.text ? line : { text, layout: layoutRasterText(text, run) };
+}
+
+function cssClamp(min, vw, max, width) {
+  return Math.min(max, Math.max(min, (width * vw) / 100));
+}
+
+// One text element: box is its CSS box (overflow hidden), text is laid out with
+// fitRasterText / wrapRasterText. Draws shadow, stroke and fill like output.js'
+// applyLineEffectToEl.
+function drawRasterTextBlock(canvas, lines, run, box, opts) {
+  if (!lines.length || box.w <= 0 || box.h <= 0) return;
+  const mask = createRasterMask(box.x, box.y, box.w, box.h);
+  const { ascent, descent } = getRasterFontMetrics(run);
+  const lineBox = run.size * run.lineHeight;
+  lines.forEach((line, i) => {
+    const top = box.y - mask.y + (opts.offsetY || 0) + i * lineBox;
+    const baseline = top + (lineBox - (ascent + descent)) / 2 + ascent;
+    const free = box.w - line.layout.width;
+    const x = box.x - mask.x + (opts.align === 'center' ? free / 2 : opts.align === 'right' ? free : 0);
+    drawRasterTextToMask(mask, line.layout, run, x, baseline);
+  });
+
+  const clip = { x: mask.x, y: mask.y, w: mask.w, h: mask.h };
+  const effect = opts.effect;
+  const opacity = opts.opacity === undefined ? 1 : opts.opacity;
+  if (effect) {
+    const depth = Math.max(0, parseFloat(effect.shadowDepth) || 0);
+    const blur = Math.max(0, parseFloat(effect.shadowBlur) || 0);
+    const shadowOpacity = Math.max(0, Math.min(1, parseFloat(effect.shadowOpacity) || 0));
+    if ((depth > 0 || blur > 0) && shadowOpacity > 0) {
+      const angle = ((parseFloat(effect.shadowAngle) || 0) % 360) * (Math.PI / 180);
+      compositeRasterMask(canvas, blurRasterMask(mask, blur),
+        withRasterAlpha(parseRasterColor(effect.shadowColor), shadowOpacity),
+        { dx: Math.round(Math.cos(angle) * depth), dy: Math.round(Math.sin(angle) * depth), clip, opacity });
+    }
+    const strokeWidth = Math.max(0, parseFloat(effect.strokeWidth) || 0);
+    if (strokeWidth > 0) {
+      compositeRasterMask(canvas, dilateRasterMask(mask, strokeWidth / 2), parseRasterColor(effect.strokeColor), { clip, opacity });
+    }
+  }
+  compositeRasterMask(canvas, mask, opts.color, { clip, opacity });
+}
+
+function fillRasterRect(canvas, x, y, w, h, paint, opts = {}) {
+  if (w <= 0 || h <= 0) return;
+  compositeRasterMask(canvas, rectMask(x, y, w, h, opts.radius || 0), paint, opts);
+}
+
+// CSS box-shadow outside a rect (never under it, as in the browser)
+function drawRasterBoxShadow(canvas, box, shadows, ring) {
+  (shadows || []).forEach(shadow => {
+    const mask = blurRasterMask(rectMask(box.x, box.y, box.w, box.h), shadow.blur);
+    compositeRasterMask(canvas, mask, parseRasterColor(shadow.color), { dy: shadow.y, exclude: box });
+  });
+  if (ring) {
+    compositeRasterMask(canvas, rectMask(box.x - 1, box.y - 1, box.w + 2, box.h + 2), parseRasterColor(ring), { exclude: box });
+  }
+}
+
+function drawRasterLowerThird(canvas, settings, data) {
+  const W = canvas.width;
+  const H = canvas.height;
+  const styleName = settings.style || 'gradient';
+  const st = getRasterLowerThirdStyle(styleName);
+  const inline = st.inline || null;
+  const line2Text = data.parallel && data.parallel.blocks
+    ? data.parallel.blocks.map(b => b.text).join(' ')
+    : data.line2;
+  const dir = data.dir === 'rtl' || data.dir === 'ltr'
+    ? data.dir
+    : (settings.textDirection === 'rtl' || settings.textDirection === 'ltr' ? settings.textDirection : detectRasterDirection(data.line1, line2Text));
+  const rtl = dir === 'rtl';
+  const accent = parseRasterColor(settings.accentColor || '#C8A951');
+  const line1Font = settings.line1Font || settings.font || "'Cinzel', serif";
+  const line2Font = settings.line2Font || settings.line1Font || settings.font || "'Cinzel', serif";
+  const align = (() => {
+    const a = settings.textAlign || 'left';
+    if (!rtl) return a;
+    return a === 'left' ? 'right' : a === 'right' ? 'left' : a;
+  })();
+
+  const fx1 = getRasterTextEffect(settings, 'line1');
+  const fx2 = getRasterTextEffect(settings, 'line2');
+  const size1 = cssClamp(...st.line1.size, W) * Math.max(0.3, parseFloat(fx1.fontScale) || 1);
+  const size2 = (inline ? 16 * inline.line2Em : cssClamp(...st.line2.size, W)) * Math.max(0.3, parseFloat(fx2.fontScale) || 1);
+  const run1 = {
+    font: line1Font, size: size1, weight: parseInt(fx1.fontWeight, 10) || 700, italic: !!fx1.italic,
+    letterSpacing: st.line1.letterSpacing * size1, lineHeight: st.line1.lineHeight,
+  };
+  const run2 = {
+    font: line2Font, size: size2, weight: parseInt(fx2.fontWeight, 10) || 400, italic: !!fx2.italic,
+    letterSpacing: ((inline && inline.letterSpacing) || st.line2.letterSpacing) * size2, lineHeight: st.line2.lineHeight,
+  };
+  const color1 = fx1.useCustomColor ? parseRasterColor(fx1.fontColor, [255, 255, 255, 1]) : parseRasterColor(st.line1.color);
+  const color2 = fx2.useCustomColor ? parseRasterColor(fx2.fontColor, [255, 255, 255, 1]) : parseRasterColor(st.line2.color);
+
+  // Bar and text box geometry (border-box, 1px border round the bar)
+  const ltWidth = Math.max(40, Math.min(100, parseInt(settings.ltWidth || 100, 10) || 100));
+  const barX = Math.round(W * 0.04);
+  const barW = Math.round(W * 0.92 * ltWidth / 100);
+  const accentW = st.accentWidth;
+  const tb = st.textBorder || {};
+  const tbw = side => (tb[side] ? tb[side][0] : 0);
+  const pad = st.pad;
+  const textBoxW = barW - 2 - accentW;
+  const contentW = Math.max(0, textBoxW - pad.start - pad.end - tbw('start') - tbw('end'));
+
+  // Content items, top to bottom: { height, draw(x, y) }
+  const items = [];
+  const multiline = !!settings.line2Multiline && !inline;
+  const maxLines = Math.max(1, Math.min(6, parseInt(settings.line2MaxLines || 2, 10) || 2));
+  const fitLine2 = (text, run, width, lineDir = dir) => (multiline
+    ? wrapRasterText(text, run, width, maxLines)
+    : [fitRasterText(text, run, width)]).map(line => toRasterVisualLine(line, run, lineDir));
+
+  if (inline) {
+    items.push(buildRasterInlineRow({
+      target: canvas, data, dir, rtl, align, inline, contentW, run1, run2, color1, color2, fx1, fx2, accent,
+    }));
+  } else {
+    const line1 = data.line1 ? [toRasterVisualLine(fitRasterText(data.line1, run1, contentW), run1, dir)] : [];
+    items.push({
+      height: line1.length ? run1.size * run1.lineHeight : 0,
+      draw: (x, y) => drawRasterTextBlock(canvas, line1, run1, { x, y, w: contentW, h: run1.size * run1.lineHeight }, { align, color: color1, effect: fx1 }),
+    });
+
+    const blocks = data.parallel && Array.isArray(data.parallel.blocks) ? data.parallel.blocks.filter(b => b && b.text) : [];
+    if (blocks.length) {
+      const sideBySide = data.parallel.layout === 'side-by-side';
+      const colW = sideBySide ? (contentW - 16 * (blocks.length - 1)) / blocks.length : contentW;
+      const laid = blocks.map((b, i) => {
+        const run = { ...run2, font: b.font || line2Font };
+        const inset = sideBySide && i > 0 ? 17 : 0;
+        const blockDir = detectRasterDirection(b.text);
+        return { run, inset, lines: fitLine2(b.text, run, colW - inset, blockDir), align: blockDir === dir ? align : (blockDir === 'rtl' ? 'right' : 'left') };
+      });
+      const heights = laid.map(b => b.lines.length * b.run.size * b.run.lineHeight);
+      const height = sideBySide ? Math.max(...heights) : heights.reduce((a, b) => a + b, 0) + 6 * (laid.length - 1);
+      items.push({
+        height,
+        draw: (x, y) => {
+          let cy = y;
+          laid.forEach((b, i) => {
+            const order = rtl ? laid.length - 1 - i : i;
+            const bx = sideBySide ? x + order * (colW + 16) : x;
+            const by = sideBySide ? y : cy;
+            const bh = sideBySide ? height : heights[i];
+            if (b.inset) {
+              fillRasterRect(canvas, rtl ? bx + colW - 1 : bx, by, 1, bh, [255, 255, 255, 0.3]);
+            }
+            drawRasterTextBlock(canvas, b.lines, b.run, {
+              x: rtl ? bx : bx + b.inset, y: by, w: colW - b.inset, h: bh,
+            }, { align: b.align, color: color2, effect: fx2 });
+            cy += heights[i] + 6;
+          });
+        },
+      });
+    } else if (data.line2) {
+      const lines = fitLine2(data.line2, run2, contentW);
+      const height = lines.length * run2.size * run2.lineHeight;
+      items.push({
+        height,
+        draw: (x, y) => drawRasterTextBlock(canvas, lines, run2, { x, y, w: contentW, h: height }, { align, color: color2, effect: fx2 }),
+      });
+    }
+  }
+
+  if (data.attribution) {
+    const run = { font: line2Font, size: cssClamp(11, 1, 16, W), weight: 400, italic: false, letterSpacing: 0, lineHeight: 1.25 };
+    const lines = [toRasterVisualLine(fitRasterText(data.attribution, run, contentW), run, dir)];
+    items.push({
+      height: run.size * run.lineHeight,
+      marginTop: 4,
+      draw: (x, y) => drawRasterTextBlock(canvas, lines, run, { x, y, w: contentW, h: run.size * run.lineHeight }, { align, color: [255, 255, 255, 0.6] }),
+    });
+  }
+
+  const contentH = items.reduce((sum, item, i) => sum + item.height + (item.marginTop || 0) + (i ? st.gap : 0), 0);
+  const textBoxH = tbw('top') + pad.top + contentH + pad.bottom + tbw('bottom');
+  const barH = Math.round(Math.max(textBoxH + 2, parseInt(settings.ltMinHeight, 10) || 0));
+  const position = settings.position || 'lower';
+  const barY = Math.round(position === 'upper' ? H * 0.08
+    : position === 'center' ? H / 2 - barH / 2
+    : H * 0.9 - barH);
+  const bar = { x: barX, y: barY, w: barW, h: barH };
+
+  drawRasterBoxShadow(canvas, bar, st.boxShadow, st.ring);
+  const border = parseRasterColor(st.border);
+  fillRasterRect(canvas, bar.x, bar.y, bar.w, 1, border);
+  fillRasterRect(canvas, bar.x, bar.y + bar.h - 1, bar.w, 1, border);
+  fillRasterRect(canvas, bar.x, bar.y + 1, 1, bar.h - 2, border);
+  fillRasterRect(canvas, bar.x + bar.w - 1, bar.y + 1, 1, bar.h - 2, border);
+
+  const innerY = bar.y + 1;
+  const innerH = bar.h - 2;
+  if (accentW) {
+    const accentX = rtl ? bar.x + bar.w - 1 - accentW : bar.x + 1;
+    fillRasterRect(canvas, accentX, innerY, accentW, innerH, st.accentColor ? parseRasterColor(st.accentColor) : accent);
+  }
+  const textX = rtl ? bar.x + 1 : bar.x + 1 + accentW;
+  const textBox = { x: textX, y: innerY, w: textBoxW, h: innerH };
+
+  // Text box background (applyStyleAwareLowerThirdBackground)
+  const mode = RASTER_LT_BACKGROUND_MODE[styleName] || 'custom-solid';
+  const bg = parseRasterColor(settings.ltBgColor || '#000000');
+  const bgOpacity = Math.max(0, Math.min(1, parseFloat(settings.ltBgOpacity ?? 0.88)));
+  if (mode === 'custom-solid') {
+    fillRasterRect(canvas, textBox.x, textBox.y, textBox.w, textBox.h, withRasterAlpha(bg, bgOpacity));
+  } else if (mode === 'style-defined') {
+    fillRasterRect(canvas, textBox.x, textBox.y, textBox.w, textBox.h, accent);
+  } else if (mode === 'custom-gradient') {
+    const start = Math.min(1, bgOpacity * 1.05);
+    const mid = Math.min(1, bgOpacity * 0.72);
+    fillRasterRect(canvas, textBox.x, textBox.y, textBox.w, textBox.h, x => {
+      let t = (x + 0.5 - textBox.x) / textBox.w;
+      if (rtl) t = 1 - t;
+      const a = t <= 0.62 ? start + (mid - start) * (t / 0.62) : mid * (1 - (t - 0.62) / 0.38);
+      return withRasterAlpha(bg, Math.max(0, a));
+    });
+  }
+  const borderColor = side => (tb[side][1] === 'accent' ? accent : parseRasterColor(tb[side][1]));
+  if (tb.top) fillRasterRect(canvas, textBox.x, textBox.y, textBox.w, tbw('top'), borderColor('top'));
+  if (tb.bottom) fillRasterRect(canvas, textBox.x, textBox.y + textBox.h - tbw('bottom'), textBox.w, tbw('bottom'), borderColor('bottom'));
+  const leftSide = rtl ? 'end' : 'start';
+  const rightSide = rtl ? 'start' : 'end';
+  if (tb[leftSide]) fillRasterRect(canvas, textBox.x, textBox.y + tbw('top'), tbw(leftSide), textBox.h - tbw('top') - tbw('bottom'), borderColor(leftSide));
+  if (tb[rightSide]) fillRasterRect(canvas, textBox.x + textBox.w - tbw(rightSide), textBox.y + tbw('top'), tbw(rightSide), textBox.h - tbw('top') - tbw('bottom'), borderColor(rightSide));
+
+  // Content, vertically centred in the text box (justify-content: center)
+  const contentX = textBox.x + tbw(leftSide) + (rtl ? pad.end : pad.start);
+  const innerTop = textBox.y + tbw('top') + pad.top;
+  const innerBottom = textBox.y + textBox.h - tbw('bottom') - pad.bottom;
+  let y = innerTop + (innerBottom - innerTop - contentH) / 2;
+  items.forEach((item, i) => {
+    if (i) y += st.gap;
+    y += item.marginTop || 0;
+    item.draw(contentX, Math.round(y));
+    y += item.height;
+  });
+}
+
+// Inline styles put line 1 and line 2 in one row (flex, gap 14px): line 2 gets
+// a bullet/dash prefix or becomes a pill-shaped chip.
+function buildRasterInlineRow(o) {
+  const { data, dir, rtl, align, inline, contentW, run1, run2, color1, color2, fx1, fx2, accent } = o;
+  const text1 = data.line1 || '';
+  const text2 = inline.uppercase ? String(data.line2 || '').toUpperCase() : (data.line2 || '');
+  const hasLine2 = !!data.line2;
+  const prefix = inline.prefix && hasLine2 ? layoutRasterText(inline.prefix, run2) : null;
+  const prefixW = prefix ? prefix.width + inline.prefixGap : 0;
+  const chipPadX = inline.chip ? 0.74 * run2.size : 0;
+  const chipPadY = inline.chip ? 0.28 * run2.size : 0;
+  const chipExtra = inline.chip ? chipPadX * 2 + 2 : 0;
+
+  const natural1 = layoutRasterText(text1, run1).width;
+  const natural2 = hasLine2 ? layoutRasterText(text2, run2).width + prefixW + chipExtra : 0;
+  const gap = hasLine2 ? 14 : 0;
+  let w1 = natural1;
+  let w2 = natural2;
+  const overflow = w1 + gap + w2 - contentW;
+  if (overflow > 0 && w1 + w2 > 0) {
+    w1 -= overflow * (natural1 / (natural1 + natural2));
+    w2 -= overflow * (natural2 / (natural1 + natural2));
+  } else if (overflow < 0) {
+    // flex-grow: the chip row grows line 1, the others grow line 2
+    if (inline.chip || !hasLine2) w1 -= overflow;
+    else w2 -= overflow;
+  }
+
+  const h1 = run1.size * run1.lineHeight;
+  const h2 = hasLine2 ? run2.size * run2.lineHeight + chipPadY * 2 + (inline.chip ? 2 : 0) : 0;
+  const m1 = getRasterFontMetrics(run1);
+  const m2 = getRasterFontMetrics(run2);
+  const base1 = (h1 - (m1.ascent + m1.descent)) / 2 + m1.ascent;
+  const base2 = hasLine2 ? (run2.size * run2.lineHeight - (m2.ascent + m2.descent)) / 2 + m2.ascent + chipPadY + (inline.chip ? 1 : 0) : 0;
+  let top1 = 0;
+  let top2 = 0;
+  let height;
+  if (inline.align === 'baseline' && hasLine2) {
+    const baseline = Math.max(base1, base2);
+    top1 = baseline - base1;
+    top2 = baseline - base2;
+    height = Math.max(top1 + h1, top2 + h2);
+  } else {
+    height = Math.max(h1, h2);
+    top1 = (height - h1) / 2;
+    top2 = (height - h2) / 2;
+  }
+
+  return {
+    height,
+    draw: (x, y) => {
+      // Logical start → visual position (the row mirrors for RTL)
+      const place = (start, width) => (rtl ? x + contentW - start - width : x + start);
+      const line1 = [toRasterVisualLine(fitRasterText(text1, run1, Math.max(0, w1)), run1, dir)];
+      drawRasterTextBlock(o.target, line1, run1, { x: place(0, w1), y: y + top1, w: w1, h: h1 },
+        { align: inline.chip || !hasLine2 ? align : (rtl ? 'right' : 'left'), color: color1, effect: fx1 });
+      if (!hasLine2) return;
+      const x2 = place(w1 + gap, w2);
+      const box2 = { x: x2, y: y + top2, w: w2, h: h2 };
+      if (inline.chip) {
+        compositeRasterMask(o.target, rectMask(box2.x, box2.y, box2.w, box2.h, box2.h / 2), [255, 255, 255, 0.34]);
+        compositeRasterMask(o.target, rectMask(box2.x + 1, box2.y + 1, box2.w - 2, box2.h - 2, box2.h / 2 - 1), [255, 255, 255, 0.2]);
+        const inner = { x: box2.x + 1 + chipPadX, y: box2.y + 1 + chipPadY, w: box2.w - chipExtra, h: run2.size * run2.lineHeight };
+        const chipLine = toRasterVisualLine(fitRasterText(text2, run2, Math.max(0, inner.w)), run2, dir);
+        drawRasterTextBlock(o.target, [chipLine], run2, inner, { color: color2, effect: fx2 });
+        return;
+      }
+      const opacity = inline.opacity || 1;
+      const textW = Math.max(0, w2 - prefixW);
+      const fitted = toRasterVisualLine(fitRasterText(text2, run2, textW), run2, dir);
+      // Prefix and text travel together inside line 2's box, aligned as one
+      const used = Math.min(w2, prefixW + fitted.layout.width);
+      const lineAlign = rtl ? 'right' : 'left';
+      const shift = align === 'center' ? (w2 - used) / 2 : align !== lineAlign ? w2 - used : 0;
+      const startX = rtl ? x2 + w2 - shift : x2 + shift;
+      const prefixBox = { x: rtl ? startX - prefix.width : startX, y: box2.y, w: prefix.width + 1, h: h2 };
+      drawRasterTextBlock(o.target, [{ text: inline.prefix, layout: prefix }], run2, prefixBox,
+        { color: withRasterAlpha(accent, inline.prefixOpacity), effect: fx2, opacity });
+      const textBox = { x: rtl ? startX - used : startX + prefixW, y: box2.y, w: textW, h: h2 };
+      drawRasterTextBlock(o.target, [fitted], run2, textBox, { align: lineAlign, color: color2, effect: fx2, opacity });
+    },
+  };
+}
+
+function drawRasterTicker(canvas, settings, data) {
+  const W = canvas.width;
+  const H = canvas.height;
+  const barH = Math.max(24, Math.min(140, parseInt(data.barHeight || 68, 10) || 68));
+  const textSize = Math.max(12, Math.min(72, parseInt(data.textSize || 28, 10) || 28));
+  const badgeSize = Math.max(10, Math.min(64, parseInt(data.badgeSize || 22, 10) || 22));
+  const dir = data.dir === 'rtl' || data.dir === 'ltr'
+    ? data.dir
+    : (settings.textDirection === 'rtl' || settings.textDirection === 'ltr' ? settings.textDirection : detectRasterDirection(data.message));
+  const rtl = dir === 'rtl';
+  const font = settings.line1Font || settings.font || "'Cinzel', serif";
+  const textColor = parseRasterColor(data.textColor || '#ffffff', [255, 255, 255, 1]);
+  const y = data.position === 'top' ? 0 : H - barH;
+
+  fillRasterRect(canvas, 0, y, W, barH, parseRasterColor(data.bgColor || '#cc0000', [204, 0, 0, 1]));
+
+  const badgeRun = { font, size: badgeSize, weight: 900, italic: false, letterSpacing: badgeSize * 0.1, lineHeight: 1.2 };
+  const badgeText = toRasterVisualOrder(String(data.label || 'INFO').toUpperCase(), dir);
+  const badgeLayout = layoutRasterText(badgeText, badgeRun);
+  const badgeW = Math.ceil(badgeLayout.width + 48 + 2);
+  const badgeX = rtl ? W - badgeW : 0;
+  fillRasterRect(canvas, badgeX, y, badgeW, barH, [0, 0, 0, 0.25]);
+  fillRasterRect(canvas, rtl ? badgeX : badgeX + badgeW - 2, y, 2, barH, [255, 255, 255, 0.25]);
+  drawRasterTextBlock(canvas, [{ text: badgeText, layout: badgeLayout }], badgeRun,
+    { x: rtl ? badgeX + 2 + 24 : badgeX + 24, y, w: badgeLayout.width + 1, h: barH },
+    { color: textColor, offsetY: (barH - badgeRun.size * badgeRun.lineHeight) / 2 });
+
+  const messageRun = { font, size: textSize, weight: 600, italic: false, letterSpacing: textSize * 0.01, lineHeight: 1.2 };
+  const message = toRasterVisualOrder(data.message || '', dir);
+  const viewport = { x: rtl ? 0 : badgeW, y, w: W - badgeW, h: barH };
+  drawRasterTextBlock(canvas, [{ text: message, layout: layoutRasterText(message, messageRun) }], messageRun,
+    { x: viewport.x + 24, y, w: viewport.w - 48, h: barH },
+    { align: rtl ? 'right' : 'left', color: textColor, offsetY: (barH - messageRun.size * messageRun.lineHeight) / 2 });
+}
+
+// Straight-alpha PNG of a session's live overlay and ticker (the replay from
+// buildExportReplay) at one output size.
+function renderRasterExport(replay, width, height, profile) {
+  const canvas = createRasterCanvas(width, height);
+  const showMsg = replay.show;
+  const settings = replay.settings || {};
+  if (showMsg && showMsg.data) {
+    const tmpl = settings.customTemplate;
+    if (tmpl && tmpl.enabled && tmpl.html) {
+      if (!warnedRasterCustomTemplate) {
+        warnedRasterCustomTemplate = true;
+        console.warn('  ⚠  Custom templates need Chromium; the software renderer leaves them out of ATEM exports.');
+      }
+    } else {
+      drawRasterLowerThird(canvas, settings, showMsg.data);
+    }
+  }
+  if (replay.showTicker && replay.showTicker.data && !(profile && profile.ticker === false)) {
+    drawRasterTicker(canvas, settings, replay.showTicker.data);
+  }
+  return encodeRasterCanvas(canvas);
+}
+
+if (!isMainThread && parentPort) {
+  configureRasterFonts(workerData && workerData.fontDir);
+  getRasterFontIndex();
+  parentPort.on('message', ({ id, replay, width, height, profile }) => {
+    try {
+      parentPort.postMessage({ id, png: renderRasterExport(replay, width, height, profile) });
+    } catch (err) {
+      parentPort.postMessage({ id, error: err && err.message ? err.message : String(err) });
+    }
+  });
+}
+
+module.exports = { configureRasterFonts, getRasterFontIndex, renderRasterExport };
@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// import-bible.js  –  Offline Bible library importer
+//
+// Reads OSIS, USFM, USX or Zefania XML and writes the indexed on-disk format
+// served by server.js ahead of the network providers:
+//
+//   <BIBLE_LIBRARY_DIR>/<ABBR>/manifest.json   translation meta + book index
+//   <BIBLE_LIBRARY_DIR>/<ABBR>/<USFM>.json     { chapter: { verse: text } }
+//
+// Usage:
+//   node scripts/import-bible.js --abbr KJV --name "King James Version" \
+//     [--lang en] [--format auto|osis|usfm|usx|zefania]
+//     [--versification auto|english|hebrew|lxx]
+//     [--copyright "<notice>"] [--publisher "<name>"] [--public-domain] <file-or-dir>...
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { BIBLE_BOOKS, USFM_CODES, VERSIFICATIONS } = require('../js/data.js');
+const { getVersifiedBook } = require('../js/reference.js');
+
+const ROOT = path.join(__dirname, '..');
+const BIBLE_LIBRARY_DIR = process.env.BIBLE_LIBRARY_DIR
+  ? path.resolve(process.env.BIBLE_LIBRARY_DIR)
+  : path.join(ROOT, 'data', 'bibles');
+
+const USFM_TO_BOOK = Object.fromEntries(Object.entries(USFM_CODES).map(([name, code]) => [code, name]));
+
+// OSIS book IDs → USFM codes (protestant canon plus the deuterocanonical books
+// in BIBLE_BOOKS; unknown books are skipped).
+const OSIS_BOOK_IDS = {
+  Gen: 'GEN', Exod: 'EXO', Lev: 'LEV', Num: 'NUM', Deut: 'DEU', Josh: 'JOS',
+  Judg: 'JDG', Ruth: 'RUT', '1Sam': '1SA', '2Sam': '2SA', '1Kgs': '1KI', '2Kgs': '2KI',
+  '1Chr': '1CH', '2Chr': '2CH', Ezra: 'EZR', Neh: 'NEH', Esth: 'EST', Job: 'JOB',
+  Ps: 'PSA', Prov: 'PRO', Eccl: 'ECC', Song: 'SNG', Isa: 'ISA', Jer: 'JER',
+  Lam: 'LAM', Ezek: 'EZK', Dan: 'DAN', Hos: 'HOS', Joel: 'JOL', Amos: 'AMO',
+  Obad: 'OBA', Jonah: 'JON', Mic: 'MIC', Nah: 'NAM', Hab: 'HAB', Zeph: 'ZEP',
+  Hag: 'HAG', Zech: 'ZEC', Mal: 'MAL',
+  Matt: 'MAT', Mark: 'MRK', Luke: 'LUK', John: 'JHN', Acts: 'ACT', Rom: 'ROM',
+  '1Cor': '1CO', '2Cor': '2CO', Gal: 'GAL', Eph: 'EPH', Phil: 'PHP', Col: 'COL',
+  '1Thess': '1TH', '2Thess': '2TH', '1Tim': '1TI', '2Tim': '2TI', Titus: 'TIT', Phlm: 'PHM',
+  Heb: 'HEB', Jas: 'JAS', '1Pet': '1PE', '2Pet': '2PE', '1John': '1JN', '2John': '2JN',
+  '3John': '3JN', Jude: 'JUD', Rev: 'REV',
+  Tob: 'TOB', Jdt: 'JDT', Wis: 'WIS', Sir: 'SIR', Bar: 'BAR', '1Macc': '1MA',
+  '2Macc': '2MA', '1Esd': '1ES', PrMan: 'MAN', AddPs: 'PS2', '3Macc': '3MA',
+};
+
+// Zefania numbers the deuterocanon after Revelation in its own order.
+const ZEFANIA_DC_BOOKS = {
+  67: 'JDT', 68: 'WIS', 69: 'TOB', 70: 'SIR', 71: 'BAR', 72: '1MA', 73: '2MA',
+};
+
+// USX paragraph styles that are headings/titles rather than verse text.
+const USX_SKIP_PARA_STYLES = /^(h|toc\d*|toca\d*|mt\d*|mte\d*|ms\d*|mr|s\d*|sr|r|d|sp|cl|cd|rem|ide|restore|is\d*|ip|imt\d*|io\d*|iot)$/;
+
+// ── Verse collector ───────────────────────────────────────────────────────────
+// Every format feeds the same collector: set book → chapter → verse, append
+// text while a verse is open.
+function createCollector() {
+  const books = {};
+  let book = null;
+  let chapter = null;
+  let verse = null;
+
+  return {
+    setBook(code) {
+      book = USFM_TO_BOOK[code] ? code : null;
+      chapter = null;
+      verse = null;
+    },
+    setChapter(n) {
+      chapter = parseInt(n, 10) || null;
+      verse = null;
+    },
+    setVerse(n) {
+      verse = parseInt(n, 10) || null;   // bridges ("1-2") are stored on the first verse
+    },
+    endVerse() {
+      verse = null;
+    },
+    addText(text) {
+      if (!book || !chapter || !verse || !text) return;
+      const chapters = books[book] || (books[book] = {});
+      const verses = chapters[chapter] || (chapters[chapter] = {});
+      verses[verse] = (verses[verse] || '') + text;
+    },
+    result() {
+      for (const chapters of Object.values(books)) {
+        for (const verses of Object.values(chapters)) {
+          for (const v of Object.keys(verses)) {
+            verses[v] = verses[v].replace(/\s+/g, ' ').replace(/\s+([.,;:!?])/g, '$1').trim();
+            if (!verses[v]) delete verses[v];
+          }
+        }
+      }
+      return books;
+    },
+  };
+}
+
+function localName(name) {
+  return String(name || '').replace(/^.*:/, '');
+}
+
+function walkChildren(node, visit) {
+  (node.children || []).forEach(visit);
+}
+
+// ── OSIS ──────────────────────────────────────────────────────────────────────
+// Handles both container verses (<verse osisID>text</verse>) and milestones
+// (<verse sID/> … <verse eID/>).
+function parseOsis(xml, col) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const setRef = ref => {
+    const [bookId, ch, v] = String(ref).split(/\s+/)[0].split('.');
+    const code = OSIS_BOOK_IDS[bookId];
+    if (!code) { col.setBook(null); return; }
+    col.setBook(code);
+    col.setChapter(ch);
+    col.setVerse(v);
+  };
+  const visit = node => {
+    if (node.type === 'text') { col.addText(node.data); return; }
+    if (node.type !== 'tag') return;
+    const name = localName(node.name);
+    if (name === 'note' || name === 'title' || name === 'header') return;
+    if (name === 'verse') {
+      const a = node.attribs || {};
+      if (a.eID) { col.endVerse(); return; }
+      const ref = a.osisID || a.sID;
+      if (!ref) return;
+      setRef(ref);
+      if (!a.sID) {
+        walkChildren(node, visit);
+        col.endVerse();
+      }
+      return;
+    }
+    walkChildren(node, visit);
+  };
+  $.root().toArray().forEach(root => walkChildren(root, visit));
+}
+
+// ── USX ───────────────────────────────────────────────────────────────────────
+function parseUsx(xml, col) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const visit = node => {
+    if (node.type === 'text') { col.addText(node.data); return; }
+    if (node.type !== 'tag') return;
+    const a = node.attribs || {};
+    switch (node.name) {
+      case 'book':
+        col.setBook(String(a.code || '').toUpperCase());
+        return;                                  // book element only holds the title
+      case 'chapter':
+        if (!a.eid) col.setChapter(a.number);
+        return;
+      case 'verse':
+        if (a.eid) col.endVerse();
+        else col.setVerse(a.number);
+        return;
+      case 'note':
+      case 'figure':
+        return;
+      case 'para':
+        if (USX_SKIP_PARA_STYLES.test(a.style || '')) return;
+        col.addText(' ');
+        walkChildren(node, visit);
+        col.addText(' ');
+        return;
+      default:
+        walkChildren(node, visit);
+    }
+  };
+  $.root().toArray().forEach(root => walkChildren(root, visit));
+}
+
+// ── USFM ──────────────────────────────────────────────────────────────────────
+function parseUsfm(text, col) {
+  const body = String(text)
+    .replace(/\\(f|fe|ef|x|ex)\s[\s\S]*?\\\1\*/g, '')                  // notes + cross refs
+    .replace(/\\\+?w\s+([^|\\]*?)(?:\|[^\\]*)?\\\+?w\*/g, '$1')          // \w word|strong\w*
+    .replace(/^\\(h|toc\d*|toca\d*|mt\d*|mte\d*|ms\d*|mr|s\d*|sr|r|d|sp|cl|cd|rem|ide|usfm|sts|restore|is\d*|ip|imt\d*|io\d*|iot)\b.*$/gm, '');
+
+  const markerRx = /\\(id|c|v)\s+(\S+)/g;
+  let last = 0;
+  let m;
+  const flush = chunk => col.addText(` ${chunk.replace(/\\\+?[a-z]+\d*\*?/g, ' ')} `);
+  while ((m = markerRx.exec(body))) {
+    flush(body.slice(last, m.index));
+    if (m[1] === 'id') {
+      col.setBook(m[2].toUpperCase());
+      const eol = body.indexOf('\n', markerRx.lastIndex);
+      markerRx.lastIndex = eol === -1 ? body.length : eol;   // rest of \id line is a description
+    } else if (m[1] === 'c') {
+      col.setChapter(m[2]);
+    } else {
+      col.setVerse(m[2]);
+    }
+    last = markerRx.lastIndex;
+  }
+  flush(body.slice(last));
+}
+
+// ── Zefania XML ───────────────────────────────────────────────────────────────
+// Books 1–66 are in protestant canonical order (same order as BIBLE_BOOKS);
+// 67+ follow ZEFANIA_DC_BOOKS.
+function parseZefania(xml, col) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const visit = node => {
+    if (node.type === 'text') { col.addText(node.data); return; }
+    if (node.type !== 'tag') return;
+    const a = node.attribs || {};
+    switch (node.name.toUpperCase()) {
+      case 'BIBLEBOOK': {
+        const bnumber = parseInt(a.bnumber, 10);
+        const bookObj = bnumber >= 1 && bnumber <= 66 ? BIBLE_BOOKS[bnumber - 1] : null;
+        col.setBook(bookObj ? USFM_CODES[bookObj.name] : (ZEFANIA_DC_BOOKS[bnumber] || null));
+        break;
+      }
+      case 'CHAPTER':
+        col.setChapter(a.cnumber);
+        break;
+      case 'VERS':
+        col.setVerse(a.vnumber);
+        walkChildren(node, visit);
+        col.endVerse();
+        return;
+      case 'NOTE':
+      case 'CAPTION':
+      case 'INFORMATION':
+        return;
+      default:
+        break;
+    }
+    walkChildren(node, visit);
+  };
+  $.root().toArray().forEach(root => walkChildren(root, visit));
+}
+
+const PARSERS = { osis: parseOsis, usx: parseUsx, usfm: parseUsfm, zefania: parseZefania };
+
+function detectFormat(filePath, text) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.usfm' || ext === '.sfm' || ext === '.ptx') return 'usfm';
+  if (ext === '.usx') return 'usx';
+  const head = text.slice(0, 4096);
+  if (/<osis[\s>]/i.test(head)) return 'osis';
+  if (/<usx[\s>]/i.test(head)) return 'usx';
+  if (/<XMLBIBLE[\s>]|<BIBLEBOOK[\s>]/.test(head)) return 'zefania';
+  if (/^\s*\\id\s/m.test(head)) return 'usfm';
+  return null;
+}
+
+function expandInputs(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const stat = fs.statSync(input);
+    if (stat.isDirectory()) {
+      fs.readdirSync(input)
+        .filter(name => /\.(usfm|sfm|ptx|usx|xml|osis)$/i.test(name))
+        .sort()
+        .forEach(name => files.push(path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+function writeJsonAtomic(filePath, value) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(value));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// The VERSIFICATIONS scheme whose chapter/verse counts match the imported
+// book index best; english wins ties, so a Bible that numbers like KJV stays
+// unmarked.
+function detectVersification(index) {
+  let best = 'english';
+  let bestScore = -1;
+  for (const scheme of Object.keys(VERSIFICATIONS)) {
+    let score = 0;
+    for (const entry of Object.values(index)) {
+      const book = getVersifiedBook(BIBLE_BOOKS.find(b => b.name === entry.name), scheme);
+      if (!book) continue;
+      entry.verses.forEach((count, i) => { if (count && count === book.verses[i]) score++; });
+    }
+    if (score > bestScore) { best = scheme; bestScore = score; }
+  }
+  return best;
+}
+
+function parseArgs(argv) {
+  const opts = { format: 'auto', lang: 'en', versification: 'auto', inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--abbr') opts.abbr = argv[++i];
+    else if (arg === '--name') opts.name = argv[++i];
+    else if (arg === '--lang') opts.lang = argv[++i];
+    else if (arg === '--format') opts.format = String(argv[++i] || '').toLowerCase();
+    else if (arg === '--versification') opts.versification = String(argv[++i] || '').toLowerCase();
+    else if (arg === '--copyright') opts.copyright = argv[++i];
+    else if (arg === '--publisher') opts.publisher = argv[++i];
+    else if (arg === '--public-domain') opts.publicDomain = true;
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else opts.inputs.push(arg);
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.abbr || !opts.inputs.length) {
+    console.log('Usage: node scripts/import-bible.js --abbr <ABBR> --name "<Name>" [--lang en]');
+    console.log('         [--format auto|osis|usfm|usx|zefania] [--versification auto|english|hebrew|lxx]');
+    console.log('         [--copyright "<notice>"] [--publisher "<name>"] [--public-domain]');
+    console.log('         <file-or-dir>...');
+    process.exit(opts.help ? 0 : 1);
+  }
+  const abbr = String(opts.abbr).trim().toUpperCase();
+  if (!/^[A-Z0-9][A-Z0-9_.-]{0,23}$/.test(abbr)) {
+    console.error(`[import-bible] Invalid --abbr "${opts.abbr}" (letters, digits, _ . - only).`);
+    process.exit(1);
+  }
+  if (opts.format !== 'auto' && !PARSERS[opts.format]) {
+    console.error(`[import-bible] Unknown --format "${opts.format}".`);
+    process.exit(1);
+  }
+  if (opts.versification !== 'auto' && !VERSIFICATIONS[opts.versification]) {
+    console.error(`[import-bible] Unknown --versification "${opts.versification}".`);
+    process.exit(1);
+  }
+
+  const col = createCollector();
+  const formats = new Set();
+  for (const file of expandInputs(opts.inputs)) {
+    const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+    const format = opts.format === 'auto' ? detectFormat(file, text) : opts.format;
+    if (!format) {
+      console.warn(`[import-bible] Skipping ${file}: unrecognised format.`);
+      continue;
+    }
+    PARSERS[format](text, col);
+    formats.add(format);
+    console.log(`[import-bible] Parsed ${file} (${format})`);
+  }
+
+  const books = col.result();
+  const codes = Object.keys(books);
+  if (!codes.length) {
+    console.error('[import-bible] No verses found — nothing imported.');
+    process.exit(1);
+  }
+
+  const outDir = path.join(BIBLE_LIBRARY_DIR, abbr);
+  fs.mkdirSync(outDir, { recursive: true });
+  const index = {};
+  let verseTotal = 0;
+  for (const code of codes) {
+    const chapters = books[code];
+    const chapterNums = Object.keys(chapters).map(Number).sort((a, b) => a - b);
+    index[code] = {
+      name: USFM_TO_BOOK[code],
+      chapters: chapterNums.length ? chapterNums[chapterNums.length - 1] : 0,
+      // verses[i] = highest verse number in chapter (i+1), same shape as BIBLE_BOOKS
+      verses: Array.from({ length: chapterNums[chapterNums.length - 1] || 0 }, (_, i) => (
+        chapters[i + 1] ? Math.max(0, ...Object.keys(chapters[i + 1]).map(Number)) : 0
+      )),
+    };
+    verseTotal += chapterNums.reduce((n, c) => n + Object.keys(chapters[c]).length, 0);
+    writeJsonAtomic(path.join(outDir, `${code}.json`), chapters);
+  }
+
+  const versification = opts.versification === 'auto' ? detectVersification(index) : opts.versification;
+  writeJsonAtomic(path.join(outDir, 'manifest.json'), {
+    abbr,
+    name: opts.name || abbr,
+    lang: opts.lang || 'en',
+    versification,
+    copyright: opts.copyright || undefined,
+    publisher: opts.publisher || undefined,
+    publicDomain: opts.publicDomain || undefined,
+    format: Array.from(formats).join(','),
+    importedAt: new Date().toISOString(),
+    books: index,
+  });
+
+  console.log(`[import-bible] ${abbr}: ${codes.length} books, ${verseTotal} verses, ${versification} versification → ${outDir}`);
+}
+
+main();
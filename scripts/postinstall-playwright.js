@@ -29,7 +29,7 @@ const result = spawnSync(process.execPath, [cliPath, 'install', 'chromium'], {
 
 if (result.status !== 0) {
   console.warn('\n[postinstall] Chromium install failed.');
-  console.warn('[postinstall] ATEM PNG export will stay in placeholder mode until Chromium is available.');
+  console.warn('[postinstall] ATEM PNG stills will use the built-in software renderer until Chromium is available.');
   console.warn('[postinstall] You can retry inside the app container with: npx playwright install chromium\n');
   process.exit(0);
 }
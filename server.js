@@ -22,9 +22,37 @@ const http = require('http');
 const fs   = require('fs');
 const path = require('path');
 const os   = require('os');
+const crypto = require('crypto');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { Worker } = require('worker_threads');
 const { PNG } = require('pngjs');
+const {
+  BIBLE_BOOKS,
+  CANONS,
+  VERSIFICATIONS,
+  TRANSLATIONS,
+  REFERENCE_LANGUAGES,
+  BIBLE_API_MAP,
+  BIBLEGATEWAY_MAP,
+  YOUVERSION_MAP,
+  APIBIBLE_IDS,
+  HELLOAO_MAP,
+  USFM_CODES,
+} = require('./js/data.js');
+const {
+  parseReferenceSegments,
+  sanitiseReferenceSegments,
+  formatReferenceSegments,
+  expandReferenceSegments,
+  getTranslationVersification,
+  getVersifiedBook,
+  convertVerse,
+  convertReferenceSegments,
+  parseQuickReference,
+} = require('./js/reference.js');
+const { buildAtemVariantPngs } = require('./lib/atem-png-variants.js');
+const { configureRasterFonts, renderRasterExport } = require('./lib/raster-renderer.js');
 
 const PORT = parseInt(process.env.PORT, 10) || 3333;
 const ROOT = __dirname;
@@ -39,6 +67,11 @@ const ATEM_PNG_MODE_RAW = String(process.env.ATEM_PNG_MODE || 'premultiplied').t
 const ATEM_PNG_MODE = (ATEM_PNG_MODE_RAW === 'straight' || ATEM_PNG_MODE_RAW === 'premultiplied')
   ? ATEM_PNG_MODE_RAW
   : 'premultiplied';
+const ATEM_PNG_RENDERER_RAW = String(process.env.ATEM_PNG_RENDERER || 'auto').trim().toLowerCase();
+const ATEM_PNG_RENDERER = (ATEM_PNG_RENDERER_RAW === 'chromium' || ATEM_PNG_RENDERER_RAW === 'raster')
+  ? ATEM_PNG_RENDERER_RAW
+  : 'auto';
+const RASTER_FONT_DIR = String(process.env.RASTER_FONT_DIR || '').trim();
 const ATEM_PNG_SESSION = String(process.env.ATEM_PNG_SESSION || '').trim();
 const ATEM_PNG_SESSIONS = String(process.env.ATEM_PNG_SESSIONS || '').trim();
 const ATEM_PNG_WEBHOOK_URL = String(process.env.ATEM_PNG_WEBHOOK_URL || '').trim();
@@ -48,12 +81,49 @@ const ATEM_PNG_WEBHOOK_SECRET = String(process.env.ATEM_PNG_WEBHOOK_SECRET || ''
 const ATEM_PNG_BASE_DIR = path.dirname(ATEM_PNG_EXPORT_PATH);
 const ATEM_PNG_BASE_FILE = path.basename(ATEM_PNG_EXPORT_PATH);
 const ATEM_PNG_BASE_STEM = ATEM_PNG_BASE_FILE.replace(/\.png$/i, '') || 'atem-live';
+const CONTROL_API_TOKEN = String(process.env.CONTROL_API_TOKEN || '').trim();
+const CONTROL_API_MAX_BODY = 256 * 1024;
+const SESSION_STATE_STORE = String(process.env.SESSION_STATE_STORE || 'file').trim().toLowerCase();
+const SESSION_STATE_DIR = process.env.SESSION_STATE_DIR
+  ? path.resolve(process.env.SESSION_STATE_DIR)
+  : path.join(ROOT, 'data', 'sessions');
+const SESSION_STATE_GRACE_MS = Math.max(0, parseInt(process.env.SESSION_STATE_GRACE_MS || '7200000', 10) || 0);
+const SESSION_STATE_SAVE_DELAY_MS = 250;
+const ASSET_DIR = process.env.ASSET_DIR
+  ? path.resolve(process.env.ASSET_DIR)
+  : path.join(ROOT, 'data', 'assets');
+const PASSAGE_CACHE_DIR = process.env.PASSAGE_CACHE_DIR
+  ? path.resolve(process.env.PASSAGE_CACHE_DIR)
+  : path.join(ROOT, 'data', 'passages');
+const PASSAGE_CACHE_TTL_MS = Math.max(0, parseInt(process.env.PASSAGE_CACHE_TTL_MS || '604800000', 10) || 0);
+const SERVICE_PACK_DIR = process.env.SERVICE_PACK_DIR
+  ? path.resolve(process.env.SERVICE_PACK_DIR)
+  : path.join(ROOT, 'data', 'service-packs');
+const BIBLE_LIBRARY_DIR = process.env.BIBLE_LIBRARY_DIR
+  ? path.resolve(process.env.BIBLE_LIBRARY_DIR)
+  : path.join(ROOT, 'data', 'bibles');
+// Server-side stores. The static handler refuses anything inside them, since the
+// defaults all sit under ROOT/data (session state, cached passages, packs).
+const PRIVATE_DATA_DIRS = [path.join(ROOT, 'data'), SESSION_STATE_DIR, ASSET_DIR, PASSAGE_CACHE_DIR, SERVICE_PACK_DIR, BIBLE_LIBRARY_DIR];
+// Provider keys stay on the server; browsers only ever see /api/passage results.
+const APIBIBLE_KEY = String(process.env.APIBIBLE_KEY || '').trim();
+const ASSET_MAX_BYTES = Math.max(64 * 1024, parseInt(process.env.ASSET_MAX_BYTES || String(8 * 1024 * 1024), 10) || 0);
 
 function normalizeSessionId(value) {
   const s = String(value || '').trim();
   return s || 'default';
 }
 
+// Path segments come straight from the URL; a malformed escape (%E0%A4) must
+// not throw inside the request handler.
+function decodePathSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_) {
+    return null;
+  }
+}
+
 function sanitizeSessionForFile(value) {
   return normalizeSessionId(value).replace(/[^a-zA-Z0-9_-]/g, '_');
 }
@@ -63,15 +133,42 @@ function getAtemExportPathForSession(sessionId) {
   return path.join(ATEM_PNG_BASE_DIR, `${ATEM_PNG_BASE_STEM}-${safe}.png`);
 }
 
+// Variants written on every render: straight / premultiplied RGBA, plus a
+// fill + key (matte) pair for media players and downstream keyers, served at
+// <session>-fill.png / -key.png (?variant=fill|key is an alias). Session ids
+// may contain "-", so on disk fill and key use a "." suffix; a session named
+// "stage-key" never meets "stage"'s key.
+const ATEM_EXPORT_VARIANTS = ['straight', 'premultiplied', 'fill', 'key'];
+
 function getAtemExportPathForSessionVariant(sessionId, variant) {
   const safe = sanitizeSessionForFile(sessionId);
   const v = String(variant || '').trim().toLowerCase();
-  if (v !== 'straight' && v !== 'premultiplied') return getAtemExportPathForSession(sessionId);
+  if (!ATEM_EXPORT_VARIANTS.includes(v)) return getAtemExportPathForSession(sessionId);
+  if (v === 'fill' || v === 'key') return path.join(ATEM_PNG_BASE_DIR, `${ATEM_PNG_BASE_STEM}-${safe}.${v}.png`);
   return path.join(ATEM_PNG_BASE_DIR, `${ATEM_PNG_BASE_STEM}-${safe}-${v}.png`);
 }
 
-function getAtemExportUrlForSession(sessionId) {
-  return `/atem-live/${encodeURIComponent(normalizeSessionId(sessionId))}.png`;
+function getAtemExportUrlForSession(sessionId, variant = '') {
+  const suffix = variant === 'fill' || variant === 'key' ? `-${variant}` : '';
+  return `/atem-live/${encodeURIComponent(normalizeSessionId(sessionId))}${suffix}.png`;
+}
+
+// "/atem-live/stage-key.png" is session "stage-key" when that session exists,
+// otherwise the key of session "stage".
+function resolveAtemSessionPath(rawSession, reqUrl) {
+  const sessionId = normalizeSessionId(rawSession);
+  const suffix = /^(.+)-(fill|key)$/i.exec(sessionId);
+  const known = sessionState.has(sessionId) || rooms.has(sessionId) || atemPngPinnedSessions.has(sessionId);
+  if (suffix && !known) return { sessionId: normalizeSessionId(suffix[1]), variant: suffix[2].toLowerCase() };
+  return { sessionId, variant: getAtemRequestedVariant(reqUrl) };
+}
+
+// ?variant=fill|key, else ?alpha=straight|premultiplied, else '' (the main PNG)
+function getAtemRequestedVariant(reqUrl) {
+  const variant = String(reqUrl.searchParams.get('variant') || '').trim().toLowerCase();
+  if (variant === 'fill' || variant === 'key') return variant;
+  const alphaMode = String(reqUrl.searchParams.get('alpha') || '').trim().toLowerCase();
+  return alphaMode === 'straight' || alphaMode === 'premultiplied' ? alphaMode : '';
 }
 
 function parsePinnedSessionList(value) {
@@ -88,8 +185,10 @@ const atemPngPinnedSessions = new Set([
 
 let chromium = null;
 let exportBrowser = null;
+let exportBrowserLaunch = null;   // pending chromium.launch(), shared by concurrent callers
+let exportBrowserFailed = false;
 let warnedPlaywrightMissing = false;
-const exportSessions = new Map(); // sessionId -> { context, page, timer, running, queued }
+const exportSessions = new Map(); // sessionId -> { views: Map<"WxH", Promise<{ context, page }>>, timer, running, queued }
 const sessionState = new Map(); // sessionId -> shared live state (for ws + polling fallback)
 
 try {
@@ -188,6 +287,195 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Animated clip export: { fps, hold, part: full|in|out, alpha } → zip + APNG URLs.
+  // Renders the session's live overlay, so something must be on air.
+  const atemClipApiMatch = /^\/api\/session\/([^\/]+)\/atem-clip$/.exec(reqUrl.pathname || '');
+  if (atemClipApiMatch) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { code: 405, message: 'Use POST' }, { 'Allow': 'POST' });
+      return;
+    }
+    if (!isControlApiAuthorized(req, reqUrl)) {
+      sendJson(res, 401, { code: 401, message: 'Missing or invalid control API token' });
+      return;
+    }
+    const rawSession = decodePathSegment(atemClipApiMatch[1]);
+    if (rawSession === null) {
+      sendJson(res, 400, { code: 400, message: 'Invalid session in URL' });
+      return;
+    }
+    const sessionId = normalizeSessionId(rawSession);
+    try {
+      const body = await readJsonBody(req, CONTROL_API_MAX_BODY);
+      sendJson(res, 200, { ok: true, ...(await renderAtemClip(sessionId, body)) });
+    } catch (err) {
+      const status = err && err.statusCode ? err.statusCode : 500;
+      sendJson(res, status, {
+        code: status,
+        message: status === 500 ? 'Clip export failed' : err.message,
+        detail: status === 500 && err && err.message ? err.message : undefined,
+      });
+    }
+    return;
+  }
+
+  // Preset batch render: { presets: [{ id, label, mode, data }], settings, modeSettings, profile }
+  // → zip of fill / key / premultiplied / straight PNGs per preset plus manifest.json.
+  const atemBatchApiMatch = /^\/api\/session\/([^\/]+)\/atem-presets$/.exec(reqUrl.pathname || '');
+  if (atemBatchApiMatch) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { code: 405, message: 'Use POST' }, { 'Allow': 'POST' });
+      return;
+    }
+    if (!isControlApiAuthorized(req, reqUrl)) {
+      sendJson(res, 401, { code: 401, message: 'Missing or invalid control API token' });
+      return;
+    }
+    const rawSession = decodePathSegment(atemBatchApiMatch[1]);
+    if (rawSession === null) {
+      sendJson(res, 400, { code: 400, message: 'Invalid session in URL' });
+      return;
+    }
+    const sessionId = normalizeSessionId(rawSession);
+    try {
+      const body = await readJsonBody(req, ATEM_BATCH_MAX_BODY);
+      sendJson(res, 200, { ok: true, ...(await renderAtemPresetBatch(sessionId, body)) });
+    } catch (err) {
+      const status = err && err.statusCode ? err.statusCode : 500;
+      sendJson(res, status, {
+        code: status,
+        message: status === 500 ? 'Preset batch render failed' : err.message,
+        detail: status === 500 && err && err.message ? err.message : undefined,
+      });
+    }
+    return;
+  }
+
+  // Control API — lets hardware panels (Stream Deck / Companion) drive a session
+  // without a control tab open. Each call updates shared state exactly like the
+  // equivalent WebSocket action, then fans out to the room and the ATEM exporter.
+  // next-verse / prev-verse are relayed to the session's control panel, which
+  // owns the Bible reference, so they need one connected.
+  const controlApiMatch = /^\/api\/session\/([^\/]+)\/(show|clear|ticker|clear-ticker|next-verse|prev-verse)$/.exec(reqUrl.pathname || '');
+  if (controlApiMatch) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { code: 405, message: 'Use POST' }, { 'Allow': 'POST' });
+      return;
+    }
+    if (!isControlApiAuthorized(req, reqUrl)) {
+      sendJson(res, 401, { code: 401, message: 'Missing or invalid control API token' });
+      return;
+    }
+
+    const rawSession = decodePathSegment(controlApiMatch[1]);
+    if (rawSession === null) {
+      sendJson(res, 400, { code: 400, message: 'Invalid session in URL' });
+      return;
+    }
+    const sessionId = normalizeSessionId(rawSession);
+    const command = controlApiMatch[2];
+    let body;
+    try {
+      body = await readJsonBody(req, CONTROL_API_MAX_BODY);
+    } catch (err) {
+      sendJson(res, err && err.statusCode ? err.statusCode : 400, {
+        code: err && err.statusCode ? err.statusCode : 400,
+        message: err && err.message ? err.message : 'Invalid request body',
+      });
+      return;
+    }
+
+    if (command === 'next-verse' || command === 'prev-verse') {
+      const controls = countRoomClients(sessionId, 'control');
+      if (!controls) {
+        sendJson(res, 409, { code: 409, message: 'No control panel is connected to this session' });
+        return;
+      }
+      broadcastToRoom(sessionId, JSON.stringify({ action: command, cut: !!(body && body.cut) }), null);
+      sendJson(res, 200, { ok: true, sessionId, action: command, controls });
+      return;
+    }
+
+    let msg;
+    if (command === 'show') {
+      const data = buildApiOverlayData(body);
+      if (!data.line1) {
+        sendJson(res, 400, { code: 400, message: 'line1 is required' });
+        return;
+      }
+      msg = { action: 'show', data, source: 'api' };
+      if (body.settings && typeof body.settings === 'object') msg.settings = body.settings;
+    } else if (command === 'ticker') {
+      const data = buildApiTickerData(body);
+      if (!data.message) {
+        sendJson(res, 400, { code: 400, message: 'message is required' });
+        return;
+      }
+      msg = { action: 'show-ticker', data, source: 'api' };
+    } else {
+      msg = { action: command, source: 'api' };
+    }
+
+    const state = dispatchSessionAction(sessionId, msg);
+    sendJson(res, 200, {
+      ok: true,
+      sessionId,
+      action: msg.action,
+      overlayVisible: !!state.overlayVisible,
+      tickerVisible: !!state.tickerVisible,
+      updatedAt: state.updatedAt,
+    });
+    return;
+  }
+
+  // Asset store — logos and lower-third backgrounds uploaded by the control page.
+  // Settings carry the returned URL instead of a data URL, so remote outputs and
+  // the ATEM exporter can load the same image.
+  if (reqUrl.pathname === '/api/assets') {
+    if (req.method === 'GET') {
+      sendJson(res, 200, { assets: listAssets() });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { code: 405, message: 'Use GET or POST' }, { 'Allow': 'GET, POST' });
+      return;
+    }
+    if (!isControlApiAuthorized(req, reqUrl)) {
+      sendJson(res, 401, { code: 401, message: 'Missing or invalid control API token' });
+      return;
+    }
+    try {
+      const body = await readRawBody(req, ASSET_MAX_BYTES);
+      const asset = saveAsset(body);
+      sendJson(res, 201, { ok: true, ...asset });
+    } catch (err) {
+      const status = err && err.statusCode ? err.statusCode : 500;
+      sendJson(res, status, {
+        code: status,
+        message: status === 500 ? 'Asset upload failed' : err.message,
+        detail: status === 500 && err && err.message ? err.message : undefined,
+      });
+    }
+    return;
+  }
+
+  const assetMatch = /^\/api\/assets\/([a-f0-9]{16,64}\.(?:png|jpg|gif|webp))$/.exec(reqUrl.pathname || '');
+  if (assetMatch && (req.method === 'GET' || req.method === 'HEAD')) {
+    const assetPath = path.join(ASSET_DIR, assetMatch[1]);
+    fs.readFile(assetPath, (err, data) => {
+      if (err) {
+        sendJson(res, 404, { code: 404, message: 'Asset not found' });
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': ASSET_TYPES[path.extname(assetPath).slice(1)] || 'application/octet-stream',
+        'Cache-Control': 'public, max-age=31536000, immutable', // content-addressed
+      });
+      res.end(req.method === 'HEAD' ? undefined : data);
+    });
+    return;
+  }
+
   if (req.method === 'GET' && reqUrl.pathname === '/atem-live.png') {
     const rawSession = reqUrl.searchParams.get('session');
     if (!rawSession) {
@@ -204,7 +492,8 @@ const server = http.createServer(async (req, res) => {
       if (err) {
         if (ATEM_PNG_EXPORT_ENABLED) {
           try {
-            writeTransparentPng(target, ATEM_PNG_WIDTH, ATEM_PNG_HEIGHT);
+            const primary = getAtemProfile(requestedSession).outputs[0];
+            writeTransparentPng(target, primary.width, primary.height);
             data = fs.readFileSync(target);
           } catch (_) {
             res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
@@ -228,18 +517,126 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Animated clip downloads written by POST /api/session/<session>/atem-clip
+  const atemClipMatch = /^\/atem-live\/([^\/]+)-clip\.(zip|apng)$/i.exec(reqUrl.pathname || '');
+  if (req.method === 'GET' && atemClipMatch) {
+    const rawSession = decodePathSegment(atemClipMatch[1]);
+    if (rawSession === null) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end('Invalid session in URL');
+      return;
+    }
+    const requestedSession = normalizeSessionId(rawSession);
+    const ext = atemClipMatch[2].toLowerCase();
+    fs.readFile(getAtemClipPath(requestedSession, ext), (err, data) => {
+      if (err) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end('ATEM clip not rendered yet');
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': ext === 'zip' ? 'application/zip' : 'image/apng',
+        'Content-Disposition': `attachment; filename="${ATEM_PNG_BASE_STEM}-${sanitizeSessionForFile(requestedSession)}-clip.${ext === 'zip' ? 'zip' : 'png'}"`,
+        'Cache-Control': 'no-store',
+      });
+      res.end(data);
+    });
+    return;
+  }
+
+  // Preset stills written by POST /api/session/<session>/atem-presets
+  const atemBatchMatch = /^\/atem-live\/([^\/]+)-presets\.zip$/i.exec(reqUrl.pathname || '');
+  if (req.method === 'GET' && atemBatchMatch) {
+    const rawSession = decodePathSegment(atemBatchMatch[1]);
+    if (rawSession === null) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end('Invalid session in URL');
+      return;
+    }
+    const requestedSession = normalizeSessionId(rawSession);
+    fs.readFile(getAtemBatchPath(requestedSession), (err, data) => {
+      if (err) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end('Preset stills not rendered yet');
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${ATEM_PNG_BASE_STEM}-${sanitizeSessionForFile(requestedSession)}-presets.zip"`,
+        'Cache-Control': 'no-store',
+      });
+      res.end(data);
+    });
+    return;
+  }
+
+  // Named profile outputs: /atem-live/<session>/<output>.png (?alpha=…), and
+  // <output>-fill.png / -key.png (or ?variant=fill|key). Output names never hold "-".
+  const atemOutputMatch = /^\/atem-live\/([^\/]+)\/([A-Za-z0-9_]+)(?:-(fill|key))?\.png$/.exec(reqUrl.pathname || '');
+  if (req.method === 'GET' && atemOutputMatch) {
+    const rawSession = decodePathSegment(atemOutputMatch[1]);
+    if (rawSession === null) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end('Invalid session in URL');
+      return;
+    }
+    const requestedSession = normalizeSessionId(rawSession);
+    const output = getAtemProfile(requestedSession).outputs.find(o => o.name && o.name === atemOutputMatch[2]);
+    if (!output) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end('No such output in this session\'s ATEM export profile');
+      return;
+    }
+    const variant = atemOutputMatch[3] || getAtemRequestedVariant(reqUrl);
+    const fillKey = variant === 'fill' || variant === 'key';
+    const target = getAtemOutputPath(requestedSession, output.name, variant);
+    fs.readFile(target, (err, data) => {
+      if (err) {
+        try {
+          if (!ATEM_PNG_EXPORT_ENABLED) throw err;
+          if (fillKey) writeOpaqueBlackPng(target, output.width, output.height);
+          else writeTransparentPng(target, output.width, output.height);
+          data = fs.readFileSync(target);
+        } catch (_) {
+          res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+          res.end('ATEM export not found');
+          return;
+        }
+      }
+      res.writeHead(200, {
+        'Content-Type': 'image/png',
+        'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0',
+        'Pragma': 'no-cache',
+        'Expires': '0',
+      });
+      res.end(data);
+    });
+    return;
+  }
+
+  // /atem-live/<session>.png (?alpha=…), or <session>-fill.png / -key.png (alias
+  // ?variant=fill|key) for the fill + key pair
   const atemSessionMatch = /^\/atem-live\/([^\/]+)\.png$/i.exec(reqUrl.pathname || '');
   if (req.method === 'GET' && atemSessionMatch) {
-    const requestedSession = normalizeSessionId(decodeURIComponent(atemSessionMatch[1] || 'default'));
-    const alphaMode = String(reqUrl.searchParams.get('alpha') || '').trim().toLowerCase();
-    const target = (alphaMode === 'straight' || alphaMode === 'premultiplied')
-      ? getAtemExportPathForSessionVariant(requestedSession, alphaMode)
+    const rawSession = decodePathSegment(atemSessionMatch[1]);
+    if (rawSession === null) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end('Invalid session in URL');
+      return;
+    }
+    const { sessionId: requestedSession, variant } = resolveAtemSessionPath(rawSession, reqUrl);
+    const fillKey = variant === 'fill' || variant === 'key';
+    const target = variant
+      ? getAtemExportPathForSessionVariant(requestedSession, variant)
       : getAtemExportPathForSession(requestedSession);
     fs.readFile(target, (err, data) => {
       if (err) {
         if (ATEM_PNG_EXPORT_ENABLED) {
           try {
-            writeTransparentPng(target, ATEM_PNG_WIDTH, ATEM_PNG_HEIGHT);
+            // An empty fill/key pair is opaque black: nothing keyed on
+            const primary = getAtemProfile(requestedSession).outputs[0];
+            if (fillKey) writeOpaqueBlackPng(target, primary.width, primary.height);
+            else writeTransparentPng(target, primary.width, primary.height);
             data = fs.readFileSync(target);
           } catch (_) {
             res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
@@ -263,7 +660,187 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  // BibleGateway verse proxy endpoint (used by control.js lookup)
+  // Unified passage lookup (provider chain + shared cache, used by control.js)
+  if (req.method === 'GET' && reqUrl.pathname === '/api/passage') {
+    const book = (reqUrl.searchParams.get('book') || '').trim();
+    const chapterParam = (reqUrl.searchParams.get('chapter') || '').trim();
+    const chapter = parseInt(chapterParam, 10);
+    const translation = (reqUrl.searchParams.get('translation') || '').trim().toUpperCase();
+    const requestedAbbr = translation && translation !== 'NONE' ? translation : '';
+
+    const baseBook = BIBLE_BOOKS.find(b => b.name.toLowerCase() === book.toLowerCase());
+    if (!baseBook) {
+      sendJson(res, 400, { code: 400, message: `Unknown book: ${book || '(missing)'}` });
+      return;
+    }
+    // chapter is the default for bare verse numbers; verses may name its own
+    // chapters ("36-4:2", "8:28; 12:1-2"). Both are numbered in the requested
+    // translation's versification.
+    const bookObj = getVersifiedBook(baseBook, getTranslationVersification(requestedAbbr));
+    if (chapterParam && (!chapter || chapter < 1 || chapter > bookObj.maxChapters)) {
+      sendJson(res, 400, { code: 400, message: `${bookObj.name} has chapters 1-${bookObj.maxChapters}` });
+      return;
+    }
+    const parsed = parseReferenceSegments(reqUrl.searchParams.get('verses'), chapter);
+    const { valid: segments } = sanitiseReferenceSegments(parsed.segments, bookObj);
+    if (parsed.error || !segments.length) {
+      sendJson(res, 400, {
+        code: 400,
+        message: `Invalid verses for ${bookObj.name}`,
+        detail: parsed.error || `No verses within ${bookObj.name} (chapters 1-${bookObj.maxChapters})`,
+      });
+      return;
+    }
+
+    try {
+      const result = await lookupPassage({ book: bookObj, segments, requestedAbbr });
+      sendJson(res, 200, result);
+    } catch (err) {
+      sendJson(res, 502, {
+        code: 502,
+        message: 'Passage lookup failed',
+        detail: err && err.attempts ? err.attempts.join('; ') : (err && err.message ? err.message : 'Unknown error'),
+      });
+    }
+    return;
+  }
+
+  // Warm the chapter cache so any verses of it look up without a round trip.
+  if (req.method === 'GET' && reqUrl.pathname === '/api/passage/prefetch') {
+    const book = (reqUrl.searchParams.get('book') || '').trim();
+    const chapter = parseInt((reqUrl.searchParams.get('chapter') || '').trim(), 10);
+    const translation = (reqUrl.searchParams.get('translation') || '').trim().toUpperCase();
+    const requestedAbbr = translation && translation !== 'NONE' ? translation : '';
+
+    const baseBook = BIBLE_BOOKS.find(b => b.name.toLowerCase() === book.toLowerCase());
+    if (!baseBook) {
+      sendJson(res, 400, { code: 400, message: `Unknown book: ${book || '(missing)'}` });
+      return;
+    }
+    const bookObj = getVersifiedBook(baseBook, getTranslationVersification(requestedAbbr));
+    if (!chapter || chapter < 1 || chapter > bookObj.maxChapters) {
+      sendJson(res, 400, { code: 400, message: `${bookObj.name} has chapters 1-${bookObj.maxChapters}` });
+      return;
+    }
+
+    try {
+      const result = await prefetchPassageChapter({ book: bookObj, chapter, requestedAbbr });
+      sendJson(res, 200, { ok: true, ...result });
+    } catch (err) {
+      sendJson(res, 502, {
+        code: 502,
+        message: 'Chapter prefetch failed',
+        detail: err && err.attempts ? err.attempts.join('; ') : (err && err.message ? err.message : 'Unknown error'),
+      });
+    }
+    return;
+  }
+
+  // Service packs — every reading for a service looked up ahead of time and kept
+  // on disk; /api/passage answers from them first.
+  if (reqUrl.pathname === '/api/service-packs') {
+    if (req.method === 'GET') {
+      const packs = Array.from(servicePacks.values())
+        .map(summarizeServicePack)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+      sendJson(res, 200, { packs });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { code: 405, message: 'Use GET or POST' }, { 'Allow': 'GET, POST' });
+      return;
+    }
+    if (!isControlApiAuthorized(req, reqUrl)) {
+      sendJson(res, 401, { code: 401, message: 'Missing or invalid control API token' });
+      return;
+    }
+    let body;
+    try {
+      body = await readJsonBody(req, SERVICE_PACK_MAX_BODY);
+    } catch (err) {
+      sendJson(res, err && err.statusCode ? err.statusCode : 400, {
+        code: err && err.statusCode ? err.statusCode : 400,
+        message: err && err.message ? err.message : 'Invalid request body',
+      });
+      return;
+    }
+    const name = String(body.name || '').trim().replace(/\s+/g, ' ').slice(0, 80);
+    const references = (Array.isArray(body.references) ? body.references : String(body.references || '').split('\n'))
+      .map(r => String(r || '').trim())
+      .filter(Boolean);
+    if (!name) {
+      sendJson(res, 400, { code: 400, message: 'name is required' });
+      return;
+    }
+    if (!references.length || references.length > MAX_SERVICE_PACK_REFERENCES) {
+      sendJson(res, 400, { code: 400, message: `references must list 1-${MAX_SERVICE_PACK_REFERENCES} passages` });
+      return;
+    }
+    try {
+      const pack = await prepareServicePack({
+        name,
+        translation: String(body.translation || '').trim().toUpperCase(),
+        parallel: String(body.parallel || '').trim().toUpperCase(),
+        references,
+      });
+      sendJson(res, 201, pack);
+    } catch (err) {
+      sendJson(res, 500, {
+        code: 500,
+        message: 'Could not save service pack',
+        detail: err && err.message ? err.message : undefined,
+      });
+    }
+    return;
+  }
+
+  const servicePackMatch = /^\/api\/service-packs\/([a-z0-9_-]{1,64})$/.exec(reqUrl.pathname || '');
+  if (servicePackMatch) {
+    const id = servicePackMatch[1];
+    if (req.method === 'GET') {
+      const pack = servicePacks.get(id);
+      if (pack) sendJson(res, 200, pack);
+      else sendJson(res, 404, { code: 404, message: 'Service pack not found' });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      if (!isControlApiAuthorized(req, reqUrl)) {
+        sendJson(res, 401, { code: 401, message: 'Missing or invalid control API token' });
+        return;
+      }
+      if (deleteServicePack(id)) sendJson(res, 200, { ok: true, id });
+      else sendJson(res, 404, { code: 404, message: 'Service pack not found' });
+      return;
+    }
+    sendJson(res, 405, { code: 405, message: 'Use GET or DELETE' }, { 'Allow': 'GET, DELETE' });
+    return;
+  }
+
+  // Which lookup sources this server can use (no keys are exposed, only flags).
+  if (req.method === 'GET' && reqUrl.pathname === '/api/providers') {
+    const bibles = loadLocalBibles();
+    sendJson(res, 200, {
+      providers: {
+        local: bibles.length > 0,
+        biblegateway: true,
+        'bible-api': true,
+        helloao: true,
+        youversion: true,
+        'api.bible': !!APIBIBLE_KEY,
+      },
+      localBibles: bibles,
+    });
+    return;
+  }
+
+  // Local Bible library — translations imported with scripts/import-bible.js.
+  // Rescans the library so freshly imported translations appear without a restart.
+  if (req.method === 'GET' && reqUrl.pathname === '/api/bibles') {
+    sendJson(res, 200, { bibles: loadLocalBibles() });
+    return;
+  }
+
+  // BibleGateway verse proxy endpoint (single-verse scraper; /api/passage uses the same helper)
   if (req.method === 'GET' && reqUrl.pathname === '/api/verse') {
     const book    = (reqUrl.searchParams.get('book') || '').trim();
     const chapter = (reqUrl.searchParams.get('chapter') || '').trim();
@@ -356,6 +933,12 @@ const server = http.createServer(async (req, res) => {
   if (!filePath.startsWith(ROOT + path.sep) && filePath !== ROOT) {
     res.writeHead(403); res.end('Forbidden'); return;
   }
+  // Data lives behind the API routes, never as static files. Compared without
+  // case so a case-insensitive filesystem cannot be used to slip past.
+  const lowerPath = filePath.toLowerCase();
+  if (PRIVATE_DATA_DIRS.some(dir => lowerPath === dir.toLowerCase() || lowerPath.startsWith(dir.toLowerCase() + path.sep))) {
+    res.writeHead(403); res.end('Forbidden'); return;
+  }
 
   fs.readFile(filePath, (err, data) => {
     if (err) {
@@ -373,8 +956,194 @@ const server = http.createServer(async (req, res) => {
   });
 });
 
+function sendJson(res, status, payload, extraHeaders = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...extraHeaders,
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+      // Past the limit, keep draining without buffering so the 413 reply still
+      // reaches the client (destroying the socket would drop it).
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        chunks.length = 0;
+        const err = new Error('Request body too large');
+        err.statusCode = 413;
+        reject(err);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJsonBody(req, maxBytes) {
+  const text = (await readRawBody(req, maxBytes)).toString('utf8').trim();
+  if (!text) return {};
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_) {
+    const err = new Error('Body must be valid JSON');
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+// ── Asset Store ───────────────────────────────────────────────────────────────
+const ASSET_TYPES = {
+  png:  'image/png',
+  jpg:  'image/jpeg',
+  gif:  'image/gif',
+  webp: 'image/webp',
+};
+
+// Identify the image by its magic bytes — the client-supplied Content-Type is
+// not trusted, and SVG is deliberately not accepted (it can carry script).
+function sniffImageExtension(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0x89 && buf.toString('ascii', 1, 4) === 'PNG') return 'png';
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpg';
+  if (buf.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+function getAssetUrl(fileName) {
+  return `/api/assets/${fileName}`;
+}
+
+// Content-addressed: the same image always maps to the same file and URL, so
+// re-uploading a logo is free and URLs stay stable across restarts.
+function saveAsset(buf) {
+  const ext = sniffImageExtension(buf);
+  if (!ext) {
+    const err = new Error('Unsupported image type (use PNG, JPEG, GIF or WebP)');
+    err.statusCode = 415;
+    throw err;
+  }
+  const hash = crypto.createHash('sha256').update(buf).digest('hex').slice(0, 32);
+  const fileName = `${hash}.${ext}`;
+  const filePath = path.join(ASSET_DIR, fileName);
+  if (!fs.existsSync(filePath)) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdirSync(ASSET_DIR, { recursive: true });
+    fs.writeFileSync(tmpPath, buf);
+    fs.renameSync(tmpPath, filePath);
+  }
+  return {
+    id: fileName,
+    url: getAssetUrl(fileName),
+    contentType: ASSET_TYPES[ext],
+    bytes: buf.length,
+  };
+}
+
+function listAssets() {
+  let names = [];
+  try {
+    names = fs.readdirSync(ASSET_DIR);
+  } catch (_) {
+    return [];
+  }
+  return names
+    .filter(name => /^[a-f0-9]{16,64}\.(?:png|jpg|gif|webp)$/.test(name))
+    .map(name => {
+      let stat = null;
+      try { stat = fs.statSync(path.join(ASSET_DIR, name)); } catch (_) {}
+      return {
+        id: name,
+        url: getAssetUrl(name),
+        contentType: ASSET_TYPES[path.extname(name).slice(1)],
+        bytes: stat ? stat.size : 0,
+        createdAt: stat ? stat.mtimeMs : 0,
+      };
+    });
+}
+
+function isControlApiAuthorized(req, reqUrl) {
+  if (!CONTROL_API_TOKEN) return true;
+  const header = String(req.headers.authorization || '');
+  const bearer = /^Bearer\s+(.+)$/i.exec(header);
+  if (bearer && bearer[1].trim() === CONTROL_API_TOKEN) return true;
+  return reqUrl.searchParams.get('token') === CONTROL_API_TOKEN;
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+// Mirrors buildOverlayData() in control.js: { type, line1, line2, parallel?, dir? }.
+// Without dir the output resolves the direction from its settings and the text.
+function buildApiOverlayData(body) {
+  const src = body && body.data && typeof body.data === 'object' ? body.data : (body || {});
+  const data = {
+    type: String(src.type || 'api').trim() || 'api',
+    line1: String(src.line1 ?? '').trim(),
+    line2: String(src.line2 ?? '').trim(),
+  };
+  const parallel = buildApiParallelData(src.parallel);
+  if (parallel) data.parallel = parallel;
+  // Copyright notice line and session credits ({{attribution}} / {{credits}})
+  const attribution = String(src.attribution ?? '').trim();
+  const credits = String(src.credits ?? '').trim();
+  if (attribution) data.attribution = attribution;
+  if (credits) data.credits = credits;
+  if (src.dir === 'rtl' || src.dir === 'ltr') data.dir = src.dir;
+  return data;
+}
+
+// Parallel translation blocks: { layout: 'stacked'|'side-by-side', blocks: [{ translation, lang, text, font }] }.
+// At most two blocks; blocks without text are dropped.
+function buildApiParallelData(src) {
+  if (!src || typeof src !== 'object' || !Array.isArray(src.blocks)) return null;
+  const blocks = src.blocks
+    .filter(b => b && typeof b === 'object' && String(b.text ?? '').trim())
+    .slice(0, 2)
+    .map(b => ({
+      translation: String(b.translation ?? '').trim(),
+      lang: String(b.lang ?? '').trim(),
+      text: String(b.text).trim(),
+      font: String(b.font ?? '').trim(),
+    }));
+  if (!blocks.length) return null;
+  return { layout: src.layout === 'side-by-side' ? 'side-by-side' : 'stacked', blocks };
+}
+
+// Mirrors buildTickerData() in control.js, including its clamping rules.
+function buildApiTickerData(body) {
+  const src = body && body.data && typeof body.data === 'object' ? body.data : (body || {});
+  const data = {
+    message: String(src.message ?? '').trim(),
+    label: String(src.label ?? '').trim() || 'INFO',
+    speed: clampInt(src.speed, 20, 1000, 140),
+    position: src.position === 'top' ? 'top' : 'bottom',
+    bgColor: String(src.bgColor || '#111111'),
+    textColor: String(src.textColor || '#eeeeee'),
+    barHeight: clampInt(src.barHeight, 24, 140, 68),
+    textSize: clampInt(src.textSize, 12, 72, 28),
+    badgeSize: clampInt(src.badgeSize, 10, 64, 22),
+  };
+  if (src.dir === 'rtl' || src.dir === 'ltr') data.dir = src.dir;
+  return data;
+}
+
 async function getBibleGatewayVerse(book, passage, version = 'KJV') {
-  // Mirrors Glowstudent777/BibleGateway-API-NPM getVerse() logic.
   const url = `https://www.biblegateway.com/passage/?search=${encodeURIComponent(book + ' ' + passage)}&version=${encodeURIComponent(version)}`;
   const response = await axios.get(url, {
     timeout: 15000,
@@ -382,80 +1151,1126 @@ async function getBibleGatewayVerse(book, passage, version = 'KJV') {
       // Browser-like UA reduces anti-bot false positives.
       'User-Agent': 'Mozilla/5.0 (compatible; Overlay/2.0; +https://github.com/jabez4jc/Overlay)',
     },
-  });
-  const $ = cheerio.load(response.data);
+  });
+  const $ = cheerio.load(response.data);
+
+  const { verses, footnotes } = parseBibleGatewayPassage($);
+  if (verses.length) {
+    const payload = {
+      citation: `${book} ${passage} ${version}`,
+      passage: verses.map(v => v.text).join(' '),
+      verses,
+    };
+    if (footnotes.length) payload.footnotes = footnotes.map(f => f.text).join(' ');
+    return payload;
+  }
+
+  // Fallback: og:description (truncated by BibleGateway for longer passages).
+  const passageContent = $('meta[property="og:description"]').attr('content');
+  if (!passageContent) {
+    throw new Error(`Could not find passage ${book} ${passage} ${version}`);
+  }
+  return {
+    citation: `${book} ${passage} ${version}`,
+    passage: passageContent.trim(),
+    verses: [],
+  };
+}
+
+// Walks the rendered passage body (div.passage-content) in document order and
+// returns one entry per verse:
+//   { chapter, verse, text, lines[], poetry, headings[], redLetter[], footnotes[] }
+// Verse boundaries come from the "text Book-C-V" span classes, so verse numbers
+// and chapter numbers are never part of the text. Headings attach to the verse
+// that follows them; <br>/poetry lines become separate entries in `lines`.
+function parseBibleGatewayPassage($) {
+  const footnoteText = {};
+  $('.footnotes li[id]').each((_, li) => {
+    const $li = $(li);
+    const text = ($li.find('.footnote-text').text() || $li.text()).replace(/\s+/g, ' ').trim();
+    if (text) footnoteText[`#${$li.attr('id')}`] = text;
+  });
+
+  const verses = [];
+  const footnotes = [];
+  const byKey = new Map();
+  let current = null;
+  let pendingHeadings = [];
+  let breakPending = false;
+
+  const setVerse = (chapter, verse) => {
+    const key = `${chapter}:${verse}`;
+    current = byKey.get(key);
+    if (!current) {
+      current = { chapter, verse, text: '', lines: [''], poetry: false, headings: pendingHeadings, redLetter: [], footnotes: [], wojOpen: false };
+      byKey.set(key, current);
+      verses.push(current);
+      pendingHeadings = [];
+    }
+  };
+  const lineBreak = () => { breakPending = true; };
+  const append = (raw, ctx) => {
+    if (!current) return;
+    const text = raw.replace(/\s+/g, ' ');
+    if (!text.trim()) {
+      const last = current.lines[current.lines.length - 1];
+      if (last && !/\s$/.test(last)) current.lines[current.lines.length - 1] += ' ';
+      return;
+    }
+    if (breakPending && current.lines[current.lines.length - 1].trim()) current.lines.push('');
+    breakPending = false;
+    current.lines[current.lines.length - 1] += text;
+    if (ctx.poetry) current.poetry = true;
+    // Consecutive red-letter text (even across inline tags) forms one run.
+    if (ctx.woj) {
+      if (current.wojOpen) current.redLetter[current.redLetter.length - 1] += text;
+      else current.redLetter.push(text);
+    }
+    current.wojOpen = ctx.woj;
+  };
+
+  const visit = (node, ctx) => {
+    if (node.type === 'text') { append(node.data, ctx); return; }
+    if (node.type !== 'tag') return;
+    const cls = ` ${(node.attribs && node.attribs.class) || ''} `;
+    if (/^h[1-6]$/.test(node.name)) {
+      const heading = $(node).text().replace(/\s+/g, ' ').trim();
+      if (heading) pendingHeadings.push(heading);
+      lineBreak();
+      return;
+    }
+    if (/ (versenum|chapternum|crossreference|full-chap-link|footnotes|crossrefs|publisher-info-bottom) /.test(cls)) return;
+    if (/ indent-\d+-breaks /.test(cls)) return;
+    if (node.name === 'sup' && / footnote /.test(cls)) {
+      const id = node.attribs['data-fn'] || '';
+      const marker = $(node).text().replace(/[\[\]\s]/g, '');
+      const note = { marker, text: footnoteText[id] || '' };
+      if (current) current.footnotes.push(note);
+      footnotes.push(note);
+      return;
+    }
+    if (node.name === 'br') { lineBreak(); return; }
+
+    const ref = / text [^ ]*?-(\d+)-(\d+) /.exec(cls);
+    if (ref) setVerse(parseInt(ref[1], 10), parseInt(ref[2], 10));
+
+    const poetry = ctx.poetry || / poetry /.test(cls);
+    const isBlock = node.name === 'p' || node.name === 'div';
+    if (isBlock) lineBreak();
+    const childCtx = { woj: ctx.woj || / woj /.test(cls), poetry };
+    (node.children || []).forEach(child => visit(child, childCtx));
+    if (isBlock) lineBreak();
+  };
+
+  $('.passage-content').each((_, el) => visit(el, { woj: false, poetry: false }));
+
+  for (const v of verses) {
+    v.lines = v.lines.map(l => l.replace(/\s+([.,;:!?])/g, '$1').trim()).filter(Boolean);
+    v.text = v.lines.join(' ');
+    v.redLetter = v.redLetter.map(r => r.trim()).filter(Boolean);
+    delete v.wojOpen;
+  }
+  return { verses: verses.filter(v => v.text), footnotes };
+}
+
+function cleanYouVersionText(html) {
+  return String(html || '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .replace(/\s+([)"”'’\]\}])/g, '$1')
+    .replace(/([.,;:!?'"”’\)\]\}])(?=[A-Za-z0-9(\[\{])/g, '$1 ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function resolveYouVersion(version) {
+  const parsed = parseInt(String(version), 10);
+  if (!Number.isNaN(parsed)) return { id: parsed, key: String(version) };
+  const key = String(version || 'NIV').toUpperCase();
+  return { id: YOUVERSION_VERSION_IDS[key] || 111, key };
+}
+
+async function getYouVersionVerse({ book, bookAlias, chapter, verse, version }) {
+  const { id: versionId, key: versionKey } = resolveYouVersion(version);
+  const alias = (bookAlias || '').trim().toUpperCase();
+  if (!alias) throw new Error('Missing/invalid book alias');
+
+  const url = `https://www.bible.com/bible/${versionId}/${alias}.${chapter}.${verse}`;
+  const response = await axios.get(url, {
+    timeout: 15000,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; Overlay/2.0; +https://github.com/jabez4jc/Overlay)',
+      'Accept-Language': 'en-US,en;q=0.9',
+    },
+  });
+  const $ = cheerio.load(response.data);
+
+  // Primary parse path: __NEXT_DATA__ (same strategy as YouVersion-Core)
+  const nextScript = $('script#__NEXT_DATA__').first();
+  if (nextScript.length) {
+    const json = JSON.parse(nextScript.html() || '{}');
+    const verseData = json?.props?.pageProps?.verses?.[0];
+    if (verseData?.content) {
+      const text = cleanYouVersionText(cheerio.load(verseData.content).text());
+      if (text) {
+        const citation = verseData?.reference?.human || `${book} ${chapter}:${verse} ${versionKey}`;
+        return { citation, passage: text };
+      }
+    }
+  }
+
+  // Fallback parse path
+  const text = cleanYouVersionText($('.text-17').first().text());
+  if (!text) throw new Error(`Could not find passage ${book} ${chapter}:${verse} ${versionKey}`);
+  return { citation: `${book} ${chapter}:${verse} ${versionKey}`, passage: text };
+}
+
+// Whole chapter from the bible.com chapter page as { verse: text }. A verse
+// split across paragraphs appears under several spans with the same data-usfm.
+async function getYouVersionChapter({ bookAlias, chapter, version }) {
+  const { id: versionId, key: versionKey } = resolveYouVersion(version);
+  const alias = (bookAlias || '').trim().toUpperCase();
+  if (!alias) throw new Error('Missing/invalid book alias');
+
+  const url = `https://www.bible.com/bible/${versionId}/${alias}.${chapter}`;
+  const response = await axios.get(url, {
+    timeout: 15000,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; Overlay/2.0; +https://github.com/jabez4jc/Overlay)',
+      'Accept-Language': 'en-US,en;q=0.9',
+    },
+  });
+  let $ = cheerio.load(response.data);
+
+  // The chapter HTML is usually embedded in __NEXT_DATA__; otherwise read the page.
+  try {
+    const json = JSON.parse($('script#__NEXT_DATA__').first().html() || '{}');
+    const content = json?.props?.pageProps?.chapterInfo?.content;
+    if (content) $ = cheerio.load(content);
+  } catch (_) {}
+
+  const verseMap = {};
+  const prefix = `${alias}.${chapter}.`;
+  $('[data-usfm]').each((_, el) => {
+    const usfm = String($(el).attr('data-usfm') || '').split('+')[0];
+    if (!usfm.startsWith(prefix)) return;
+    const verse = parseInt(usfm.slice(prefix.length), 10);
+    if (!verse) return;
+    const $verse = $(el).clone();
+    $verse.find('[class*="label"], [class*="note"]').remove();
+    const text = cleanYouVersionText($verse.text());
+    if (text) verseMap[verse] = verseMap[verse] ? `${verseMap[verse]} ${text}` : text;
+  });
+  if (!Object.keys(verseMap).length) throw new Error(`Could not find chapter ${alias}.${chapter} ${versionKey}`);
+  return verseMap;
+}
+
+// ── Scripture Passage Service ─────────────────────────────────────────────────
+// /api/passage owns the whole provider chain so every operator station shares
+// one cache and one set of upstream requests:
+//   local library → biblegateway → bible-api → helloao → youversion → api.bible
+// per translation, then same-language alternatives, then NASB, and finally an
+// ASV reference-only fallback when nothing else is configured.
+// Results are cached in memory and on disk (PASSAGE_CACHE_TTL_MS), and
+// identical in-flight requests share a single upstream lookup.
+const PASSAGE_DEFAULT_FALLBACK = 'NASB';
+const APIBIBLE_BASE = 'https://rest.api.bible/v1';
+const HELLOAO_BASE = 'https://bible.helloao.org/api';
+const PROVIDER_USER_AGENT = 'Mozilla/5.0 (compatible; Overlay/2.0; +https://github.com/jabez4jc/Overlay)';
+const MAX_PASSAGE_MEMORY_CACHE = 500;
+const MAX_PROVIDER_CHAPTER_CACHE = 80;
+
+const passageInFlight = new Map();      // cacheKey -> Promise<result>
+const passageMemoryCache = new Map();   // cacheKey -> cached result record
+const providerChapterCache = new Map(); // provider|abbr|book|chapter -> { verse: text }
+const providerChapterInFlight = new Map(); // same key -> Promise<verseMap>
+
+// lang -> a character its verse text must contain (REFERENCE_LANGUAGES script).
+const PASSAGE_SCRIPT_RANGES = Object.fromEntries(
+  REFERENCE_LANGUAGES.filter(l => l.script).map(l => [l.value, l.script])
+);
+
+const SUPER_DIGITS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+function toSuperNum(n) {
+  return String(n).split('').map(d => SUPER_DIGITS[+d]).join('');
+}
+
+function rememberBounded(map, key, value, max) {
+  if (map.has(key)) map.delete(key);
+  map.set(key, value);
+  if (map.size > max) map.delete(map.keys().next().value);
+}
+
+function formatVerseList(verses) {
+  const parts = [];
+  let start = null;
+  let prev = null;
+  for (const v of verses) {
+    if (start !== null && v === prev + 1) { prev = v; continue; }
+    if (start !== null) parts.push(start === prev ? String(start) : `${start}-${prev}`);
+    start = v;
+    prev = v;
+  }
+  if (start !== null) parts.push(start === prev ? String(start) : `${start}-${prev}`);
+  return parts.join(',');
+}
+
+function findTranslation(abbr) {
+  return TRANSLATIONS.find(t => t.abbr === abbr) || null;
+}
+
+function hasExpectedScript(text, lang) {
+  if (!text || !lang || lang === 'en') return true;
+  const rx = PASSAGE_SCRIPT_RANGES[lang];
+  return rx ? rx.test(text) : true;
+}
+
+function listProvidersForTranslation(abbr) {
+  const list = [];
+  if (localBibles.has(abbr)) list.push('local');
+  if (BIBLEGATEWAY_MAP[abbr] || findTranslation(abbr)?.bg) list.push('biblegateway');
+  if (BIBLE_API_MAP[abbr]) list.push('bible-api');
+  if (HELLOAO_MAP[abbr]) list.push('helloao');
+  if (YOUVERSION_MAP[abbr]) list.push('youversion');
+  if (APIBIBLE_IDS[abbr] && APIBIBLE_KEY) list.push('api.bible');
+  return list;
+}
+
+function buildPassageProviderChain(requestedAbbr) {
+  const providers = [];
+  const seen = new Set();
+  const add = (abbr, fallback) => {
+    if (!abbr) return;
+    listProvidersForTranslation(abbr).forEach(id => {
+      const key = `${id}|${abbr}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      providers.push({ id, abbr, refOnly: false, fallback });
+    });
+  };
+
+  add(requestedAbbr, false);
+
+  // Same-language alternatives before the English default.
+  const lang = findTranslation(requestedAbbr)?.lang;
+  if (lang && lang !== 'en') {
+    TRANSLATIONS
+      .filter(t => t.lang === lang && t.abbr !== requestedAbbr)
+      .forEach(t => add(t.abbr, true));
+  }
+
+  if (requestedAbbr !== PASSAGE_DEFAULT_FALLBACK) add(PASSAGE_DEFAULT_FALLBACK, true);
+  if (!providers.length) providers.push({ id: 'reference-asv', abbr: 'ASV', refOnly: true, fallback: true });
+  return providers;
+}
+
+// Chapter maps hold { verse: text } or, for BibleGateway, { verse: { text, … } }
+// so the rich fields (lines, headings, redLetter, footnotes) survive the cache.
+function pickVerses(verseMap, verses) {
+  return verses
+    .filter(v => verseMap[v])
+    .map(v => (typeof verseMap[v] === 'string' ? { verse: v, text: verseMap[v] } : { ...verseMap[v], verse: v }));
+}
+
+async function fetchProviderJson(url, headers = {}) {
+  const response = await axios.get(url, {
+    timeout: 15000,
+    headers: { 'User-Agent': PROVIDER_USER_AGENT, ...headers },
+  });
+  return response.data;
+}
+
+// Every provider is read a whole chapter at a time and cached per chapter, so
+// one round trip answers any verse subset of it (and /api/passage/prefetch can
+// warm it before the operator asks). Concurrent loads of a chapter share one
+// request; a chapter with no text is not cached.
+function getChapterVerseMap(provider, abbr, book, chapter, loader) {
+  const key = `${provider}|${abbr}|${book}|${chapter}`;
+  if (providerChapterCache.has(key)) return Promise.resolve(providerChapterCache.get(key));
+  if (providerChapterInFlight.has(key)) return providerChapterInFlight.get(key);
+  const pending = Promise.resolve()
+    .then(loader)
+    .then(verseMap => {
+      if (!verseMap || !Object.keys(verseMap).length) throw new Error(`No text returned for ${book} ${chapter}`);
+      rememberBounded(providerChapterCache, key, verseMap, MAX_PROVIDER_CHAPTER_CACHE);
+      return verseMap;
+    })
+    .finally(() => providerChapterInFlight.delete(key));
+  providerChapterInFlight.set(key, pending);
+  return pending;
+}
+
+async function fetchBibleGatewayChapter(book, chapter, abbr) {
+  const version = BIBLEGATEWAY_MAP[abbr] || abbr;
+  const result = await getBibleGatewayVerse(book, String(chapter), version);
+  const map = {};
+  result.verses.filter(v => v.chapter === chapter).forEach(v => { map[v.verse] = v; });
+  if (!Object.keys(map).length) throw new Error('BibleGateway passage body not recognised');
+  return map;
+}
+
+// og:description only holds one verse reliably, so without a readable passage
+// body BibleGateway is asked one verse at a time.
+async function fetchBibleGatewaySingleVerses(book, chapter, verses, abbr) {
+  const version = BIBLEGATEWAY_MAP[abbr] || abbr;
+  const out = [];
+  for (const verse of verses) {
+    const single = await getBibleGatewayVerse(book, `${chapter}:${verse}`, version);
+    const text = String(single.passage || '').replace(/\s+/g, ' ').trim();
+    if (text) out.push({ verse, text });
+  }
+  return out;
+}
+
+async function fetchBibleApiChapter(book, chapter, abbr, refOnly) {
+  const translation = refOnly ? 'asv' : BIBLE_API_MAP[abbr];
+  if (!translation) throw new Error('bible-api not configured for translation');
+  const data = await fetchProviderJson(`https://bible-api.com/${encodeURIComponent(`${book} ${chapter}`)}?translation=${translation}`);
+  const map = {};
+  (Array.isArray(data?.verses) ? data.verses : [])
+    .filter(v => !v.chapter || v.chapter === chapter)
+    .forEach(v => {
+      const text = String(v.text || '').replace(/\s+/g, ' ').trim();
+      if (text) map[v.verse] = text;
+    });
+  return map;
+}
+
+async function fetchHelloAoChapter(book, chapter, abbr) {
+  const helloaoId = HELLOAO_MAP[abbr];
+  const usfmBook = USFM_CODES[book];
+  if (!helloaoId || !usfmBook) throw new Error('helloao not configured for translation');
+  const data = await fetchProviderJson(`${HELLOAO_BASE}/${helloaoId}/${usfmBook}/${chapter}.json`);
+  const map = {};
+  (data?.chapter?.content || [])
+    .filter(c => c.type === 'verse')
+    .forEach(v => {
+      const text = (v.content || [])
+        .filter(c => typeof c === 'string')
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (text) map[v.number] = text;
+    });
+  return map;
+}
+
+function fetchYouVersionChapter(book, chapter, abbr) {
+  const version = YOUVERSION_MAP[abbr];
+  const bookAlias = USFM_CODES[book];
+  if (!version || !bookAlias) throw new Error('youversion not configured for translation');
+  return getYouVersionChapter({ bookAlias, chapter, version });
+}
+
+// Chapter page not recognised: one verse page per verse.
+async function fetchYouVersionSingleVerses(book, chapter, verses, abbr) {
+  const version = YOUVERSION_MAP[abbr];
+  const bookAlias = USFM_CODES[book];
+  if (!version || !bookAlias) throw new Error('youversion not configured for translation');
+  const out = [];
+  for (const verse of verses) {
+    const result = await getYouVersionVerse({ book, bookAlias, chapter, verse, version });
+    const text = String(result.passage || '').replace(/\s+/g, ' ').trim();
+    if (text) out.push({ verse, text });
+  }
+  return out;
+}
+
+// Walks the USX-style JSON returned by api.bible /chapters/{id}?content-type=json.
+function extractApiBibleVerseMap(content) {
+  const verseMap = {};
+  let curVerse = null;
+  const walk = node => {
+    if (!node) return;
+    if (Array.isArray(node)) { node.forEach(walk); return; }
+    if (typeof node !== 'object') return;
+    if (node.name === 'verse' || node.type === 'verse') {
+      const num = parseInt(node.number ?? node.attrs?.number ?? '', 10);
+      if (num > 0) curVerse = num;
+    }
+    if (node.type === 'text' && typeof node.text === 'string' && curVerse !== null) {
+      verseMap[curVerse] = (verseMap[curVerse] || '') + node.text;
+    }
+    if (node.items) walk(node.items);
+  };
+  walk(content);
+  for (const k of Object.keys(verseMap)) verseMap[k] = verseMap[k].replace(/\s+/g, ' ').trim();
+  return verseMap;
+}
+
+async function fetchApiBibleChapter(book, chapter, abbr) {
+  const bibleId = APIBIBLE_IDS[abbr];
+  const usfmBook = USFM_CODES[book];
+  if (!bibleId || !usfmBook || !APIBIBLE_KEY) throw new Error('api.bible not configured for translation');
+  const url = `${APIBIBLE_BASE}/bibles/${bibleId}/chapters/${usfmBook}.${chapter}` +
+    '?content-type=json&include-notes=false&include-titles=false' +
+    '&include-chapter-numbers=false&include-verse-numbers=false';
+  const data = await fetchProviderJson(url, { 'api-key': APIBIBLE_KEY });
+  return extractApiBibleVerseMap(data?.data?.content || []);
+}
+
+// One provider's whole chapter, numbered in its translation's versification.
+function loadProviderChapter(provider, book, chapter) {
+  const { id, abbr } = provider;
+  const load = loader => getChapterVerseMap(id, abbr, book, chapter, loader);
+  switch (id) {
+    case 'local':         return loadLocalChapter(book, chapter, abbr);
+    case 'biblegateway':  return load(() => fetchBibleGatewayChapter(book, chapter, abbr));
+    case 'bible-api':     return load(() => fetchBibleApiChapter(book, chapter, abbr, false));
+    case 'helloao':       return load(() => fetchHelloAoChapter(book, chapter, abbr));
+    case 'youversion':    return load(() => fetchYouVersionChapter(book, chapter, abbr));
+    case 'api.bible':     return load(() => fetchApiBibleChapter(book, chapter, abbr));
+    case 'reference-asv': return load(() => fetchBibleApiChapter(book, chapter, abbr, true));
+    default:              return Promise.reject(new Error(`Unknown provider ${id}`));
+  }
+}
+
+async function fetchProviderVerses(provider, book, chapter, verses) {
+  try {
+    return pickVerses(await loadProviderChapter(provider, book, chapter), verses);
+  } catch (err) {
+    // The scraped providers can still answer verse by verse when their
+    // chapter page is not recognised.
+    if (provider.id === 'biblegateway') return fetchBibleGatewaySingleVerses(book, chapter, verses, provider.abbr);
+    if (provider.id === 'youversion') return fetchYouVersionSingleVerses(book, chapter, verses, provider.abbr);
+    throw err;
+  }
+}
+
+function getPassageCachePath(cacheKey) {
+  const hash = crypto.createHash('sha1').update(cacheKey).digest('hex');
+  return path.join(PASSAGE_CACHE_DIR, `${hash}.json`);
+}
+
+function readPassageCache(cacheKey) {
+  const now = Date.now();
+  const mem = passageMemoryCache.get(cacheKey);
+  if (mem && now - mem.fetchedAt < PASSAGE_CACHE_TTL_MS) return { ...mem, cached: 'memory' };
+  if (!PASSAGE_CACHE_TTL_MS) return null;
+  try {
+    const record = JSON.parse(fs.readFileSync(getPassageCachePath(cacheKey), 'utf8'));
+    if (record && record.cacheKey === cacheKey && now - record.fetchedAt < PASSAGE_CACHE_TTL_MS) {
+      rememberBounded(passageMemoryCache, cacheKey, record, MAX_PASSAGE_MEMORY_CACHE);
+      return { ...record, cached: 'disk' };
+    }
+  } catch (_) {}
+  return null;
+}
+
+function writePassageCache(cacheKey, record) {
+  rememberBounded(passageMemoryCache, cacheKey, record, MAX_PASSAGE_MEMORY_CACHE);
+  if (!PASSAGE_CACHE_TTL_MS) return;
+  try {
+    const filePath = getPassageCachePath(cacheKey);
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdirSync(PASSAGE_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(record));
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    console.warn(`  ⚠  Could not write passage cache: ${err && err.message ? err.message : err}`);
+  }
+}
+
+// Verse numbers are prefixed when more than one verse is shown; a passage that
+// spans chapters marks each chapter change as ⁴:¹ (same as control.js).
+function formatPassageText(list) {
+  const showVerseNums = list.length > 1;
+  const spansChapters = new Set(list.map(v => v.chapter)).size > 1;
+  let lastChapter = null;
+  return list
+    .map(v => {
+      if (!showVerseNums) return v.text;
+      const num = spansChapters && v.chapter !== lastChapter
+        ? `${toSuperNum(v.chapter)}:${toSuperNum(v.verse)}`
+        : toSuperNum(v.verse);
+      lastChapter = v.chapter;
+      return `${num} ${v.text}`;
+    })
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+async function runPassageChain({ book, segments, requestedAbbr, cacheKey }) {
+  const cacheTransKey = requestedAbbr || PASSAGE_DEFAULT_FALLBACK;
+  const scheme = getTranslationVersification(requestedAbbr);
+  const attempts = [];
+
+  for (const provider of buildPassageProviderChain(requestedAbbr)) {
+    try {
+      // One fetch per chapter involved, numbered the way the provider's
+      // translation numbers it; a chapter with no text fails the provider.
+      // Verse labels are renumbered back to the requested versification.
+      const providerScheme = getTranslationVersification(provider.abbr);
+      const groups = expandReferenceSegments(
+        convertReferenceSegments(segments, book, scheme, providerScheme),
+        getVersifiedBook(book, providerScheme)
+      );
+      const list = [];
+      for (const group of groups) {
+        const part = await fetchProviderVerses(provider, book.name, group.chapter, group.verses);
+        if (!part.length) throw new Error(`No text returned for chapter ${group.chapter}`);
+        list.push(...part.map(v => ({
+          chapter: group.chapter,
+          ...v,
+          ...convertVerse(book, v.chapter || group.chapter, v.verse, providerScheme, scheme),
+        })));
+      }
+      const text = formatPassageText(list);
+      if (!text) throw new Error('No text returned');
+      const lang = findTranslation(provider.abbr)?.lang || 'en';
+      if (!hasExpectedScript(text, lang)) {
+        throw new Error(`${provider.abbr} returned unexpected script for ${lang}`);
+      }
+
+      const record = {
+        cacheKey,
+        book: book.name,
+        chapter: segments[0].c1,
+        verses: formatReferenceSegments(segments, '-'),
+        reference: `${book.name} ${formatReferenceSegments(segments)}`,
+        translation: requestedAbbr || 'NONE',
+        servedTranslation: provider.abbr,
+        provider: provider.id,
+        refOnly: !!provider.refOnly,
+        fallback: !!provider.fallback,
+        text,
+        verseList: list,
+        fetchedAt: Date.now(),
+      };
+      // Only cache the answer for the translation that was actually asked for;
+      // a fallback served during an outage should not stick for the whole TTL.
+      // Local library text is already on disk.
+      if (provider.abbr === cacheTransKey && provider.id !== 'local') writePassageCache(cacheKey, record);
+      return { ...record, cached: false };
+    } catch (err) {
+      attempts.push(`${provider.id}/${provider.abbr}: ${err && err.message ? err.message : err}`);
+    }
+  }
+
+  const err = new Error('No provider returned text');
+  err.attempts = attempts;
+  throw err;
+}
+
+function lookupPassage({ book, segments, requestedAbbr }) {
+  const cacheKey = `${book.name}|${formatReferenceSegments(segments, '-')}|${requestedAbbr || PASSAGE_DEFAULT_FALLBACK}`;
+  const packed = readServicePackPassage(book, segments, requestedAbbr, cacheKey);
+  if (packed) return Promise.resolve({ ...packed, cached: 'pack' });
+  const cached = readPassageCache(cacheKey);
+  if (cached) return Promise.resolve(cached);
+
+  if (passageInFlight.has(cacheKey)) return passageInFlight.get(cacheKey);
+  const pending = runPassageChain({ book, segments, requestedAbbr, cacheKey })
+    .finally(() => passageInFlight.delete(cacheKey));
+  passageInFlight.set(cacheKey, pending);
+  return pending;
+}
+
+// Warms the chapter cache for one chapter (numbered in the requested
+// translation's versification) by walking the lookupPassage chain until a
+// provider returns it whole. Verse-by-verse fallbacks are never used here.
+async function prefetchPassageChapter({ book, chapter, requestedAbbr }) {
+  const scheme = getTranslationVersification(requestedAbbr);
+  const whole = [{ c1: chapter, v1: 1, c2: chapter, v2: book.verses[chapter - 1] || 1 }];
+  const attempts = [];
+
+  for (const provider of buildPassageProviderChain(requestedAbbr)) {
+    try {
+      const providerScheme = getTranslationVersification(provider.abbr);
+      const groups = expandReferenceSegments(
+        convertReferenceSegments(whole, book, scheme, providerScheme),
+        getVersifiedBook(book, providerScheme)
+      );
+      const lang = findTranslation(provider.abbr)?.lang || 'en';
+      let verses = 0;
+      for (const group of groups) {
+        const verseMap = await loadProviderChapter(provider, book.name, group.chapter);
+        const list = pickVerses(verseMap, group.verses);
+        if (!list.length) throw new Error(`No text returned for chapter ${group.chapter}`);
+        if (!hasExpectedScript(list.map(v => v.text).join(' '), lang)) {
+          throw new Error(`${provider.abbr} returned unexpected script for ${lang}`);
+        }
+        verses += list.length;
+      }
+      return {
+        book: book.name,
+        chapter,
+        translation: requestedAbbr || 'NONE',
+        servedTranslation: provider.abbr,
+        provider: provider.id,
+        refOnly: !!provider.refOnly,
+        fallback: !!provider.fallback,
+        verses,
+      };
+    } catch (err) {
+      attempts.push(`${provider.id}/${provider.abbr}: ${err && err.message ? err.message : err}`);
+    }
+  }
+
+  const err = new Error('No provider returned the chapter');
+  err.attempts = attempts;
+  throw err;
+}
+
+// ── Service Packs ─────────────────────────────────────────────────────────────
+// A service pack holds every reading for one service, looked up ahead of time
+// and kept under SERVICE_PACK_DIR/<id>.json with no expiry. lookupPassage
+// answers from the packs before any cache or provider, so prepared readings
+// still come up when the internet drops mid-service. Packs are indexed verse by
+// verse, so any part of a prepared reading ("John 3:16" out of "John 3", or a
+// next-verse step) is served from the pack too.
+const MAX_SERVICE_PACK_REFERENCES = 100;
+const SERVICE_PACK_MAX_BODY = 64 * 1024;
+const servicePacks = new Map();     // id -> pack
+// book|translation|chapter:verse -> { verse, record } (verse is null when the
+// prepared reading covers it but the translation has no text there)
+const servicePackVerseIndex = new Map();
+
+// The name is only a label: ids get a random suffix so two services with the
+// same (or an all non-ASCII) name never share a file.
+function createServicePackId(name) {
+  const slug = String(name || '').trim().toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48) || 'pack';
+  let id;
+  do {
+    id = `${slug}-${crypto.randomBytes(4).toString('hex')}`;
+  } while (servicePacks.has(id));
+  return id;
+}
+
+function getServicePackVerseKey(bookName, translation, chapter, verse) {
+  return `${bookName}|${translation}|${chapter}:${verse}`;
+}
+
+function indexServicePackPassage(passage) {
+  const baseBook = BIBLE_BOOKS.find(b => b.name === passage.book);
+  if (!baseBook || !Array.isArray(passage.verseList)) return;
+  const translation = passage.translation && passage.translation !== 'NONE' ? passage.translation : PASSAGE_DEFAULT_FALLBACK;
+  const book = getVersifiedBook(baseBook, getTranslationVersification(passage.translation === 'NONE' ? '' : passage.translation));
+  const { segments } = parseReferenceSegments(passage.verses, passage.chapter);
+  const { verseList, text, ...record } = passage;
+  for (const group of expandReferenceSegments(segments, book)) {
+    for (const verse of group.verses) {
+      servicePackVerseIndex.set(getServicePackVerseKey(book.name, translation, group.chapter, verse), { verse: null, record });
+    }
+  }
+  for (const v of verseList) {
+    servicePackVerseIndex.set(getServicePackVerseKey(book.name, translation, v.chapter, v.verse), { verse: v, record });
+  }
+}
+
+function rebuildServicePackIndex() {
+  servicePackVerseIndex.clear();
+  for (const pack of servicePacks.values()) {
+    for (const item of pack.items) {
+      for (const entry of [item, item.parallel]) {
+        if (entry && entry.ok && entry.passage) indexServicePackPassage(entry.passage);
+      }
+    }
+  }
+}
+
+// The passage as lookupPassage would return it, when every requested verse lies
+// inside a prepared reading; null otherwise.
+function readServicePackPassage(book, segments, requestedAbbr, cacheKey) {
+  if (!servicePackVerseIndex.size) return null;
+  const translation = requestedAbbr || PASSAGE_DEFAULT_FALLBACK;
+  const list = [];
+  let source = null;
+  for (const group of expandReferenceSegments(segments, book)) {
+    for (const verse of group.verses) {
+      const hit = servicePackVerseIndex.get(getServicePackVerseKey(book.name, translation, group.chapter, verse));
+      if (!hit) return null;
+      if (!source) source = hit.record;
+      if (hit.verse) list.push(hit.verse);
+    }
+  }
+  const text = formatPassageText(list);
+  if (!text) return null;
+  return {
+    ...source,
+    cacheKey,
+    chapter: segments[0].c1,
+    verses: formatReferenceSegments(segments, '-'),
+    reference: `${book.name} ${formatReferenceSegments(segments)}`,
+    text,
+    verseList: list,
+  };
+}
+
+function loadServicePacks() {
+  let names = [];
+  try {
+    names = fs.readdirSync(SERVICE_PACK_DIR).filter(name => /\.json$/i.test(name));
+  } catch (_) {
+    names = [];
+  }
+  servicePacks.clear();
+  for (const name of names) {
+    try {
+      const pack = JSON.parse(fs.readFileSync(path.join(SERVICE_PACK_DIR, name), 'utf8'));
+      if (pack && pack.id && Array.isArray(pack.items)) servicePacks.set(pack.id, pack);
+    } catch (err) {
+      console.warn(`  ⚠  Skipping service pack "${name}": ${err && err.message ? err.message : err}`);
+    }
+  }
+  rebuildServicePackIndex();
+}
+
+function saveServicePack(pack) {
+  const filePath = path.join(SERVICE_PACK_DIR, `${pack.id}.json`);
+  const tmpPath = `${filePath}.tmp`;
+  fs.mkdirSync(SERVICE_PACK_DIR, { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(pack));
+  fs.renameSync(tmpPath, filePath);
+  servicePacks.set(pack.id, pack);
+  rebuildServicePackIndex();
+}
+
+function deleteServicePack(id) {
+  if (!servicePacks.delete(id)) return false;
+  try { fs.unlinkSync(path.join(SERVICE_PACK_DIR, `${id}.json`)); } catch (_) {}
+  rebuildServicePackIndex();
+  return true;
+}
+
+function summarizeServicePack(pack) {
+  return {
+    id: pack.id,
+    name: pack.name,
+    translation: pack.translation,
+    parallel: pack.parallel || null,
+    createdAt: pack.createdAt,
+    passages: pack.items.length,
+    failed: pack.items.filter(item => !item.ok || (item.parallel && !item.parallel.ok)).length,
+  };
+}
+
+// One passage in one translation. A fallback or reference-only answer counts
+// as a failure: the operator should find out before the service, not during it.
+async function prepareServicePassage(book, segments, requestedAbbr) {
+  try {
+    const { cached, ...passage } = await lookupPassage({ book, segments, requestedAbbr });
+    if (passage.refOnly || (requestedAbbr && passage.servedTranslation !== requestedAbbr)) {
+      return { ok: false, error: `No ${requestedAbbr || 'text'} available (only ${passage.servedTranslation}${passage.refOnly ? ', reference-only' : ''})` };
+    }
+    return { ok: true, passage };
+  } catch (err) {
+    return { ok: false, error: err && err.attempts ? err.attempts.join('; ') : (err && err.message ? err.message : 'Lookup failed') };
+  }
+}
+
+// Resolves each reference line ("Ps 23", "John 3:16-18", "Rom 8:28 KJV") in
+// order. A line may name its own translation; a chapter on its own means the
+// whole chapter. The parallel translation, if any, is prepared alongside.
+async function prepareServicePack({ name, translation, parallel, references }) {
+  const packTranslation = translation && translation !== 'NONE' ? translation : '';
+  const parallelAbbr = parallel && parallel !== 'NONE' ? parallel : '';
+  const items = [];
+
+  for (const input of references) {
+    const parsed = parseQuickReference(input, packTranslation);
+    if (!parsed || parsed.error || !parsed.book || !parsed.chapter) {
+      items.push({ input, ok: false, error: parsed && parsed.error ? parsed.error : 'Add a chapter, e.g. "Psalm 23"' });
+      continue;
+    }
+    const requestedAbbr = parsed.translation || packTranslation;
+    const scheme = getTranslationVersification(requestedAbbr);
+    const baseBook = BIBLE_BOOKS.find(b => b.name === parsed.book);
+    const book = getVersifiedBook(baseBook, scheme);
+    const segments = parsed.segments.length
+      ? parsed.segments
+      : [{ c1: parsed.chapter, v1: 1, c2: parsed.chapter, v2: book.verses[parsed.chapter - 1] || 1 }];
+
+    const item = {
+      input,
+      reference: `${book.name} ${formatReferenceSegments(segments)}`,
+      translation: requestedAbbr || 'NONE',
+      ...await prepareServicePassage(book, segments, requestedAbbr),
+    };
+    if (parallelAbbr && parallelAbbr !== requestedAbbr) {
+      const parallelScheme = getTranslationVersification(parallelAbbr);
+      item.parallel = {
+        translation: parallelAbbr,
+        ...await prepareServicePassage(
+          getVersifiedBook(baseBook, parallelScheme),
+          convertReferenceSegments(segments, book, scheme, parallelScheme),
+          parallelAbbr
+        ),
+      };
+    }
+    items.push(item);
+  }
+
+  const pack = {
+    id: createServicePackId(name),
+    name,
+    translation: packTranslation || 'NONE',
+    parallel: parallelAbbr || null,
+    createdAt: new Date().toISOString(),
+    items,
+  };
+  saveServicePack(pack);
+  return pack;
+}
+
+// ── Local Bible Library ───────────────────────────────────────────────────────
+// Translations imported with scripts/import-bible.js live under
+// BIBLE_LIBRARY_DIR/<ABBR>/ (manifest.json + one <USFM>.json per book). They are
+// registered into TRANSLATIONS and served by the 'local' provider, which runs
+// ahead of every network tier.
+const MAX_LOCAL_BOOK_CACHE = 24;
+const localBibles = new Map();    // ABBR -> manifest
+const localBookCache = new Map(); // ABBR|USFM -> { chapter: { verse: text } }
+
+function loadLocalBibles() {
+  let dirs = [];
+  try {
+    dirs = fs.readdirSync(BIBLE_LIBRARY_DIR, { withFileTypes: true }).filter(d => d.isDirectory());
+  } catch (_) {
+    dirs = [];
+  }
+  localBibles.clear();
+  localBookCache.clear();
+  for (const dir of dirs) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(BIBLE_LIBRARY_DIR, dir.name, 'manifest.json'), 'utf8'));
+      const abbr = String(manifest.abbr || dir.name).toUpperCase();
+      const canon = inferLocalBibleCanon(manifest.books);
+      const versification = VERSIFICATIONS[manifest.versification] ? manifest.versification : undefined;
+      localBibles.set(abbr, { ...manifest, abbr, canon, versification, dir: path.join(BIBLE_LIBRARY_DIR, dir.name) });
+      const existing = findTranslation(abbr);
+      const notice = getLocalBibleNotice(manifest);
+      if (existing) {
+        existing.local = true;
+        if (!existing.canon && canon) existing.canon = canon;
+        if (!existing.versification && versification) existing.versification = versification;
+        if (!existing.copyright && !existing.publicDomain) Object.assign(existing, notice);
+      } else {
+        TRANSLATIONS.push({
+          abbr, name: manifest.name || abbr, bg: false, lang: manifest.lang || 'en', local: true,
+          canon: canon || undefined, versification, ...notice,
+        });
+      }
+    } catch (err) {
+      console.warn(`  ⚠  Skipping local Bible "${dir.name}": ${err && err.message ? err.message : err}`);
+    }
+  }
+  return Array.from(localBibles.values()).map(b => ({
+    abbr: b.abbr,
+    name: b.name || b.abbr,
+    lang: b.lang || 'en',
+    books: Object.keys(b.books || {}).length,
+    canon: b.canon,
+    versification: b.versification,
+    ...getLocalBibleNotice(b),
+    importedAt: b.importedAt || null,
+  }));
+}
+
+// copyright / publisher / publicDomain from an imported manifest (only those set).
+function getLocalBibleNotice(manifest) {
+  const notice = {};
+  if (manifest.copyright) notice.copyright = String(manifest.copyright);
+  if (manifest.publisher) notice.publisher = String(manifest.publisher);
+  if (manifest.publicDomain) notice.publicDomain = true;
+  return notice;
+}
+
+// Smallest CANONS set covering the deuterocanonical books an imported Bible
+// contains; null when it has none (protestant, the default).
+function inferLocalBibleCanon(books) {
+  const codes = new Set(Object.keys(books || {}));
+  const present = BIBLE_BOOKS.filter(b => b.testament === 'DC' && codes.has(USFM_CODES[b.name])).map(b => b.name);
+  if (!present.length) return null;
+  return present.every(name => CANONS.catholic.books.includes(name)) ? 'catholic' : 'orthodox';
+}
+
+function getLocalBook(abbr, usfmBook) {
+  const key = `${abbr}|${usfmBook}`;
+  if (localBookCache.has(key)) return localBookCache.get(key);
+  const bible = localBibles.get(abbr);
+  if (!bible || !bible.books || !bible.books[usfmBook]) return null;
+  const chapters = JSON.parse(fs.readFileSync(path.join(bible.dir, `${usfmBook}.json`), 'utf8'));
+  rememberBounded(localBookCache, key, chapters, MAX_LOCAL_BOOK_CACHE);
+  return chapters;
+}
+
+async function loadLocalChapter(book, chapter, abbr) {
+  const chapters = getLocalBook(abbr, USFM_CODES[book]);
+  if (!chapters) throw new Error(`${book} is not in the local ${abbr} library`);
+  return chapters[chapter] || {};
+}
+
+// ── Session State Store ───────────────────────────────────────────────────────
+// Live session state is mirrored to a pluggable store so a server restart does
+// not drop what is on air. A store is a plain object with three methods:
+//   loadAll()              -> Array<{ sessionId, state }>
+//   save(sessionId, state) -> void
+//   remove(sessionId)      -> void
+// 'file' (default) writes one JSON file per session under SESSION_STATE_DIR;
+// 'memory' keeps the previous in-process-only behaviour.
+// State file names must map one-to-one to session ids (sanitizing would put
+// "a.b", "a b" and every same-length Tamil id in one file), so the id is stored
+// as hex of its UTF-8 bytes. Ids too long for a file name fall back to a hash.
+function getSessionStateFileName(sessionId) {
+  const hex = Buffer.from(normalizeSessionId(sessionId), 'utf8').toString('hex');
+  return hex.length <= 240
+    ? `${hex}.json`
+    : `long-${crypto.createHash('sha256').update(hex).digest('hex')}.json`;
+}
+
+function createFileSessionStore(dir) {
+  const fileFor = sessionId => path.join(dir, getSessionStateFileName(sessionId));
+  return {
+    kind: 'file',
+    location: dir,
+    loadAll() {
+      let names = [];
+      try {
+        names = fs.readdirSync(dir).filter(name => /\.json$/i.test(name));
+      } catch (_) {
+        return [];
+      }
+      const entries = [];
+      for (const name of names) {
+        try {
+          const record = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+          if (!record || typeof record !== 'object' || !record.state) continue;
+          const sessionId = normalizeSessionId(record.sessionId);
+          // Files written under the old sanitized names move to their hex name once;
+          // when both exist, the hex file is the newer one.
+          const current = getSessionStateFileName(sessionId);
+          if (name !== current) {
+            if (fs.existsSync(path.join(dir, current))) {
+              fs.unlinkSync(path.join(dir, name));
+              continue;
+            }
+            fs.renameSync(path.join(dir, name), path.join(dir, current));
+          }
+          entries.push({ sessionId, state: record.state });
+        } catch (err) {
+          console.warn(`  ⚠  Skipping unreadable session state "${name}": ${err && err.message ? err.message : err}`);
+        }
+      }
+      return entries;
+    },
+    save(sessionId, state) {
+      const filePath = fileFor(sessionId);
+      const tmpPath = `${filePath}.tmp`;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify({ sessionId, savedAt: Date.now(), state }));
+      fs.renameSync(tmpPath, filePath);
+    },
+    remove(sessionId) {
+      try { fs.unlinkSync(fileFor(sessionId)); } catch (_) {}
+    },
+  };
+}
 
-  const passageContent = $('meta[property="og:description"]').attr('content');
-  if (!passageContent) {
-    throw new Error(`Could not find passage ${book} ${passage} ${version}`);
+function createMemorySessionStore() {
+  return {
+    kind: 'memory',
+    location: '',
+    loadAll() { return []; },
+    save() {},
+    remove() {},
+  };
+}
+
+function createSessionStore(kind) {
+  if (kind === 'memory' || kind === 'none') return createMemorySessionStore();
+  if (kind !== 'file') {
+    console.warn(`  ⚠  Unknown SESSION_STATE_STORE "${kind}" — using file store.`);
   }
+  return createFileSessionStore(SESSION_STATE_DIR);
+}
 
-  let footnotes = '';
-  $('.footnotes li').each((_, elem) => {
-    footnotes += $(elem).text().trim() + ' ';
-  });
-  footnotes = footnotes.trim();
+const sessionStore = createSessionStore(SESSION_STATE_STORE);
+const sessionSaveTimers = new Map();   // sessionId -> pending debounced save
+const sessionExpiryTimers = new Map(); // sessionId -> grace-period cleanup
 
-  const payload = {
-    citation: `${book} ${passage} ${version}`,
-    passage: passageContent.trim(),
-  };
-  if (footnotes) payload.footnotes = footnotes;
-  return payload;
+function writeSessionState(sessionId) {
+  const state = sessionState.get(sessionId);
+  if (!state) return;
+  try {
+    sessionStore.save(sessionId, state);
+  } catch (err) {
+    console.warn(`  ⚠  Could not save session "${sessionId}": ${err && err.message ? err.message : err}`);
+  }
 }
 
-function cleanYouVersionText(html) {
-  return String(html || '')
-    .replace(/\s+/g, ' ')
-    .replace(/\s+([.,;:!?])/g, '$1')
-    .replace(/\s+([)"”'’\]\}])/g, '$1')
-    .replace(/([.,;:!?'"”’\)\]\}])(?=[A-Za-z0-9(\[\{])/g, '$1 ')
-    .replace(/\s+/g, ' ')
-    .trim();
+function persistSessionState(sessionId) {
+  const pending = sessionSaveTimers.get(sessionId);
+  if (pending) clearTimeout(pending);
+  sessionSaveTimers.set(sessionId, setTimeout(() => {
+    sessionSaveTimers.delete(sessionId);
+    writeSessionState(sessionId);
+  }, SESSION_STATE_SAVE_DELAY_MS));
 }
 
-function resolveYouVersion(version) {
-  const parsed = parseInt(String(version), 10);
-  if (!Number.isNaN(parsed)) return { id: parsed, key: String(version) };
-  const key = String(version || 'NIV').toUpperCase();
-  return { id: YOUVERSION_VERSION_IDS[key] || 111, key };
+function flushSessionStates() {
+  for (const [sessionId, timer] of sessionSaveTimers) {
+    clearTimeout(timer);
+    writeSessionState(sessionId);
+  }
+  sessionSaveTimers.clear();
 }
 
-async function getYouVersionVerse({ book, bookAlias, chapter, verse, version }) {
-  const { id: versionId, key: versionKey } = resolveYouVersion(version);
-  const alias = (bookAlias || '').trim().toUpperCase();
-  if (!alias) throw new Error('Missing/invalid book alias');
+function cancelSessionExpiry(sessionId) {
+  const timer = sessionExpiryTimers.get(sessionId);
+  if (!timer) return;
+  clearTimeout(timer);
+  sessionExpiryTimers.delete(sessionId);
+}
 
-  const url = `https://www.bible.com/bible/${versionId}/${alias}.${chapter}.${verse}`;
-  const response = await axios.get(url, {
-    timeout: 15000,
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; Overlay/2.0; +https://github.com/jabez4jc/Overlay)',
-      'Accept-Language': 'en-US,en;q=0.9',
-    },
-  });
-  const $ = cheerio.load(response.data);
+function expireSessionState(sessionId) {
+  cancelSessionExpiry(sessionId);
+  const pending = sessionSaveTimers.get(sessionId);
+  if (pending) clearTimeout(pending);
+  sessionSaveTimers.delete(sessionId);
+  sessionState.delete(sessionId);
+  sessionStore.remove(sessionId);
+}
 
-  // Primary parse path: __NEXT_DATA__ (same strategy as YouVersion-Core)
-  const nextScript = $('script#__NEXT_DATA__').first();
-  if (nextScript.length) {
-    const json = JSON.parse(nextScript.html() || '{}');
-    const verseData = json?.props?.pageProps?.verses?.[0];
-    if (verseData?.content) {
-      const text = cleanYouVersionText(cheerio.load(verseData.content).text());
-      if (text) {
-        const citation = verseData?.reference?.human || `${book} ${chapter}:${verse} ${versionKey}`;
-        return { citation, passage: text };
-      }
-    }
+// Keep an unattended session's state (memory + store) for the grace period so
+// outputs that reconnect — or a restarted server — pick up where they left off.
+function scheduleSessionExpiry(sessionId) {
+  cancelSessionExpiry(sessionId);
+  if (!SESSION_STATE_GRACE_MS) {
+    expireSessionState(sessionId);
+    return;
   }
+  const timer = setTimeout(() => expireSessionState(sessionId), SESSION_STATE_GRACE_MS);
+  if (typeof timer.unref === 'function') timer.unref();
+  sessionExpiryTimers.set(sessionId, timer);
+}
 
-  // Fallback parse path
-  const text = cleanYouVersionText($('.text-17').first().text());
-  if (!text) throw new Error(`Could not find passage ${book} ${chapter}:${verse} ${versionKey}`);
-  return { citation: `${book} ${chapter}:${verse} ${versionKey}`, passage: text };
+function restoreSessionStates() {
+  const restored = [];
+  for (const { sessionId, state } of sessionStore.loadAll()) {
+    sessionState.set(sessionId, {
+      settings: typeof state.settings === 'string' ? state.settings : null,
+      show: typeof state.show === 'string' ? state.show : null,
+      showTicker: typeof state.showTicker === 'string' ? state.showTicker : null,
+      overlayVisible: !!state.overlayVisible,
+      tickerVisible: !!state.tickerVisible,
+      updatedAt: Number(state.updatedAt) || 0,
+      atemProfile: normalizeAtemProfile(state.atemProfile),
+    });
+    scheduleSessionExpiry(sessionId);
+    restored.push(sessionId);
+  }
+  return restored;
 }
 
+const restoredSessions = restoreSessionStates();
+loadLocalBibles();
+loadServicePacks();
+
 // ── WebSocket Server ──────────────────────────────────────────────────────────
 let WebSocketServer;
 try {
@@ -485,12 +2300,14 @@ function getState(sessionId) {
       overlayVisible: false,
       tickerVisible: false,
       updatedAt: 0,
+      atemProfile: null,
     });
   }
   return sessionState.get(sessionId);
 }
 
 function joinRoom(sessionId, ws) {
+  cancelSessionExpiry(sessionId);
   if (!rooms.has(sessionId)) rooms.set(sessionId, new Set());
   rooms.get(sessionId).add(ws);
 }
@@ -500,7 +2317,7 @@ function leaveRoom(ws) {
     clients.delete(ws);
     if (clients.size === 0) {
       rooms.delete(id);
-      sessionState.delete(id);   // clean up state when room is empty
+      scheduleSessionExpiry(id); // keep state for the grace period, then drop it
       clearExportSession(id);
     }
   }
@@ -516,6 +2333,52 @@ function broadcastToRoom(sessionId, payload, sender) {
   }
 }
 
+function countRoomClients(sessionId, role) {
+  const clients = rooms.get(sessionId);
+  if (!clients) return 0;
+  let n = 0;
+  for (const client of clients) {
+    if (client.role === role && client.readyState === 1 /* OPEN */) n++;
+  }
+  return n;
+}
+
+const LIVE_STATE_ACTIONS = new Set(['settings', 'show', 'clear', 'show-ticker', 'clear-ticker']);
+
+function applyLiveMessageToState(sessionId, msg, rawText) {
+  const state = getState(sessionId);
+  if (msg.action === 'settings') {
+    state.settings = rawText;
+  } else if (msg.action === 'show') {
+    state.show = rawText;
+    if (msg.settings) state.settings = JSON.stringify(msg.settings);
+    state.overlayVisible = true;
+  } else if (msg.action === 'clear') {
+    state.overlayVisible = false;
+  } else if (msg.action === 'show-ticker') {
+    state.showTicker = rawText;
+    state.tickerVisible = true;
+  } else if (msg.action === 'clear-ticker') {
+    state.tickerVisible = false;
+  } else {
+    return state;
+  }
+  state.updatedAt = Date.now();
+  persistSessionState(sessionId);
+  return state;
+}
+
+// Server-originated live action (HTTP control API): same state rules as a WS
+// message, but delivered to every client in the room since there is no sender.
+function dispatchSessionAction(sessionId, msg) {
+  const raw = JSON.stringify(msg);
+  const state = applyLiveMessageToState(sessionId, msg, raw);
+  if (!rooms.has(sessionId)) scheduleSessionExpiry(sessionId);
+  broadcastToRoom(sessionId, raw, null);
+  schedulePngExport(sessionId);
+  return state;
+}
+
 function broadcastToAllClients(payload) {
   for (const client of wss.clients) {
     if (client.readyState === 1 /* OPEN */) {
@@ -536,11 +2399,23 @@ function writeTransparentPng(filePath, width, height) {
   fs.writeFileSync(filePath, PNG.sync.write(png));
 }
 
+function writeOpaqueBlackPng(filePath, width, height) {
+  const png = new PNG({ width, height });
+  png.data.fill(0);
+  for (let i = 3; i < png.data.length; i += 4) png.data[i] = 255;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, PNG.sync.write(png));
+}
+
 wss.on('connection', (ws, req) => {
   const params    = new URLSearchParams((req.url || '').split('?')[1] || '');
   const sessionId = params.get('session') || 'default';
   const role      = params.get('role')    || 'unknown';
+  // Render jobs are as heavy as their HTTP twins, so they need the same token
+  // (browsers cannot set headers on a WebSocket, hence ?token= on the URL).
+  const renderAuthorized = isControlApiAuthorized(req, new URL(req.url || '/', 'http://localhost'));
 
+  ws.role = role;
   joinRoom(sessionId, ws);
   const room = rooms.get(sessionId);
   console.log(`  [WS+] ${role.padEnd(8)} session=${sessionId}  (room: ${room ? room.size : 0} clients)`);
@@ -561,56 +2436,57 @@ wss.on('connection', (ws, req) => {
   ws.on('message', raw => {
     try {
       const msg = JSON.parse(raw);
-      const state = getState(sessionId);
       if (msg.action === 'atem-export-config') {
         const requestedPin = !!msg.pinCurrentSession;
         const requestedSessionId = normalizeSessionId(msg.sessionId || sessionId || 'default');
         if (requestedPin) atemPngPinnedSessions.add(requestedSessionId);
         else atemPngPinnedSessions.delete(requestedSessionId);
+        // profile: object sets the session's export profile, null resets it
+        if (Object.prototype.hasOwnProperty.call(msg, 'profile')) {
+          getState(requestedSessionId).atemProfile = normalizeAtemProfile(msg.profile);
+          persistSessionState(requestedSessionId);
+          // Same lifetime as any other unattended session state
+          if (!rooms.has(requestedSessionId)) scheduleSessionExpiry(requestedSessionId);
+        }
 
-        const ack = JSON.stringify({
-          action: 'atem-export-config-ack',
-          sessionId: requestedSessionId,
-          pinCurrentSession: atemPngPinnedSessions.has(requestedSessionId),
-          pinnedSessions: Array.from(atemPngPinnedSessions),
-          exportUrl: getAtemExportUrlForSession(requestedSessionId),
-        });
+        const ack = JSON.stringify(buildAtemExportAck(requestedSessionId));
         broadcastToAllClients(ack);
         schedulePngExport(requestedSessionId);
       } else if (msg.action === 'atem-export-status') {
         const requestedSessionId = normalizeSessionId(msg.sessionId || sessionId || 'default');
-        const ack = JSON.stringify({
-          action: 'atem-export-config-ack',
-          sessionId: requestedSessionId,
-          pinCurrentSession: atemPngPinnedSessions.has(requestedSessionId),
-          pinnedSessions: Array.from(atemPngPinnedSessions),
-          exportUrl: getAtemExportUrlForSession(requestedSessionId),
-        });
+        const ack = JSON.stringify(buildAtemExportAck(requestedSessionId));
         try { ws.send(ack); } catch (_) {}
       } else if (msg.action === 'atem-export-refresh') {
         const requestedSessionId = normalizeSessionId(msg.sessionId || sessionId || 'default');
         schedulePngExport(requestedSessionId);
-      } else if (msg.action === 'settings') {
-        state.settings = raw.toString();
-        state.updatedAt = Date.now();
-      } else if (msg.action === 'show') {
-        state.show = raw.toString();
-        if (msg.settings) state.settings = JSON.stringify(msg.settings);
-        state.overlayVisible = true;
-        state.updatedAt = Date.now();
-      } else if (msg.action === 'clear') {
-        state.overlayVisible = false;
-        state.updatedAt = Date.now();
-      } else if (msg.action === 'show-ticker') {
-        state.showTicker = raw.toString();
-        state.tickerVisible = true;
-        state.updatedAt = Date.now();
-      } else if (msg.action === 'clear-ticker') {
-        state.tickerVisible = false;
-        state.updatedAt = Date.now();
-      }
-
-      if (msg.action === 'settings' || msg.action === 'show' || msg.action === 'clear' || msg.action === 'show-ticker' || msg.action === 'clear-ticker') {
+      } else if (msg.action === 'atem-clip-render') {
+        const requestedSessionId = normalizeSessionId(msg.sessionId || sessionId || 'default');
+        if (!renderAuthorized) {
+          try { ws.send(JSON.stringify({ action: 'atem-clip-ready', ok: false, sessionId: requestedSessionId, message: 'Missing or invalid control API token' })); } catch (_) {}
+          return;
+        }
+        renderAtemClip(requestedSessionId, msg)
+          .then(result => ({ ok: true, ...result }))
+          .catch(err => ({ ok: false, sessionId: requestedSessionId, message: err && err.message ? err.message : String(err) }))
+          .then(result => {
+            try { ws.send(JSON.stringify({ action: 'atem-clip-ready', ...result })); } catch (_) {}
+          });
+        return; // render jobs answer the sender only; outputs never see the request
+      } else if (msg.action === 'atem-batch-render') {
+        const requestedSessionId = normalizeSessionId(msg.sessionId || sessionId || 'default');
+        if (!renderAuthorized) {
+          try { ws.send(JSON.stringify({ action: 'atem-batch-ready', ok: false, sessionId: requestedSessionId, message: 'Missing or invalid control API token' })); } catch (_) {}
+          return;
+        }
+        renderAtemPresetBatch(requestedSessionId, msg)
+          .then(result => ({ ok: true, ...result }))
+          .catch(err => ({ ok: false, sessionId: requestedSessionId, message: err && err.message ? err.message : String(err) }))
+          .then(result => {
+            try { ws.send(JSON.stringify({ action: 'atem-batch-ready', ...result })); } catch (_) {}
+          });
+        return;
+      } else if (LIVE_STATE_ACTIONS.has(msg.action)) {
+        applyLiveMessageToState(sessionId, msg, raw.toString());
         schedulePngExport(sessionId);
       }
     } catch (_) {}
@@ -625,11 +2501,94 @@ wss.on('connection', (ws, req) => {
 
   ws.on('error', () => leaveRoom(ws));
 });
+// ── ATEM Export Profiles ──────────────────────────────────────────────────────
+// A session may carry an export profile, set from the ATEM tab through
+// atem-export-config: named outputs with their own resolution, the alpha mode
+// of each output's main PNG, and whether the ticker is included. The first
+// output also feeds /atem-live/<session>.png; every named output is served at
+// /atem-live/<session>/<name>.png with the same variants. Without a profile a
+// session exports one output at ATEM_PNG_WIDTH × ATEM_PNG_HEIGHT in ATEM_PNG_MODE.
+const ATEM_PROFILE_MAX_OUTPUTS = 4;
+
+function getDefaultAtemProfile() {
+  return {
+    outputs: [{ name: '', width: ATEM_PNG_WIDTH, height: ATEM_PNG_HEIGHT }],
+    alpha: ATEM_PNG_MODE,
+    ticker: true,
+  };
+}
+
+// Clean profile from untrusted input, or null for "use the defaults".
+// Output names become file names: letters, digits and _ only, unique.
+function normalizeAtemProfile(src) {
+  if (!src || typeof src !== 'object') return null;
+  const names = new Set();
+  const outputs = (Array.isArray(src.outputs) ? src.outputs : [])
+    .filter(o => o && typeof o === 'object')
+    .slice(0, ATEM_PROFILE_MAX_OUTPUTS)
+    .map((o, i) => {
+      let name = String(o.name || '').replace(/[^A-Za-z0-9_]/g, '_').slice(0, 32) || `output${i + 1}`;
+      while (names.has(name)) name = `${name}_${i + 1}`;
+      names.add(name);
+      return {
+        name,
+        width: clampInt(o.width, 320, 3840, ATEM_PNG_WIDTH),
+        height: clampInt(o.height, 180, 2160, ATEM_PNG_HEIGHT),
+      };
+    });
+  if (!outputs.length) outputs.push({ name: 'main', width: ATEM_PNG_WIDTH, height: ATEM_PNG_HEIGHT });
+  return {
+    outputs,
+    alpha: src.alpha === 'straight' || src.alpha === 'premultiplied' ? src.alpha : ATEM_PNG_MODE,
+    ticker: src.ticker !== false,
+  };
+}
+
+function getAtemProfile(sessionId) {
+  const state = sessionState.get(normalizeSessionId(sessionId));
+  return (state && state.atemProfile) || getDefaultAtemProfile();
+}
+
+function getAtemOutputPath(sessionId, outputName, variant = '') {
+  const suffix = ATEM_EXPORT_VARIANTS.includes(variant) ? `-${variant}` : '';
+  return path.join(ATEM_PNG_BASE_DIR, `${ATEM_PNG_BASE_STEM}-${sanitizeSessionForFile(sessionId)}`, `${outputName}${suffix}.png`);
+}
+
+function getAtemOutputUrl(sessionId, outputName, variant = '') {
+  if (!outputName) return getAtemExportUrlForSession(sessionId, variant);
+  const suffix = variant === 'fill' || variant === 'key' ? `-${variant}` : '';
+  return `/atem-live/${encodeURIComponent(normalizeSessionId(sessionId))}/${outputName}${suffix}.png`;
+}
+
+function describeAtemOutputs(sessionId) {
+  return getAtemProfile(sessionId).outputs.map(o => ({
+    ...o,
+    url: getAtemOutputUrl(sessionId, o.name),
+    fillUrl: getAtemOutputUrl(sessionId, o.name, 'fill'),
+    keyUrl: getAtemOutputUrl(sessionId, o.name, 'key'),
+  }));
+}
+
+function buildAtemExportAck(sessionId) {
+  const state = sessionState.get(sessionId);
+  return {
+    action: 'atem-export-config-ack',
+    sessionId,
+    pinCurrentSession: atemPngPinnedSessions.has(sessionId),
+    pinnedSessions: Array.from(atemPngPinnedSessions),
+    exportUrl: getAtemExportUrlForSession(sessionId),
+    profile: getAtemProfile(sessionId),
+    customProfile: !!(state && state.atemProfile),
+    outputs: describeAtemOutputs(sessionId),
+  };
+}
+
+// Exporter pages are kept per session and per resolution ("1920x1080"), so
+// outputs of the same size share one render.
 function getExportSession(sessionId) {
   if (!exportSessions.has(sessionId)) {
     exportSessions.set(sessionId, {
-      context: null,
-      page: null,
+      views: new Map(),
       timer: null,
       running: false,
       queued: false,
@@ -645,40 +2604,78 @@ function clearExportSession(sessionId) {
   exp.timer = null;
   exp.running = false;
   exp.queued = false;
-  if (exp.context) {
-    exp.context.close().catch(() => {});
+  for (const pending of exp.views.values()) {
+    pending.then(view => view.context.close()).catch(() => {});
   }
   exportSessions.delete(sessionId);
 }
 
-async function ensureExporterPage(sessionId) {
+function closeUnusedExporterViews(exp, keepKeys) {
+  for (const [key, pending] of exp.views) {
+    if (keepKeys.has(key)) continue;
+    pending.then(view => view.context.close()).catch(() => {});
+    exp.views.delete(key);
+  }
+}
+
+async function ensureExporterPage(sessionId, width = ATEM_PNG_WIDTH, height = ATEM_PNG_HEIGHT) {
   if (!ATEM_PNG_EXPORT_ENABLED) return null;
-  if (!chromium) {
+  if (!chromium || exportBrowserFailed) {
     if (!warnedPlaywrightMissing) {
       warnedPlaywrightMissing = true;
-      console.warn('  ⚠  ATEM PNG export disabled: install Playwright (npm i playwright and npx playwright install chromium).');
+      console.warn(ATEM_PNG_RENDERER === 'chromium'
+        ? '  ⚠  ATEM PNG export disabled: install Playwright (npm i playwright and npx playwright install chromium).'
+        : '  ⚠  Playwright/Chromium not available: ATEM PNG stills use the software renderer.');
     }
     return null;
   }
 
   if (!exportBrowser) {
-    exportBrowser = await chromium.launch({ headless: true });
+    if (!exportBrowserLaunch) exportBrowserLaunch = chromium.launch({ headless: true });
+    try {
+      exportBrowser = await exportBrowserLaunch;
+    } catch (err) {
+      // Playwright installed without its browser (common on ARM): fall back for the process lifetime.
+      if (!exportBrowserFailed) {
+        exportBrowserFailed = true;
+        console.warn(`  ⚠  Chromium failed to launch: ${err && err.message ? err.message.split('\n')[0] : err}`);
+      }
+      return ensureExporterPage(sessionId, width, height);
+    }
   }
 
+  // The map holds one pending view per size, so concurrent stills, clips and
+  // preset batches all wait for the same output.html load. A failed load is
+  // dropped so the next call starts over.
   const exp = getExportSession(sessionId);
-  if (exp.page) return exp;
+  const key = `${width}x${height}`;
+  if (exp.views.has(key)) return exp.views.get(key);
+  const pending = openExporterView(sessionId, key, width, height);
+  exp.views.set(key, pending);
+  pending.catch(() => {
+    if (exp.views.get(key) === pending) exp.views.delete(key);
+  });
+  return pending;
+}
 
-  exp.context = await exportBrowser.newContext({
-    viewport: { width: ATEM_PNG_WIDTH, height: ATEM_PNG_HEIGHT },
+async function openExporterView(sessionId, key, width, height) {
+  const context = await exportBrowser.newContext({
+    viewport: { width, height },
     deviceScaleFactor: 1,
   });
-  exp.page = await exp.context.newPage();
-  const outputUrl = `http://127.0.0.1:${PORT}/output.html?session=${encodeURIComponent(sessionId)}&exportPng=1`;
-  await exp.page.goto(outputUrl, { waitUntil: 'networkidle' });
-  return exp;
+  try {
+    const page = await context.newPage();
+    const outputUrl = `http://127.0.0.1:${PORT}/output.html?session=${encodeURIComponent(sessionId)}&exportPng=1`;
+    await page.goto(outputUrl, { waitUntil: 'networkidle' });
+    return { key, width, height, context, page };
+  } catch (err) {
+    context.close().catch(() => {});
+    throw err;
+  }
 }
 
-async function applyStateToExportPage(page, state) {
+// Settings, live overlay and live ticker of a session, as messages for output.html.
+function buildExportReplay(state) {
   let settingsPayload = null;
   if (state.settings) {
     try {
@@ -720,11 +2717,16 @@ async function applyStateToExportPage(page, state) {
     delete showPayload.settings;
   }
 
-  const replay = {
+  return {
     settings: effectiveSettings,
     show: showPayload,
     showTicker: state.tickerVisible && state.showTicker ? JSON.parse(state.showTicker) : null,
   };
+}
+
+async function applyStateToExportPage(page, state, profile) {
+  const replay = buildExportReplay(state);
+  if (profile && profile.ticker === false) replay.showTicker = null;
 
   await page.evaluate(async payload => {
     if (typeof window.handleMessage !== 'function') return;
@@ -791,7 +2793,10 @@ async function triggerAtemPngWebhook(sessionId) {
     sessionId: normalizedSessionId,
     exportUrl: getAtemExportUrlForSession(normalizedSessionId),
     exportPath: getAtemExportPathForSession(normalizedSessionId),
-    mode: ATEM_PNG_MODE,
+    fillUrl: getAtemExportUrlForSession(normalizedSessionId, 'fill'),
+    keyUrl: getAtemExportUrlForSession(normalizedSessionId, 'key'),
+    mode: getAtemProfile(normalizedSessionId).alpha,
+    outputs: describeAtemOutputs(normalizedSessionId),
     pinnedSessions: Array.from(atemPngPinnedSessions),
     timestamp: new Date().toISOString(),
   };
@@ -816,35 +2821,122 @@ async function triggerAtemPngWebhook(sessionId) {
   }
 }
 
-async function renderPngExport(sessionId) {
-  const state = getState(sessionId);
-  const exp = await ensureExporterPage(sessionId);
-  if (!exp || !exp.page) return;
-
-  await applyStateToExportPage(exp.page, state);
-  await exp.page.waitForTimeout(120);
-  const exportPath = getAtemExportPathForSession(sessionId);
-  const straightPath = getAtemExportPathForSessionVariant(sessionId, 'straight');
-  const premultPath = getAtemExportPathForSessionVariant(sessionId, 'premultiplied');
-  fs.mkdirSync(path.dirname(exportPath), { recursive: true });
-  const tmpPath = `${exportPath}.tmp`;
-  const tmpStraightPath = `${straightPath}.tmp`;
-  const tmpPremultPath = `${premultPath}.tmp`;
-  const straightBuffer = await exp.page.screenshot({
-    type: 'png',
-    omitBackground: true,
+// Premultiplied / fill / key PNGs are derived in lib/atem-png-variants.js on a
+// worker thread (one decode, three encodes). If the worker cannot start, the
+// same function runs inline.
+let atemVariantWorker = null;
+let atemVariantJobId = 0;
+const atemVariantJobs = new Map(); // job id -> { resolve, reject }
+
+function getAtemVariantWorker() {
+  if (atemVariantWorker) return atemVariantWorker;
+  const worker = new Worker(path.join(ROOT, 'lib', 'atem-png-variants.js'));
+  worker.unref();
+  const toBuffer = u8 => Buffer.from(u8.buffer, u8.byteOffset, u8.byteLength);
+  worker.on('message', ({ id, result, error }) => {
+    const job = atemVariantJobs.get(id);
+    if (!job) return;
+    atemVariantJobs.delete(id);
+    if (error) {
+      job.reject(new Error(error));
+      return;
+    }
+    job.resolve({
+      premultiplied: toBuffer(result.premultiplied),
+      fill: toBuffer(result.fill),
+      key: toBuffer(result.key),
+    });
+  });
+  const fail = err => {
+    if (atemVariantWorker === worker) atemVariantWorker = null;
+    for (const job of atemVariantJobs.values()) job.reject(err);
+    atemVariantJobs.clear();
+  };
+  worker.on('error', fail);
+  worker.on('exit', code => fail(new Error(`ATEM variant worker exited with code ${code}`)));
+  atemVariantWorker = worker;
+  return worker;
+}
+
+function buildAtemVariantsOffThread(straightBuffer) {
+  let worker;
+  try {
+    worker = getAtemVariantWorker();
+  } catch (_) {
+    return Promise.resolve(buildAtemVariantPngs(straightBuffer));
+  }
+  return new Promise((resolve, reject) => {
+    const id = ++atemVariantJobId;
+    atemVariantJobs.set(id, { resolve, reject });
+    worker.postMessage({ id, png: straightBuffer });
   });
-  const premultBuffer = premultiplyAlphaPng(straightBuffer);
+}
+
+// Every variant of one rendered frame, keyed like ATEM_EXPORT_VARIANTS plus
+// `main` (the output's own alpha mode).
+async function buildAtemExportBuffers(straightBuffer, alpha) {
+  const { premultiplied, fill, key } = await buildAtemVariantsOffThread(straightBuffer);
+  return {
+    main: alpha === 'premultiplied' ? premultiplied : straightBuffer,
+    straight: straightBuffer,
+    premultiplied,
+    fill,
+    key,
+  };
+}
 
-  // Always publish both variants for validation and flexible downstream ingest.
-  fs.writeFileSync(tmpStraightPath, straightBuffer);
-  fs.writeFileSync(tmpPremultPath, premultBuffer);
-  fs.renameSync(tmpStraightPath, straightPath);
-  fs.renameSync(tmpPremultPath, premultPath);
+// Writes all files to .tmp first, then renames, so readers never see a partial set member.
+function writeAtemExportFiles(targets, buffers) {
+  const names = Object.keys(targets);
+  fs.mkdirSync(path.dirname(targets.main), { recursive: true });
+  names.forEach(name => fs.writeFileSync(`${targets[name]}.tmp`, buffers[name]));
+  names.forEach(name => fs.renameSync(`${targets[name]}.tmp`, targets[name]));
+}
+
+async function renderPngExport(sessionId) {
+  const state = getState(sessionId);
+  const profile = getAtemProfile(sessionId);
+
+  // One screenshot per distinct resolution in the profile.
+  const shots = new Map();
+  for (const output of profile.outputs) {
+    const key = `${output.width}x${output.height}`;
+    if (shots.has(key)) continue;
+    const view = ATEM_PNG_RENDERER === 'raster' ? null : await ensureExporterPage(sessionId, output.width, output.height);
+    if (!view) {
+      if (ATEM_PNG_RENDERER === 'chromium') return;
+      const replay = buildExportReplay(state);
+      shots.set(key, await renderRasterOffThread(replay, output.width, output.height, profile));
+      continue;
+    }
+    await applyStateToExportPage(view.page, state, profile);
+    await view.page.waitForTimeout(120);
+    shots.set(key, await view.page.screenshot({
+      type: 'png',
+      omitBackground: true,
+    }));
+  }
+  closeUnusedExporterViews(getExportSession(sessionId), shots);
 
-  const finalBuffer = ATEM_PNG_MODE === 'premultiplied' ? premultBuffer : straightBuffer;
-  fs.writeFileSync(tmpPath, finalBuffer);
-  fs.renameSync(tmpPath, exportPath);
+  // Always publish every variant for validation and flexible downstream ingest.
+  // Variants are built once per resolution; outputs of the same size share them.
+  const variantsBySize = new Map();
+  for (const [key, shot] of shots) {
+    variantsBySize.set(key, await buildAtemExportBuffers(shot, profile.alpha));
+  }
+  for (const [index, output] of profile.outputs.entries()) {
+    const buffers = variantsBySize.get(`${output.width}x${output.height}`);
+    if (index === 0) {
+      const legacy = { main: getAtemExportPathForSession(sessionId) };
+      ATEM_EXPORT_VARIANTS.forEach(v => { legacy[v] = getAtemExportPathForSessionVariant(sessionId, v); });
+      writeAtemExportFiles(legacy, buffers);
+    }
+    if (output.name) {
+      const named = { main: getAtemOutputPath(sessionId, output.name) };
+      ATEM_EXPORT_VARIANTS.forEach(v => { named[v] = getAtemOutputPath(sessionId, output.name, v); });
+      writeAtemExportFiles(named, buffers);
+    }
+  }
   void triggerAtemPngWebhook(sessionId);
 }
 function schedulePngExport(sessionId) {
@@ -872,16 +2964,518 @@ function schedulePngExport(sessionId) {
     }
   }, 35);
 }
+
+// ── Software Renderer ─────────────────────────────────────────────────────────
+// Without Chromium, exports are drawn by lib/raster-renderer.js on a worker
+// thread, started at boot so the font index is built before the first render.
+// If the worker cannot start, the same renderer runs inline.
+let rasterWorker = null;
+let rasterJobId = 0;
+const rasterJobs = new Map(); // job id -> { resolve, reject }
+configureRasterFonts(RASTER_FONT_DIR);
+
+function getRasterWorker() {
+  if (rasterWorker) return rasterWorker;
+  const worker = new Worker(path.join(ROOT, 'lib', 'raster-renderer.js'), {
+    workerData: { fontDir: RASTER_FONT_DIR },
+  });
+  worker.unref();
+  worker.on('message', ({ id, png, error }) => {
+    const job = rasterJobs.get(id);
+    if (!job) return;
+    rasterJobs.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(Buffer.from(png.buffer, png.byteOffset, png.byteLength));
+  });
+  const fail = err => {
+    if (rasterWorker === worker) rasterWorker = null;
+    for (const job of rasterJobs.values()) job.reject(err);
+    rasterJobs.clear();
+  };
+  worker.on('error', fail);
+  worker.on('exit', code => fail(new Error(`Software renderer worker exited with code ${code}`)));
+  rasterWorker = worker;
+  return worker;
+}
+
+// Straight-alpha PNG of a replay (see buildExportReplay) at one output size.
+function renderRasterOffThread(replay, width, height, profile) {
+  let worker;
+  try {
+    worker = getRasterWorker();
+  } catch (_) {
+    return Promise.resolve(renderRasterExport(replay, width, height, profile));
+  }
+  return new Promise((resolve, reject) => {
+    const id = ++rasterJobId;
+    rasterJobs.set(id, { resolve, reject });
+    worker.postMessage({ id, replay, width, height, profile });
+  });
+}
+
+// ── Animated Clip Export ──────────────────────────────────────────────────────
+// The still export freezes every transition. A clip export instead steps the
+// lower third's in- and out-transitions frame by frame at a chosen frame rate,
+// on a separate output page (?exportClip=1) that ignores live updates, and
+// delivers a numbered PNG sequence in a zip plus an APNG for switcher media
+// pools. Clips use the size and alpha mode of the session's first export output
+// unless the request sets an alpha mode.
+const ATEM_CLIP_FPS = [25, 30, 50, 60];
+const ATEM_CLIP_PARTS = ['full', 'in', 'out'];
+const ATEM_CLIP_MAX_HOLD_SECONDS = 30;
+const ATEM_CLIP_MAX_TRANSITION_MS = 5000;
+let atemClipRendering = false;
+
+function getAtemClipPath(sessionId, ext) {
+  return path.join(ATEM_PNG_BASE_DIR, `${ATEM_PNG_BASE_STEM}-${sanitizeSessionForFile(sessionId)}-clip.${ext}`);
+}
+
+function getAtemClipUrl(sessionId, ext) {
+  return `/atem-live/${encodeURIComponent(normalizeSessionId(sessionId))}-clip.${ext}`;
+}
+
+function normalizeAtemClipOptions(src, defaultAlpha = ATEM_PNG_MODE) {
+  const o = src && typeof src === 'object' ? src : {};
+  const fps = parseInt(o.fps, 10);
+  const alpha = String(o.alpha || '').trim().toLowerCase();
+  return {
+    fps: ATEM_CLIP_FPS.includes(fps) ? fps : 30,
+    hold: Math.max(0, Math.min(ATEM_CLIP_MAX_HOLD_SECONDS, parseFloat(o.hold ?? 3) || 0)),
+    part: ATEM_CLIP_PARTS.includes(o.part) ? o.part : 'full',
+    alpha: alpha === 'straight' || alpha === 'premultiplied' ? alpha : defaultAlpha,
+  };
+}
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(...buffers) {
+  let c = 0xffffffff;
+  for (const buf of buffers) {
+    for (let i = 0; i < buf.length; i++) c = CRC32_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed ("stored") zip: PNG frames are already deflated.
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const crc = crc32(entry.data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);          // UTF-8 names
+    local.writeUInt16LE(0, 8);               // stored
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(entry.data.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(entry.data.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, name, entry.data);
+    centrals.push(central, name);
+    offset += local.length + name.length + entry.data.length;
+  }
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function readPngChunks(pngBuffer) {
+  const chunks = [];
+  let pos = 8;
+  while (pos + 8 <= pngBuffer.length) {
+    const length = pngBuffer.readUInt32BE(pos);
+    const type = pngBuffer.toString('latin1', pos + 4, pos + 8);
+    chunks.push({ type, data: pngBuffer.subarray(pos + 8, pos + 8 + length) });
+    pos += 12 + length;
+  }
+  return chunks;
+}
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(head.subarray(4), data), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// Frames are same-size PNGs encoded by pngjs. Repeated frames (the hold) are
+// merged into one APNG frame with a longer delay. Plays once.
+function buildApng(frames, fps) {
+  const runs = [];
+  frames.forEach(frame => {
+    const last = runs[runs.length - 1];
+    if (last && (last.png === frame || last.png.equals(frame))) last.count += 1;
+    else runs.push({ png: frame, count: 1 });
+  });
+  const ihdr = readPngChunks(frames[0]).find(c => c.type === 'IHDR').data;
+  const width = ihdr.readUInt32BE(0);
+  const height = ihdr.readUInt32BE(4);
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(runs.length, 0);
+  actl.writeUInt32BE(1, 4);
+  const out = [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), pngChunk('IHDR', ihdr), pngChunk('acTL', actl)];
+  let seq = 0;
+  runs.forEach((run, index) => {
+    const fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(seq++, 0);
+    fctl.writeUInt32BE(width, 4);
+    fctl.writeUInt32BE(height, 8);
+    fctl.writeUInt16BE(Math.min(65535, run.count), 20);   // delay = count / fps seconds
+    fctl.writeUInt16BE(fps, 22);
+    fctl[24] = 0;                                          // dispose: none
+    fctl[25] = 0;                                          // blend: source (keeps alpha)
+    out.push(pngChunk('fcTL', fctl));
+    readPngChunks(run.png).filter(c => c.type === 'IDAT').forEach(c => {
+      if (index === 0) {
+        out.push(pngChunk('IDAT', c.data));
+        return;
+      }
+      const seqBuf = Buffer.alloc(4);
+      seqBuf.writeUInt32BE(seq++, 0);
+      out.push(pngChunk('fdAT', Buffer.concat([seqBuf, c.data])));
+    });
+  });
+  out.push(pngChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(out);
+}
+
+// Starts a transition on the page (show or clear), pauses every animation it
+// set off and screenshots it at each frame time, ending on the settled frame.
+async function captureTransitionFrames(page, message, fps, alpha) {
+  const durationMs = await page.evaluate(msg => {
+    window.handleMessage(msg);
+    const anims = document.getAnimations();
+    anims.forEach(a => a.pause());
+    window.__clipAnimations = anims;
+    const ends = anims
+      .map(a => Number(a.effect && a.effect.getComputedTiming().endTime))
+      .filter(Number.isFinite);
+    return ends.length ? Math.max(...ends) : 0;
+  }, message);
+  const span = Math.min(ATEM_CLIP_MAX_TRANSITION_MS, durationMs);
+  const count = Math.max(1, Math.ceil((span * fps) / 1000) + 1);
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const t = Math.min(span, (i * 1000) / fps);
+    await page.evaluate(async time => {
+      (window.__clipAnimations || []).forEach(a => { a.currentTime = time; });
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    }, t);
+    const shot = await page.screenshot({ type: 'png', omitBackground: true });
+    frames.push(alpha === 'premultiplied' ? premultiplyAlphaPng(shot) : PNG.sync.write(PNG.sync.read(shot)));
+  }
+  return frames;
+}
+
+// An output page (?exportClip=1) that ignores live updates, on a transparent
+// background without the session watermark, for renders driven step by step.
+async function openStaticExportPage(view, sessionId) {
+  const page = await view.context.newPage();
+  await page.goto(`http://127.0.0.1:${PORT}/output.html?session=${encodeURIComponent(sessionId)}&exportClip=1`, { waitUntil: 'networkidle' });
+  await page.evaluate(() => {
+    document.body.classList.remove('chroma-blue', 'chroma-green', 'chroma-magenta', 'chroma-custom', 'chroma-transparent');
+    document.body.style.background = '';
+    const watermark = document.getElementById('session-watermark');
+    if (watermark) watermark.style.display = 'none';
+  });
+  return page;
+}
+
+async function renderAtemClip(sessionId, options) {
+  // Clips render at the profile's first output resolution and alpha mode
+  const profile = getAtemProfile(sessionId);
+  const primary = profile.outputs[0];
+  const opts = normalizeAtemClipOptions(options, profile.alpha);
+  const replay = buildExportReplay(getState(sessionId));
+  if (!replay.show) {
+    const err = new Error('Nothing is on air to animate');
+    err.statusCode = 409;
+    throw err;
+  }
+  if (atemClipRendering) {
+    const err = new Error('A clip is already rendering');
+    err.statusCode = 409;
+    throw err;
+  }
+  atemClipRendering = true;
+  let page = null;
+  try {
+    const view = await ensureExporterPage(sessionId, primary.width, primary.height);
+    if (!view) {
+      const err = new Error('ATEM export is unavailable (ATEM_PNG_EXPORT=0 or Playwright/Chromium missing)');
+      err.statusCode = 503;
+      throw err;
+    }
+    page = await openStaticExportPage(view, sessionId);
+
+    // Render once without transitions so fonts and images are loaded, then
+    // restore the real animation setting with the overlay hidden.
+    await page.evaluate(async payload => {
+      const settings = payload.settings || {};
+      window.handleMessage({ action: 'settings', settings: { ...settings, animation: 'none' } });
+      window.handleMessage(payload.show);
+      if (document.fonts && document.fonts.ready) {
+        try { await document.fonts.ready; } catch (_) {}
+      }
+      window.handleMessage({ action: 'clear' });
+      window.handleMessage({ action: 'clear-ticker' });
+      window.handleMessage({ action: 'settings', settings });
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    }, replay);
+
+    let frames = [];
+    if (opts.part !== 'out') {
+      frames = frames.concat(await captureTransitionFrames(page, replay.show, opts.fps, opts.alpha));
+    } else {
+      await page.evaluate(msg => {
+        window.handleMessage(msg);
+        document.getAnimations().forEach(a => a.finish());
+      }, replay.show);
+    }
+    if (opts.part === 'full') {
+      const last = frames[frames.length - 1];
+      for (let i = Math.round(opts.hold * opts.fps); i > 0; i--) frames.push(last);
+    }
+    if (opts.part !== 'in') {
+      frames = frames.concat(await captureTransitionFrames(page, { action: 'clear' }, opts.fps, opts.alpha));
+    }
+
+    const digits = Math.max(5, String(frames.length).length);
+    const zip = buildZip(frames.map((data, i) => ({ name: `clip-${String(i + 1).padStart(digits, '0')}.png`, data })));
+    const apng = buildApng(frames, opts.fps);
+    const zipPath = getAtemClipPath(sessionId, 'zip');
+    const apngPath = getAtemClipPath(sessionId, 'apng');
+    fs.mkdirSync(path.dirname(zipPath), { recursive: true });
+    fs.writeFileSync(`${zipPath}.tmp`, zip);
+    fs.writeFileSync(`${apngPath}.tmp`, apng);
+    fs.renameSync(`${zipPath}.tmp`, zipPath);
+    fs.renameSync(`${apngPath}.tmp`, apngPath);
+
+    return {
+      sessionId: normalizeSessionId(sessionId),
+      ...opts,
+      frames: frames.length,
+      durationMs: Math.round((frames.length * 1000) / opts.fps),
+      zipUrl: getAtemClipUrl(sessionId, 'zip'),
+      apngUrl: getAtemClipUrl(sessionId, 'apng'),
+    };
+  } finally {
+    atemClipRendering = false;
+    if (page) page.close().catch(() => {});
+  }
+}
+
+// ── Preset Batch Render ───────────────────────────────────────────────────────
+// Renders a control panel's overlay presets to stills ahead of a service, for
+// switchers that run graphics off media-pool stills. The control sends each
+// preset as ready-made overlay data, plus the active settings and the per-mode
+// (Bible / speaker) style settings. Every preset is rendered on a static output
+// page at the session's first export output size and lands in one zip as
+// <name>-fill.png, -key.png, -premultiplied.png and -straight.png, with a
+// manifest.json describing the files.
+const ATEM_BATCH_MAX_PRESETS = 200;
+const ATEM_BATCH_MAX_BODY = 8 * 1024 * 1024;   // settings may carry a logo data URL
+const ATEM_BATCH_VARIANTS = ['fill', 'key', 'premultiplied', 'straight'];
+let atemBatchRendering = false;
+
+function getAtemBatchPath(sessionId) {
+  return path.join(ATEM_PNG_BASE_DIR, `${ATEM_PNG_BASE_STEM}-${sanitizeSessionForFile(sessionId)}-presets.zip`);
+}
+
+function getAtemBatchUrl(sessionId) {
+  return `/atem-live/${encodeURIComponent(normalizeSessionId(sessionId))}-presets.zip`;
+}
+
+// File stem from the preset label ("John 3:16 (NIV)" → "John_3_16_NIV"),
+// numbered when two presets share a label.
+function getAtemBatchFileName(label, index, used) {
+  const base = String(label || '')
+    .normalize('NFKD')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 48) || `preset_${index + 1}`;
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function normalizeAtemBatchRequest(src) {
+  const o = src && typeof src === 'object' ? src : {};
+  const asObject = value => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+  const used = new Set();
+  const presets = (Array.isArray(o.presets) ? o.presets : [])
+    .filter(p => p && typeof p === 'object' && p.data && typeof p.data === 'object'
+      && (typeof p.data.line1 === 'string' || typeof p.data.line2 === 'string'))
+    .slice(0, ATEM_BATCH_MAX_PRESETS)
+    .map((p, index) => ({
+      id: String(p.id || '').slice(0, 64),
+      label: String(p.label || p.data.line1 || '').trim().slice(0, 200),
+      mode: p.mode === 'speaker' ? 'speaker' : 'bible',
+      data: p.data,
+      name: getAtemBatchFileName(p.label || p.data.line1, index, used),
+    }));
+  return {
+    presets,
+    settings: asObject(o.settings),
+    modeSettings: asObject(o.modeSettings),
+    profile: typeof o.profile === 'string' ? o.profile.trim().slice(0, 200) : '',
+  };
+}
+
+async function renderAtemPresetBatch(sessionId, request) {
+  const batch = normalizeAtemBatchRequest(request);
+  if (!batch.presets.length) {
+    const err = new Error('No overlay presets to render');
+    err.statusCode = 400;
+    throw err;
+  }
+  if (atemBatchRendering) {
+    const err = new Error('A preset batch is already rendering');
+    err.statusCode = 409;
+    throw err;
+  }
+  if (!ATEM_PNG_EXPORT_ENABLED) {
+    const err = new Error('ATEM export is disabled (ATEM_PNG_EXPORT=0)');
+    err.statusCode = 503;
+    throw err;
+  }
+  atemBatchRendering = true;
+  const primary = getAtemProfile(sessionId).outputs[0];
+  let page = null;
+  try {
+    const view = ATEM_PNG_RENDERER === 'raster' ? null : await ensureExporterPage(sessionId, primary.width, primary.height);
+    if (!view && ATEM_PNG_RENDERER === 'chromium') {
+      const err = new Error('ATEM export is unavailable (Playwright/Chromium missing)');
+      err.statusCode = 503;
+      throw err;
+    }
+    if (view) page = await openStaticExportPage(view, sessionId);
+
+    const entries = [];
+    const manifestPresets = [];
+    for (const preset of batch.presets) {
+      const settings = {
+        ...batch.settings,
+        ...(batch.modeSettings[preset.mode] && typeof batch.modeSettings[preset.mode] === 'object' ? batch.modeSettings[preset.mode] : {}),
+        animation: 'none',
+        chroma: 'transparent',
+      };
+      let shot;
+      if (page) {
+        await page.evaluate(async payload => {
+          window.handleMessage({ action: 'clear-ticker' });
+          window.handleMessage({ action: 'settings', settings: payload.settings });
+          window.handleMessage({ action: 'show', data: payload.data, settings: payload.settings });
+          if (document.fonts && document.fonts.ready) {
+            try { await document.fonts.ready; } catch (_) {}
+          }
+          await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+        }, { settings, data: preset.data });
+        shot = await page.screenshot({ type: 'png', omitBackground: true });
+      } else {
+        shot = await renderRasterOffThread({ settings, show: { action: 'show', data: preset.data } }, primary.width, primary.height);
+      }
+      const buffers = await buildAtemExportBuffers(shot, 'straight');
+
+      const files = {};
+      ATEM_BATCH_VARIANTS.forEach(variant => {
+        files[variant] = `${preset.name}-${variant}.png`;
+        entries.push({ name: files[variant], data: buffers[variant] });
+      });
+      manifestPresets.push({
+        id: preset.id,
+        label: preset.label,
+        mode: preset.mode,
+        line1: String(preset.data.line1 || ''),
+        line2: String(preset.data.line2 || ''),
+        files,
+      });
+    }
+
+    const manifest = {
+      sessionId: normalizeSessionId(sessionId),
+      profile: batch.profile || null,
+      renderedAt: new Date().toISOString(),
+      width: primary.width,
+      height: primary.height,
+      variants: ATEM_BATCH_VARIANTS,
+      presets: manifestPresets,
+    };
+    entries.push({ name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) });
+
+    const zipPath = getAtemBatchPath(sessionId);
+    fs.mkdirSync(path.dirname(zipPath), { recursive: true });
+    fs.writeFileSync(`${zipPath}.tmp`, buildZip(entries));
+    fs.renameSync(`${zipPath}.tmp`, zipPath);
+
+    return {
+      sessionId: normalizeSessionId(sessionId),
+      presets: manifestPresets.length,
+      width: primary.width,
+      height: primary.height,
+      zipUrl: getAtemBatchUrl(sessionId),
+    };
+  } finally {
+    atemBatchRendering = false;
+    if (page) page.close().catch(() => {});
+  }
+}
+
 // ── Graceful Shutdown ─────────────────────────────────────────────────────────
-process.on('SIGINT', () => {
+// SIGTERM is what Docker and systemd send on stop; both signals flush state first.
+let shuttingDown = false;
+function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
   console.log('\n  Shutting down…');
+  flushSessionStates();
   wss.clients.forEach(c => { try { c.close(); } catch (_) {} });
   for (const sessionId of exportSessions.keys()) {
     clearExportSession(sessionId);
   }
   const closeBrowser = exportBrowser ? exportBrowser.close().catch(() => {}) : Promise.resolve();
   closeBrowser.finally(() => server.close(() => process.exit(0)));
-});
+  setTimeout(() => process.exit(0), 5000).unref();
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // ── Start ─────────────────────────────────────────────────────────────────────
 if (ATEM_PNG_EXPORT_ENABLED) {
@@ -898,6 +3492,10 @@ if (ATEM_PNG_EXPORT_ENABLED) {
     console.warn(`  ⚠  Could not initialize ATEM PNG: ${err && err.message ? err.message : err}`);
   }
 }
+if (ATEM_PNG_RENDERER !== 'chromium') {
+  try { getRasterWorker(); } catch (_) {}
+}
+restoredSessions.forEach(sessionId => schedulePngExport(sessionId));
 server.listen(PORT, '0.0.0.0', printBanner);
 
 function printBanner() {
@@ -914,15 +3512,30 @@ function printBanner() {
   lanIPs.forEach(ip => {
     console.log(`  Network (tablet/phone): http://${ip}:${PORT}`);
   });
+  console.log(`  Control API:            POST /api/session/<session>/{show|clear|ticker|clear-ticker}${CONTROL_API_TOKEN ? ' (token required)' : ''}`);
+  console.log(`  Session state store:    ${sessionStore.kind}${sessionStore.location ? ` (${sessionStore.location})` : ''}, grace ${Math.round(SESSION_STATE_GRACE_MS / 1000)}s`);
+  console.log(`  api.bible tier:         ${APIBIBLE_KEY ? 'enabled' : 'disabled (set APIBIBLE_KEY)'}`);
+  if (localBibles.size) {
+    console.log(`  Local Bible library:    ${Array.from(localBibles.keys()).join(', ')}`);
+  }
+  if (restoredSessions.length) {
+    console.log(`  Restored sessions:      ${restoredSessions.join(', ')}`);
+  }
   if (ATEM_PNG_EXPORT_ENABLED) {
     console.log(`  ATEM PNG export dir:    ${ATEM_PNG_BASE_DIR}`);
     console.log(`  ATEM PNG URL format:    /atem-live/<session>.png`);
     console.log(`  ATEM preview variants:  ?alpha=straight | ?alpha=premultiplied`);
-    console.log(`  ATEM PNG mode:          ${ATEM_PNG_MODE}`);
+    console.log(`  ATEM fill + key:        /atem-live/<session>-fill.png | <session>-key.png (or ?variant=fill|key)`);
+    console.log(`  ATEM animated clip:     POST /api/session/<session>/atem-clip → /atem-live/<session>-clip.{zip|apng}`);
+    console.log(`  ATEM preset stills:     POST /api/session/<session>/atem-presets → /atem-live/<session>-presets.zip`);
+    console.log(`  ATEM PNG mode:          ${ATEM_PNG_MODE} (${ATEM_PNG_WIDTH}×${ATEM_PNG_HEIGHT}; per-session profiles from the ATEM tab)`);
     console.log(`  ATEM PNG pinned:        ${atemPngPinnedSessions.size ? Array.from(atemPngPinnedSessions).join(', ') : '(all sessions)'}`);
     console.log(`  ATEM PNG webhook:       ${ATEM_PNG_WEBHOOK_URL || '(disabled)'}`);
+    console.log(`  ATEM PNG renderer:      ${ATEM_PNG_RENDERER}${ATEM_PNG_RENDERER !== 'chromium' ? ' (software fallback for built-in styles)' : ''}`);
     if (!chromium) {
-      console.log('  (disabled at runtime — install Playwright + Chromium browser)');
+      console.log(ATEM_PNG_RENDERER === 'chromium'
+        ? '  (disabled at runtime — install Playwright + Chromium browser)'
+        : '  (Playwright missing — stills use the software renderer; clips need Chromium)');
     }
   } else {
     console.log('  ATEM PNG export:        disabled (ATEM_PNG_EXPORT=0)');